@@ -21,6 +21,11 @@ log() {
         local level_name=$(get_log_level_name $level)
         echo "[$timestamp] [$level_name ] $message" | tee -a "${LOG_FILE:-ordr.fm.log}" >&2
     fi
+    
+    # Errors are also reported on the structured progress stream, if enabled
+    if [[ $level -eq $LOG_ERROR ]] && declare -F emit_progress_event >/dev/null; then
+        emit_progress_event "error" "message=$message" "path=${PROGRESS_CURRENT_ALBUM:-}"
+    fi
 }
 
 # Function to get log level name
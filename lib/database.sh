@@ -206,13 +206,23 @@ CREATE TABLE IF NOT EXISTS move_operations (
     status TEXT NOT NULL,
     error_message TEXT,
     started_at INTEGER DEFAULT (strftime('%s', 'now')),
-    completed_at INTEGER
+    completed_at INTEGER,
+    run_id TEXT,
+    rolled_back_at INTEGER
 );
 
 CREATE INDEX IF NOT EXISTS idx_albums_artist ON albums(artist);
 CREATE INDEX IF NOT EXISTS idx_albums_status ON albums(status);
 CREATE INDEX IF NOT EXISTS idx_move_operations_status ON move_operations(status);
 EOF
+    # Databases created before moves were grouped by run
+    local column
+    for column in "run_id TEXT" "rolled_back_at INTEGER"; do
+        if ! sqlite3 "$metadata_db" "PRAGMA table_info(move_operations);" | grep -q "|${column%% *}|"; then
+            sqlite3 "$metadata_db" "ALTER TABLE move_operations ADD COLUMN $column;"
+        fi
+    done
+    sqlite3 "$metadata_db" "CREATE INDEX IF NOT EXISTS idx_move_operations_run ON move_operations(run_id);"
     enable_wal_mode "$metadata_db"
     log $LOG_INFO "Metadata database initialized successfully"
 }
@@ -239,8 +249,13 @@ create_move_operation() {
     local source_path="$2"
     local dest_path="$3"
     local metadata_db="${METADATA_DB:-ordr.fm.metadata.db}"
+    local run_id="${RUN_ID:-}"
+    
+    # Album paths routinely contain apostrophes
+    source_path="${source_path//\'/\'\'}"
+    dest_path="${dest_path//\'/\'\'}"
     
-    execute_sql_with_retry "$metadata_db" "INSERT INTO move_operations (id, source_path, destination_path, status) VALUES ('$operation_id', '$source_path', '$dest_path', 'IN_PROGRESS');"
+    execute_sql_with_retry "$metadata_db" "INSERT INTO move_operations (id, source_path, destination_path, status, run_id) VALUES ('$operation_id', '$source_path', '$dest_path', 'IN_PROGRESS', NULLIF('$run_id', ''));"
 }
 
 # Update move operation status
@@ -252,7 +267,7 @@ update_move_operation_status() {
     
     local sql="UPDATE move_operations SET status='$status', completed_at=strftime('%s', 'now')"
     if [[ -n "$error_msg" ]]; then
-        sql="$sql, error_message='$error_msg'"
+        sql="$sql, error_message='${error_msg//\'/\'\'}'"
     fi
     sql="$sql WHERE id='$operation_id';"
     
@@ -0,0 +1,135 @@
+#!/bin/bash
+# Progress event module for ordr.fm
+# Emits machine-readable progress as JSON lines on a dedicated file descriptor
+#
+# The caller opens the descriptor and passes its number in ORDRFM_PROGRESS_FD,
+# e.g. `ORDRFM_PROGRESS_FD=3 ./ordr.fm.sh ... 3>events.jsonl`. Without it
+# every function here is a no-op, so the human-readable log is unaffected.
+#
+# Every line is one JSON object:
+#   {"v":1,"event":"album_finished","ts":"2025-01-01T12:00:00Z","index":3,...}
+#
+# Events:
+#   run_started     total, dry_run, source, destination, run_id
+#   album_started   index, total, path
+#   discogs_match   path, confidence, threshold
+#   metadata_reconstructed
+#                   path, confidence, and the fields filled from the directory
+#                   name: artist, title, year
+#   album_finished  index, total, path, outcome, destination, artist, title,
+#                   quality, organization_mode, discogs_confidence, reason
+#                   outcome: moved | planned | skipped | duplicate | unsorted | failed
+#   error           message, path (when an album is being processed)
+#   run_finished    processed, skipped, exit_code
+
+# Source common utilities
+source "${BASH_SOURCE%/*}/common.sh"
+
+PROGRESS_PROTOCOL_VERSION=1
+
+# Album currently being processed (set by the main loop)
+declare -g PROGRESS_CURRENT_ALBUM=""
+
+# Per-album outcome, set by process_album_directory before it returns
+declare -g ALBUM_OUTCOME=""
+declare -g ALBUM_DESTINATION=""
+declare -g ALBUM_REASON=""
+declare -g ALBUM_DISCOGS_CONFIDENCE=""
+declare -g ALBUM_RESULT_ARTIST=""
+declare -g ALBUM_RESULT_TITLE=""
+declare -g ALBUM_RESULT_QUALITY=""
+declare -g ALBUM_RESULT_MODE=""
+
+# Check whether a progress descriptor was provided and is open
+progress_events_enabled() {
+    [[ "${ORDRFM_PROGRESS_FD:-}" =~ ^[0-9]+$ ]] && { true >&"$ORDRFM_PROGRESS_FD"; } 2>/dev/null
+}
+
+# emit_progress_event: Write one event line
+# Arguments:
+#   $1: Event type
+#   $@: Fields as key=value (string) or key:=value (raw JSON: numbers, booleans)
+emit_progress_event() {
+    progress_events_enabled || return 0
+
+    local event_type="$1"
+    shift
+
+    local args=(
+        --argjson v "$PROGRESS_PROTOCOL_VERSION"
+        --arg event "$event_type"
+        --arg ts "$(date -u '+%Y-%m-%dT%H:%M:%SZ')"
+    )
+
+    local field key value
+    for field in "$@"; do
+        if [[ "$field" == *:=* ]] && [[ "${field%%:=*}" != *=* ]]; then
+            key="${field%%:=*}"
+            value="${field#*:=}"
+            # Fall back to a string if the value is not valid JSON
+            if [[ -n "$value" ]] && jq -e . >/dev/null 2>&1 <<< "$value"; then
+                args+=(--argjson "$key" "$value")
+            else
+                args+=(--arg "$key" "$value")
+            fi
+        else
+            key="${field%%=*}"
+            value="${field#*=}"
+            args+=(--arg "$key" "$value")
+        fi
+    done
+
+    # A failed write must never break album processing
+    jq -cn "${args[@]}" '$ARGS.named' >&"$ORDRFM_PROGRESS_FD" 2>/dev/null || true
+}
+
+# reset_album_outcome: Clear per-album outcome before processing an album
+reset_album_outcome() {
+    ALBUM_OUTCOME=""
+    ALBUM_DESTINATION=""
+    ALBUM_REASON=""
+    ALBUM_DISCOGS_CONFIDENCE=""
+    ALBUM_RESULT_ARTIST=""
+    ALBUM_RESULT_TITLE=""
+    ALBUM_RESULT_QUALITY=""
+    ALBUM_RESULT_MODE=""
+}
+
+# set_album_outcome: Record how the current album ended
+# Arguments:
+#   $1: Outcome (moved, planned, skipped, duplicate, unsorted, failed)
+#   $2: Reason (optional)
+set_album_outcome() {
+    ALBUM_OUTCOME="$1"
+    ALBUM_REASON="${2:-}"
+}
+
+# emit_album_finished: Report the outcome recorded for an album
+# Arguments:
+#   $1: Album index (1-based)
+#   $2: Total albums
+#   $3: Album directory
+#   $4: Return code of process_album_directory
+emit_album_finished() {
+    local index="$1"
+    local total="$2"
+    local album_dir="$3"
+    local status="$4"
+    local outcome="$ALBUM_OUTCOME"
+
+    # Paths that returned without recording an outcome
+    if [[ -z "$outcome" ]]; then
+        [[ $status -eq 0 ]] && outcome="moved" || outcome="failed"
+    fi
+
+    local fields=(
+        "index:=$index" "total:=$total" "path=$album_dir" "outcome=$outcome"
+        "destination=$ALBUM_DESTINATION" "artist=$ALBUM_RESULT_ARTIST" "title=$ALBUM_RESULT_TITLE"
+        "quality=$ALBUM_RESULT_QUALITY" "organization_mode=$ALBUM_RESULT_MODE" "reason=$ALBUM_REASON"
+    )
+    [[ -n "$ALBUM_DISCOGS_CONFIDENCE" ]] && fields+=("discogs_confidence:=$ALBUM_DISCOGS_CONFIDENCE")
+
+    emit_progress_event "album_finished" "${fields[@]}"
+}
+
+export -f emit_album_finished progress_events_enabled emit_progress_event reset_album_outcome set_album_outcome
@@ -18,6 +18,7 @@ source "$SCRIPT_DIR/lib/fileops.sh"
 source "$SCRIPT_DIR/lib/database.sh"
 source "$SCRIPT_DIR/lib/organization.sh"
 source "$SCRIPT_DIR/lib/metadata_extraction.sh"
+source "$SCRIPT_DIR/lib/progress_events.sh"
 
 # Check if Discogs module exists
 if [[ -f "$SCRIPT_DIR/lib/discogs.sh" ]]; then
@@ -92,6 +93,14 @@ PARALLEL_JOBS=0  # 0 = auto-detect
 CLEANUP_EMPTY_DIRS=0
 CLEANUP_ARTIFACTS=0
 
+# Approved plan: tab-separated "source<TAB>destination" lines to process instead of scanning
+PLAN_FILE=""
+declare -A PLAN_DESTINATIONS=()
+ALBUM_DESTINATION_OVERRIDE=""
+
+# Groups the move_operations rows written by this run; the dashboard passes its job ID
+RUN_ID="${ORDRFM_RUN_ID:-run_$(date +%Y%m%d_%H%M%S)_$$}"
+
 # Check dependencies
 check_dependencies() {
     local required_tools=("exiftool" "jq")
@@ -146,17 +155,20 @@ process_album_directory() {
     # Input validation
     if [[ -z "$album_dir" ]]; then
         log $LOG_ERROR "No album directory specified"
+        set_album_outcome "failed" "no album directory specified"
         return 1
     fi
     
     if [[ ! -d "$album_dir" ]]; then
         log $LOG_ERROR "Album directory does not exist: $album_dir"
+        set_album_outcome "failed" "directory does not exist"
         return 1
     fi
     
     # Check for read permissions
     if [[ ! -r "$album_dir" ]]; then
         log $LOG_ERROR "No read permission for album directory: $album_dir"
+        set_album_outcome "failed" "no read permission"
         return 1
     fi
     
@@ -165,6 +177,7 @@ process_album_directory() {
     # Check incremental mode
     if [[ $INCREMENTAL -eq 1 ]] && ! directory_needs_processing "$album_dir"; then
         log $LOG_INFO "Skipping already processed directory: $album_dir"
+        set_album_outcome "skipped" "already processed"
         return 0
     fi
     
@@ -204,8 +217,10 @@ process_album_directory() {
             log $LOG_WARNING "No audio files or NFO metadata found in: $album_dir"
             if [[ ${SKIP_PROBLEMATIC_ALBUMS:-1} -eq 1 ]]; then
                 skip_problematic_album "$album_dir" "no audio files or metadata"
+                set_album_outcome "skipped" "no audio files or metadata"
             else
                 move_to_unsorted "$album_dir" "no audio files or metadata"
+                set_album_outcome "unsorted" "no audio files or metadata"
             fi
             return 1
         fi
@@ -399,10 +414,20 @@ process_album_directory() {
             log $LOG_DEBUG "Year prefix pattern matched: '$recon_title' ($recon_year)"
         fi
         
-        # Fill gaps with reconstructed data
-        [[ -z "$album_artist" && -n "$recon_artist" ]] && album_artist="$recon_artist"
-        [[ -z "$album_title" && -n "$recon_title" ]] && album_title="$recon_title"
-        [[ -z "$album_year" && -n "$recon_year" ]] && album_year="$recon_year"
+        # Fill gaps with reconstructed data, remembering which fields were filled
+        local reconstructed_fields=()
+        if [[ -z "$album_artist" && -n "$recon_artist" ]]; then
+            album_artist="$recon_artist"
+            reconstructed_fields+=("artist=$recon_artist")
+        fi
+        if [[ -z "$album_title" && -n "$recon_title" ]]; then
+            album_title="$recon_title"
+            reconstructed_fields+=("title=$recon_title")
+        fi
+        if [[ -z "$album_year" && -n "$recon_year" ]]; then
+            album_year="$recon_year"
+            reconstructed_fields+=("year=$recon_year")
+        fi
         
         # Calculate confidence score
         local confidence=50
@@ -416,15 +441,19 @@ process_album_directory() {
             # If no title, use the directory name itself as title
             if [[ -z "$album_title" ]]; then
                 album_title=$(basename "$album_dir")
+                reconstructed_fields+=("title=$album_title")
                 log $LOG_DEBUG "Using directory name as title: '$album_title'"
             fi
             log $LOG_INFO "Hybrid reconstruction successful (confidence: $confidence/100): '$album_artist' - '$album_title' ($([ -n "$album_year" ] && echo "$album_year" || echo "no year"))"
+            emit_progress_event "metadata_reconstructed" "path=$album_dir" "confidence:=$confidence" "${reconstructed_fields[@]}"
         else
             log $LOG_WARNING "Hybrid reconstruction failed - insufficient metadata (confidence: $confidence/100)"
             if [[ ${SKIP_PROBLEMATIC_ALBUMS:-1} -eq 1 ]]; then
                 skip_problematic_album "$album_dir" "reconstruction failed"
+                set_album_outcome "skipped" "reconstruction failed"
             else
                 move_to_unsorted "$album_dir" "reconstruction failed"
+                set_album_outcome "unsorted" "reconstruction failed"
             fi
             return 1
         fi
@@ -452,6 +481,12 @@ process_album_directory() {
             local discogs_catalog=$(echo "$discogs_data" | jq -r '.catalog_number // empty' 2>/dev/null)
             [[ -n "$discogs_label" ]] && label="$discogs_label"
             [[ -n "$discogs_catalog" ]] && catalog="$discogs_catalog"
+            
+            if command -v calculate_discogs_confidence &>/dev/null; then
+                ALBUM_DISCOGS_CONFIDENCE=$(calculate_discogs_confidence "$album_artist" "$album_title" "$album_year" "$discogs_data")
+                emit_progress_event "discogs_match" "path=$album_dir" \
+                    "confidence:=$ALBUM_DISCOGS_CONFIDENCE" "threshold:=${DISCOGS_CONFIDENCE_THRESHOLD:-0.7}"
+            fi
         fi
     fi
     
@@ -469,24 +504,43 @@ process_album_directory() {
     # Sanitize path components but preserve directory structure
     full_dest_path=$(echo "$full_dest_path" | sed 's|//*|/|g')
     
+    # A reviewed plan may have changed the destination
+    if [[ -n "$ALBUM_DESTINATION_OVERRIDE" ]]; then
+        log $LOG_INFO "Using destination from plan: $ALBUM_DESTINATION_OVERRIDE"
+        full_dest_path="$ALBUM_DESTINATION_OVERRIDE"
+    fi
+    
     # Check if destination already exists (duplicate album detection)
     if [[ -d "$full_dest_path" ]]; then
         log $LOG_WARNING "Skipping duplicate album - destination already exists: $full_dest_path"
         log $LOG_INFO "Source: $album_dir"
+        ALBUM_DESTINATION="$full_dest_path"
+        set_album_outcome "duplicate" "destination already exists"
         return 0
     fi
     
     log $LOG_INFO "Proposed new album path for '$album_dir': $full_dest_path"
+    ALBUM_DESTINATION="$full_dest_path"
+    ALBUM_RESULT_ARTIST="$album_artist"
+    ALBUM_RESULT_TITLE="$album_title"
+    ALBUM_RESULT_QUALITY="$quality"
+    ALBUM_RESULT_MODE="$org_mode"
     
     # Perform move or log dry run
     if [[ $DRY_RUN -eq 1 ]]; then
         log $LOG_INFO "(Dry Run) Would move album directory '$album_dir' to '$full_dest_path'"
+        set_album_outcome "planned"
     else
         # Create move operation
-        local operation_id="move_${SECONDS}_$$"
+        # Unique per album, also when several albums finish within the same second
+        local operation_id="move_$(date +%s%N)_${BASHPID}"
         # Construct album metadata for file renaming
         local album_metadata="${album_artist}|${album_title}|${label:-}|${catalog:-}|${album_year:-}"
-        perform_album_move "$album_dir" "$full_dest_path" "$exiftool_output" "$operation_id" "$album_metadata"
+        if perform_album_move "$album_dir" "$full_dest_path" "$exiftool_output" "$operation_id" "$album_metadata"; then
+            set_album_outcome "moved"
+        else
+            set_album_outcome "failed" "move failed"
+        fi
         
         # Track in metadata database
         local db_album_data="${album_dir}|${album_artist}|${album_title}|${album_year}|${track_count}|${total_size}|${quality}|${org_mode}|${full_dest_path}"
@@ -600,6 +654,29 @@ find_album_directories() {
     echo ${#albums[@]}
 }
 
+# Load an approved plan into the album list
+# Each line is "source<TAB>destination"; an empty destination keeps the computed path
+load_plan_file() {
+    local plan_file="$1"
+    local output_file="$2"
+    
+    if [[ ! -r "$plan_file" ]]; then
+        log $LOG_ERROR "Plan file not readable: $plan_file"
+        return 1
+    fi
+    
+    > "$output_file"
+    local source_dir destination
+    while IFS=$'\t' read -r source_dir destination || [[ -n "$source_dir" ]]; do
+        [[ -z "$source_dir" ]] && continue
+        printf '%s\n' "$source_dir" >> "$output_file"
+        PLAN_DESTINATIONS["$source_dir"]="$destination"
+    done < "$plan_file"
+    
+    log $LOG_INFO "Loaded ${#PLAN_DESTINATIONS[@]} albums from plan: $plan_file"
+    return 0
+}
+
 # Display usage
 usage() {
     cat << EOF
@@ -629,6 +706,8 @@ OPTIONS:
     --organization-mode MODE  Organization mode: artist, label, series, hybrid
     
     --parallel [JOBS]         Enable parallel processing (optional job count)
+    --plan-file FILE          Process only the albums listed in FILE, one
+                              "source<TAB>destination" pair per line
     
     --cleanup-empty           Remove empty source directories after processing
     --cleanup-preview         Preview empty directories without removing
@@ -720,6 +799,10 @@ parse_arguments() {
                     shift
                 fi
                 ;;
+            --plan-file)
+                PLAN_FILE="$2"
+                shift 2
+                ;;
             --cleanup-empty)
                 CLEANUP_EMPTY_DIRS=1
                 shift
@@ -803,6 +886,7 @@ main() {
     log $LOG_INFO "  Log File: $LOG_FILE"
     log $LOG_INFO "  Verbosity: $(get_log_level_name $VERBOSITY)"
     log $LOG_INFO "  Mode: $([ $DRY_RUN -eq 1 ] && echo "Dry Run" || echo "Live Run")"
+    log $LOG_INFO "  Run ID: $RUN_ID"
     log $LOG_INFO "  Incremental Mode: $([ $INCREMENTAL -eq 1 ] && echo "Enabled" || echo "Disabled")"
     log $LOG_INFO "  Duplicate Detection: $([ $DUPLICATE_DETECTION -eq 1 ] && echo "Enabled" || echo "Disabled")"
     
@@ -845,8 +929,14 @@ main() {
     local album_list_file=$(mktemp /tmp/ordr.fm.albums.XXXXXX)
     trap "rm -f $album_list_file" EXIT
     
-    # Find and process album directories
-    local album_count=$(find_album_directories "$SOURCE_DIR" "$album_list_file")
+    # Find and process album directories, or take them from an approved plan
+    if [[ -n "$PLAN_FILE" ]]; then
+        if ! load_plan_file "$PLAN_FILE" "$album_list_file"; then
+            exit_with_code 1 "Could not read plan file: $PLAN_FILE"
+        fi
+    else
+        local album_count=$(find_album_directories "$SOURCE_DIR" "$album_list_file")
+    fi
     
     # Read album directories from temp file
     local album_dirs=()
@@ -863,14 +953,29 @@ main() {
     # Force sequential processing to ensure reliable metadata extraction
     log $LOG_INFO "Using sequential processing for reliable metadata extraction"
     
+    emit_progress_event "run_started" "total:=$total_albums" "dry_run:=$([ $DRY_RUN -eq 1 ] && echo true || echo false)" \
+        "source=$SOURCE_DIR" "destination=$DEST_DIR" "run_id=$RUN_ID"
+    
     # Sequential processing
+    local album_index=0
     for album_dir in "${album_dirs[@]}"; do
-        if process_album_directory "$album_dir"; then
+        ((album_index++))
+        PROGRESS_CURRENT_ALBUM="$album_dir"
+        ALBUM_DESTINATION_OVERRIDE="${PLAN_DESTINATIONS[$album_dir]:-}"
+        reset_album_outcome
+        emit_progress_event "album_started" "index:=$album_index" "total:=$total_albums" "path=$album_dir"
+        
+        local album_status=0
+        process_album_directory "$album_dir" || album_status=$?
+        if [[ $album_status -eq 0 ]]; then
             ((processed++))
         else
             ((skipped++))
         fi
         
+        emit_album_finished "$album_index" "$total_albums" "$album_dir" "$album_status"
+        PROGRESS_CURRENT_ALBUM=""
+        
         # Progress logging every 50 albums
         if [[ $((processed + skipped)) -gt 0 ]] && [[ $(((processed + skipped) % 50)) -eq 0 ]]; then
             local current_progress=$((processed + skipped))
@@ -904,6 +1009,7 @@ main() {
     fi
     
     log $LOG_INFO "--- ordr.fm Script Finished ---"
+    emit_progress_event "run_finished" "processed:=$processed" "skipped:=$skipped" "exit_code:=0"
     
     exit_with_code 0 "Script completed successfully: Processing completed successfully"
 }
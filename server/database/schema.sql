@@ -127,6 +127,7 @@ CREATE TABLE IF NOT EXISTS album_mb_mappings (
     confidence REAL NOT NULL,
     mapping_source TEXT DEFAULT 'auto', -- auto, manual, verified
     mapping_method TEXT, -- search, isrc, fingerprint, etc.
+    score_breakdown JSON, -- how the confidence was scored, part by part
     verified_by TEXT, -- user who verified the mapping
     verified_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -178,6 +179,42 @@ CREATE TABLE IF NOT EXISTS mb_enrichment_queue (
     completed_at TIMESTAMP
 );
 
+-- Candidate releases for albums without a confident match, awaiting human review
+CREATE TABLE IF NOT EXISTS mb_review_candidates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    album_id INTEGER NOT NULL,
+    mb_release_mbid TEXT NOT NULL,
+    confidence REAL NOT NULL,
+    title TEXT,
+    artist_credit TEXT,
+    date TEXT,
+    country TEXT,
+    label TEXT,
+    catalog_number TEXT,
+    track_count INTEGER,
+    track_durations JSON, -- milliseconds, in running order
+    score_breakdown JSON, -- how the confidence was scored, part by part
+    source TEXT DEFAULT 'auto', -- auto (enrichment queue), search (manual search)
+    status TEXT DEFAULT 'pending', -- pending, accepted, rejected
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE(album_id, mb_release_mbid)
+);
+
+-- Cached MusicBrainz API responses
+CREATE TABLE IF NOT EXISTS mb_response_cache (
+    cache_key TEXT PRIMARY KEY, -- md5 of endpoint and params
+    endpoint TEXT NOT NULL,
+    params JSON NOT NULL,
+    response JSON NOT NULL,
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    hit_count INTEGER DEFAULT 0,
+    last_hit_at TIMESTAMP
+);
+
 -- Statistics and analytics
 CREATE TABLE IF NOT EXISTS mb_statistics (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -228,6 +265,11 @@ CREATE INDEX IF NOT EXISTS idx_mb_queue_status ON mb_enrichment_queue(status);
 CREATE INDEX IF NOT EXISTS idx_mb_queue_priority ON mb_enrichment_queue(priority);
 CREATE INDEX IF NOT EXISTS idx_mb_queue_album ON mb_enrichment_queue(album_id);
 
+CREATE INDEX IF NOT EXISTS idx_mb_review_album ON mb_review_candidates(album_id);
+CREATE INDEX IF NOT EXISTS idx_mb_review_status ON mb_review_candidates(status);
+
+CREATE INDEX IF NOT EXISTS idx_mb_response_cache_expires ON mb_response_cache(expires_at);
+
 CREATE INDEX IF NOT EXISTS idx_mb_stats_name ON mb_statistics(metric_name);
 CREATE INDEX IF NOT EXISTS idx_mb_stats_date ON mb_statistics(recorded_at);
 
@@ -6,6 +6,7 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -17,6 +18,9 @@ class DatabaseManager {
     
     this.metadataDb = null;
     this.stateDb = null;
+    this.transactions = Promise.resolve();
+    this.activeTransaction = null; // settles when the open transaction ends
+    this.transactionContext = new AsyncLocalStorage(); // set for statements issued by a transaction's work
   }
 
   /**
@@ -82,7 +86,7 @@ class DatabaseManager {
     try {
       const schema = await fs.readFile(this.schemaPath, 'utf8');
       
-      return new Promise((resolve, reject) => {
+      await new Promise((resolve, reject) => {
         this.metadataDb.exec(schema, (err) => {
           if (err) {
             console.error('Schema initialization failed:', err);
@@ -93,12 +97,35 @@ class DatabaseManager {
           }
         });
       });
+
+      await this.migrateSchema();
     } catch (err) {
       console.error('Could not read schema file:', err);
       throw err;
     }
   }
 
+  /**
+   * Add columns introduced after a table was first created, which
+   * CREATE TABLE IF NOT EXISTS leaves untouched
+   */
+  async migrateSchema() {
+    const addedColumns = {
+      album_mb_mappings: { score_breakdown: 'JSON' },
+      mb_review_candidates: { score_breakdown: 'JSON' }
+    };
+
+    for (const [table, columns] of Object.entries(addedColumns)) {
+      const existing = (await this.query(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+      for (const [column, type] of Object.entries(columns)) {
+        if (!existing.includes(column)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+      }
+    }
+  }
+
   /**
    * Get database connection (metadata by default)
    */
@@ -112,7 +139,7 @@ class DatabaseManager {
   query(sql, params = [], type = 'metadata') {
     const db = this.getDb(type);
     
-    return new Promise((resolve, reject) => {
+    return this.outsideTransactions(() => new Promise((resolve, reject) => {
       db.all(sql, params, (err, rows) => {
         if (err) {
           reject(err);
@@ -120,7 +147,7 @@ class DatabaseManager {
           resolve(rows);
         }
       });
-    });
+    }));
   }
 
   /**
@@ -129,7 +156,7 @@ class DatabaseManager {
   get(sql, params = [], type = 'metadata') {
     const db = this.getDb(type);
     
-    return new Promise((resolve, reject) => {
+    return this.outsideTransactions(() => new Promise((resolve, reject) => {
       db.get(sql, params, (err, row) => {
         if (err) {
           reject(err);
@@ -137,7 +164,7 @@ class DatabaseManager {
           resolve(row);
         }
       });
-    });
+    }));
   }
 
   /**
@@ -146,7 +173,7 @@ class DatabaseManager {
   run(sql, params = [], type = 'metadata') {
     const db = this.getDb(type);
     
-    return new Promise((resolve, reject) => {
+    return this.outsideTransactions(() => new Promise((resolve, reject) => {
       db.run(sql, params, function(err) {
         if (err) {
           reject(err);
@@ -157,7 +184,7 @@ class DatabaseManager {
           });
         }
       });
-    });
+    }));
   }
 
   /**
@@ -181,6 +208,58 @@ class DatabaseManager {
     return this.run('ROLLBACK', [], type);
   }
 
+  /**
+   * Run work in a transaction, after any transaction already running
+   *
+   * The connection is shared: a BEGIN while another transaction is open
+   * fails, and its ROLLBACK would undo the other one. Statements from
+   * outside wait until it ends; those issued by work run in it. work must
+   * not start a transaction itself.
+   */
+  transaction(work, type = 'metadata') {
+    const result = this.transactions.then(() => {
+      const running = this.transactionContext.run(true, async () => {
+        await this.beginTransaction(type);
+
+        try {
+          const value = await work();
+          await this.commitTransaction(type);
+          return value;
+        } catch (err) {
+          await this.rollbackTransaction(type);
+          throw err;
+        }
+      });
+
+      const ended = running.then(() => {}, () => {});
+      this.activeTransaction = ended;
+      ended.then(() => {
+        if (this.activeTransaction === ended) {
+          this.activeTransaction = null;
+        }
+      });
+      return running;
+    });
+
+    this.transactions = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Issue a statement once no other caller's transaction is open
+   *
+   * execute runs in the same tick as the last check, so no BEGIN can come
+   * between them.
+   */
+  async outsideTransactions(execute) {
+    if (!this.transactionContext.getStore()) {
+      while (this.activeTransaction) {
+        await this.activeTransaction;
+      }
+    }
+    return execute();
+  }
+
   /**
    * MusicBrainz-specific queries
    */
@@ -250,10 +329,21 @@ class DatabaseManager {
    * Store MusicBrainz release data
    */
   async storeMBRelease(releaseData) {
+    // An upsert, not INSERT OR REPLACE: replacing the row would cascade
+    // and drop the mappings of other albums on the same release
     const sql = `
-      INSERT OR REPLACE INTO mb_releases 
+      INSERT INTO mb_releases 
       (mbid, title, disambiguation, date, country, barcode, status, packaging)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(mbid) DO UPDATE SET
+        title = excluded.title,
+        disambiguation = excluded.disambiguation,
+        date = excluded.date,
+        country = excluded.country,
+        barcode = excluded.barcode,
+        status = excluded.status,
+        packaging = excluded.packaging,
+        updated_at = CURRENT_TIMESTAMP
     `;
     
     const params = [
@@ -310,15 +400,101 @@ class DatabaseManager {
 
   /**
    * Create album to MusicBrainz mapping
+   *
+   * options.scoreBreakdown explains the confidence. A mapping with
+   * options.verifiedBy set is a reviewer's decision: it records who made it
+   * and replaces any other mapping of the album.
    */
-  async createAlbumMBMapping(albumId, mbReleaseId, confidence, source = 'auto') {
+  async createAlbumMBMapping(albumId, mbReleaseId, confidence, source = 'auto', options = {}) {
+    const { verifiedBy = null, scoreBreakdown = null } = options;
+
+    if (verifiedBy) {
+      await this.run(
+        'DELETE FROM album_mb_mappings WHERE album_id = ? AND mb_release_mbid != ?',
+        [albumId, mbReleaseId]
+      );
+    }
+
     const sql = `
       INSERT OR REPLACE INTO album_mb_mappings 
-      (album_id, mb_release_mbid, confidence, mapping_source)
-      VALUES (?, ?, ?, ?)
+      (album_id, mb_release_mbid, confidence, mapping_source, verified_by, verified_at, score_breakdown)
+      VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, ?)
     `;
     
-    return await this.run(sql, [albumId, mbReleaseId, confidence, source]);
+    return await this.run(sql, [
+      albumId,
+      mbReleaseId,
+      confidence,
+      source,
+      verifiedBy,
+      verifiedBy,
+      scoreBreakdown ? JSON.stringify(scoreBreakdown) : null
+    ]);
+  }
+
+  /**
+   * Store candidate releases for review, keeping earlier decisions on them
+   */
+  async storeMatchCandidates(albumId, candidates, source = 'auto') {
+    const sql = `
+      INSERT INTO mb_review_candidates
+      (album_id, mb_release_mbid, confidence, title, artist_credit, date, country,
+       label, catalog_number, track_count, track_durations, score_breakdown, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(album_id, mb_release_mbid) DO UPDATE SET
+        confidence = excluded.confidence,
+        title = excluded.title,
+        artist_credit = excluded.artist_credit,
+        date = excluded.date,
+        country = excluded.country,
+        label = excluded.label,
+        catalog_number = excluded.catalog_number,
+        track_count = excluded.track_count,
+        track_durations = excluded.track_durations,
+        score_breakdown = excluded.score_breakdown
+    `;
+
+    for (const candidate of candidates) {
+      await this.run(sql, [
+        albumId,
+        candidate.mbid,
+        candidate.confidence,
+        candidate.title || null,
+        candidate.artist_credit || null,
+        candidate.date || null,
+        candidate.country || null,
+        candidate.label || null,
+        candidate.catalog_number || null,
+        candidate.track_count || null,
+        JSON.stringify(candidate.track_durations || []),
+        candidate.score_breakdown ? JSON.stringify(candidate.score_breakdown) : null,
+        source
+      ]);
+    }
+
+    return candidates.length;
+  }
+
+  /**
+   * Get an album's tracks in running order (disc, then track number)
+   *
+   * Returns an empty list when the database has no tracks table.
+   */
+  async getAlbumTracks(albumId) {
+    let tracks;
+
+    try {
+      tracks = await this.query('SELECT * FROM tracks WHERE album_id = ?', [albumId]);
+    } catch (err) {
+      console.warn(`Could not read tracks of album ${albumId}:`, err.message);
+      return [];
+    }
+
+    return tracks.sort((a, b) =>
+      ((a.disc_number || 1) - (b.disc_number || 1)) ||
+      ((a.track_number || 0) - (b.track_number || 0)) ||
+      (a.id - b.id)
+    );
   }
 
   /**
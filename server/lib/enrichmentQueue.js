@@ -0,0 +1,464 @@
+/**
+ * MusicBrainz enrichment queue for ordr.fm Node.js server
+ *
+ * Drains mb_enrichment_queue in the background, one album at a time,
+ * retrying failed lookups with exponential backoff. The queue lives in the
+ * metadata database, so work left over from a restart is picked up again.
+ */
+
+const EventEmitter = require('events');
+
+// SQLite limits the number of bound parameters per statement
+const ENQUEUE_CHUNK_SIZE = 500;
+
+class EnrichmentQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dbManager = options.dbManager;
+    this.musicBrainzClient = options.musicBrainzClient;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 30 * 1000; // first retry, doubled on each further attempt
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+    this.idleInterval = options.idleInterval || 5000; // how often an empty or paused queue is checked
+    this.minConfidence = options.minConfidence || 0.7;
+    this.reviewCandidates = options.reviewCandidates || 3; // candidates kept for review when nothing is confident
+    this.reviewMinConfidence = options.reviewMinConfidence || 0.3;
+
+    this.running = false;
+    this.paused = false;
+    this.current = null;
+    this.loop = null;
+    this.wake = null;
+
+    // Totals since the queue was last empty, for progress reporting
+    this.batch = { processed: 0, matched: 0, failed: 0 };
+  }
+
+  /**
+   * Start the worker, returning albums left in progress by a restart to the queue
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    const { changes } = await this.dbManager.run(
+      "UPDATE mb_enrichment_queue SET status = 'pending' WHERE status = 'processing'"
+    );
+    if (changes > 0) {
+      console.log(`Resuming ${changes} interrupted MusicBrainz enrichment(s)`);
+    }
+
+    this.running = true;
+    this.loop = this.run();
+  }
+
+  /**
+   * Stop the worker after the album in progress
+   */
+  async stop() {
+    this.running = false;
+    this.wakeUp();
+    await this.loop;
+  }
+
+  pause() {
+    this.paused = true;
+    this.emitProgress();
+  }
+
+  resume() {
+    this.paused = false;
+    this.wakeUp();
+    this.emitProgress();
+  }
+
+  /**
+   * Worker loop
+   */
+  async run() {
+    while (this.running) {
+      try {
+        const item = this.paused ? null : await this.claimNext();
+
+        if (!item) {
+          await this.sleep(this.idleInterval);
+          continue;
+        }
+
+        this.current = item;
+        await this.processItem(item);
+        this.current = null;
+
+        if (!(await this.hasWork())) {
+          this.emit('drained', { ...this.batch });
+          this.batch = { processed: 0, matched: 0, failed: 0 };
+        }
+      } catch (err) {
+        // Database trouble; the item stays 'processing' until the next start
+        console.error('Enrichment queue error:', err);
+        this.current = null;
+        await this.sleep(this.idleInterval);
+      }
+    }
+  }
+
+  /**
+   * Take the highest priority album whose backoff has elapsed
+   */
+  async claimNext() {
+    const item = await this.dbManager.get(`
+      SELECT id, album_id, attempts
+      FROM mb_enrichment_queue
+      WHERE status = 'pending'
+        AND (last_attempt IS NULL
+          OR last_attempt <= datetime('now', '-' || MIN(?, ? << MAX(attempts - 1, 0)) || ' seconds'))
+      ORDER BY priority DESC, id
+      LIMIT 1
+    `, [Math.ceil(this.maxRetryDelay / 1000), Math.ceil(this.retryDelay / 1000)]);
+
+    if (!item) {
+      return null;
+    }
+
+    const { changes } = await this.dbManager.run(`
+      UPDATE mb_enrichment_queue
+      SET status = 'processing', attempts = attempts + 1, last_attempt = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [item.id]);
+
+    return changes > 0 ? { ...item, attempts: item.attempts + 1 } : null;
+  }
+
+  /**
+   * Look up one album and record the outcome
+   */
+  async processItem(item) {
+    let result;
+
+    try {
+      const album = await this.dbManager.get('SELECT * FROM albums WHERE id = ?', [item.album_id]);
+
+      if (!album) {
+        await this.finish(item, 'failed', 'Album not found');
+        this.batch.failed++;
+        this.emitProgress({ queueId: item.id, albumId: item.album_id, status: 'failed', error: 'Album not found' });
+        return;
+      }
+
+      // The client spaces its requests by musicBrainzClient.rateLimit
+      const tracks = await this.dbManager.getAlbumTracks(album.id);
+      const mbData = await this.musicBrainzClient.enrichAlbumMetadata(album, { throwOnError: true, tracks });
+
+      if (mbData && mbData.confidence >= this.minConfidence) {
+        await this.storeEnrichment(album, mbData);
+        result = { matched: true, mbid: mbData.musicbrainz_release_id, confidence: mbData.confidence };
+      } else {
+        const candidates = await this.collectReviewCandidates(album, tracks);
+        result = { matched: false, confidence: mbData ? mbData.confidence : null, candidates };
+      }
+    } catch (err) {
+      const status = item.attempts >= this.maxAttempts ? 'failed' : 'pending';
+      console.warn(`Failed to enrich album ${item.album_id} (attempt ${item.attempts}):`, err.message);
+
+      await this.finish(item, status, err.message);
+      if (status === 'failed') {
+        this.batch.failed++;
+      }
+      this.emitProgress({
+        queueId: item.id,
+        albumId: item.album_id,
+        status: status === 'failed' ? 'failed' : 'retrying',
+        attempts: item.attempts,
+        error: err.message
+      });
+      return;
+    }
+
+    await this.finish(item, 'completed', null);
+    this.batch.processed++;
+    if (result.matched) {
+      this.batch.matched++;
+      this.emit('enriched', { albumId: item.album_id, ...result });
+    }
+    this.emitProgress({ queueId: item.id, albumId: item.album_id, status: 'completed', ...result });
+  }
+
+  /**
+   * Keep the best few releases of an unmatched album for a reviewer to decide
+   */
+  async collectReviewCandidates(album, tracks) {
+    const candidates = await this.musicBrainzClient.getReviewCandidates(
+      album.album_artist,
+      album.album_title,
+      album.album_year,
+      {
+        limit: this.reviewCandidates,
+        minConfidence: this.reviewMinConfidence,
+        throwOnError: true,
+        album,
+        tracks
+      }
+    );
+
+    if (candidates.length > 0) {
+      await this.dbManager.storeMatchCandidates(album.id, candidates, 'auto');
+      this.emit('review', { albumId: album.id, candidates: candidates.length });
+    }
+
+    return candidates.length;
+  }
+
+  async finish(item, status, errorMessage) {
+    await this.dbManager.run(`
+      UPDATE mb_enrichment_queue
+      SET status = ?, error_message = ?,
+          completed_at = CASE WHEN ? = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+      WHERE id = ?
+    `, [status, errorMessage, status, item.id]);
+  }
+
+  /**
+   * Store a matched release, its artist and the album mapping
+   *
+   * options.verifiedBy marks the mapping as a reviewer's decision.
+   */
+  async storeEnrichment(album, mbData, options = {}) {
+    const { source = 'auto', verifiedBy = null } = options;
+
+    // Fetched before the transaction so no other statement waits on the network
+    const artistData = mbData.artist_mbid
+      ? await this.musicBrainzClient.getArtist(mbData.artist_mbid)
+      : null;
+
+    // Queued behind other transactions: the worker, /enrich-album and review accepts all store matches
+    await this.dbManager.transaction(async () => {
+      await this.dbManager.storeMBRelease({
+        id: mbData.musicbrainz_release_id,
+        title: mbData.mb_title || album.album_title,
+        date: mbData.date,
+        country: mbData.country,
+        barcode: mbData.barcode,
+        status: mbData.status,
+        packaging: mbData.packaging
+      });
+
+      if (artistData) {
+        await this.dbManager.storeMBArtist(artistData);
+        const relationships = this.musicBrainzClient.extractArtistRelationships(artistData);
+        await this.dbManager.storeMBArtistRelationships(mbData.artist_mbid, relationships);
+      }
+
+      await this.dbManager.createAlbumMBMapping(
+        album.id,
+        mbData.musicbrainz_release_id,
+        mbData.confidence,
+        source,
+        { verifiedBy, scoreBreakdown: mbData.score_breakdown }
+      );
+    });
+  }
+
+  /**
+   * Queue albums by ID, skipping unknown albums and ones already waiting
+   */
+  async enqueue(albumIds, options = {}) {
+    const { priority = 0 } = options;
+    const ids = [...new Set(albumIds.map(id => parseInt(id)).filter(id => Number.isInteger(id)))];
+    let queued = 0;
+
+    for (let i = 0; i < ids.length; i += ENQUEUE_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + ENQUEUE_CHUNK_SIZE);
+      const { changes } = await this.insertAlbums(
+        `a.id IN (${chunk.map(() => '?').join(',')})`,
+        chunk,
+        priority
+      );
+      queued += changes;
+    }
+
+    this.wakeUp();
+    return { requested: ids.length, queued, skipped: ids.length - queued };
+  }
+
+  /**
+   * Queue the albums matching a filter (same matching as /api/albums)
+   */
+  async enqueueByFilter(filter = {}, options = {}) {
+    const { priority = 0 } = options;
+    const { artist, label, genre, quality, unmappedOnly = true, limit } = filter;
+    const conditions = ['a.album_artist IS NOT NULL', 'a.album_title IS NOT NULL'];
+    const params = [];
+
+    if (artist) {
+      conditions.push('a.album_artist LIKE ?');
+      params.push(`%${artist}%`);
+    }
+
+    if (label) {
+      conditions.push('a.label LIKE ?');
+      params.push(`%${label}%`);
+    }
+
+    if (genre) {
+      conditions.push('a.genre LIKE ?');
+      params.push(`%${genre}%`);
+    }
+
+    if (quality) {
+      conditions.push('a.quality_type = ?');
+      params.push(quality);
+    }
+
+    if (unmappedOnly) {
+      conditions.push('NOT EXISTS (SELECT 1 FROM album_mb_mappings amm WHERE amm.album_id = a.id)');
+    }
+
+    const { changes } = await this.insertAlbums(conditions.join(' AND '), params, priority, limit);
+
+    this.wakeUp();
+    return { queued: changes };
+  }
+
+  insertAlbums(where, params, priority, limit) {
+    let sql = `
+      INSERT INTO mb_enrichment_queue (album_id, priority)
+      SELECT a.id, ?
+      FROM albums a
+      WHERE ${where}
+        AND NOT EXISTS (
+          SELECT 1 FROM mb_enrichment_queue q
+          WHERE q.album_id = a.id AND q.status IN ('pending', 'processing')
+        )
+      ORDER BY a.processed_date DESC
+    `;
+    const values = [parseInt(priority) || 0, ...params];
+
+    if (limit) {
+      sql += ' LIMIT ?';
+      values.push(parseInt(limit));
+    }
+
+    return this.dbManager.run(sql, values);
+  }
+
+  /**
+   * Put failed albums back in the queue with a fresh set of attempts
+   */
+  async retry(queueIds = null) {
+    let sql = `
+      UPDATE mb_enrichment_queue
+      SET status = 'pending', attempts = 0, last_attempt = NULL, error_message = NULL
+      WHERE status = 'failed'
+    `;
+    const params = [];
+
+    if (queueIds && queueIds.length > 0) {
+      sql += ` AND id IN (${queueIds.map(() => '?').join(',')})`;
+      params.push(...queueIds.map(id => parseInt(id)));
+    }
+
+    const { changes } = await this.dbManager.run(sql, params);
+
+    this.wakeUp();
+    return { requeued: changes };
+  }
+
+  /**
+   * Albums that used up their attempts
+   */
+  async getFailures(options = {}) {
+    const limit = parseInt(options.limit) || 50;
+    const offset = parseInt(options.offset) || 0;
+
+    const failures = await this.dbManager.query(`
+      SELECT q.id, q.album_id, a.album_artist, a.album_title, q.attempts,
+             q.last_attempt, q.error_message, q.created_at
+      FROM mb_enrichment_queue q
+      LEFT JOIN albums a ON a.id = q.album_id
+      WHERE q.status = 'failed'
+      ORDER BY q.last_attempt DESC, q.id DESC
+      LIMIT ? OFFSET ?
+    `, [limit, offset]);
+
+    const { total } = await this.dbManager.get(
+      "SELECT COUNT(*) as total FROM mb_enrichment_queue WHERE status = 'failed'"
+    );
+
+    return { failures, total, limit, offset };
+  }
+
+  async getCounts() {
+    const rows = await this.dbManager.query(
+      'SELECT status, COUNT(*) as count FROM mb_enrichment_queue GROUP BY status'
+    );
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0 };
+
+    rows.forEach(row => {
+      counts[row.status] = row.count;
+    });
+
+    return counts;
+  }
+
+  async hasWork() {
+    const row = await this.dbManager.get(
+      "SELECT 1 as found FROM mb_enrichment_queue WHERE status IN ('pending', 'processing') LIMIT 1"
+    );
+    return Boolean(row);
+  }
+
+  async getStatus() {
+    return {
+      running: this.running,
+      paused: this.paused,
+      current: this.current ? { queueId: this.current.id, albumId: this.current.album_id } : null,
+      counts: await this.getCounts(),
+      batch: { ...this.batch },
+      rateLimit: this.musicBrainzClient.rateLimit,
+      maxAttempts: this.maxAttempts
+    };
+  }
+
+  /**
+   * Report queue state to listeners, with the album just handled if any
+   */
+  emitProgress(item = null) {
+    this.getCounts()
+      .then(counts => {
+        const total = this.batch.processed + this.batch.failed + counts.pending + counts.processing;
+        this.emit('progress', {
+          item,
+          paused: this.paused,
+          counts,
+          processed: this.batch.processed + this.batch.failed,
+          matched: this.batch.matched,
+          total
+        });
+      })
+      .catch(err => console.warn('Could not report enrichment progress:', err.message));
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wake = null;
+        resolve();
+      }, ms);
+
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+
+  wakeUp() {
+    if (this.wake) {
+      this.wake();
+    }
+  }
+}
+
+module.exports = EnrichmentQueue;
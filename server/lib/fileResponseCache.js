@@ -0,0 +1,165 @@
+/**
+ * File-based MusicBrainz response cache for ordr.fm Node.js server
+ *
+ * For MusicBrainzClient users without the metadata database, such as the
+ * visualization dashboard: one JSON file per request in cacheDir, with the
+ * endpoint and parameters it was fetched with. Same interface as
+ * ResponseCache; a file's modification time is its fetch time.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class FileResponseCache {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir;
+    this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.staleRetention = options.staleRetention || 30 * 24 * 60 * 60 * 1000; // expired entries kept for refreshing
+    this.maxEntries = options.maxEntries || 50000;
+    this.evictEvery = options.evictEvery || 500; // writes between evictions
+
+    this.writes = 0;
+  }
+
+  /**
+   * Fresh response for a key, or null
+   */
+  async get(cacheKey) {
+    const file = this.fileFor(cacheKey);
+    let stat;
+
+    try {
+      stat = await fs.stat(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+
+    if (stat.mtimeMs + this.ttl <= Date.now()) {
+      return null;
+    }
+
+    const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    // Files written before entries carried their request hold the bare response
+    return entry.endpoint ? entry.response : entry;
+  }
+
+  /**
+   * Store a response, replacing whatever the key held
+   */
+  async set(cacheKey, endpoint, params, data) {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+    await fs.writeFile(this.fileFor(cacheKey), JSON.stringify({ endpoint, params, response: data }));
+
+    this.writes++;
+    if (this.writes % this.evictEvery === 0) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * Drop entries expired longer than staleRetention, then the oldest ones
+   * beyond maxEntries
+   */
+  async evict() {
+    const entries = await this.listEntries();
+    const cutoff = Date.now() - this.ttl - this.staleRetention;
+
+    const expired = entries.filter(entry => entry.fetchedAt <= cutoff);
+    const overflow = entries
+      .filter(entry => entry.fetchedAt > cutoff)
+      .sort((a, b) => b.fetchedAt - a.fetchedAt)
+      .slice(this.maxEntries);
+
+    for (const entry of [...expired, ...overflow]) {
+      await fs.rm(entry.file, { force: true });
+    }
+
+    const removed = expired.length + overflow.length;
+    if (removed > 0) {
+      console.log(`Evicted ${removed} MusicBrainz cache entries`);
+    }
+
+    return { expired: expired.length, overflow: overflow.length, removed };
+  }
+
+  /**
+   * Expired entries worth fetching again, oldest first
+   */
+  async listStale(limit = 100) {
+    const now = Date.now();
+    const stale = (await this.listEntries())
+      .filter(entry => entry.fetchedAt + this.ttl <= now)
+      .sort((a, b) => a.fetchedAt - b.fetchedAt);
+
+    const rows = [];
+    for (const entry of stale) {
+      if (rows.length >= limit) {
+        break;
+      }
+
+      const { endpoint, params } = JSON.parse(await fs.readFile(entry.file, 'utf8'));
+      // Bare responses cannot be fetched again; they expire with the retention period
+      if (endpoint) {
+        rows.push({ cache_key: entry.cacheKey, endpoint, params });
+      }
+    }
+
+    return rows;
+  }
+
+  async remove(cacheKey) {
+    await fs.rm(this.fileFor(cacheKey), { force: true });
+  }
+
+  async getStats() {
+    const entries = await this.listEntries();
+    const now = Date.now();
+    const fetched = entries.map(entry => entry.fetchedAt);
+
+    return {
+      entries: entries.length,
+      stale: entries.filter(entry => entry.fetchedAt + this.ttl <= now).length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      oldest: fetched.length > 0 ? new Date(Math.min(...fetched)).toISOString() : null,
+      newest: fetched.length > 0 ? new Date(Math.max(...fetched)).toISOString() : null,
+      directory: this.cacheDir,
+      ttl: this.ttl,
+      maxEntries: this.maxEntries
+    };
+  }
+
+  fileFor(cacheKey) {
+    return path.join(this.cacheDir, `${cacheKey}.json`);
+  }
+
+  async listEntries() {
+    let files;
+
+    try {
+      files = await fs.readdir(this.cacheDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+
+    const entries = [];
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const file = path.join(this.cacheDir, name);
+      try {
+        const stat = await fs.stat(file);
+        entries.push({ cacheKey: name.slice(0, -'.json'.length), file, fetchedAt: stat.mtimeMs, size: stat.size });
+      } catch {
+        // Removed since the directory was read
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = FileResponseCache;
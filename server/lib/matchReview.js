@@ -0,0 +1,256 @@
+/**
+ * Human review of low-confidence MusicBrainz matches
+ *
+ * The enrichment queue keeps the best few candidate releases of albums it
+ * could not match confidently. A reviewer compares them with the album,
+ * searches for others, and accepts or rejects them; the decision and who
+ * made it are recorded on the candidates and on the album mapping.
+ */
+
+class MatchReview {
+  constructor(options = {}) {
+    this.dbManager = options.dbManager;
+    this.musicBrainzClient = options.musicBrainzClient;
+    this.enrichmentQueue = options.enrichmentQueue;
+    this.candidateLimit = options.candidateLimit || 3;
+    this.searchLimit = options.searchLimit || 5;
+  }
+
+  /**
+   * Unmapped albums with pending candidates, most promising first
+   */
+  async listPending(options = {}) {
+    const limit = parseInt(options.limit) || 20;
+    const offset = parseInt(options.offset) || 0;
+    const candidates = parseInt(options.candidates) || this.candidateLimit;
+
+    const pendingSql = `
+      FROM mb_review_candidates c
+      JOIN albums a ON a.id = c.album_id
+      WHERE c.status = 'pending'
+        AND NOT EXISTS (SELECT 1 FROM album_mb_mappings amm WHERE amm.album_id = c.album_id)
+    `;
+
+    const rows = await this.dbManager.query(`
+      SELECT c.album_id, MAX(c.confidence) as best_confidence
+      ${pendingSql}
+      GROUP BY c.album_id
+      ORDER BY best_confidence DESC, c.album_id
+      LIMIT ? OFFSET ?
+    `, [limit, offset]);
+
+    const { total } = await this.dbManager.get(
+      `SELECT COUNT(DISTINCT c.album_id) as total ${pendingSql}`
+    );
+
+    const albums = [];
+    for (const row of rows) {
+      albums.push(await this.getAlbumReview(row.album_id, { candidates }));
+    }
+
+    return { albums, total, limit, offset };
+  }
+
+  /**
+   * An album side by side with its candidates
+   *
+   * Only pending candidates are listed unless includeDecided is set.
+   */
+  async getAlbumReview(albumId, options = {}) {
+    const { candidates: candidateLimit = null, includeDecided = false } = options;
+    const album = await this.dbManager.get('SELECT * FROM albums WHERE id = ?', [albumId]);
+
+    if (!album) {
+      return null;
+    }
+
+    let sql = `
+      SELECT * FROM mb_review_candidates
+      WHERE album_id = ? ${includeDecided ? '' : "AND status = 'pending'"}
+      ORDER BY status = 'pending' DESC, confidence DESC, id
+    `;
+    const params = [albumId];
+
+    if (candidateLimit) {
+      sql += ' LIMIT ?';
+      params.push(candidateLimit);
+    }
+
+    const candidates = await this.dbManager.query(sql, params);
+    const mapping = await this.dbManager.get(`
+      SELECT mb_release_mbid, confidence, mapping_source, verified_by, verified_at, score_breakdown
+      FROM album_mb_mappings
+      WHERE album_id = ?
+      ORDER BY verified_at IS NULL, updated_at DESC
+      LIMIT 1
+    `, [albumId]);
+
+    return {
+      album: await this.describeAlbum(album),
+      mapping: mapping ? { ...mapping, score_breakdown: JSON.parse(mapping.score_breakdown || 'null') } : null,
+      candidates: candidates.map(candidate => ({
+        ...candidate,
+        track_durations: JSON.parse(candidate.track_durations || '[]'),
+        score_breakdown: JSON.parse(candidate.score_breakdown || 'null')
+      }))
+    };
+  }
+
+  /**
+   * The album's own details, in the same shape as a candidate
+   */
+  async describeAlbum(album) {
+    const tracks = await this.dbManager.getAlbumTracks(album.id);
+
+    return {
+      id: album.id,
+      title: album.album_title,
+      artist: album.album_artist,
+      year: album.album_year || null,
+      label: album.label || null,
+      catalog_number: album.catalog_number || null,
+      track_count: tracks.length || album.track_count || null,
+      // Milliseconds, like MusicBrainz track lengths
+      track_durations: tracks.map(track => (track.duration ? Math.round(track.duration * 1000) : null))
+    };
+  }
+
+  /**
+   * Search MusicBrainz on the reviewer's terms and add the results as candidates
+   */
+  async search(albumId, query = {}) {
+    const album = await this.dbManager.get('SELECT * FROM albums WHERE id = ?', [albumId]);
+
+    if (!album) {
+      return null;
+    }
+
+    const artist = query.artist || album.album_artist || '';
+    const title = query.title || album.album_title || '';
+    const year = query.year || null;
+
+    const candidates = await this.musicBrainzClient.getReviewCandidates(artist, title, year, {
+      limit: parseInt(query.limit) || this.searchLimit,
+      throwOnError: true,
+      album,
+      tracks: await this.dbManager.getAlbumTracks(album.id)
+    });
+    await this.dbManager.storeMatchCandidates(albumId, candidates, 'search');
+
+    const review = await this.getAlbumReview(albumId, { includeDecided: true });
+    const found = new Set(candidates.map(candidate => candidate.mbid));
+
+    return {
+      ...review,
+      query: { artist, title, year },
+      candidates: review.candidates.filter(candidate => found.has(candidate.mb_release_mbid))
+    };
+  }
+
+  /**
+   * Map the album to a release as verified by the reviewer, rejecting the other candidates
+   *
+   * Returns null when the album or the release cannot be found.
+   */
+  async accept(albumId, mbid, verifiedBy) {
+    const album = await this.dbManager.get('SELECT * FROM albums WHERE id = ?', [albumId]);
+    const release = album ? await this.musicBrainzClient.getRelease(mbid) : null;
+
+    if (!release) {
+      return null;
+    }
+
+    const candidate = await this.dbManager.get(
+      'SELECT confidence, score_breakdown FROM mb_review_candidates WHERE album_id = ? AND mb_release_mbid = ?',
+      [albumId, release.id]
+    );
+    let confidence;
+    let scoreBreakdown;
+
+    if (candidate) {
+      confidence = candidate.confidence;
+      scoreBreakdown = JSON.parse(candidate.score_breakdown || 'null');
+    } else {
+      const score = this.musicBrainzClient.scoreReleaseMatch(release, {
+        artist: album.album_artist,
+        title: album.album_title,
+        year: album.album_year,
+        album,
+        tracks: await this.dbManager.getAlbumTracks(album.id)
+      });
+      confidence = score.confidence;
+      scoreBreakdown = score.breakdown;
+
+      // A release found outside the candidates is recorded as one, so the decision is kept with the rest
+      await this.dbManager.storeMatchCandidates(
+        albumId,
+        [{ ...this.musicBrainzClient.summarizeRelease(release), confidence, score_breakdown: scoreBreakdown }],
+        'search'
+      );
+    }
+
+    await this.enrichmentQueue.storeEnrichment(album, {
+      musicbrainz_release_id: release.id,
+      confidence,
+      mb_title: release.title,
+      date: release.date,
+      country: release.country,
+      barcode: release.barcode,
+      status: release.status,
+      packaging: release.packaging,
+      artist_mbid: release['artist-credit']?.[0]?.artist?.id,
+      score_breakdown: scoreBreakdown
+    }, { source: 'verified', verifiedBy });
+
+    await this.dbManager.run(`
+      UPDATE mb_review_candidates
+      SET status = CASE WHEN mb_release_mbid = ? THEN 'accepted' ELSE 'rejected' END,
+          reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE album_id = ? AND (status = 'pending' OR mb_release_mbid = ?)
+    `, [release.id, verifiedBy, albumId, release.id]);
+
+    return { albumId: album.id, mbid: release.id, confidence, verifiedBy };
+  }
+
+  /**
+   * Reject one candidate, or all pending candidates of the album
+   */
+  async reject(albumId, verifiedBy, mbid = null) {
+    let sql = `
+      UPDATE mb_review_candidates
+      SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE album_id = ? AND status = 'pending'
+    `;
+    const params = [verifiedBy, albumId];
+
+    if (mbid) {
+      sql += ' AND mb_release_mbid = ?';
+      params.push(mbid);
+    }
+
+    const { changes } = await this.dbManager.run(sql, params);
+    return { albumId, rejected: changes, verifiedBy };
+  }
+
+  /**
+   * Recent decisions: who accepted or rejected which release for which album
+   */
+  async getDecisions(options = {}) {
+    const limit = parseInt(options.limit) || 50;
+    const offset = parseInt(options.offset) || 0;
+
+    const decisions = await this.dbManager.query(`
+      SELECT c.album_id, a.album_artist, a.album_title, c.mb_release_mbid, c.title,
+             c.artist_credit, c.confidence, c.status, c.reviewed_by, c.reviewed_at
+      FROM mb_review_candidates c
+      LEFT JOIN albums a ON a.id = c.album_id
+      WHERE c.status != 'pending'
+      ORDER BY c.reviewed_at DESC, c.id DESC
+      LIMIT ? OFFSET ?
+    `, [limit, offset]);
+
+    return { decisions, limit, offset };
+  }
+}
+
+module.exports = MatchReview;
@@ -5,19 +5,55 @@
  * mapping and metadata enrichment for the ordr.fm system.
  */
 
+const http = require('http');
 const https = require('https');
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FileResponseCache = require('./fileResponseCache');
+
+// Weights of the parts of a track-list-aware match score. Parts that cannot
+// be compared (no local tracks, no catalog number on one side) are left out
+// and the remaining weights scaled up.
+const MATCH_WEIGHTS = {
+  artist: 0.2,
+  title: 0.2,
+  year: 0.1,
+  track_count: 0.15,
+  durations: 0.2,
+  discs: 0.05,
+  catalog_number: 0.07,
+  label: 0.03
+};
+
+// Track length differences up to the first value count as equal, from the second as different
+const DURATION_TOLERANCE = [3000, 15000];
 
 class MusicBrainzClient {
   constructor(options = {}) {
-    this.baseUrl = 'https://musicbrainz.org/ws/2';
+    // A local mirror or MusicBrainzReplayServer can stand in for musicbrainz.org
+    this.baseUrl = (options.baseUrl || 'https://musicbrainz.org/ws/2').replace(/\/+$/, '');
     this.userAgent = options.userAgent || 'ordr.fm/2.1.0 (https://github.com/adrianwedd/ordr.fm)';
-    this.rateLimit = options.rateLimit || 1000; // milliseconds between requests
-    this.cacheDir = options.cacheDir || path.join(__dirname, '../cache/musicbrainz');
-    this.cacheExpiry = options.cacheExpiry || 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.rateLimit = options.rateLimit ?? 1000; // milliseconds between requests
+    // ResponseCache, or files in cacheDir for callers without the database; no caching without either
+    this.cache = options.cache ||
+      (options.cacheDir ? new FileResponseCache({ cacheDir: options.cacheDir, ttl: options.cacheExpiry }) : null);
+    this.recordDir = options.recordDir || null; // responses are written here as replay fixtures
+    this.maxRetries = options.maxRetries || 3; // after a 503
     this.lastRequestTime = 0;
+    this.refreshJob = null;
+
+    // Counters since startup
+    this.stats = {
+      requests: 0,
+      responses: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      backoffs: 0,
+      errors: 0,
+      totalLatency: 0,
+      since: new Date().toISOString()
+    };
     
     // Allowed endpoint prefixes for security
     this.allowedEndpoints = [
@@ -27,9 +63,6 @@ class MusicBrainzClient {
       '/recording',
       '/label'
     ];
-    
-    // Initialize cache directory
-    this.initializeCache();
   }
 
   /**
@@ -79,27 +112,20 @@ class MusicBrainzClient {
     console[level](message, ...sanitizedArgs);
   }
     
-  async initializeCache() {
-    try {
-      await fs.mkdir(this.cacheDir, { recursive: true });
-    } catch (err) {
-      console.warn('Could not create MusicBrainz cache directory:', err.message);
-    }
-  }
-
   /**
    * Rate limiting to respect MusicBrainz guidelines (1 request per second)
+   *
+   * The slot is reserved before waiting, so requests made at the same time
+   * (the enrichment queue and an API call) are still spaced out.
    */
   async rateLimitDelay() {
     const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
+    const slot = Math.max(now, this.lastRequestTime + this.rateLimit);
+    this.lastRequestTime = slot;
     
-    if (timeSinceLastRequest < this.rateLimit) {
-      const delay = this.rateLimit - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, delay));
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
     }
-    
-    this.lastRequestTime = Date.now();
   }
 
   /**
@@ -111,22 +137,17 @@ class MusicBrainzClient {
   }
 
   /**
-   * Check if cached response is valid
+   * Cached response for a request, if the cache holds a fresh one
    */
   async getCachedResponse(cacheKey) {
+    if (!this.cache) {
+      return null;
+    }
+
     try {
-      const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
-      const stats = await fs.stat(cacheFile);
-      
-      if (Date.now() - stats.mtime.getTime() > this.cacheExpiry) {
-        // Cache expired, remove it
-        await fs.unlink(cacheFile);
-        return null;
-      }
-      
-      const data = await fs.readFile(cacheFile, 'utf8');
-      return JSON.parse(data);
+      return await this.cache.get(cacheKey);
     } catch (err) {
+      console.warn('Could not read MusicBrainz cache:', err.message);
       return null;
     }
   }
@@ -134,10 +155,13 @@ class MusicBrainzClient {
   /**
    * Cache API response
    */
-  async setCachedResponse(cacheKey, data) {
+  async setCachedResponse(cacheKey, endpoint, params, data) {
+    if (!this.cache) {
+      return;
+    }
+
     try {
-      const cacheFile = path.join(this.cacheDir, `${cacheKey}.json`);
-      await fs.writeFile(cacheFile, JSON.stringify(data, null, 2));
+      await this.cache.set(cacheKey, endpoint, params, data);
     } catch (err) {
       console.warn('Could not cache MusicBrainz response:', err.message);
     }
@@ -145,31 +169,106 @@ class MusicBrainzClient {
 
   /**
    * Make HTTP request to MusicBrainz API
+   *
+   * options.refresh skips the cache lookup (the response is still cached).
+   * A 503 from MusicBrainz means we are going too fast: all requests are
+   * held back (Retry-After, or the rate limit doubled per attempt) and the
+   * request is tried again up to maxRetries times.
+   *
+   * With recordDir set, responses (cached ones too) and 404s are recorded
+   * as fixtures for MusicBrainzReplayServer.
    */
-  async makeRequest(endpoint, params = {}) {
+  async makeRequest(endpoint, params = {}, options = {}) {
     // Validate endpoint to prevent SSRF attacks
     const validatedEndpoint = this.validateEndpoint(endpoint);
     
     const cacheKey = this.generateCacheKey(validatedEndpoint, params);
     
     // Try cache first
-    const cachedResponse = await this.getCachedResponse(cacheKey);
-    if (cachedResponse) {
-      console.log(`Using cached MusicBrainz response for %s`, validatedEndpoint);
-      return cachedResponse;
+    if (!options.refresh) {
+      const cachedResponse = await this.getCachedResponse(cacheKey);
+      if (cachedResponse) {
+        this.stats.cacheHits++;
+        console.log(`Using cached MusicBrainz response for %s`, validatedEndpoint);
+        await this.recordResponse(validatedEndpoint, params, 200, cachedResponse);
+        return cachedResponse;
+      }
+      this.stats.cacheMisses++;
     }
 
-    await this.rateLimitDelay();
+    // Build URL with parameters - endpoint is now validated
+    const url = new URL(this.baseUrl + validatedEndpoint);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value);
+      }
+    });
 
-    return new Promise((resolve, reject) => {
-      // Build URL with parameters - endpoint is now validated
-      const url = new URL(validatedEndpoint, this.baseUrl);
-      Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          url.searchParams.append(key, value);
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimitDelay();
+
+      try {
+        const data = await this.sendRequest(url);
+        
+        // Cache successful response
+        await this.setCachedResponse(cacheKey, validatedEndpoint, params, data);
+        await this.recordResponse(validatedEndpoint, params, 200, data);
+        
+        return data;
+      } catch (err) {
+        if (err.statusCode === 404) {
+          await this.recordResponse(validatedEndpoint, params, 404, { error: 'Not Found' });
         }
-      });
 
+        if (err.statusCode === 503 && attempt < this.maxRetries) {
+          const delay = err.retryAfter ? err.retryAfter * 1000 : this.rateLimit * 2 ** (attempt + 1);
+          this.stats.backoffs++;
+          console.warn(`MusicBrainz is throttling requests, backing off for ${delay}ms`);
+
+          // Hold back every request, not only this one
+          this.lastRequestTime = Math.max(this.lastRequestTime, Date.now() + delay - this.rateLimit);
+          continue;
+        }
+
+        this.stats.errors++;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Write a response to recordDir as a replay fixture
+   *
+   * One file per endpoint and parameters, named after the entity type and
+   * the cache key, so recording the same request again replaces it.
+   */
+  async recordResponse(endpoint, params, status, response) {
+    if (!this.recordDir) {
+      return;
+    }
+
+    const type = endpoint.split('/')[1];
+    const file = path.join(this.recordDir, `${type}-${this.generateCacheKey(endpoint, params)}.json`);
+
+    try {
+      await fs.promises.mkdir(this.recordDir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify({ endpoint, params, status, response }, null, 2));
+    } catch (err) {
+      console.warn('Could not record MusicBrainz response:', err.message);
+    }
+  }
+
+  /**
+   * Send one GET request and parse the JSON response, timing it
+   *
+   * Errors for non-200 responses carry statusCode and, from a Retry-After
+   * header, retryAfter in seconds.
+   */
+  sendRequest(url) {
+    const startedAt = Date.now();
+    this.stats.requests++;
+
+    return new Promise((resolve, reject) => {
       const options = {
         method: 'GET',
         headers: {
@@ -180,26 +279,28 @@ class MusicBrainzClient {
 
       console.log(`Making MusicBrainz request: ${url}`);
 
-      const req = https.request(url, options, (res) => {
+      const transport = url.protocol === 'http:' ? http : https;
+      const req = transport.request(url, options, (res) => {
         let data = '';
 
         res.on('data', (chunk) => {
           data += chunk;
         });
 
-        res.on('end', async () => {
+        res.on('end', () => {
+          this.stats.responses++;
+          this.stats.totalLatency += Date.now() - startedAt;
+
+          if (res.statusCode !== 200) {
+            const err = new Error(`MusicBrainz API error: ${res.statusCode} ${res.statusMessage}`);
+            err.statusCode = res.statusCode;
+            err.retryAfter = parseInt(res.headers['retry-after']) || null;
+            reject(err);
+            return;
+          }
+
           try {
-            if (res.statusCode !== 200) {
-              reject(new Error(`MusicBrainz API error: ${res.statusCode} ${res.statusMessage}`));
-              return;
-            }
-
-            const parsedData = JSON.parse(data);
-            
-            // Cache successful response
-            await this.setCachedResponse(cacheKey, parsedData);
-            
-            resolve(parsedData);
+            resolve(JSON.parse(data));
           } catch (err) {
             reject(new Error(`Failed to parse MusicBrainz response: ${err.message}`));
           }
@@ -219,6 +320,64 @@ class MusicBrainzClient {
     });
   }
 
+  /**
+   * Fetch expired cache entries again, most used first
+   *
+   * Runs in the background; progress is in getStatistics().refresh.
+   * Responses MusicBrainz no longer has (404) are dropped from the cache.
+   */
+  async refreshStaleCache(options = {}) {
+    if (!this.cache) {
+      throw new Error('No MusicBrainz cache configured');
+    }
+    if (this.refreshJob && this.refreshJob.running) {
+      return null;
+    }
+
+    const job = {
+      running: true,
+      total: 0,
+      refreshed: 0,
+      removed: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.refreshJob = job;
+
+    let stale;
+    try {
+      stale = await this.cache.listStale(parseInt(options.limit) || 100);
+      job.total = stale.length;
+    } catch (err) {
+      job.running = false;
+      throw err;
+    }
+
+    (async () => {
+      for (const entry of stale) {
+        try {
+          await this.makeRequest(entry.endpoint, entry.params, { refresh: true });
+          job.refreshed++;
+        } catch (err) {
+          if (err.statusCode === 404) {
+            await this.cache.remove(entry.cache_key).catch(() => {});
+            job.removed++;
+          } else {
+            console.warn(`Could not refresh cached %s:`, entry.endpoint, err.message);
+            job.failed++;
+          }
+        }
+      }
+
+      await this.cache.evict().catch(err => console.warn('MusicBrainz cache eviction failed:', err.message));
+      job.running = false;
+      job.finishedAt = new Date().toISOString();
+    })();
+
+    return job;
+  }
+
   /**
    * Search for releases by artist and title
    */
@@ -244,6 +403,9 @@ class MusicBrainzClient {
         offset: response.offset || 0
       };
     } catch (err) {
+      if (options.throwOnError) {
+        throw err;
+      }
       console.error('MusicBrainz release search failed:', err);
       return { releases: [], count: 0, offset: 0 };
     }
@@ -252,7 +414,7 @@ class MusicBrainzClient {
   /**
    * Get detailed release information
    */
-  async getRelease(mbid, includes = ['artists', 'labels', 'recordings']) {
+  async getRelease(mbid, includes = ['artists', 'labels', 'recordings'], options = {}) {
     // Validate MBID to prevent injection attacks
     const validatedMbid = this.validateMbid(mbid);
     
@@ -267,6 +429,9 @@ class MusicBrainzClient {
     try {
       return await this.makeRequest(`/release/${validatedMbid}`, params);
     } catch (err) {
+      if (options.throwOnError) {
+        throw err;
+      }
       this.safeLog('error', 'Failed to get MusicBrainz release %s:', validatedMbid, err);
       return null;
     }
@@ -275,7 +440,7 @@ class MusicBrainzClient {
   /**
    * Get artist information with relationships
    */
-  async getArtist(mbid, includes = ['aliases', 'relationships']) {
+  async getArtist(mbid, includes = ['aliases', 'relationships'], options = {}) {
     // Validate MBID to prevent injection attacks
     const validatedMbid = this.validateMbid(mbid);
     
@@ -290,6 +455,9 @@ class MusicBrainzClient {
     try {
       return await this.makeRequest(`/artist/${validatedMbid}`, params);
     } catch (err) {
+      if (options.throwOnError) {
+        throw err;
+      }
       this.safeLog('error', 'Failed to get MusicBrainz artist %s:', validatedMbid, err);
       return null;
     }
@@ -377,6 +545,140 @@ class MusicBrainzClient {
     return Math.min(confidence, 1.0);
   }
 
+  /**
+   * Score a release against a local album and its tracks, part by part
+   *
+   * context: { artist, title, year, album (row with label, catalog_number),
+   * tracks (rows with disc_number and duration in seconds) }. Track lengths
+   * are only compared when the release comes from a full lookup with
+   * recordings; search results carry counts but no lengths.
+   */
+  scoreReleaseMatch(release, context) {
+    const { artist = '', title = '', year = null, album = {}, tracks = [] } = context;
+    const round = value => Math.round(value * 1000) / 1000;
+    const parts = {};
+
+    const releaseArtist = release['artist-credit']?.[0]?.name || '';
+    parts.artist = {
+      score: this.calculateStringSimilarity(releaseArtist.toLowerCase(), (artist || '').toLowerCase()),
+      detail: `"${releaseArtist}" vs "${artist}"`
+    };
+
+    parts.title = {
+      score: this.calculateStringSimilarity((release.title || '').toLowerCase(), (title || '').toLowerCase()),
+      detail: `"${release.title}" vs "${title}"`
+    };
+
+    if (year && release.date) {
+      const yearDiff = Math.abs(new Date(release.date).getFullYear() - parseInt(year));
+      parts.year = {
+        score: yearDiff === 0 ? 1 : Math.max(0, 0.5 * (1 - yearDiff / 2)),
+        detail: `${release.date} vs ${year}`
+      };
+    }
+
+    const media = release.media || [];
+    const releaseTrackCount = release['track-count'] ||
+      media.reduce((count, medium) => count + (medium['track-count'] || medium.tracks?.length || 0), 0);
+
+    if (tracks.length > 0 && releaseTrackCount) {
+      const diff = Math.abs(tracks.length - releaseTrackCount);
+      parts.track_count = {
+        score: Math.max(0, 1 - (2 * diff) / Math.max(tracks.length, releaseTrackCount)),
+        detail: `${tracks.length} local vs ${releaseTrackCount} tracks`
+      };
+    }
+
+    if (tracks.length > 0 && media.length > 0) {
+      const localDiscs = new Map();
+      tracks.forEach(track => {
+        const disc = parseInt(track.disc_number) || 1;
+        localDiscs.set(disc, (localDiscs.get(disc) || 0) + 1);
+      });
+      const localLayout = [...localDiscs.keys()].sort((a, b) => a - b).map(disc => localDiscs.get(disc));
+      const releaseLayout = media.map(medium => medium['track-count'] || medium.tracks?.length || 0);
+
+      let score = 0;
+      if (localLayout.join('+') === releaseLayout.join('+')) {
+        score = 1;
+      } else if (localLayout.length === releaseLayout.length) {
+        score = 0.5;
+      }
+
+      parts.discs = {
+        score,
+        detail: `${localLayout.join('+')} local vs ` +
+          media.map((medium, i) => `${medium.format || 'medium'} ${releaseLayout[i]}`).join(' + ')
+      };
+    }
+
+    const releaseLengths = media.flatMap(medium =>
+      (medium.tracks || []).map(track => track.length || track.recording?.length || null)
+    );
+    const deltas = [];
+    for (let i = 0; i < Math.min(tracks.length, releaseLengths.length); i++) {
+      if (tracks[i].duration && releaseLengths[i]) {
+        deltas.push(Math.abs(tracks[i].duration * 1000 - releaseLengths[i]));
+      }
+    }
+
+    if (deltas.length > 0) {
+      const [equal, different] = DURATION_TOLERANCE;
+      const trackScores = deltas.map(delta =>
+        Math.min(1, Math.max(0, (different - delta) / (different - equal)))
+      );
+      parts.durations = {
+        score: trackScores.reduce((sum, score) => sum + score, 0) / trackScores.length,
+        detail: `${deltas.length} tracks compared, mean difference ` +
+          `${(deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length / 1000).toFixed(1)}s, ` +
+          `largest ${(Math.max(...deltas) / 1000).toFixed(1)}s`
+      };
+    }
+
+    const labelInfo = release['label-info'] || [];
+    const normalizeCatalog = value => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const catalogNumbers = labelInfo
+      .map(info => info['catalog-number'])
+      .filter(catno => catno && catno !== '[none]');
+
+    if (album.catalog_number && catalogNumbers.length > 0) {
+      const local = normalizeCatalog(album.catalog_number);
+      const scores = catalogNumbers.map(catno => {
+        const remote = normalizeCatalog(catno);
+        if (remote === local) {
+          return 1;
+        }
+        return local && remote && (remote.includes(local) || local.includes(remote)) ? 0.7 : 0;
+      });
+      parts.catalog_number = {
+        score: Math.max(...scores),
+        detail: `"${catalogNumbers.join(', ')}" vs "${album.catalog_number}"`
+      };
+    }
+
+    const labels = labelInfo.map(info => info.label?.name).filter(Boolean);
+
+    if (album.label && labels.length > 0) {
+      parts.label = {
+        score: Math.max(...labels.map(label =>
+          this.calculateStringSimilarity(label.toLowerCase(), album.label.toLowerCase())
+        )),
+        detail: `"${labels.join(', ')}" vs "${album.label}"`
+      };
+    }
+
+    const totalWeight = Object.keys(parts).reduce((sum, key) => sum + MATCH_WEIGHTS[key], 0);
+    let confidence = 0;
+
+    Object.entries(parts).forEach(([key, part]) => {
+      part.score = round(part.score);
+      part.weight = round(MATCH_WEIGHTS[key] / totalWeight);
+      confidence += part.score * (MATCH_WEIGHTS[key] / totalWeight);
+    });
+
+    return { confidence: round(Math.min(confidence, 1.0)), breakdown: parts };
+  }
+
   /**
    * Simple string similarity using Levenshtein distance
    */
@@ -414,54 +716,137 @@ class MusicBrainzClient {
   }
 
   /**
-   * Find best release match with confidence scoring
+   * Score every release found for an album, best first
+   *
+   * With options.tracks (the album's track rows, and options.album for its
+   * label and catalog number) releases are scored on their track lists too:
+   * the leading options.lookupLimit candidates are fetched in full so track
+   * lengths can be compared, and carry the release as `details`. Each
+   * candidate then has a score_breakdown explaining its confidence.
    */
-  async findBestReleaseMatch(artist, title, year = null) {
-    const searchResults = await this.searchReleases(artist, title, { year });
-    
-    if (searchResults.releases.length === 0) {
-      return null;
-    }
+  async findReleaseCandidates(artist, title, year = null, options = {}) {
+    const searchResults = await this.searchReleases(artist, title, { year, throwOnError: options.throwOnError });
 
-    let bestMatch = null;
-    let bestConfidence = 0;
-
-    for (const release of searchResults.releases) {
-      const confidence = this.calculateMatchConfidence(release, artist, title, year);
-      
-      if (confidence > bestConfidence) {
-        bestConfidence = confidence;
-        bestMatch = {
+    if (!options.tracks) {
+      return searchResults.releases
+        .map(release => ({
           ...release,
-          confidence: confidence
-        };
+          confidence: this.calculateMatchConfidence(release, artist, title, year)
+        }))
+        .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    const context = { artist, title, year, album: options.album || {}, tracks: options.tracks };
+    const byConfidence = (a, b) => b.confidence - a.confidence;
+    const candidates = searchResults.releases
+      .map(release => {
+        const { confidence, breakdown } = this.scoreReleaseMatch(release, context);
+        return { ...release, confidence, score_breakdown: breakdown };
+      })
+      .sort(byConfidence);
+
+    for (const candidate of candidates.slice(0, options.lookupLimit || 3)) {
+      const details = await this.getRelease(candidate.id, undefined, options);
+
+      if (details) {
+        const { confidence, breakdown } = this.scoreReleaseMatch(details, context);
+        Object.assign(candidate, { details, confidence, score_breakdown: breakdown });
       }
     }
 
+    return candidates.sort(byConfidence);
+  }
+
+  /**
+   * Find best release match with confidence scoring
+   */
+  async findBestReleaseMatch(artist, title, year = null, options = {}) {
+    const [bestMatch] = await this.findReleaseCandidates(artist, title, year, options);
+
     // Only return matches with reasonable confidence
-    if (bestConfidence >= 0.6) {
+    if (bestMatch && bestMatch.confidence >= 0.6) {
       return bestMatch;
     }
 
     return null;
   }
 
+  /**
+   * Top scored releases for an album, described for a human reviewer
+   *
+   * Fetches each release for its track list, so this costs one request
+   * per candidate (less whatever the cache already holds).
+   */
+  async getReviewCandidates(artist, title, year = null, options = {}) {
+    const { limit = 3, minConfidence = 0 } = options;
+    const lookupLimit = Math.max(limit, options.lookupLimit || 3);
+    const candidates = (await this.findReleaseCandidates(artist, title, year, { ...options, lookupLimit }))
+      .filter(candidate => candidate.confidence >= minConfidence)
+      .slice(0, limit);
+
+    const described = [];
+    for (const candidate of candidates) {
+      const release = candidate.details || await this.getRelease(candidate.id, undefined, options);
+      described.push({
+        ...this.summarizeRelease(release || candidate),
+        confidence: candidate.confidence,
+        score_breakdown: candidate.score_breakdown || null
+      });
+    }
+
+    return described;
+  }
+
+  /**
+   * Flatten a release (search result or full lookup) to the fields shown for review
+   */
+  summarizeRelease(release) {
+    const labelInfo = release['label-info'] || [];
+    const media = release.media || [];
+    const tracks = media.flatMap(medium => medium.tracks || []);
+
+    return {
+      mbid: release.id,
+      title: release.title,
+      artist_credit: (release['artist-credit'] || [])
+        .map(credit => (credit.name || credit.artist?.name || '') + (credit.joinphrase || ''))
+        .join(''),
+      date: release.date || null,
+      country: release.country || null,
+      label: labelInfo.map(info => info.label?.name).filter(Boolean).join(', ') || null,
+      catalog_number: labelInfo.map(info => info['catalog-number']).filter(Boolean).join(', ') || null,
+      track_count: release['track-count'] ||
+        media.reduce((count, medium) => count + (medium['track-count'] || medium.tracks?.length || 0), 0) ||
+        null,
+      // Milliseconds, in running order; empty when only the search result was available
+      track_durations: tracks.map(track => track.length || track.recording?.length || null)
+    };
+  }
+
   /**
    * Enrich album metadata with MusicBrainz data
+   *
+   * Returns null when nothing matches. Request failures are logged and also
+   * return null, unless options.throwOnError is set so callers that retry
+   * can tell an outage from a missing release. Pass the album's track rows
+   * as options.tracks to match on the track list as well.
    */
-  async enrichAlbumMetadata(albumData) {
+  async enrichAlbumMetadata(albumData, options = {}) {
     const { album_artist, album_title, album_year } = albumData;
     
     try {
       // Find best matching release
-      const match = await this.findBestReleaseMatch(album_artist, album_title, album_year);
+      const match = await this.findBestReleaseMatch(album_artist, album_title, album_year, {
+        ...options,
+        album: albumData
+      });
       
       if (!match) {
         return null;
       }
 
       // Get detailed release information
-      const detailedRelease = await this.getRelease(match.id);
+      const detailedRelease = match.details || await this.getRelease(match.id, undefined, options);
       
       if (!detailedRelease) {
         return null;
@@ -471,6 +856,7 @@ class MusicBrainzClient {
       const enrichedData = {
         musicbrainz_release_id: match.id,
         confidence: match.confidence,
+        score_breakdown: match.score_breakdown || null,
         barcode: detailedRelease.barcode,
         country: detailedRelease.country,
         date: detailedRelease.date,
@@ -486,7 +872,7 @@ class MusicBrainzClient {
       // Get artist relationships if available
       if (detailedRelease['artist-credit']?.[0]?.artist?.id) {
         const artistId = detailedRelease['artist-credit'][0].artist.id;
-        const artistData = await this.getArtist(artistId);
+        const artistData = await this.getArtist(artistId, undefined, options);
         
         if (artistData) {
           enrichedData.relationships = this.extractArtistRelationships(artistData);
@@ -497,6 +883,9 @@ class MusicBrainzClient {
 
       return enrichedData;
     } catch (err) {
+      if (options.throwOnError) {
+        throw err;
+      }
       console.error('Failed to enrich album with MusicBrainz data:', err);
       return null;
     }
@@ -569,13 +958,37 @@ class MusicBrainzClient {
   }
 
   /**
-   * Get statistics about MusicBrainz data coverage
+   * Get request and cache statistics
+   *
+   * Counters run from startup (stats.since); cache figures come from the
+   * cache table.
    */
-  getStatistics() {
-    // This would integrate with the database to show coverage stats
+  async getStatistics() {
+    const { requests, responses, cacheHits, cacheMisses, totalLatency } = this.stats;
+    let cache = null;
+
+    if (this.cache) {
+      try {
+        cache = await this.cache.getStats();
+      } catch (err) {
+        console.warn('Could not read MusicBrainz cache statistics:', err.message);
+      }
+    }
+
     return {
-      cacheSize: 0, // To be implemented
-      requestCount: 0, // To be implemented
+      requestCount: requests,
+      cacheHits,
+      cacheMisses,
+      cacheHitRate: cacheHits + cacheMisses > 0 ? cacheHits / (cacheHits + cacheMisses) : null,
+      backoffs: this.stats.backoffs,
+      errors: this.stats.errors,
+      averageLatency: responses > 0 ? Math.round(totalLatency / responses) : null, // milliseconds
+      since: this.stats.since,
+      baseUrl: this.baseUrl,
+      recording: Boolean(this.recordDir),
+      cacheSize: cache ? cache.entries : 0,
+      cache,
+      refresh: this.refreshJob,
       lastRequest: this.lastRequestTime,
       rateLimitDelay: this.rateLimit
     };
@@ -0,0 +1,213 @@
+/**
+ * MusicBrainz replay server for ordr.fm Node.js server
+ *
+ * A local stand-in for the MusicBrainz web service, serving responses
+ * recorded by MusicBrainzClient (recordDir) or written by hand. Requests
+ * are answered from the fixture recorded for exactly the same endpoint and
+ * parameters; failing that, release and artist lookups are answered from
+ * any fixture holding that entity and release searches are run over all
+ * known releases. Used by the tests and by installs without internet.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+class MusicBrainzReplayServer {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixturesDir;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0; // any free port
+    this.basePath = options.basePath || '/ws/2';
+
+    this.server = null;
+    this.fixtures = new Map();
+    this.releases = new Map();
+    this.artists = new Map();
+    this.misses = 0;
+  }
+
+  /**
+   * Key of a request, independent of parameter order and value types
+   */
+  static requestKey(endpoint, params = {}) {
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    return `${endpoint}?${new URLSearchParams(query)}`;
+  }
+
+  /**
+   * Read the fixtures and index the releases and artists they hold
+   */
+  load() {
+    this.fixtures.clear();
+    this.releases.clear();
+    this.artists.clear();
+
+    const files = fs.existsSync(this.fixturesDir)
+      ? fs.readdirSync(this.fixturesDir).filter(file => file.endsWith('.json')).sort()
+      : [];
+
+    for (const file of files) {
+      let fixture;
+      try {
+        fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8'));
+      } catch (err) {
+        console.warn(`Skipping unreadable MusicBrainz fixture ${file}:`, err.message);
+        continue;
+      }
+
+      const { endpoint, params = {}, status = 200, response } = fixture;
+      this.fixtures.set(MusicBrainzReplayServer.requestKey(endpoint, params), { status, response });
+
+      if (status === 200) {
+        this.indexEntities(endpoint, response);
+      }
+    }
+
+    return this.fixtures.size;
+  }
+
+  /**
+   * Remember the entities of a response; lookups win over search results,
+   * which carry less detail
+   */
+  indexEntities(endpoint, response) {
+    const [, type, mbid] = endpoint.split('/');
+    const index = type === 'release' ? this.releases : type === 'artist' ? this.artists : null;
+
+    if (!index) {
+      return;
+    }
+
+    if (mbid) {
+      index.set(mbid, response);
+      return;
+    }
+
+    for (const entity of response[`${type}s`] || []) {
+      if (!index.has(entity.id)) {
+        index.set(entity.id, entity);
+      }
+    }
+  }
+
+  async start() {
+    this.load();
+    console.log(`Replaying ${this.fixtures.size} MusicBrainz responses from ${this.fixturesDir}`);
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    return this.getUrl();
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Base URL to give MusicBrainzClient
+   */
+  getUrl() {
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}${this.basePath}`;
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${this.host}`);
+
+    if (req.method !== 'GET' || !url.pathname.startsWith(this.basePath)) {
+      return this.send(res, 404, { error: 'Not Found' });
+    }
+
+    const endpoint = url.pathname.slice(this.basePath.length);
+    const params = Object.fromEntries(url.searchParams);
+    const fixture = this.fixtures.get(MusicBrainzReplayServer.requestKey(endpoint, params));
+
+    if (fixture) {
+      return this.send(res, fixture.status, fixture.response);
+    }
+
+    const [, type, mbid] = endpoint.split('/');
+    const index = type === 'release' ? this.releases : type === 'artist' ? this.artists : null;
+
+    if (index && mbid && index.has(mbid)) {
+      return this.send(res, 200, index.get(mbid));
+    }
+
+    if (endpoint === '/release' && params.query) {
+      return this.send(res, 200, this.searchReleases(params));
+    }
+
+    this.misses++;
+    console.warn(`No recorded MusicBrainz response for ${endpoint}`);
+    this.send(res, 404, { error: 'Not Found', help: 'Record this request with MB_RECORD_DIR to replay it' });
+  }
+
+  /**
+   * Run a release search over the known releases
+   *
+   * Understands the terms MusicBrainzClient.searchReleases builds:
+   * release:"title", artist:"name" and date:year*, joined with AND.
+   */
+  searchReleases(params) {
+    const terms = [...params.query.matchAll(/(\w+):(?:"([^"]*)"|(\S+))/g)]
+      .map(([, field, phrase, word]) => ({ field, value: phrase !== undefined ? phrase : word }));
+    const limit = parseInt(params.limit) || 25;
+    const offset = parseInt(params.offset) || 0;
+
+    const releases = [...this.releases.values()]
+      .filter(release => terms.every(term => this.matchesTerm(release, term)));
+
+    return {
+      created: new Date().toISOString(),
+      count: releases.length,
+      offset,
+      releases: releases.slice(offset, offset + limit).map(release => ({ ...release, score: 100 }))
+    };
+  }
+
+  matchesTerm(release, { field, value }) {
+    if (field === 'release') {
+      return normalize(release.title).includes(normalize(value));
+    }
+    if (field === 'artist') {
+      return (release['artist-credit'] || [])
+        .some(credit => normalize(credit.name || credit.artist?.name).includes(normalize(value)));
+    }
+    if (field === 'date') {
+      return (release.date || '').startsWith(value.replace(/\*$/, ''));
+    }
+    return true;
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// Lower case, without accents and punctuation
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+module.exports = MusicBrainzReplayServer;
@@ -0,0 +1,135 @@
+/**
+ * MusicBrainz response cache for ordr.fm Node.js server
+ *
+ * Keeps API responses in the mb_response_cache table of the metadata
+ * database, with the endpoint and parameters they were fetched with so
+ * stale entries can be fetched again, and evicts what is no longer useful.
+ */
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.dbManager = options.dbManager;
+    this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.staleRetention = options.staleRetention || 30 * 24 * 60 * 60 * 1000; // expired entries kept for refreshing
+    this.maxEntries = options.maxEntries || 50000;
+    this.evictEvery = options.evictEvery || 500; // writes between evictions
+
+    this.writes = 0;
+  }
+
+  /**
+   * Fresh response for a key, or null
+   */
+  async get(cacheKey) {
+    const row = await this.dbManager.get(`
+      SELECT response FROM mb_response_cache
+      WHERE cache_key = ? AND expires_at > datetime('now')
+    `, [cacheKey]);
+
+    if (!row) {
+      return null;
+    }
+
+    await this.dbManager.run(`
+      UPDATE mb_response_cache
+      SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+      WHERE cache_key = ?
+    `, [cacheKey]);
+
+    return JSON.parse(row.response);
+  }
+
+  /**
+   * Store a response, replacing whatever the key held
+   */
+  async set(cacheKey, endpoint, params, data) {
+    await this.dbManager.run(`
+      INSERT INTO mb_response_cache (cache_key, endpoint, params, response, fetched_at, expires_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))
+      ON CONFLICT(cache_key) DO UPDATE SET
+        response = excluded.response,
+        fetched_at = excluded.fetched_at,
+        expires_at = excluded.expires_at
+    `, [cacheKey, endpoint, JSON.stringify(params), JSON.stringify(data), `+${Math.round(this.ttl / 1000)} seconds`]);
+
+    this.writes++;
+    if (this.writes % this.evictEvery === 0) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * Drop entries expired longer than staleRetention, then the least
+   * recently used ones beyond maxEntries
+   */
+  async evict() {
+    const expired = await this.dbManager.run(
+      "DELETE FROM mb_response_cache WHERE expires_at <= datetime('now', ?)",
+      [`-${Math.round(this.staleRetention / 1000)} seconds`]
+    );
+
+    const overflow = await this.dbManager.run(`
+      DELETE FROM mb_response_cache
+      WHERE cache_key IN (
+        SELECT cache_key FROM mb_response_cache
+        ORDER BY COALESCE(last_hit_at, fetched_at) DESC
+        LIMIT -1 OFFSET ?
+      )
+    `, [this.maxEntries]);
+
+    const removed = expired.changes + overflow.changes;
+    if (removed > 0) {
+      console.log(`Evicted ${removed} MusicBrainz cache entries`);
+    }
+
+    return { expired: expired.changes, overflow: overflow.changes, removed };
+  }
+
+  /**
+   * Expired entries worth fetching again, most used first
+   */
+  async listStale(limit = 100) {
+    const rows = await this.dbManager.query(`
+      SELECT cache_key, endpoint, params
+      FROM mb_response_cache
+      WHERE expires_at <= datetime('now')
+      ORDER BY hit_count DESC, expires_at
+      LIMIT ?
+    `, [limit]);
+
+    return rows.map(row => ({ ...row, params: JSON.parse(row.params) }));
+  }
+
+  async remove(cacheKey) {
+    return this.dbManager.run('DELETE FROM mb_response_cache WHERE cache_key = ?', [cacheKey]);
+  }
+
+  async getStats() {
+    const stats = await this.dbManager.get(`
+      SELECT
+        COUNT(*) as entries,
+        COALESCE(SUM(expires_at <= datetime('now')), 0) as stale,
+        COALESCE(SUM(LENGTH(response)), 0) as bytes,
+        COALESCE(SUM(hit_count), 0) as hits,
+        MIN(fetched_at) as oldest,
+        MAX(fetched_at) as newest
+      FROM mb_response_cache
+    `);
+
+    const endpoints = await this.dbManager.query(`
+      SELECT
+        CASE WHEN instr(substr(endpoint, 2), '/') > 0
+          THEN substr(endpoint, 1, instr(substr(endpoint, 2), '/'))
+          ELSE endpoint
+        END as endpoint,
+        COUNT(*) as entries
+      FROM mb_response_cache
+      GROUP BY 1
+      ORDER BY entries DESC
+    `);
+
+    return { ...stats, endpoints, ttl: this.ttl, maxEntries: this.maxEntries };
+  }
+}
+
+module.exports = ResponseCache;
@@ -14,6 +14,7 @@ class OrdrFMApp {
         this.nodes = [];
         this.links = [];
         this.isPaused = false;
+        this.currentReview = null;
         
         this.initializeWebSocket();
         this.initializeSVG();
@@ -51,11 +52,14 @@ class OrdrFMApp {
 
     handleWebSocketMessage(data) {
         switch (data.type) {
-            case 'batch_progress':
-                this.updateProgress(data.processed, data.total, data.successful);
+            case 'enrichment_progress':
+                if (data.total > 0) {
+                    this.showProgress();
+                    this.updateProgress(data.processed, data.total, data.matched);
+                }
                 break;
             case 'batch_enrichment_complete':
-                this.showStatus('Batch enrichment completed!', 'success');
+                this.showStatus(`Batch enrichment completed: ${data.matched}/${data.processed} matched`, 'success');
                 this.hideProgress();
                 this.loadStats();
                 break;
@@ -63,6 +67,9 @@ class OrdrFMApp {
                 this.showStatus('Album enriched with MusicBrainz data', 'success');
                 this.loadStats();
                 break;
+            case 'review_candidates':
+                this.loadReviewQueue();
+                break;
             case 'update_available':
                 this.showStatus(`New ${data.dataType} data available`, 'info');
                 break;
@@ -89,6 +96,7 @@ class OrdrFMApp {
     async loadInitialData() {
         await this.loadStats();
         await this.loadRecentAlbums();
+        await this.loadReviewQueue();
     }
 
     async loadStats() {
@@ -151,7 +159,6 @@ class OrdrFMApp {
 
     async startBatchEnrichment() {
         this.showStatus('Starting batch enrichment...', 'info');
-        this.showProgress();
         
         try {
             const response = await fetch('/api/musicbrainz/batch-enrich', {
@@ -163,15 +170,287 @@ class OrdrFMApp {
             });
             
             const result = await response.json();
-            this.showStatus(`Batch enrichment: ${result.successful}/${result.processed} successful`, 'success');
+            if (result.queued > 0) {
+                // Progress arrives over the WebSocket as the queue is worked through
+                this.showProgress();
+                this.showStatus(`Queued ${result.queued} albums for enrichment`, 'info');
+            } else {
+                this.showStatus(result.message || result.error, result.error ? 'error' : 'info');
+            }
         } catch (error) {
             console.error('Batch enrichment failed:', error);
             this.showStatus('Batch enrichment failed', 'error');
-        } finally {
-            this.hideProgress();
         }
     }
 
+    async loadReviewQueue() {
+        const reviewerInput = document.getElementById('reviewer-name');
+        if (!reviewerInput.value) {
+            reviewerInput.value = localStorage.getItem('ordr-fm-reviewer') || '';
+        }
+
+        try {
+            const response = await fetch('/api/musicbrainz/review?limit=50');
+            const data = await response.json();
+            
+            const reviewList = document.getElementById('review-list');
+            reviewList.innerHTML = '';
+            document.getElementById('review-count').textContent = data.total ? `(${data.total})` : '';
+            
+            if (data.albums.length === 0) {
+                reviewList.innerHTML = '<div class="album-artist">Nothing to review</div>';
+                return;
+            }
+            
+            data.albums.forEach(({ album, candidates }) => {
+                const best = candidates[0] ? `${(candidates[0].confidence * 100).toFixed(0)}%` : '-';
+                const item = document.createElement('div');
+                item.className = 'album-item';
+                item.innerHTML = `
+                    <div class="album-title">${this.escapeHtml(album.title || 'Unknown Title')}</div>
+                    <div class="album-artist">${this.escapeHtml(album.artist || 'Unknown Artist')} · best ${best} of ${candidates.length}</div>
+                `;
+                item.onclick = () => this.openReview(album.id);
+                reviewList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load review queue:', error);
+            document.getElementById('review-list').innerHTML = '<div style="color: #f44;">Failed to load review queue</div>';
+        }
+    }
+
+    async openReview(albumId) {
+        try {
+            const response = await fetch(`/api/musicbrainz/review/${albumId}`);
+            const review = await response.json();
+            
+            if (!response.ok) {
+                this.showStatus(review.error || 'Failed to load album review', 'error');
+                return;
+            }
+            
+            this.currentReview = review;
+            document.getElementById('review-title').textContent =
+                `${review.album.artist || 'Unknown Artist'} - ${review.album.title || 'Unknown Title'}`;
+            document.getElementById('review-search-artist').value = review.album.artist || '';
+            document.getElementById('review-search-title').value = review.album.title || '';
+            document.getElementById('review-search-year').value = review.album.year || '';
+            document.getElementById('review-panel').style.display = 'flex';
+            
+            this.renderReview(review.album, review.candidates);
+        } catch (error) {
+            console.error('Failed to load album review:', error);
+            this.showStatus('Failed to load album review', 'error');
+        }
+    }
+
+    closeReview() {
+        document.getElementById('review-panel').style.display = 'none';
+        this.currentReview = null;
+    }
+
+    /**
+     * Album and candidates side by side, one column each, track lengths
+     * more than five seconds off the album's marked
+     */
+    renderReview(album, candidates) {
+        const table = document.getElementById('review-table');
+        const text = (value) => this.escapeHtml(value === null || value === undefined || value === '' ? '-' : value);
+        const columns = [album, ...candidates];
+        
+        const row = (label, values) => `<tr><th>${label}</th>${values.map((value, i) =>
+            `<td class="${i > 0 && candidates[i - 1].status !== 'pending' ? 'decided' : ''}">${value}</td>`).join('')}</tr>`;
+        
+        let html = row('', columns.map((column, i) => (i === 0 ? '<strong>This album</strong>' :
+            `<a href="https://musicbrainz.org/release/${encodeURIComponent(column.mb_release_mbid)}" target="_blank" rel="noopener">MusicBrainz</a>`)));
+        html += row('Title', columns.map(column => text(column.title)));
+        html += row('Artist', columns.map((column, i) => text(i === 0 ? column.artist : column.artist_credit)));
+        html += row('Confidence', columns.map((column, i) => (i === 0 ? '' : `${(column.confidence * 100).toFixed(1)}%`)));
+        html += row('Score', columns.map((column, i) => (i === 0 ? '' : this.formatScoreBreakdown(column.score_breakdown))));
+        html += row('Date', columns.map((column, i) => text(i === 0 ? column.year : column.date)));
+        html += row('Country', columns.map((column, i) => (i === 0 ? '' : text(column.country))));
+        html += row('Label', columns.map(column => text(column.label)));
+        html += row('Catalog #', columns.map(column => text(column.catalog_number)));
+        html += row('Tracks', columns.map(column => text(column.track_count)));
+        
+        const trackTotal = Math.max(...columns.map(column => column.track_durations.length));
+        for (let t = 0; t < trackTotal; t++) {
+            const local = album.track_durations[t];
+            html += `<tr><th>${t + 1}</th>${columns.map((column, i) => {
+                const length = column.track_durations[t];
+                const mismatch = i > 0 && local && length && Math.abs(local - length) > 5000;
+                return `<td class="${mismatch ? 'mismatch' : ''}">${this.formatDuration(length)}</td>`;
+            }).join('')}</tr>`;
+        }
+        
+        html += row('', columns.map((column, i) => {
+            if (i === 0) {
+                return '';
+            }
+            if (column.status !== 'pending') {
+                return text(`${column.status} by ${column.reviewed_by}`);
+            }
+            const mbid = this.escapeHtml(column.mb_release_mbid);
+            return `<div class="viz-controls">
+                <button data-accept="${mbid}">Accept</button>
+                <button class="secondary" data-reject="${mbid}">Reject</button>
+            </div>`;
+        }));
+        
+        table.innerHTML = html;
+        table.querySelectorAll('[data-accept]').forEach(button => {
+            button.onclick = () => this.acceptCandidate(button.dataset.accept);
+        });
+        table.querySelectorAll('[data-reject]').forEach(button => {
+            button.onclick = () => this.rejectCandidates(button.dataset.reject);
+        });
+    }
+
+    async searchReview() {
+        if (!this.currentReview) {
+            return;
+        }
+        
+        const query = {
+            artist: document.getElementById('review-search-artist').value,
+            title: document.getElementById('review-search-title').value,
+            year: document.getElementById('review-search-year').value
+        };
+        this.showStatus('Searching MusicBrainz...', 'info');
+        
+        try {
+            const response = await fetch(`/api/musicbrainz/review/${this.currentReview.album.id}/search`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(query)
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showStatus(result.error || 'Search failed', 'error');
+                return;
+            }
+            
+            this.showStatus(`Found ${result.candidates.length} releases`, 'info');
+            this.renderReview(result.album, result.candidates);
+        } catch (error) {
+            console.error('Review search failed:', error);
+            this.showStatus('Search failed', 'error');
+        }
+    }
+
+    getReviewer() {
+        const reviewerInput = document.getElementById('reviewer-name');
+        const reviewer = reviewerInput.value.trim();
+        
+        if (!reviewer) {
+            this.showStatus('Enter your name under Match Review first', 'warning');
+            reviewerInput.focus();
+            return null;
+        }
+        
+        localStorage.setItem('ordr-fm-reviewer', reviewer);
+        return reviewer;
+    }
+
+    async acceptCandidate(mbid) {
+        const verifiedBy = this.getReviewer();
+        if (!verifiedBy || !this.currentReview) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/musicbrainz/review/${this.currentReview.album.id}/accept`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mbid, verifiedBy })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showStatus(result.error || 'Failed to accept match', 'error');
+                return;
+            }
+            
+            this.showStatus('Match accepted', 'success');
+            this.closeReview();
+            await this.loadReviewQueue();
+            await this.loadStats();
+        } catch (error) {
+            console.error('Accepting match failed:', error);
+            this.showStatus('Failed to accept match', 'error');
+        }
+    }
+
+    async rejectCandidates(mbid = null) {
+        const verifiedBy = this.getReviewer();
+        if (!verifiedBy || !this.currentReview) {
+            return;
+        }
+        
+        const albumId = this.currentReview.album.id;
+        try {
+            const response = await fetch(`/api/musicbrainz/review/${albumId}/reject`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mbid, verifiedBy })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showStatus(result.error || 'Failed to reject', 'error');
+                return;
+            }
+            
+            this.showStatus(`Rejected ${result.rejected} candidate(s)`, 'info');
+            if (mbid) {
+                await this.openReview(albumId);
+            } else {
+                this.closeReview();
+            }
+            await this.loadReviewQueue();
+        } catch (error) {
+            console.error('Rejecting candidates failed:', error);
+            this.showStatus('Failed to reject', 'error');
+        }
+    }
+
+    /**
+     * One line per scored part: its score and share of the confidence, details on hover
+     */
+    formatScoreBreakdown(breakdown) {
+        if (!breakdown) {
+            return '-';
+        }
+        return Object.entries(breakdown).map(([part, { score, weight, detail }]) =>
+            `<div title="${this.escapeHtml(detail)}">${this.escapeHtml(part.replace('_', ' '))}: ` +
+            `${Math.round(score * 100)}% <span class="album-artist">×${weight}</span></div>`
+        ).join('');
+    }
+
+    formatDuration(ms) {
+        if (!ms) {
+            return '-';
+        }
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     async loadNetworkVisualization() {
         this.showStatus('Loading relationship network...', 'info');
         
@@ -359,6 +638,18 @@ function pauseSimulation() {
     app.pauseSimulation();
 }
 
+function closeReview() {
+    app.closeReview();
+}
+
+function searchReview() {
+    app.searchReview();
+}
+
+function rejectAllCandidates() {
+    app.rejectCandidates();
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     app = new OrdrFMApp();
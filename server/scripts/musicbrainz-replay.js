@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Serve recorded MusicBrainz responses on their own, for CI or for an
+ * offline machine shared by several installs. Point the server at it with
+ * MB_BASE_URL.
+ *
+ * Usage: node scripts/musicbrainz-replay.js [fixturesDir] [port]
+ */
+
+const path = require('path');
+const MusicBrainzReplayServer = require('../lib/musicbrainzReplay');
+
+const fixturesDir = path.resolve(process.argv[2] || process.env.MB_REPLAY_DIR || path.join(__dirname, '../test/fixtures/musicbrainz'));
+const port = parseInt(process.argv[3] || process.env.MB_REPLAY_PORT) || 5001;
+
+const replayServer = new MusicBrainzReplayServer({ fixturesDir, port, host: process.env.MB_REPLAY_HOST });
+
+replayServer.start()
+  .then(url => {
+    console.log(`MusicBrainz replay server running at ${url}`);
+    console.log(`Start the server with MB_BASE_URL=${url} MB_RATE_LIMIT=0`);
+  })
+  .catch(err => {
+    console.error('Failed to start MusicBrainz replay server:', err);
+    process.exit(1);
+  });
+
+process.on('SIGINT', async () => {
+  await replayServer.stop();
+  process.exit(0);
+});
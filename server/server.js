@@ -23,6 +23,10 @@ const fs = require('fs');
 // Import our custom modules
 const DatabaseManager = require('./lib/database');
 const MusicBrainzClient = require('./lib/musicbrainz');
+const ResponseCache = require('./lib/responseCache');
+const MusicBrainzReplayServer = require('./lib/musicbrainzReplay');
+const EnrichmentQueue = require('./lib/enrichmentQueue');
+const MatchReview = require('./lib/matchReview');
 
 require('dotenv').config();
 
@@ -41,9 +45,35 @@ const dbManager = new DatabaseManager({
   stateDb: STATE_DB
 });
 
+const responseCache = new ResponseCache({
+  dbManager,
+  ttl: parseInt(process.env.MB_CACHE_TTL) || 7 * 24 * 60 * 60 * 1000, // 7 days
+  maxEntries: parseInt(process.env.MB_CACHE_MAX_ENTRIES) || 50000
+});
+
 const musicBrainzClient = new MusicBrainzClient({
-  cacheDir: path.join(__dirname, 'cache/musicbrainz'),
-  rateLimit: 1000 // 1 second between requests
+  cache: responseCache,
+  baseUrl: process.env.MB_BASE_URL, // a local mirror; musicbrainz.org by default
+  rateLimit: process.env.MB_RATE_LIMIT ? parseInt(process.env.MB_RATE_LIMIT) : 1000, // 1 second between requests
+  recordDir: process.env.MB_RECORD_DIR
+});
+
+// Offline mode: serve recorded responses locally instead of asking MusicBrainz
+const replayServer = process.env.MB_REPLAY_DIR
+  ? new MusicBrainzReplayServer({ fixturesDir: path.resolve(process.env.MB_REPLAY_DIR) })
+  : null;
+
+const enrichmentQueue = new EnrichmentQueue({
+  dbManager,
+  musicBrainzClient,
+  maxAttempts: parseInt(process.env.MB_ENRICH_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.MB_ENRICH_RETRY_DELAY) || 30 * 1000
+});
+
+const matchReview = new MatchReview({
+  dbManager,
+  musicBrainzClient,
+  enrichmentQueue
 });
 
 // Rate limiting configuration
@@ -115,6 +145,17 @@ async function initializeServices() {
       console.log('Run the bash script first to create the database, or use npm run seed');
     }
 
+    // Drop cached MusicBrainz responses that are no longer useful
+    await responseCache.evict();
+
+    if (replayServer) {
+      musicBrainzClient.baseUrl = await replayServer.start();
+      console.log(`MusicBrainz offline mode: replaying responses at ${musicBrainzClient.baseUrl}`);
+    }
+
+    // Drain the MusicBrainz enrichment queue in the background
+    await enrichmentQueue.start();
+
     console.log('All services initialized successfully');
     return true;
   } catch (err) {
@@ -137,7 +178,7 @@ app.get('/health', healthLimiter, (req, res) => {
       state: dbManager.stateDb ? 'connected' : 'disconnected'
     },
     services: {
-      musicbrainz: 'ready'
+      musicbrainz: replayServer ? 'offline' : 'ready'
     }
   });
 });
@@ -539,129 +580,254 @@ app.post('/api/musicbrainz/enrich-album/:albumId', async (req, res) => {
       return res.status(404).json({ error: 'Album not found' });
     }
 
-    // Enrich with MusicBrainz
-    const mbData = await musicBrainzClient.enrichAlbumMetadata(album);
+    // Enrich with MusicBrainz, matching the track list as well
+    const tracks = await dbManager.getAlbumTracks(album.id);
+    const mbData = await musicBrainzClient.enrichAlbumMetadata(album, { tracks });
     
     if (!mbData) {
       return res.json({ success: false, message: 'No suitable MusicBrainz match found' });
     }
 
     // Store the enriched data
-    await dbManager.beginTransaction();
-    
-    try {
-      // Store MusicBrainz release
-      await dbManager.storeMBRelease({
-        id: mbData.musicbrainz_release_id,
-        title: mbData.mb_title || album.album_title,
-        date: mbData.date,
-        country: mbData.country,
-        barcode: mbData.barcode,
-        status: mbData.status,
-        packaging: mbData.packaging
-      });
-
-      // Store artist if available
-      if (mbData.artist_mbid) {
-        const artistData = await musicBrainzClient.getArtist(mbData.artist_mbid);
-        if (artistData) {
-          await dbManager.storeMBArtist(artistData);
-          const relationships = musicBrainzClient.extractArtistRelationships(artistData);
-          await dbManager.storeMBArtistRelationships(mbData.artist_mbid, relationships);
-        }
-      }
+    await enrichmentQueue.storeEnrichment(album, mbData);
 
-      // Create album mapping
-      await dbManager.createAlbumMBMapping(
-        albumId, 
-        mbData.musicbrainz_release_id, 
-        mbData.confidence, 
-        'auto'
-      );
+    res.json({
+      success: true,
+      mbid: mbData.musicbrainz_release_id,
+      confidence: mbData.confidence,
+      data: mbData
+    });
 
-      await dbManager.commitTransaction();
-      
-      res.json({
-        success: true,
-        mbid: mbData.musicbrainz_release_id,
-        confidence: mbData.confidence,
-        data: mbData
-      });
-      
-      // Broadcast update to WebSocket clients
-      broadcastUpdate('album_enriched');
-      
-    } catch (err) {
-      await dbManager.rollbackTransaction();
-      throw err;
-    }
+    // Broadcast update to WebSocket clients
+    broadcastUpdate('album_enriched');
   } catch (err) {
     console.error('Album enrichment error:', err);
     res.status(500).json({ error: 'Enrichment failed' });
   }
 });
 
-// Batch enrich albums
+// Batch enrich albums: queues the most recent unmapped albums
 app.post('/api/musicbrainz/batch-enrich', strictLimiter, async (req, res) => {
-  const { limit = 10 } = req.body;
+  const { limit = 10, priority = 0 } = req.body;
   
   try {
-    const unmappedAlbums = await dbManager.getUnmappedAlbums(limit);
+    const result = await enrichmentQueue.enqueueByFilter({ limit }, { priority });
     
-    if (unmappedAlbums.length === 0) {
-      return res.json({ message: 'No albums need enrichment', processed: 0 });
+    if (result.queued === 0) {
+      return res.json({ message: 'No albums need enrichment', queued: 0 });
     }
 
-    let processed = 0;
-    let successful = 0;
-    
-    for (const album of unmappedAlbums) {
-      try {
-        const mbData = await musicBrainzClient.enrichAlbumMetadata(album);
-        
-        if (mbData && mbData.confidence >= 0.7) {
-          // Store the data (simplified version)
-          await dbManager.createAlbumMBMapping(
-            album.id,
-            mbData.musicbrainz_release_id,
-            mbData.confidence,
-            'batch'
-          );
-          successful++;
-        }
-        
-        processed++;
-        
-        // Update progress via WebSocket
-        wss.clients.forEach(client => {
-          if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-              type: 'batch_progress',
-              processed: processed,
-              total: unmappedAlbums.length,
-              successful: successful
-            }));
-          }
-        });
-        
-      } catch (err) {
-        console.warn(`Failed to enrich album ${album.id}:`, err.message);
-        processed++;
-      }
-    }
+    res.status(202).json({
+      message: 'Albums queued for enrichment',
+      queued: result.queued,
+      status: await enrichmentQueue.getStatus()
+    });
+  } catch (err) {
+    console.error('Batch enrichment error:', err);
+    res.status(500).json({ error: 'Batch enrichment failed' });
+  }
+});
+
+// Queue albums for enrichment by ID or by filter
+app.post('/api/musicbrainz/queue', async (req, res) => {
+  const { albumIds, filter, priority = 0 } = req.body;
+  
+  if (!Array.isArray(albumIds) && (!filter || typeof filter !== 'object')) {
+    return res.status(400).json({ error: 'albumIds (array) or filter (object) is required' });
+  }
+
+  try {
+    const result = Array.isArray(albumIds)
+      ? await enrichmentQueue.enqueue(albumIds, { priority })
+      : await enrichmentQueue.enqueueByFilter(filter, { priority });
     
-    res.json({
-      message: 'Batch enrichment completed',
-      processed: processed,
-      successful: successful,
-      total: unmappedAlbums.length
+    res.status(202).json({
+      ...result,
+      status: await enrichmentQueue.getStatus()
     });
+  } catch (err) {
+    console.error('Enrichment queue error:', err);
+    res.status(500).json({ error: 'Failed to queue albums' });
+  }
+});
+
+// Get enrichment queue status
+app.get('/api/musicbrainz/queue', async (req, res) => {
+  try {
+    res.json(await enrichmentQueue.getStatus());
+  } catch (err) {
+    console.error('Enrichment queue status error:', err);
+    res.status(500).json({ error: 'Failed to get queue status' });
+  }
+});
+
+// Pause the enrichment worker (the album in progress is finished)
+app.post('/api/musicbrainz/queue/pause', async (req, res) => {
+  enrichmentQueue.pause();
+  
+  try {
+    res.json(await enrichmentQueue.getStatus());
+  } catch (err) {
+    console.error('Enrichment queue pause error:', err);
+    res.status(500).json({ error: 'Failed to get queue status' });
+  }
+});
+
+// Resume the enrichment worker
+app.post('/api/musicbrainz/queue/resume', async (req, res) => {
+  enrichmentQueue.resume();
+  
+  try {
+    res.json(await enrichmentQueue.getStatus());
+  } catch (err) {
+    console.error('Enrichment queue resume error:', err);
+    res.status(500).json({ error: 'Failed to get queue status' });
+  }
+});
+
+// List albums whose enrichment failed after all attempts
+app.get('/api/musicbrainz/queue/failures', async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+  
+  try {
+    res.json(await enrichmentQueue.getFailures({ limit, offset }));
+  } catch (err) {
+    console.error('Enrichment failures error:', err);
+    res.status(500).json({ error: 'Failed to get enrichment failures' });
+  }
+});
+
+// Retry failed enrichments (all of them, or the given queue IDs)
+app.post('/api/musicbrainz/queue/retry', async (req, res) => {
+  const { ids } = req.body;
+  
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array of queue IDs' });
+  }
+
+  try {
+    res.json(await enrichmentQueue.retry(ids));
+  } catch (err) {
+    console.error('Enrichment retry error:', err);
+    res.status(500).json({ error: 'Failed to retry enrichments' });
+  }
+});
+
+/**
+ * Review of low-confidence matches
+ */
+
+// Reviewer name required for decisions, so it is recorded who verified what
+function getReviewer(req, res) {
+  const { verifiedBy } = req.body;
+
+  if (typeof verifiedBy !== 'string' || !verifiedBy.trim() || verifiedBy.length > 100) {
+    res.status(400).json({ error: 'verifiedBy (reviewer name, up to 100 characters) is required' });
+    return null;
+  }
+
+  return verifiedBy.trim();
+}
+
+// List albums awaiting review with their top candidates
+app.get('/api/musicbrainz/review', async (req, res) => {
+  const { limit = 20, offset = 0, candidates = 3 } = req.query;
+  
+  try {
+    res.json(await matchReview.listPending({ limit, offset, candidates }));
+  } catch (err) {
+    console.error('Review list error:', err);
+    res.status(500).json({ error: 'Failed to get albums for review' });
+  }
+});
+
+// Recent review decisions
+app.get('/api/musicbrainz/review/decisions', async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+  
+  try {
+    res.json(await matchReview.getDecisions({ limit, offset }));
+  } catch (err) {
+    console.error('Review decisions error:', err);
+    res.status(500).json({ error: 'Failed to get review decisions' });
+  }
+});
+
+// Get one album with all its candidates, decided ones included
+app.get('/api/musicbrainz/review/:albumId', async (req, res) => {
+  try {
+    const review = await matchReview.getAlbumReview(req.params.albumId, { includeDecided: true });
     
-    broadcastUpdate('batch_enrichment_complete');
+    if (!review) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    res.json(review);
+  } catch (err) {
+    console.error('Album review error:', err);
+    res.status(500).json({ error: 'Failed to get album review' });
+  }
+});
+
+// Search MusicBrainz manually for an album and add the results as candidates (a POST, since it stores them)
+app.post('/api/musicbrainz/review/:albumId/search', async (req, res) => {
+  const { artist, title, year, limit } = req.body || {};
+  
+  try {
+    const result = await matchReview.search(req.params.albumId, { artist, title, year, limit });
     
+    if (!result) {
+      return res.status(404).json({ error: 'Album not found' });
+    }
+
+    res.json(result);
   } catch (err) {
-    console.error('Batch enrichment error:', err);
-    res.status(500).json({ error: 'Batch enrichment failed' });
+    console.error('Review search error:', err);
+    res.status(502).json({ error: 'MusicBrainz search failed' });
+  }
+});
+
+// Accept a release for an album
+app.post('/api/musicbrainz/review/:albumId/accept', async (req, res) => {
+  const verifiedBy = getReviewer(req, res);
+  if (!verifiedBy) {
+    return;
+  }
+
+  let mbid;
+  try {
+    mbid = musicBrainzClient.validateMbid(req.body.mbid);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const result = await matchReview.accept(req.params.albumId, mbid, verifiedBy);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Album or MusicBrainz release not found' });
+    }
+
+    res.json({ success: true, ...result });
+    broadcastUpdate('album_enriched');
+  } catch (err) {
+    console.error('Review accept error:', err);
+    res.status(500).json({ error: 'Failed to accept match' });
+  }
+});
+
+// Reject one candidate (mbid) or all pending candidates of an album
+app.post('/api/musicbrainz/review/:albumId/reject', async (req, res) => {
+  const verifiedBy = getReviewer(req, res);
+  if (!verifiedBy) {
+    return;
+  }
+
+  try {
+    res.json(await matchReview.reject(parseInt(req.params.albumId), verifiedBy, req.body.mbid || null));
+  } catch (err) {
+    console.error('Review reject error:', err);
+    res.status(500).json({ error: 'Failed to reject candidates' });
   }
 });
 
@@ -683,7 +849,7 @@ app.get('/api/musicbrainz/network/:mbid', strictLimiter, async (req, res) => {
 app.get('/api/musicbrainz/stats', async (req, res) => {
   try {
     const stats = await dbManager.getMBStatistics();
-    const clientStats = musicBrainzClient.getStatistics();
+    const clientStats = await musicBrainzClient.getStatistics();
     
     res.json({
       database: stats,
@@ -695,6 +861,34 @@ app.get('/api/musicbrainz/stats', async (req, res) => {
   }
 });
 
+// Fetch expired cached responses again in the background
+app.post('/api/musicbrainz/cache/refresh', strictLimiter, async (req, res) => {
+  const { limit = 100 } = req.body;
+  
+  try {
+    const job = await musicBrainzClient.refreshStaleCache({ limit });
+    
+    if (!job) {
+      return res.status(409).json({ error: 'A cache refresh is already running', refresh: musicBrainzClient.refreshJob });
+    }
+
+    res.status(202).json({ refresh: job });
+  } catch (err) {
+    console.error('Cache refresh error:', err);
+    res.status(500).json({ error: 'Failed to start cache refresh' });
+  }
+});
+
+// Evict expired and least recently used cached responses
+app.post('/api/musicbrainz/cache/evict', async (req, res) => {
+  try {
+    res.json(await responseCache.evict());
+  } catch (err) {
+    console.error('Cache eviction error:', err);
+    res.status(500).json({ error: 'Failed to evict cache entries' });
+  }
+});
+
 /**
  * WebSocket handling for real-time updates
  */
@@ -727,6 +921,39 @@ wss.on('connection', (ws, req) => {
   });
 });
 
+/**
+ * Push enrichment queue progress to every connected client
+ */
+enrichmentQueue.on('progress', (progress) => {
+  broadcastMessage({ type: 'enrichment_progress', ...progress });
+});
+
+enrichmentQueue.on('enriched', () => {
+  broadcastUpdate('album_enriched');
+});
+
+enrichmentQueue.on('review', (review) => {
+  broadcastMessage({ type: 'review_candidates', ...review });
+});
+
+enrichmentQueue.on('drained', (summary) => {
+  broadcastMessage({ type: 'batch_enrichment_complete', ...summary });
+});
+
+/**
+ * Send a message to all connected WebSocket clients
+ */
+function broadcastMessage(message) {
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({
+        ...message,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  });
+}
+
 /**
  * Broadcast updates to subscribed WebSocket clients
  */
@@ -784,6 +1011,10 @@ async function startServer() {
 process.on('SIGINT', () => {
   console.log('Shutting down gracefully...');
   server.close(async () => {
+    await enrichmentQueue.stop();
+    if (replayServer) {
+      await replayServer.stop();
+    }
     await dbManager.close();
     process.exit(0);
   });
@@ -0,0 +1,55 @@
+const { createLibrary } = require('./helpers/library');
+
+describe('Database transactions', () => {
+  let library;
+  let dbManager;
+
+  const titles = async () => (await dbManager.query('SELECT album_title FROM albums ORDER BY id'))
+    .map(row => row.album_title);
+
+  beforeEach(async () => {
+    library = await createLibrary();
+    dbManager = library.dbManager;
+  });
+
+  afterEach(async () => {
+    await library.cleanup();
+  });
+
+  test('should queue overlapping transactions', async () => {
+    const slow = dbManager.transaction(async () => {
+      await dbManager.run("INSERT INTO albums (album_title) VALUES ('a1')");
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await dbManager.run("INSERT INTO albums (album_title) VALUES ('a2')");
+      return 'done';
+    });
+    const quick = dbManager.transaction(() => dbManager.run("INSERT INTO albums (album_title) VALUES ('b1')"));
+
+    await expect(slow).resolves.toBe('done');
+    await expect(quick).resolves.toMatchObject({ changes: 1 });
+    expect(await titles()).toEqual(['a1', 'a2', 'b1']);
+  });
+
+  test('should keep statements from outside out of an open transaction', async () => {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const failing = dbManager.transaction(async () => {
+      await dbManager.run("INSERT INTO albums (album_title) VALUES ('rolled back')");
+      await held;
+      throw new Error('store failed');
+    });
+
+    // Issued while the transaction is open, e.g. the worker finishing a queue item
+    await new Promise(resolve => setTimeout(resolve, 10));
+    let outsideDone = false;
+    const outside = dbManager.run("INSERT INTO albums (album_title) VALUES ('kept')")
+      .then(() => { outsideDone = true; });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(outsideDone).toBe(false);
+
+    release();
+    await expect(failing).rejects.toThrow('store failed');
+    await outside;
+    expect(await titles()).toEqual(['kept']);
+  });
+});
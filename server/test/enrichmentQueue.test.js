@@ -0,0 +1,190 @@
+const path = require('path');
+const MusicBrainzClient = require('../lib/musicbrainz');
+const MusicBrainzReplayServer = require('../lib/musicbrainzReplay');
+const EnrichmentQueue = require('../lib/enrichmentQueue');
+const { createLibrary, addAlbum } = require('./helpers/library');
+
+const FIXTURES = path.join(__dirname, 'fixtures/musicbrainz');
+const DOUBLE_LP = '7d3c1f0e-2b9a-4e55-8c61-3a0f9d2e4b17';
+const MOVE_D = 'b0f0c4a1-3a5e-4c1b-9f0e-5d1f2e7a9c01';
+const KUNSTSTOFF = { album_artist: 'Move D', album_title: 'Kunststoff', album_year: 1995, catalog_number: 'SRC009' };
+const KUNSTSTOFF_DURATIONS = [412, 385, 441, 398, 402, 377, 430, 455];
+
+describe('MusicBrainz enrichment queue', () => {
+  let replayServer;
+  let client;
+  let library;
+  let dbManager;
+
+  const queueRow = id => dbManager.get('SELECT * FROM mb_enrichment_queue WHERE id = ?', [id]);
+  const attemptedAgo = (id, seconds) => dbManager.run(
+    "UPDATE mb_enrichment_queue SET last_attempt = datetime('now', ?) WHERE id = ?",
+    [`-${seconds} seconds`, id]
+  );
+
+  beforeAll(async () => {
+    replayServer = new MusicBrainzReplayServer({ fixturesDir: FIXTURES });
+    client = new MusicBrainzClient({ baseUrl: await replayServer.start(), rateLimit: 0 });
+  });
+
+  afterAll(async () => {
+    await replayServer.stop();
+  });
+
+  beforeEach(async () => {
+    library = await createLibrary();
+    dbManager = library.dbManager;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await library.cleanup();
+  });
+
+  test('should match a queued album from recorded responses', async () => {
+    const queue = new EnrichmentQueue({ dbManager, musicBrainzClient: client });
+    const albumId = await addAlbum(dbManager, KUNSTSTOFF, KUNSTSTOFF_DURATIONS);
+    const enriched = jest.fn();
+    queue.on('enriched', enriched);
+
+    expect(await queue.enqueue([albumId, albumId, 999])).toEqual({ requested: 2, queued: 1, skipped: 1 });
+
+    const item = await queue.claimNext();
+    expect(item).toMatchObject({ album_id: albumId, attempts: 1 });
+    await queue.processItem(item);
+
+    expect(await queueRow(item.id)).toMatchObject({ status: 'completed', error_message: null });
+    expect(enriched).toHaveBeenCalledWith(expect.objectContaining({ albumId, matched: true, mbid: DOUBLE_LP }));
+    expect(await dbManager.get('SELECT * FROM album_mb_mappings WHERE album_id = ?', [albumId]))
+      .toMatchObject({ mb_release_mbid: DOUBLE_LP, mapping_source: 'auto', verified_by: null });
+    expect(await dbManager.get('SELECT name FROM mb_artists WHERE mbid = ?', [MOVE_D]))
+      .toEqual({ name: 'Move D' });
+  });
+
+  test('should back off exponentially up to maxRetryDelay and fail after maxAttempts', async () => {
+    const queue = new EnrichmentQueue({
+      dbManager,
+      musicBrainzClient: client,
+      maxAttempts: 3,
+      retryDelay: 60 * 1000,
+      maxRetryDelay: 90 * 1000
+    });
+    jest.spyOn(client, 'enrichAlbumMetadata').mockRejectedValue(new Error('MusicBrainz returned 503'));
+    const albumId = await addAlbum(dbManager, KUNSTSTOFF);
+    await queue.enqueue([albumId]);
+
+    const first = await queue.claimNext();
+    await queue.processItem(first);
+    expect(await queueRow(first.id)).toMatchObject({
+      status: 'pending', attempts: 1, error_message: 'MusicBrainz returned 503'
+    });
+
+    // First retry after retryDelay
+    expect(await queue.claimNext()).toBeNull();
+    await attemptedAgo(first.id, 61);
+    const second = await queue.claimNext();
+    expect(second).toMatchObject({ id: first.id, attempts: 2 });
+    await queue.processItem(second);
+
+    // Doubled to 120 seconds, capped at 90
+    await attemptedAgo(first.id, 80);
+    expect(await queue.claimNext()).toBeNull();
+    await attemptedAgo(first.id, 91);
+    const third = await queue.claimNext();
+    expect(third).toMatchObject({ attempts: 3 });
+    await queue.processItem(third);
+
+    expect(await queueRow(first.id)).toMatchObject({ status: 'failed', attempts: 3 });
+    await attemptedAgo(first.id, 3600);
+    expect(await queue.claimNext()).toBeNull();
+    expect(await queue.getFailures()).toMatchObject({
+      total: 1,
+      failures: [expect.objectContaining({ album_id: albumId, album_title: 'Kunststoff', attempts: 3 })]
+    });
+    expect(queue.batch.failed).toBe(1);
+  });
+
+  test('should claim higher priorities first', async () => {
+    const queue = new EnrichmentQueue({ dbManager, musicBrainzClient: client });
+    const low = await addAlbum(dbManager, { album_artist: 'Move D', album_title: 'Low' });
+    const high = await addAlbum(dbManager, { album_artist: 'Move D', album_title: 'High' });
+    await queue.enqueue([low]);
+    await queue.enqueue([high], { priority: 10 });
+
+    expect(await queue.claimNext()).toMatchObject({ album_id: high });
+    expect(await queue.claimNext()).toMatchObject({ album_id: low });
+    expect(await queue.claimNext()).toBeNull();
+  });
+
+  test('should requeue albums interrupted by a restart', async () => {
+    const queue = new EnrichmentQueue({ dbManager, musicBrainzClient: client, idleInterval: 60 * 1000 });
+    const albumId = await addAlbum(dbManager, KUNSTSTOFF);
+    await queue.enqueue([albumId]);
+    const item = await queue.claimNext();
+    expect((await queueRow(item.id)).status).toBe('processing');
+
+    // Paused, so the worker leaves the album for this test to inspect
+    queue.paused = true;
+    await queue.start();
+    try {
+      expect(await queueRow(item.id)).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(await queue.getStatus()).toMatchObject({ running: true, paused: true, counts: { pending: 1 } });
+    } finally {
+      await queue.stop();
+    }
+    expect(queue.running).toBe(false);
+  });
+
+  test('should retry failed albums, all or by queue ID', async () => {
+    const queue = new EnrichmentQueue({ dbManager, musicBrainzClient: client });
+    const ids = [];
+    for (const title of ['One', 'Two', 'Three']) {
+      await queue.enqueue([await addAlbum(dbManager, { album_artist: 'Move D', album_title: title })]);
+    }
+    for (const row of await dbManager.query('SELECT id FROM mb_enrichment_queue ORDER BY id')) {
+      ids.push(row.id);
+    }
+    await dbManager.run(`
+      UPDATE mb_enrichment_queue
+      SET status = 'failed', attempts = 5, last_attempt = CURRENT_TIMESTAMP, error_message = 'timeout'
+      WHERE id IN (?, ?)
+    `, [ids[0], ids[1]]);
+
+    expect(await queue.retry([ids[1], ids[2]])).toEqual({ requeued: 1 });
+    expect(await queueRow(ids[1])).toMatchObject({
+      status: 'pending', attempts: 0, last_attempt: null, error_message: null
+    });
+    expect((await queueRow(ids[0])).status).toBe('failed');
+
+    expect(await queue.retry()).toEqual({ requeued: 1 });
+    expect(await queue.getCounts()).toEqual({ pending: 3, processing: 0, completed: 0, failed: 0 });
+    // A fresh set of attempts starts without a backoff
+    expect(await queue.claimNext()).toMatchObject({ id: ids[0], attempts: 1 });
+  });
+
+  test('should store concurrent matches in separate transactions', async () => {
+    const queue = new EnrichmentQueue({ dbManager, musicBrainzClient: client });
+    const first = await addAlbum(dbManager, KUNSTSTOFF);
+    const second = await addAlbum(dbManager, { ...KUNSTSTOFF, catalog_number: null });
+    const mbData = { musicbrainz_release_id: DOUBLE_LP, artist_mbid: MOVE_D, confidence: 0.9 };
+
+    // Both begin a transaction on the one connection at the same time
+    await Promise.all([
+      queue.storeEnrichment({ ...KUNSTSTOFF, id: first }, mbData),
+      queue.storeEnrichment({ ...KUNSTSTOFF, id: second }, mbData, { source: 'manual', verifiedBy: 'reviewer' })
+    ]);
+
+    expect(await dbManager.query('SELECT album_id, mapping_source FROM album_mb_mappings ORDER BY album_id'))
+      .toEqual([
+        { album_id: first, mapping_source: 'auto' },
+        { album_id: second, mapping_source: 'manual' }
+      ]);
+
+    // A failed store rolls back alone
+    jest.spyOn(dbManager, 'createAlbumMBMapping').mockRejectedValueOnce(new Error('disk I/O error'));
+    const third = await addAlbum(dbManager, { album_artist: 'Move D', album_title: 'Three' });
+    await expect(queue.storeEnrichment({ id: third, album_title: 'Three' }, { ...mbData, musicbrainz_release_id: 'other' }))
+      .rejects.toThrow('disk I/O error');
+    expect(await dbManager.get("SELECT mbid FROM mb_releases WHERE mbid = 'other'")).toBeUndefined();
+  });
+});
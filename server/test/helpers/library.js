@@ -0,0 +1,59 @@
+// Metadata database on temporary files, with the albums and tracks tables the
+// organizer creates (database/schema.sql only adds the MusicBrainz ones)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../../lib/database');
+
+async function createLibrary() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-library-'));
+  const dbManager = new DatabaseManager({
+    metadataDb: path.join(dir, 'ordr.fm.metadata.db'),
+    stateDb: path.join(dir, 'ordr.fm.state.db')
+  });
+
+  await dbManager.initialize();
+  await dbManager.run(`
+    CREATE TABLE albums (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, album_artist TEXT, album_title TEXT, album_year INTEGER,
+      label TEXT, catalog_number TEXT, genre TEXT, quality_type TEXT, track_count INTEGER,
+      processed_date DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await dbManager.run(`
+    CREATE TABLE tracks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, disc_number INTEGER,
+      track_number INTEGER, title TEXT, duration INTEGER
+    )
+  `);
+
+  return {
+    dbManager,
+    async cleanup() {
+      await dbManager.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Insert an album with one track per duration, first half on disc 1
+ */
+async function addAlbum(dbManager, album, durations = []) {
+  const { id } = await dbManager.run(
+    'INSERT INTO albums (album_artist, album_title, album_year, catalog_number, track_count) VALUES (?, ?, ?, ?, ?)',
+    [album.album_artist, album.album_title, album.album_year || null, album.catalog_number || null, durations.length]
+  );
+
+  const perDisc = Math.ceil(durations.length / 2);
+  for (const [i, duration] of durations.entries()) {
+    await dbManager.run(
+      'INSERT INTO tracks (album_id, disc_number, track_number, duration) VALUES (?, ?, ?, ?)',
+      [id, i < perDisc ? 1 : 2, (i % perDisc) + 1, duration]
+    );
+  }
+
+  return id;
+}
+
+module.exports = { createLibrary, addAlbum };
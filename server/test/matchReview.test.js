@@ -0,0 +1,138 @@
+const path = require('path');
+const MusicBrainzClient = require('../lib/musicbrainz');
+const MusicBrainzReplayServer = require('../lib/musicbrainzReplay');
+const EnrichmentQueue = require('../lib/enrichmentQueue');
+const MatchReview = require('../lib/matchReview');
+const { createLibrary, addAlbum } = require('./helpers/library');
+
+const FIXTURES = path.join(__dirname, 'fixtures/musicbrainz');
+const DOUBLE_LP = '7d3c1f0e-2b9a-4e55-8c61-3a0f9d2e4b17';
+const SINGLE_CD = 'e2a9b6c4-5f13-4d7e-b0a8-9c4e1f6d3a52';
+const KUNSTSTOFF = { album_artist: 'Move D', album_title: 'Kunststoff', album_year: 1995, catalog_number: 'SRC009' };
+const KUNSTSTOFF_DURATIONS = [412, 385, 441, 398, 402, 377, 430, 455];
+
+describe('MusicBrainz match review', () => {
+  let replayServer;
+  let client;
+  let library;
+  let dbManager;
+  let review;
+  let albumId;
+
+  const candidateStatuses = async () => Object.fromEntries(
+    (await dbManager.query(
+      'SELECT mb_release_mbid, status, reviewed_by FROM mb_review_candidates WHERE album_id = ?',
+      [albumId]
+    )).map(row => [row.mb_release_mbid, { status: row.status, reviewed_by: row.reviewed_by }])
+  );
+
+  const storeCandidates = confidences => dbManager.storeMatchCandidates(
+    albumId,
+    Object.entries(confidences).map(([mbid, confidence]) => ({ mbid, confidence, title: 'Kunststoff' })),
+    'auto'
+  );
+
+  beforeAll(async () => {
+    replayServer = new MusicBrainzReplayServer({ fixturesDir: FIXTURES });
+    client = new MusicBrainzClient({ baseUrl: await replayServer.start(), rateLimit: 0 });
+  });
+
+  afterAll(async () => {
+    await replayServer.stop();
+  });
+
+  beforeEach(async () => {
+    library = await createLibrary();
+    dbManager = library.dbManager;
+    const enrichmentQueue = new EnrichmentQueue({ dbManager, musicBrainzClient: client });
+    review = new MatchReview({ dbManager, musicBrainzClient: client, enrichmentQueue });
+    albumId = await addAlbum(dbManager, KUNSTSTOFF, KUNSTSTOFF_DURATIONS);
+  });
+
+  afterEach(async () => {
+    await library.cleanup();
+  });
+
+  test('should store what a search finds as candidates', async () => {
+    const result = await review.search(albumId, { year: 1995 });
+
+    expect(result.query).toEqual({ artist: 'Move D', title: 'Kunststoff', year: 1995 });
+    expect(result.candidates.map(candidate => candidate.mb_release_mbid)).toEqual([DOUBLE_LP, SINGLE_CD]);
+    expect(result.candidates[0]).toMatchObject({ source: 'search', status: 'pending', track_count: 8 });
+    expect(result.candidates[0].confidence).toBeGreaterThan(result.candidates[1].confidence);
+    expect(replayServer.misses).toBe(0);
+
+    const { albums, total } = await review.listPending();
+    expect(total).toBe(1);
+    expect(albums[0].album).toMatchObject({ id: albumId, title: 'Kunststoff', track_count: 8 });
+    expect(albums[0].album.track_durations[0]).toBe(412000);
+
+    expect(await review.search(999)).toBeNull();
+  });
+
+  test('should accept a candidate and reject the others', async () => {
+    await storeCandidates({ [DOUBLE_LP]: 0.6, [SINGLE_CD]: 0.5 });
+
+    expect(await review.accept(albumId, DOUBLE_LP, 'reviewer')).toEqual({
+      albumId, mbid: DOUBLE_LP, confidence: 0.6, verifiedBy: 'reviewer'
+    });
+
+    expect(await candidateStatuses()).toEqual({
+      [DOUBLE_LP]: { status: 'accepted', reviewed_by: 'reviewer' },
+      [SINGLE_CD]: { status: 'rejected', reviewed_by: 'reviewer' }
+    });
+    const { mapping } = await review.getAlbumReview(albumId);
+    expect(mapping).toMatchObject({
+      mb_release_mbid: DOUBLE_LP, confidence: 0.6, mapping_source: 'verified', verified_by: 'reviewer'
+    });
+    expect(mapping.verified_at).not.toBeNull();
+    expect((await review.listPending()).total).toBe(0);
+  });
+
+  test('should record a release accepted from outside the candidates as one', async () => {
+    await storeCandidates({ [SINGLE_CD]: 0.5 });
+
+    const accepted = await review.accept(albumId, DOUBLE_LP, 'reviewer');
+
+    // Scored against the album, since no candidate carried a confidence
+    expect(accepted.confidence).toBeGreaterThan(0.9);
+    expect(await candidateStatuses()).toEqual({
+      [DOUBLE_LP]: { status: 'accepted', reviewed_by: 'reviewer' },
+      [SINGLE_CD]: { status: 'rejected', reviewed_by: 'reviewer' }
+    });
+    const candidate = await dbManager.get(
+      'SELECT source, title, score_breakdown FROM mb_review_candidates WHERE mb_release_mbid = ?',
+      [DOUBLE_LP]
+    );
+    expect(candidate).toMatchObject({ source: 'search', title: 'Kunststoff' });
+    expect(JSON.parse(candidate.score_breakdown)).toEqual(expect.any(Object));
+    expect((await review.getAlbumReview(albumId)).mapping).toMatchObject({ mb_release_mbid: DOUBLE_LP });
+  });
+
+  test('should not accept releases or albums that cannot be found', async () => {
+    await storeCandidates({ [SINGLE_CD]: 0.5 });
+
+    expect(await review.accept(albumId, '00000000-0000-4000-8000-000000000000', 'reviewer')).toBeNull();
+    expect(await review.accept(999, DOUBLE_LP, 'reviewer')).toBeNull();
+    expect(await candidateStatuses()).toEqual({ [SINGLE_CD]: { status: 'pending', reviewed_by: null } });
+  });
+
+  test('should reject one candidate or all pending ones', async () => {
+    await storeCandidates({ [DOUBLE_LP]: 0.6, [SINGLE_CD]: 0.5, other: 0.4 });
+
+    expect(await review.reject(albumId, 'reviewer', SINGLE_CD)).toEqual({ albumId, rejected: 1, verifiedBy: 'reviewer' });
+    expect((await review.getAlbumReview(albumId)).candidates.map(candidate => candidate.mb_release_mbid))
+      .toEqual([DOUBLE_LP, 'other']);
+
+    expect(await review.reject(albumId, 'second reviewer')).toMatchObject({ rejected: 2 });
+    expect(await review.reject(albumId, 'second reviewer')).toMatchObject({ rejected: 0 });
+    expect(await candidateStatuses()).toEqual({
+      [DOUBLE_LP]: { status: 'rejected', reviewed_by: 'second reviewer' },
+      [SINGLE_CD]: { status: 'rejected', reviewed_by: 'reviewer' },
+      other: { status: 'rejected', reviewed_by: 'second reviewer' }
+    });
+    expect((await review.getAlbumReview(albumId)).mapping).toBeNull();
+    expect((await review.listPending()).total).toBe(0);
+    expect((await review.getDecisions()).decisions).toHaveLength(3);
+  });
+});
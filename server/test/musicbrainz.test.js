@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MusicBrainzClient = require('../lib/musicbrainz');
+
+// Lengths in milliseconds of the album's eight tracks
+const LENGTHS = [412000, 385000, 441000, 398000, 402000, 377000, 430000, 455000];
+
+const track = (length) => ({ length });
+
+// The same album twice: a 2xLP, and a CD with two bonus tracks
+const doubleLp = {
+  id: '11111111-1111-1111-1111-111111111111',
+  title: 'Kunststoff',
+  date: '1995',
+  'artist-credit': [{ name: 'Move D' }],
+  'label-info': [{ 'catalog-number': 'SRC 009', label: { name: 'Source Records' } }],
+  media: [
+    { format: '12" Vinyl', 'track-count': 4, tracks: LENGTHS.slice(0, 4).map(track) },
+    { format: '12" Vinyl', 'track-count': 4, tracks: LENGTHS.slice(4).map(track) }
+  ]
+};
+
+const bonusCd = {
+  id: '22222222-2222-2222-2222-222222222222',
+  title: 'Kunststoff',
+  date: '1995',
+  'artist-credit': [{ name: 'Move D' }],
+  'label-info': [{ 'catalog-number': 'SRC 009CD', label: { name: 'Source Records' } }],
+  media: [
+    { format: 'CD', 'track-count': 10, tracks: [...LENGTHS, 300000, 310000].map(track) }
+  ]
+};
+
+// Search results carry track counts but no track lengths
+const searchResult = (release) => ({
+  ...release,
+  'track-count': release.media.reduce((count, medium) => count + medium['track-count'], 0),
+  media: release.media.map(({ format, 'track-count': trackCount }) => ({ format, 'track-count': trackCount }))
+});
+
+describe('MusicBrainz release matching', () => {
+  let client;
+
+  const localTracks = LENGTHS.map((length, i) => ({
+    id: i + 1,
+    disc_number: i < 4 ? 1 : 2,
+    track_number: (i % 4) + 1,
+    duration: Math.round(length / 1000) + 1
+  }));
+  const album = { album_artist: 'Move D', album_title: 'Kunststoff', album_year: 1995, catalog_number: 'SRC009' };
+
+  beforeEach(() => {
+    client = new MusicBrainzClient();
+    client.makeRequest = jest.fn(async (endpoint) => {
+      if (endpoint === '/release') {
+        return { releases: [searchResult(bonusCd), searchResult(doubleLp)], count: 2 };
+      }
+      return [doubleLp, bonusCd].find(release => endpoint === `/release/${release.id}`);
+    });
+  });
+
+  test('should prefer the edition whose track list matches', async () => {
+    const candidates = await client.findReleaseCandidates('Move D', 'Kunststoff', 1995, {
+      album,
+      tracks: localTracks
+    });
+
+    expect(candidates.map(candidate => candidate.id)).toEqual([doubleLp.id, bonusCd.id]);
+    expect(candidates[0].details).toBe(doubleLp);
+    expect(candidates[0].confidence).toBeGreaterThan(0.95);
+    expect(candidates[1].confidence).toBeLessThan(candidates[0].confidence - 0.1);
+  });
+
+  test('should explain the score part by part', () => {
+    const { confidence, breakdown } = client.scoreReleaseMatch(bonusCd, {
+      artist: 'Move D',
+      title: 'Kunststoff',
+      year: 1995,
+      album,
+      tracks: localTracks
+    });
+
+    expect(Object.keys(breakdown)).toEqual(
+      ['artist', 'title', 'year', 'track_count', 'discs', 'durations', 'catalog_number']
+    );
+    expect(breakdown.track_count).toMatchObject({ score: 0.6, detail: '8 local vs 10 tracks' });
+    expect(breakdown.discs).toMatchObject({ score: 0, detail: '4+4 local vs CD 10' });
+    expect(breakdown.durations.score).toBe(1);
+    expect(breakdown.catalog_number.score).toBe(0.7);
+
+    // No label on the album, so the other weights are scaled up to make a whole
+    const weights = Object.values(breakdown).reduce((sum, part) => sum + part.weight, 0);
+    expect(weights).toBeCloseTo(1, 2);
+    const weighted = Object.values(breakdown).reduce((sum, part) => sum + part.score * part.weight, 0);
+    expect(confidence).toBeCloseTo(weighted, 2);
+  });
+
+  test('should keep scoring on artist, title and year without local tracks', async () => {
+    const candidates = await client.findReleaseCandidates('Move D', 'Kunststoff', 1995);
+
+    expect(candidates[0].confidence).toBe(1);
+    expect(candidates[0].score_breakdown).toBeUndefined();
+    expect(client.makeRequest).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MusicBrainz request statistics', () => {
+  // Stands in for ResponseCache, without the database
+  const memoryCache = () => {
+    const entries = new Map();
+    return {
+      get: async (key) => entries.get(key) || null,
+      set: async (key, endpoint, params, data) => { entries.set(key, data); },
+      getStats: async () => ({ entries: entries.size })
+    };
+  };
+
+  const throttled = () => Object.assign(new Error('MusicBrainz API error: 503 Service Unavailable'), {
+    statusCode: 503,
+    retryAfter: null
+  });
+
+  test('should back off after a 503 and count requests and cache hits', async () => {
+    const client = new MusicBrainzClient({ rateLimit: 5, cache: memoryCache() });
+    client.sendRequest = jest.fn()
+      .mockRejectedValueOnce(throttled())
+      .mockResolvedValue({ id: doubleLp.id });
+
+    expect(await client.makeRequest(`/release/${doubleLp.id}`)).toEqual({ id: doubleLp.id });
+    expect(await client.makeRequest(`/release/${doubleLp.id}`)).toEqual({ id: doubleLp.id });
+
+    expect(client.sendRequest).toHaveBeenCalledTimes(2);
+    const stats = await client.getStatistics();
+    expect(stats).toMatchObject({ backoffs: 1, errors: 0, cacheHits: 1, cacheMisses: 1, cacheHitRate: 0.5, cacheSize: 1 });
+  });
+
+  test('should give up after maxRetries', async () => {
+    const client = new MusicBrainzClient({ rateLimit: 1, maxRetries: 2 });
+    client.sendRequest = jest.fn().mockRejectedValue(throttled());
+
+    await expect(client.makeRequest('/artist', { query: 'Move D' })).rejects.toMatchObject({ statusCode: 503 });
+
+    expect(client.sendRequest).toHaveBeenCalledTimes(3);
+    expect(client.stats).toMatchObject({ backoffs: 2, errors: 1 });
+  });
+
+  test('should cache in files when given a directory instead of a cache', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-mb-cache-'));
+    const client = new MusicBrainzClient({ rateLimit: 0, cacheDir, cacheExpiry: 60 * 1000 });
+    client.sendRequest = jest.fn().mockResolvedValue({ id: doubleLp.id });
+
+    try {
+      await client.makeRequest(`/release/${doubleLp.id}`);
+      expect(await client.makeRequest(`/release/${doubleLp.id}`)).toEqual({ id: doubleLp.id });
+      expect(client.sendRequest).toHaveBeenCalledTimes(1);
+
+      // Long expired: fetched again by a refresh until the retention period is over, then evicted
+      const [file] = fs.readdirSync(cacheDir).map(name => path.join(cacheDir, name));
+      const fetchedAt = new Date(Date.now() - 2 * 60 * 1000);
+      fs.utimesSync(file, fetchedAt, fetchedAt);
+      expect(await client.cache.listStale()).toEqual([
+        expect.objectContaining({ endpoint: `/release/${doubleLp.id}`, params: {} })
+      ]);
+
+      client.cache.staleRetention = 1;
+      expect(await client.cache.evict()).toEqual({ expired: 1, overflow: 0, removed: 1 });
+      expect((await client.getStatistics()).cacheSize).toBe(0);
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MusicBrainzClient = require('../lib/musicbrainz');
+const MusicBrainzReplayServer = require('../lib/musicbrainzReplay');
+
+const FIXTURES = path.join(__dirname, 'fixtures/musicbrainz');
+const DOUBLE_LP = '7d3c1f0e-2b9a-4e55-8c61-3a0f9d2e4b17';
+const MOVE_D = 'b0f0c4a1-3a5e-4c1b-9f0e-5d1f2e7a9c01';
+
+describe('MusicBrainz offline mode', () => {
+  const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-mb-record-'));
+  let replayServer;
+  let client;
+
+  beforeAll(async () => {
+    replayServer = new MusicBrainzReplayServer({ fixturesDir: FIXTURES });
+    client = new MusicBrainzClient({ baseUrl: await replayServer.start(), rateLimit: 0 });
+  });
+
+  afterAll(async () => {
+    await replayServer.stop();
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  });
+
+  test('should enrich an album from recorded responses', async () => {
+    const album = { album_artist: 'Move D', album_title: 'Kunststoff', album_year: 1995, catalog_number: 'SRC009' };
+    const tracks = [412, 385, 441, 398, 402, 377, 430, 455].map((duration, i) => ({
+      disc_number: i < 4 ? 1 : 2,
+      track_number: (i % 4) + 1,
+      duration
+    }));
+
+    const enriched = await client.enrichAlbumMetadata(album, { tracks, throwOnError: true });
+
+    expect(enriched).toMatchObject({ musicbrainz_release_id: DOUBLE_LP, artist_mbid: MOVE_D });
+    expect(enriched.confidence).toBeGreaterThan(0.95);
+    expect(enriched.relationships).toEqual([
+      expect.objectContaining({ type: 'member of band', targetName: 'Deep Space Network' })
+    ]);
+    expect(replayServer.misses).toBe(0);
+  });
+
+  test('should answer unknown releases with a 404', async () => {
+    const unknown = '00000000-0000-4000-8000-000000000000';
+
+    expect(await client.getRelease(unknown)).toBeNull();
+    await expect(client.getRelease(unknown, undefined, { throwOnError: true }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should replay what it recorded', async () => {
+    const recorder = new MusicBrainzClient({ baseUrl: replayServer.getUrl(), rateLimit: 0, recordDir });
+    const search = await recorder.searchReleases('Move D', 'Kunststoff', { year: 1995, limit: 5 });
+    const release = await recorder.getRelease(DOUBLE_LP, ['labels']);
+
+    expect(search.count).toBe(2);
+    expect(fs.readdirSync(recordDir)).toHaveLength(2);
+
+    const replayed = new MusicBrainzReplayServer({ fixturesDir: recordDir });
+    const offline = new MusicBrainzClient({ baseUrl: await replayed.start(), rateLimit: 0 });
+
+    try {
+      expect(await offline.searchReleases('Move D', 'Kunststoff', { year: 1995, limit: 5 })).toEqual(search);
+      expect(await offline.getRelease(DOUBLE_LP, ['labels'])).toEqual(release);
+      // Search results are releases too, though without their track lists
+      expect((await offline.getRelease('e2a9b6c4-5f13-4d7e-b0a8-9c4e1f6d3a52')).title).toBe('Kunststoff');
+      expect(replayed.misses).toBe(0);
+    } finally {
+      await replayed.stop();
+    }
+  });
+});
@@ -23,6 +23,7 @@ module.exports = [
         clearTimeout: 'readonly',
         setInterval: 'readonly',
         clearInterval: 'readonly',
+        AbortController: 'readonly',
         
         // Browser globals (for client-side JS)
         window: 'readonly',
@@ -86,7 +87,12 @@ module.exports = [
       globals: {
         // Additional browser/library globals
         Chart: 'readonly',
-        d3: 'readonly'
+        d3: 'readonly',
+        TextDecoder: 'readonly',
+        URLSearchParams: 'readonly',
+        performance: 'readonly',
+        requestAnimationFrame: 'readonly',
+        cancelAnimationFrame: 'readonly'
       }
     },
     rules: {
@@ -37,6 +37,12 @@ CREATE TABLE IF NOT EXISTS tracks (
     bitrate INTEGER,
     sample_rate INTEGER,
     path TEXT NOT NULL,
+    fingerprint TEXT,
+    fingerprint_duration REAL,
+    fingerprint_error TEXT,
+    fingerprinted_at TEXT,
+    fingerprint_cluster INTEGER,
+    fingerprint_similarity REAL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE
 );
@@ -775,6 +775,11 @@ function showError(message, context = '', duration = 10000) {
     }
 }
 
+// Success counterpart to showError
+function showSuccess(message, duration = 4000) {
+    showNotification(message, duration);
+}
+
 // Create error container if it doesn't exist
 function createErrorContainer() {
     let container = document.getElementById('error-container');
@@ -891,6 +896,7 @@ function showTab(tabName) {
             break;
         case 'actions':
             initActionsTab();
+            loadEnhancementReview();
             break;
         case 'health':
             loadCollectionHealth();
@@ -996,27 +1002,79 @@ async function loadOverview() {
     }
 }
 
-// Load albums list
+// Album fields the albums table and grid show
+function toAlbumListItem(album) {
+    return {
+        id: album.id,
+        artist: album.album_artist || album.artist,
+        album: album.album_title || album.album,
+        year: album.year,
+        label: album.label,
+        quality: album.quality,
+        organization_mode: album.organization_mode || 'artist'
+    };
+}
+
+// Read an NDJSON response line by line, calling onItem for each object as it arrives
+async function streamNdjsonAPI(endpoint, onItem, signal) {
+    const response = await fetch(API_BASE + endpoint, { signal });
+    if (!response.ok) {
+        let message = response.statusText || `HTTP ${response.status}`;
+        try {
+            const errorData = await response.json();
+            message = errorData.error || message;
+        } catch (parseError) {
+            // Keep the status text
+        }
+        throw new Error(message);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (!line.trim()) {continue;}
+            const item = JSON.parse(line);
+            if (item.error) {
+                throw new Error(item.error);
+            }
+            onItem(item);
+        }
+        if (done) {break;}
+    }
+}
+
+// Load albums list: the whole collection, streamed in the chosen sort order
 async function loadAlbums() {
+    const request = startAlbumList('all');
+    const { sortBy, sortOrder } = currentAlbumSort();
+    const params = new URLSearchParams({ sortBy, sortOrder });
+    let lastRender = 0;
+    
     try {
-        const response = await fetchAPI('/api/albums?limit=100');
-        const albums = response.albums || []; // Extract albums array from response
-        
-        // Update the global albums data for search system
-        allAlbumsData = albums.map(album => ({
-            id: album.id,
-            artist: album.album_artist || album.artist,
-            album: album.album_title || album.album,
-            year: album.year,
-            label: album.label,
-            quality: album.quality,
-            organization_mode: album.organization_mode || 'artist'
-        }));
+        await streamNdjsonAPI(`/api/albums/stream?${params.toString()}`, album => {
+            allAlbumsData.push(toAlbumListItem(album));
+            
+            // Show the first albums straight away, then redraw a few times a second while the rest arrive
+            if (allAlbumsData.length === 100 || performance.now() - lastRender > 250) {
+                lastRender = performance.now();
+                updateAlbumsDisplay();
+            }
+        }, albumListState.controller.signal);
         
-        // Update the display
         updateAlbumsDisplay();
         
     } catch (error) {
+        // A newer load or search replaced this one
+        if (error.name === 'AbortError' || request !== albumListState.request) {return;}
+        
         showError('Failed to load albums: ' + error.message);
         // Fallback to empty state
         allAlbumsData = [];
@@ -1271,32 +1329,70 @@ async function loadTimeline() {
     }
 }
 
-// Load move history
+// Load move history, grouped by processing run
 async function loadMoves() {
     try {
-        const response = await fetchAPI('/api/moves?limit=50');
-        const moves = response.moves || [];
+        const response = await fetchAPI('/api/moves?limit=20');
+        const runs = response.runs || [];
         const tbody = document.getElementById('moves-tbody');
         
-        if (moves.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4">No moves recorded</td></tr>';
+        if (runs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5">No moves recorded</td></tr>';
             return;
         }
         
-        tbody.innerHTML = moves.map(move => `
-            <tr>
-                <td>${new Date(move.move_date).toLocaleString()}</td>
-                <td>${move.source_path}</td>
-                <td>${move.destination_path}</td>
-                <td>${move.move_type || 'move'}</td>
-            </tr>
-        `).join('');
+        tbody.innerHTML = runs.map(run => {
+            const counts = run.counts;
+            const header = `
+                <tr class="move-run">
+                    <td>${run.startedAt ? new Date(run.startedAt).toLocaleString() : '-'}</td>
+                    <td colspan="2"><strong>${escapeHtml(run.runId)}</strong> - ${counts.moved} moved, ${counts.failed} failed, ${counts.rolledBack} rolled back</td>
+                    <td></td>
+                    <td>${counts.moved > 0 ? `<button class="action-btn secondary" onclick="rollbackMoveRun('${escapeHtml(run.runId)}')">↩️ Undo run</button>` : ''}</td>
+                </tr>
+            `;
+            
+            const rows = run.moves.map(move => `
+                <tr>
+                    <td>${move.startedAt ? new Date(move.startedAt).toLocaleString() : '-'}</td>
+                    <td>${escapeHtml(move.sourcePath)}</td>
+                    <td>${escapeHtml(move.destinationPath)}</td>
+                    <td title="${escapeHtml(move.error || '')}">${escapeHtml(move.status)}</td>
+                    <td>${move.status === 'SUCCESS' ? `<button class="action-btn secondary" onclick="rollbackMove('${escapeHtml(move.id)}')">↩️ Undo</button>` : ''}</td>
+                </tr>
+            `).join('');
+            
+            return header + rows;
+        }).join('');
         
     } catch (error) {
         showError('Failed to load moves: ' + error.message);
     }
 }
 
+// Move a single album back to where it came from
+async function rollbackMove(moveId) {
+    if (!confirm('Move this album back to its original location?')) {return;}
+    await requestRollback(`/api/moves/${encodeURIComponent(moveId)}/rollback`);
+}
+
+// Move every album of a run back
+async function rollbackMoveRun(runId) {
+    if (!confirm(`Move every album from run ${runId} back to its original location?`)) {return;}
+    await requestRollback(`/api/moves/runs/${encodeURIComponent(runId)}/rollback`);
+}
+
+async function requestRollback(endpoint) {
+    try {
+        const result = await fetchAPI(endpoint, { method: 'POST' });
+        showSuccess(`✅ ${result.message}`);
+    } catch (error) {
+        showError('Rollback failed: ' + error.message);
+    }
+    
+    loadMoves();
+}
+
 // Load collection health metrics
 async function loadCollectionHealth() {
     try {
@@ -1382,21 +1478,11 @@ async function loadCollectionHealth() {
 // Load duplicate analysis
 async function loadDuplicateAnalysis() {
     try {
-        const duplicates = await fetchAPI('/api/duplicates');
-        
-        if (!duplicates.analysis_available) {
-            document.getElementById('duplicate-status').style.display = 'none';
-            document.getElementById('duplicate-message').style.display = 'block';
-            document.getElementById('duplicate-message').innerHTML = `
-                <p>${duplicates.message}</p>
-                <p><strong>To run duplicate detection:</strong></p>
-                <code>./find_duplicates.sh full -s /path/to/music</code>
-            `;
-            return;
-        }
+        const duplicates = await fetchAPI('/api/duplicates?limit=50');
         
         document.getElementById('duplicate-status').style.display = 'grid';
-        document.getElementById('duplicate-message').style.display = 'none';
+        document.getElementById('duplicate-message').style.display = duplicates.total > 0 ? 'none' : 'block';
+        document.getElementById('duplicate-message').innerHTML = '<p>No duplicate albums found 🎉</p>';
         
         // Update duplicate stats
         const overview = duplicates.overview;
@@ -1406,7 +1492,9 @@ async function loadDuplicateAnalysis() {
         // Format savings
         const savingsGB = (overview.potential_savings_bytes || 0) / (1024 * 1024 * 1024);
         document.getElementById('potential-savings').textContent = savingsGB.toFixed(1) + ' GB';
-        document.getElementById('duplicate-score').textContent = '87%'; // Mock average confidence
+        document.getElementById('duplicate-score').textContent = overview.average_confidence !== null
+            ? Math.round(overview.average_confidence * 100) + '%'
+            : '-';
         
         // Quality distribution chart
         if (charts.duplicateQuality) {charts.duplicateQuality.destroy();}
@@ -1431,31 +1519,179 @@ async function loadDuplicateAnalysis() {
             }
         });
         
-        // Top duplicate groups table
+        // Duplicate groups, each followed by its copies best first
         const tbody = document.getElementById('duplicate-groups-tbody');
-        if (duplicates.top_groups.length > 0) {
-            tbody.innerHTML = duplicates.top_groups.map(group => {
-                const sizeGB = (group.total_size / (1024 * 1024 * 1024)).toFixed(2);
-                return `
-                    <tr>
+        if (duplicates.groups.length > 0) {
+            tbody.innerHTML = duplicates.groups.map(group => {
+                const best = group.albums[0];
+                const header = `
+                    <tr class="move-run">
                         <td>${group.album_count}</td>
-                        <td>${group.best_album.split('/').pop()}</td>
-                        <td>${group.best_format.toUpperCase()}</td>
-                        <td>${group.best_quality}</td>
-                        <td>${sizeGB} GB</td>
-                        <td>${Math.round(group.duplicate_score * 100)}%</td>
+                        <td><strong>${escapeHtml(group.artist || '')} - ${escapeHtml(group.title || '')}</strong></td>
+                        <td>${escapeHtml((best.format || '-').toUpperCase())}</td>
+                        <td>${best.score}</td>
+                        <td>${formatBytes(group.potential_savings_bytes || 0)}</td>
+                        <td>${Math.round(group.confidence * 100)}%</td>
+                        <td><button class="action-btn secondary" onclick="resolveDuplicateGroup('${group.id}')">🧹 Keep best</button></td>
                     </tr>
                 `;
+                const copies = group.albums.map(album => `
+                    <tr>
+                        <td>${album.recommended ? '⭐' : ''}</td>
+                        <td title="${escapeHtml(album.path || '')}">${escapeHtml((album.path || '').split('/').pop())}</td>
+                        <td>${escapeHtml((album.format || '-').toUpperCase())}${album.avg_bitrate ? ` ${album.avg_bitrate} kbps` : ''}</td>
+                        <td>${album.score} (${album.track_count}/${album.expected_tracks} tracks)</td>
+                        <td>${album.size_bytes ? formatBytes(album.size_bytes) : '-'}</td>
+                        <td></td>
+                        <td>${album.recommended ? '' : `<button class="action-btn secondary" onclick="resolveDuplicateGroup('${group.id}', ${album.id})">Keep this</button>`}</td>
+                    </tr>
+                `).join('');
+                return header + copies;
             }).join('');
         } else {
-            tbody.innerHTML = '<tr><td colspan="6">No duplicates found! 🎉</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="7">No duplicates found! 🎉</td></tr>';
         }
         
+        loadAudioDuplicates();
+        loadDuplicateQuarantine();
+        
     } catch (error) {
         showError('Failed to load duplicate analysis: ' + error.message);
     }
 }
 
+// Keep one copy of a duplicate group (the recommended one unless given) and quarantine the rest
+async function resolveDuplicateGroup(groupId, keep = null) {
+    if (!confirm('Move the other copies of this album to the quarantine folder?')) {return;}
+    try {
+        const result = await fetchAPI(`/api/duplicates/${encodeURIComponent(groupId)}/resolve`, {
+            method: 'POST',
+            body: JSON.stringify(keep === null ? {} : { keep })
+        });
+        showSuccess(`✅ ${result.message}`);
+    } catch (error) {
+        showError('Resolving duplicates failed: ' + error.message);
+    }
+    
+    loadDuplicateAnalysis();
+}
+
+// Tracks in different albums with the same audio but other titles or artists
+async function loadAudioDuplicates() {
+    const tbody = document.getElementById('audio-duplicates-tbody');
+    try {
+        const { overview, clusters } = await fetchAPI('/api/duplicates/audio?differentMetadata=true&limit=50');
+        document.getElementById('fingerprint-coverage').textContent =
+            `${overview.fingerprinted_tracks} of ${overview.total_tracks} tracks fingerprinted` +
+            (overview.failed_tracks > 0 ? `, ${overview.failed_tracks} failed` : '') +
+            ` · ${overview.clusters} clusters of the same audio, ${overview.clusters_with_different_metadata} with different metadata`;
+        
+        tbody.innerHTML = clusters.length > 0
+            ? clusters.map(cluster => {
+                const header = `
+                    <tr class="move-run">
+                        <td colspan="4"><strong>${cluster.track_count} tracks in ${cluster.album_count} albums</strong> (${escapeHtml(cluster.differences.join(' and '))} differ)</td>
+                        <td>${Math.round(cluster.similarity * 100)}%</td>
+                    </tr>
+                `;
+                const tracks = cluster.tracks.map(track => `
+                    <tr>
+                        <td title="${escapeHtml(track.path || '')}">${escapeHtml(track.title || '-')}</td>
+                        <td>${escapeHtml(track.artist || '-')}</td>
+                        <td>${escapeHtml(track.album_artist || '')} - ${escapeHtml(track.album_title || '')}</td>
+                        <td>${track.duration ? formatDuration(track.duration) : '-'}</td>
+                        <td>${Math.round(track.similarity * 100)}%</td>
+                    </tr>
+                `).join('');
+                return header + tracks;
+            }).join('')
+            : '<tr><td colspan="5">No tracks with the same audio and different metadata</td></tr>';
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="5">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+async function startFingerprinting() {
+    if (!confirm('Compute acoustic fingerprints for all tracks that do not have one yet? This can take a long time on a large library.')) {return;}
+    
+    const progressSection = document.getElementById('fingerprint-progress');
+    const statusText = document.getElementById('fingerprint-status');
+    
+    progressSection.style.display = 'block';
+    document.getElementById('fingerprint-progress-bar').style.width = '0%';
+    statusText.textContent = 'Starting fingerprinting...';
+    
+    try {
+        const result = await fetchAPI('/api/actions/fingerprint', { method: 'POST', body: JSON.stringify({}) });
+        trackFingerprintJob(result.jobId);
+    } catch (error) {
+        showError('Failed to start fingerprinting: ' + error.message);
+        statusText.textContent = 'Fingerprinting failed to start';
+    }
+}
+
+// Poll a fingerprint job until it finishes
+async function trackFingerprintJob(jobId) {
+    const progressBar = document.getElementById('fingerprint-progress-bar');
+    const statusText = document.getElementById('fingerprint-status');
+    
+    try {
+        const { job } = await fetchAPI(`/api/jobs/${jobId}`);
+        const counts = `${job.fingerprintedCount} fingerprinted, ${job.failedCount} failed`;
+        
+        progressBar.style.width = (job.progress || 0) + '%';
+        
+        if (['completed', 'failed', 'cancelled', 'interrupted'].includes(job.status)) {
+            statusText.textContent = `Fingerprinting ${job.status}: ${counts}`;
+            if (job.status === 'failed') {
+                showError('Fingerprinting failed: ' + (job.error || 'Unknown error'));
+            }
+            loadAudioDuplicates();
+            return;
+        }
+        
+        statusText.textContent = job.status === 'clustering'
+            ? `Comparing fingerprints (${counts})`
+            : `Fingerprinting track ${job.processedTracks + 1} of ${job.totalTracks} (${counts})`;
+        setTimeout(() => trackFingerprintJob(jobId), 2000);
+        
+    } catch (error) {
+        statusText.textContent = 'Lost track of fingerprint job: ' + error.message;
+    }
+}
+
+// Albums quarantined by resolving duplicates, with restore
+async function loadDuplicateQuarantine() {
+    const tbody = document.getElementById('duplicate-quarantine-tbody');
+    try {
+        const { entries } = await fetchAPI('/api/duplicates/quarantine?status=quarantined');
+        tbody.innerHTML = entries.length > 0
+            ? entries.map(entry => `
+                <tr>
+                    <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>${escapeHtml(entry.album.artist || '')} - ${escapeHtml(entry.album.title || '')}</td>
+                    <td>${escapeHtml(entry.originalPath)}</td>
+                    <td><button class="action-btn secondary" onclick="restoreQuarantinedAlbum(${entry.id})">↩️ Restore</button></td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="4">Nothing in quarantine</td></tr>';
+    } catch (error) {
+        tbody.innerHTML = `<tr><td colspan="4">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+async function restoreQuarantinedAlbum(entryId) {
+    if (!confirm('Move this album back to its original location?')) {return;}
+    try {
+        const result = await fetchAPI(`/api/duplicates/quarantine/${entryId}/restore`, { method: 'POST' });
+        showSuccess(`✅ ${result.message}`);
+    } catch (error) {
+        showError('Restore failed: ' + error.message);
+    }
+    
+    loadDuplicateAnalysis();
+}
+
 // Load advanced insights
 async function loadAdvancedInsights() {
     try {
@@ -2236,6 +2472,154 @@ async function startProcessing(moveFiles = false) {
     }
 }
 
+// Processing plan review
+let currentPlanId = null;
+let planPollTimer = null;
+
+// Generate a dry-run plan that can be reviewed before anything is moved
+async function createProcessingPlan() {
+    const sourceSelect = document.getElementById('source-directory');
+    const customInput = document.getElementById('custom-source');
+    const enableDiscogs = document.getElementById('enable-discogs').checked;
+    
+    let sourcePath = sourceSelect.value;
+    if (sourcePath === 'custom') {
+        sourcePath = customInput.value.trim();
+        if (!sourcePath) {
+            showError('Please enter a custom source directory');
+            return;
+        }
+    }
+    
+    try {
+        const result = await fetchAPI('/api/plans', {
+            method: 'POST',
+            body: JSON.stringify({
+                sourcePath: sourcePath,
+                enableDiscogs: enableDiscogs
+            })
+        });
+        
+        showSuccess(`📋 Generating plan #${result.planId}...`);
+        loadProcessingPlan(result.planId);
+    } catch (error) {
+        showError('Failed to create plan: ' + error.message);
+    }
+}
+
+// Load a plan and keep polling while the script is still running
+async function loadProcessingPlan(planId) {
+    currentPlanId = planId;
+    clearTimeout(planPollTimer);
+    
+    const card = document.getElementById('plan-review-card');
+    card.style.display = 'block';
+    
+    try {
+        const data = await fetchAPI(`/api/plans/${planId}`);
+        renderProcessingPlan(data.plan, data.entries);
+        
+        if (['generating', 'applying'].includes(data.plan.status)) {
+            planPollTimer = setTimeout(() => loadProcessingPlan(planId), 2000);
+        }
+    } catch (error) {
+        document.getElementById('plan-status').textContent = 'Failed to load plan: ' + error.message;
+    }
+}
+
+function renderProcessingPlan(plan, entries) {
+    const counts = plan.counts || {};
+    const summary = ['pending', 'approved', 'excluded', 'applied', 'failed']
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${status}`)
+        .join(', ');
+    
+    document.getElementById('plan-status').textContent =
+        `Plan #${plan.id} (${plan.status}) - ${plan.sourcePath}${summary ? ' - ' + summary : ''}`;
+    
+    const editable = plan.status === 'ready';
+    document.querySelectorAll('#plan-review-card .action-btn').forEach(btn => btn.disabled = !editable);
+    
+    const tbody = document.getElementById('plan-entries-tbody');
+    if (entries.length === 0) {
+        const message = plan.status === 'generating' ? 'Scanning albums...' : 'No albums to organize';
+        tbody.innerHTML = `<tr><td colspan="7" class="loading">${message}</td></tr>`;
+        return;
+    }
+    
+    tbody.innerHTML = entries.map(entry => {
+        const reviewable = editable && ['pending', 'approved', 'excluded'].includes(entry.status);
+        const confidence = entry.confidence === null || entry.confidence === undefined
+            ? '-'
+            : `${Math.round(entry.confidence * 100)}%${entry.lowConfidence ? ' ⚠️' : ''}`;
+        
+        return `
+            <tr${entry.lowConfidence ? ' class="low-confidence"' : ''}>
+                <td>
+                    <input type="checkbox" ${entry.status === 'approved' ? 'checked' : ''} ${reviewable ? '' : 'disabled'}
+                        onchange="togglePlanEntry(${entry.id}, this.checked)">
+                </td>
+                <td title="${escapeHtml(entry.sourcePath)}">${escapeHtml(entry.sourcePath)}</td>
+                <td>
+                    <input type="text" class="search-input" value="${escapeHtml(entry.destination || '')}" ${reviewable ? '' : 'disabled'}
+                        onchange="updatePlanDestination(${entry.id}, this.value)">
+                </td>
+                <td>${escapeHtml(entry.quality || '-')}</td>
+                <td>${escapeHtml(entry.organizationMode || '-')}</td>
+                <td>${confidence}</td>
+                <td title="${escapeHtml(entry.error || entry.reason || '')}">${escapeHtml(entry.status)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function togglePlanEntry(entryId, include) {
+    await patchPlanEntries(`/api/plans/${currentPlanId}/entries/${entryId}`, {
+        status: include ? 'approved' : 'excluded'
+    });
+}
+
+async function updatePlanDestination(entryId, destination) {
+    await patchPlanEntries(`/api/plans/${currentPlanId}/entries/${entryId}`, {
+        destination: destination.trim()
+    });
+}
+
+async function setAllPlanEntries(status) {
+    await patchPlanEntries(`/api/plans/${currentPlanId}/entries`, { status });
+}
+
+async function patchPlanEntries(endpoint, changes) {
+    if (!currentPlanId) {return;}
+    
+    try {
+        await fetchAPI(endpoint, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    } catch (error) {
+        showError('Failed to update plan: ' + error.message);
+    }
+    
+    // Reload either way so the table reflects what was actually stored
+    loadProcessingPlan(currentPlanId);
+}
+
+// Move only the approved albums to their reviewed destinations
+async function applyProcessingPlan() {
+    if (!currentPlanId) {return;}
+    if (!confirm('Move all approved albums to their planned destinations?')) {return;}
+    
+    try {
+        const result = await fetchAPI(`/api/plans/${currentPlanId}/apply`, { method: 'POST' });
+        showSuccess(`✅ Applying ${result.entries} approved album(s)...`);
+    } catch (error) {
+        showError('Failed to apply plan: ' + error.message);
+    }
+    
+    loadProcessingPlan(currentPlanId);
+}
+
 // Handle processing updates from WebSocket
 function handleProcessingUpdate(data) {
     const progressBar = document.getElementById('processing-progress-bar');
@@ -2270,56 +2654,31 @@ function handleProcessingUpdate(data) {
 
 // Enhance existing metadata
 async function enhanceMetadata() {
-    const enableDiscogs = document.getElementById('enable-discogs').checked;
+    const enableMusicBrainz = document.getElementById('enable-musicbrainz').checked;
     
-    if (!enableDiscogs) {
-        showError('Please enable Discogs lookup for metadata enhancement');
+    if (!enableMusicBrainz) {
+        showError('Please enable MusicBrainz lookup for metadata enhancement');
         return;
     }
     
-    if (!confirm('This will re-process your first 10 organized albums with Discogs enrichment. Continue?')) {
+    if (!confirm('This will look up 10 albums without a MusicBrainz release. Confident matches are applied, the rest are queued for review. Continue?')) {
         return;
     }
     
-    // Subscribe to enhancement updates
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({
-            type: 'subscribe',
-            channels: ['processing']
-        }));
-    }
-    
-    // Show progress in the processing section
-    const progressSection = document.getElementById('processing-progress');
-    const progressBar = document.getElementById('processing-progress-bar');
-    const statusText = document.getElementById('processing-status');
-    const logElement = document.getElementById('processing-log');
+    const progressSection = document.getElementById('enhancement-progress');
+    const statusText = document.getElementById('enhancement-status');
     
     progressSection.style.display = 'block';
-    progressBar.style.width = '10%';
+    document.getElementById('enhancement-progress-bar').style.width = '0%';
     statusText.textContent = 'Starting metadata enhancement...';
-    logElement.textContent = '';
     
     try {
-        const response = await fetch('/api/actions/enhance-metadata', {
+        const result = await fetchAPI('/api/actions/enhance-metadata', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                force: false
-            })
+            body: JSON.stringify({ provider: 'musicbrainz', limit: 10 })
         });
         
-        const result = await response.json();
-        
-        if (response.ok) {
-            statusText.textContent = 'Metadata enhancement started...';
-            progressBar.style.width = '20%';
-            logElement.textContent += `${result.description}\n`;
-        } else {
-            throw new Error(result.error || 'Failed to start metadata enhancement');
-        }
+        trackEnhancementJob(result.jobId);
         
     } catch (error) {
         showError('Failed to start metadata enhancement: ' + error.message);
@@ -2327,6 +2686,75 @@ async function enhanceMetadata() {
     }
 }
 
+// Poll an enhancement job until it finishes
+async function trackEnhancementJob(jobId) {
+    const progressBar = document.getElementById('enhancement-progress-bar');
+    const statusText = document.getElementById('enhancement-status');
+    
+    try {
+        const { job } = await fetchAPI(`/api/jobs/${jobId}`);
+        const counts = `${job.enhancedCount} applied, ${job.queuedCount} to review, ` +
+            `${job.skippedCount} without match, ${job.failedCount} failed`;
+        
+        progressBar.style.width = (job.progress || 0) + '%';
+        
+        if (['completed', 'failed', 'cancelled', 'interrupted'].includes(job.status)) {
+            statusText.textContent = `Enhancement ${job.status}: ${counts}`;
+            if (job.status === 'failed') {
+                showError('Metadata enhancement failed: ' + (job.error || 'Unknown error'));
+            }
+            loadEnhancementReview();
+            return;
+        }
+        
+        statusText.textContent = `Looking up album ${job.processedAlbums + 1} of ${job.totalAlbums} (${counts})`;
+        setTimeout(() => trackEnhancementJob(jobId), 2000);
+        
+    } catch (error) {
+        statusText.textContent = 'Lost track of enhancement job: ' + error.message;
+    }
+}
+
+// Show matches below the auto-apply threshold
+async function loadEnhancementReview() {
+    const container = document.getElementById('enhancement-review');
+    const list = document.getElementById('enhancement-review-list');
+    
+    try {
+        const { matches, total } = await fetchAPI('/api/enhancements?status=pending&limit=20');
+        container.style.display = total > 0 ? 'block' : 'none';
+        
+        list.innerHTML = matches.map(match => `
+            <div class="review-item">
+                <strong>${escapeHtml(match.album ? `${match.album.artist} - ${match.album.title}` : `Album ${match.albumId}`)}</strong>
+                <span>(confidence ${Math.round(match.confidence * 100)}%)</span>
+                <ul>
+                    ${match.changes.map(change => `
+                        <li>${escapeHtml(change.field)}: ${escapeHtml(String(change.before ?? '(empty)'))} → ${escapeHtml(String(change.after))}</li>
+                    `).join('')}
+                </ul>
+                <button class="action-btn secondary" onclick="reviewEnhancement(${match.id}, 'approve')">✅ Apply</button>
+                <button class="action-btn secondary" onclick="reviewEnhancement(${match.id}, 'reject')">🚫 Reject</button>
+            </div>
+        `).join('') + (total > matches.length ? `<p>${total - matches.length} more waiting</p>` : '');
+        
+    } catch (error) {
+        console.error('Failed to load metadata matches:', error);
+    }
+}
+
+// Approve or reject a queued match
+async function reviewEnhancement(matchId, action) {
+    try {
+        const result = await fetchAPI(`/api/enhancements/${matchId}/${action}`, { method: 'POST' });
+        showSuccess(`✅ ${result.message}`);
+    } catch (error) {
+        showError('Review failed: ' + error.message);
+    }
+    
+    loadEnhancementReview();
+}
+
 // Start database backup
 async function startDatabaseBackup() {
     const indicator = document.getElementById('db-backup-indicator');
@@ -2359,13 +2787,42 @@ async function startDatabaseBackup() {
     }
 }
 
-// Restore database
+// Restore database from the most recent verified backup
 async function restoreDatabase() {
-    if (!confirm('Are you sure you want to restore the database? This will overwrite current data.')) {
-        return;
+    const indicator = document.getElementById('db-backup-indicator');
+    const text = document.getElementById('db-backup-text');
+
+    try {
+        const { backups } = await fetchAPI('/api/backup/databases');
+        if (!backups || backups.length === 0) {
+            showError('No database backups available to restore');
+            return;
+        }
+
+        const latest = backups[0];
+        const created = new Date(latest.createdAt).toLocaleString();
+        if (!confirm(`Restore the database from the backup taken ${created}? This will overwrite current data (a safety backup is taken first).`)) {
+            return;
+        }
+
+        indicator.textContent = '⏳';
+        text.textContent = 'Restoring backup...';
+
+        const result = await fetchAPI('/api/backup/restore', {
+            method: 'POST',
+            body: JSON.stringify({ backupId: latest.id })
+        });
+
+        indicator.textContent = '✅';
+        text.textContent = `Restored ${result.restored.join(', ')} from ${created}`;
+        showToast('Database restored successfully');
+        loadOverview();
+
+    } catch (error) {
+        indicator.textContent = '❌';
+        text.textContent = 'Restore failed';
+        showError('Database restore failed: ' + error.message);
     }
-    showError('Database restore not yet implemented');
-    // TODO: Implement database restore functionality
 }
 
 // Global backup state
@@ -2437,7 +2894,7 @@ function createStatusDiv() {
 }
 
 // Start cloud backup
-async function startCloudBackup() {
+async function startCloudBackup(dryRun = false) {
     // First check if any backups are running
     const status = await checkBackupStatus();
     if (status && status.hasRunning) {
@@ -2489,6 +2946,7 @@ async function startCloudBackup() {
             },
             body: JSON.stringify({
                 target: target,
+                dryRun: dryRun === true,
                 force: true // Override any remaining conflicts
             })
         });
@@ -2602,12 +3060,16 @@ function handleBackupUpdate(data) {
         case 'backup_update':
             indicator.textContent = '⏳';
             text.textContent = 'Backup in progress...';
-            if (data.data.backupId) {
-                statusText.textContent = `Syncing files... (${data.data.backupId})`;
+            if (data.data.currentFile) {
+                statusText.textContent = `Uploading ${data.data.fileIndex}/${data.data.totalFiles}: ${data.data.currentFile}`;
+            } else if (data.data.stage) {
+                statusText.textContent = `${data.data.stage.charAt(0).toUpperCase()}${data.data.stage.slice(1)}... (${data.data.backupId})`;
             } else {
                 statusText.textContent = 'Syncing files...';
             }
-            progressBar.style.width = '60%';
+            if (typeof data.data.progress === 'number') {
+                progressBar.style.width = `${data.data.progress}%`;
+            }
             
             // Update backup status if we have an active backup
             if (data.data.backupId && currentBackupId !== data.data.backupId) {
@@ -2619,7 +3081,14 @@ function handleBackupUpdate(data) {
             if (data.data.success) {
                 indicator.textContent = '✅';
                 text.textContent = 'Backup completed successfully';
-                statusText.textContent = `All files synced (${data.data.backupId || 'Unknown'})`;
+                const summary = data.data.summary;
+                if (summary && summary.dryRun) {
+                    statusText.textContent = `Dry run: ${summary.totalFiles} of ${summary.scannedFiles} files would be uploaded`;
+                } else if (summary) {
+                    statusText.textContent = `Uploaded ${summary.uploadedFiles} files, ${summary.skippedFiles} unchanged (${data.data.backupId})`;
+                } else {
+                    statusText.textContent = `All files synced (${data.data.backupId || 'Unknown'})`;
+                }
                 progressBar.style.width = '100%';
                 showSuccess(`✅ Backup completed: ${data.data.backupId || 'Unknown'}`);
             } else {
@@ -3182,6 +3651,86 @@ let currentViewMode = 'table';
 const searchCache = {};
 let allAlbumsData = [];
 
+// Sort options mapped to the server's sort keys; albums are sorted by the server across the whole list
+const ALBUM_SORTS = {
+    'recent': ['created_at', 'DESC'],
+    'artist': ['album_artist', 'ASC'],
+    'album': ['album_title', 'ASC'],
+    'year-desc': ['year', 'DESC'],
+    'year-asc': ['year', 'ASC'],
+    'label': ['label', 'ASC'],
+    'quality': ['quality', 'ASC'],
+    'size': ['total_size', 'DESC']
+};
+
+// Where the album list comes from: 'all' streams the collection, 'search' pages through search results
+let albumListState = { mode: 'all', request: 0, controller: null, nextCursor: null, loadingMore: false, total: null };
+
+function currentAlbumSort() {
+    const [sortBy, sortOrder] = ALBUM_SORTS[document.getElementById('albums-sort').value] || ALBUM_SORTS.recent;
+    return { sortBy, sortOrder };
+}
+
+// Start a new album list, cancelling any stream still running; returns the request number
+function startAlbumList(mode) {
+    if (albumListState.controller) {
+        albumListState.controller.abort();
+    }
+    albumListState = {
+        mode,
+        request: albumListState.request + 1,
+        controller: new AbortController(),
+        nextCursor: null,
+        loadingMore: false,
+        total: null
+    };
+    
+    allAlbumsData = [];
+    document.getElementById('albums-table-view').scrollTop = 0;
+    document.getElementById('albums-grid-view').scrollTop = 0;
+    return albumListState.request;
+}
+
+// Fetch search results in the chosen sort: the first page, or the page after the last one loaded
+async function fetchAlbumSearchPage(loadMore = false) {
+    const request = loadMore ? albumListState.request : startAlbumList('search');
+    const { sortBy, sortOrder } = currentAlbumSort();
+    const params = new URLSearchParams({ q: buildAlbumSearchQuery(currentSearchFilters), limit: 100, sortBy, sortOrder });
+    if (loadMore) {
+        params.set('cursor', albumListState.nextCursor);
+    }
+    
+    const response = await fetchAPI(`/api/search/advanced?${params.toString()}`);
+    if (request !== albumListState.request) {
+        return null;
+    }
+    
+    allAlbumsData = allAlbumsData.concat((response.results || []).map(toAlbumListItem));
+    albumListState.nextCursor = response.nextCursor || null;
+    if (!loadMore) {
+        albumListState.total = response.total;
+    }
+    return response;
+}
+
+// Load the next page of search results once the list is scrolled near its end
+async function loadMoreAlbumSearchResults() {
+    if (albumListState.mode !== 'search' || !albumListState.nextCursor || albumListState.loadingMore) {
+        return;
+    }
+    
+    albumListState.loadingMore = true;
+    try {
+        if (await fetchAlbumSearchPage(true)) {
+            updateAlbumsDisplay();
+        }
+    } catch (error) {
+        showError(`Failed to load more results: ${error.message}`);
+    } finally {
+        albumListState.loadingMore = false;
+    }
+}
+
 // Toggle Albums Search Interface
 function toggleAlbumsSearch() {
     const container = document.getElementById('albums-search-container');
@@ -3196,12 +3745,36 @@ function toggleAlbumsSearch() {
     }
 }
 
+// Quote a search value unless it reads back as one term
+function formatSearchValue(value) {
+    value = String(value);
+    if (value !== '' && !/[\s"()\\]/.test(value)) {
+        return value;
+    }
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Turn the search form fields into one query, e.g. artist:"Move D" year:1995..2002
+function buildAlbumSearchQuery(filters) {
+    const terms = [];
+    if (filters.query) {terms.push(filters.query);}
+    if (filters.album) {terms.push(`album:${formatSearchValue(filters.album)}`);}
+    if (filters.artist) {terms.push(`artist:${formatSearchValue(filters.artist)}`);}
+    if (filters.label) {terms.push(`label:${formatSearchValue(filters.label)}`);}
+    if (filters.yearFrom || filters.yearTo) {
+        terms.push(`year:${filters.yearFrom || ''}..${filters.yearTo || ''}`);
+    }
+    if (filters.quality) {terms.push(`quality:${formatSearchValue(filters.quality)}`);}
+    return terms.join(' ');
+}
+
 // Perform Advanced Album Search
 async function performAlbumSearch() {
     const startTime = performance.now();
     
     // Gather search criteria
     const filters = {
+        query: document.getElementById('search-query').value.trim(),
         album: document.getElementById('search-album-title').value.trim(),
         artist: document.getElementById('search-artist-name').value.trim(),
         label: document.getElementById('search-label-name').value.trim(),
@@ -3215,46 +3788,115 @@ async function performAlbumSearch() {
     currentSearchFilters = Object.fromEntries(
         Object.entries(filters).filter(([key, value]) => value !== '')
     );
+    hideAlbumSearchSuggestions();
+    showAlbumSearchError(null);
     
     try {
-        // Build API query parameters
-        const params = new URLSearchParams();
-        if (currentSearchFilters.album) {params.append('album', currentSearchFilters.album);}
-        if (currentSearchFilters.artist) {params.append('artist', currentSearchFilters.artist);}
-        if (currentSearchFilters.label) {params.append('label', currentSearchFilters.label);}
-        if (currentSearchFilters.yearFrom) {params.append('year_from', currentSearchFilters.yearFrom);}
-        if (currentSearchFilters.yearTo) {params.append('year_to', currentSearchFilters.yearTo);}
-        if (currentSearchFilters.quality) {params.append('quality', currentSearchFilters.quality);}
-        if (currentSearchFilters.orgMode) {params.append('org_mode', currentSearchFilters.orgMode);}
-        
-        // Make search request
-        const response = await fetchAPI(`/api/search/albums?${params.toString()}`);
-        allAlbumsData = response.albums || [];
+        const response = await fetchAlbumSearchPage();
+        if (!response) {return;}
         
         // Update search statistics
         const endTime = performance.now();
         const searchTime = Math.round(endTime - startTime);
         
-        document.getElementById('albums-results-count').textContent = `${allAlbumsData.length} results found`;
+        document.getElementById('albums-results-count').textContent = `${response.total || 0} results found`;
         document.getElementById('albums-search-time').textContent = `Search took ${searchTime}ms`;
         document.getElementById('albums-search-stats').style.display = 'flex';
         
         // Update active filters display
         updateActiveFilters();
         
-        // Apply current sort and display results
-        sortAlbumResults();
+        updateAlbumsDisplay();
         
     } catch (error) {
         console.error('Album search error:', error);
-        showError(`Search failed: ${error.message}`);
         document.getElementById('albums-search-stats').style.display = 'none';
+        
+        // Query syntax errors say where in the query they are
+        const position = error.message.match(/at position (\d+)\)/);
+        if (position && currentSearchFilters.query) {
+            showAlbumSearchError(error.message.replace(/^Bad request: /, ''), parseInt(position[1], 10));
+        } else {
+            showError(`Search failed: ${error.message}`);
+        }
+    }
+}
+
+// Show a query error under the query box and put the cursor where it is
+function showAlbumSearchError(message, position = null) {
+    const errorEl = document.getElementById('search-query-error');
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+    
+    if (message && position !== null) {
+        const input = document.getElementById('search-query');
+        // The query box text comes first in the query sent, the form fields after it
+        const leading = input.value.length - input.value.trimStart().length;
+        const offset = leading + Math.min(position, input.value.trim().length);
+        input.focus();
+        input.setSelectionRange(offset, offset);
+    }
+}
+
+let albumSuggestTimer = null;
+
+// Autocomplete field names and values while the query is typed
+function suggestAlbumSearch() {
+    clearTimeout(albumSuggestTimer);
+    albumSuggestTimer = setTimeout(async () => {
+        const input = document.getElementById('search-query');
+        const list = document.getElementById('search-query-suggestions');
+        
+        try {
+            const response = await fetchAPI(`/api/search/suggestions?q=${encodeURIComponent(input.value)}`);
+            const suggestions = response.suggestions || [];
+            if (suggestions.length === 0) {
+                hideAlbumSearchSuggestions();
+                return;
+            }
+            
+            list.innerHTML = '';
+            suggestions.forEach(suggestion => {
+                const item = document.createElement('div');
+                item.className = 'search-suggestion';
+                item.textContent = suggestion.count ? `${suggestion.value} (${suggestion.count})` : suggestion.value;
+                item.onmousedown = (event) => {
+                    event.preventDefault();
+                    input.value = suggestion.type === 'field' && suggestion.query.endsWith(':')
+                        ? suggestion.query
+                        : `${suggestion.query} `;
+                    input.focus();
+                    suggestAlbumSearch();
+                };
+                list.appendChild(item);
+            });
+            list.style.display = 'block';
+        } catch (error) {
+            console.error('Search suggestions error:', error);
+            hideAlbumSearchSuggestions();
+        }
+    }, 200);
+}
+
+function hideAlbumSearchSuggestions() {
+    clearTimeout(albumSuggestTimer);
+    const list = document.getElementById('search-query-suggestions');
+    if (list) {list.style.display = 'none';}
+}
+
+function handleAlbumQueryKey(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        performAlbumSearch();
+    } else if (event.key === 'Escape') {
+        hideAlbumSearchSuggestions();
     }
 }
 
 // Clear Album Search Filters
 function clearAlbumSearch() {
     // Clear all input fields
+    document.getElementById('search-query').value = '';
     document.getElementById('search-album-title').value = '';
     document.getElementById('search-artist-name').value = '';
     document.getElementById('search-label-name').value = '';
@@ -3266,6 +3908,7 @@ function clearAlbumSearch() {
     // Clear filters and reload all albums
     currentSearchFilters = {};
     document.getElementById('albums-search-stats').style.display = 'none';
+    showAlbumSearchError(null);
     updateActiveFilters();
     
     // Reload all albums
@@ -3298,7 +3941,9 @@ function saveAlbumSearch() {
             }
         }
         
+        // Presets are saved as the one-line query so they can be pasted and edited
         savedSearches[searchName] = {
+            query: buildAlbumSearchQuery(currentSearchFilters),
             filters: { ...currentSearchFilters },
             created: new Date().toISOString(),
             lastUsed: new Date().toISOString(),
@@ -3309,7 +3954,7 @@ function saveAlbumSearch() {
         showToast(`Search preset "${searchName}" saved successfully!`, 'success');
         
         // Track in search history
-        addToSearchHistory(currentSearchFilters, allAlbumsData.length);
+        addToSearchHistory(currentSearchFilters, albumListState.total ?? allAlbumsData.length);
         
     } catch (error) {
         console.error('Error saving search preset:', error);
@@ -3328,6 +3973,7 @@ function updateActiveFilters() {
         
         let displayText = '';
         switch(key) {
+            case 'query': displayText = `Query: ${value}`; break;
             case 'album': displayText = `Album: ${value}`; break;
             case 'artist': displayText = `Artist: ${value}`; break;
             case 'label': displayText = `Label: ${value}`; break;
@@ -3338,7 +3984,7 @@ function updateActiveFilters() {
         }
         
         chip.innerHTML = `
-            ${displayText}
+            ${escapeHtml(displayText)}
             <span class="remove" onclick="removeFilter('${key}')">✕</span>
         `;
         container.appendChild(chip);
@@ -3351,6 +3997,7 @@ function removeFilter(filterKey) {
     
     // Clear the corresponding input field
     const inputMap = {
+        'query': 'search-query',
         'album': 'search-album-title',
         'artist': 'search-artist-name',
         'label': 'search-label-name',
@@ -3388,9 +4035,11 @@ function showSearchPresets() {
                 .sort((a, b) => new Date(savedSearches[b].lastUsed || savedSearches[b].created) - new Date(savedSearches[a].lastUsed || savedSearches[a].created))
                 .map(name => {
                     const preset = savedSearches[name];
-                    const filterTags = Object.entries(preset.filters)
-                        .map(([key, value]) => `<span class="preset-filter-tag">${key}: ${value}</span>`)
-                        .join(' ');
+                    const filterTags = preset.query
+                        ? `<span class="preset-filter-tag">${escapeHtml(preset.query)}</span>`
+                        : Object.entries(preset.filters)
+                            .map(([key, value]) => `<span class="preset-filter-tag">${escapeHtml(`${key}: ${value}`)}</span>`)
+                            .join(' ');
                     
                     return `
                         <div class="preset-item">
@@ -3436,14 +4085,16 @@ function loadSearchPreset(name) {
         preset.lastUsed = new Date().toISOString();
         localStorage.setItem('savedAlbumSearches', JSON.stringify(savedSearches));
         
-        // Load filters into form
-        document.getElementById('search-album-title').value = preset.filters.album || '';
-        document.getElementById('search-artist-name').value = preset.filters.artist || '';
-        document.getElementById('search-label-name').value = preset.filters.label || '';
-        document.getElementById('search-year-from').value = preset.filters.yearFrom || '';
-        document.getElementById('search-year-to').value = preset.filters.yearTo || '';
-        document.getElementById('search-quality').value = preset.filters.quality || '';
-        document.getElementById('search-org-mode').value = preset.filters.orgMode || '';
+        // Load the query, or the form fields of presets saved before queries
+        const filters = preset.query !== undefined ? { query: preset.query } : preset.filters;
+        document.getElementById('search-query').value = filters.query || '';
+        document.getElementById('search-album-title').value = filters.album || '';
+        document.getElementById('search-artist-name').value = filters.artist || '';
+        document.getElementById('search-label-name').value = filters.label || '';
+        document.getElementById('search-year-from').value = filters.yearFrom || '';
+        document.getElementById('search-year-to').value = filters.yearTo || '';
+        document.getElementById('search-quality').value = filters.quality || '';
+        document.getElementById('search-org-mode').value = filters.orgMode || '';
         
         closeSearchPresets();
         
@@ -3656,6 +4307,7 @@ function loadSearchFromHistory(entryId) {
         }
         
         // Load filters into form
+        document.getElementById('search-query').value = entry.filters.query || '';
         document.getElementById('search-album-title').value = entry.filters.album || '';
         document.getElementById('search-artist-name').value = entry.filters.artist || '';
         document.getElementById('search-label-name').value = entry.filters.label || '';
@@ -3735,48 +4387,51 @@ performAlbumSearch = async function() {
     
     // Track in search history if we have filters
     if (Object.keys(currentSearchFilters).length > 0) {
-        addToSearchHistory(currentSearchFilters, allAlbumsData.length);
+        addToSearchHistory(currentSearchFilters, albumListState.total ?? allAlbumsData.length);
     }
 };
 
-// Sort Album Results
-function sortAlbumResults() {
-    const sortBy = document.getElementById('albums-sort').value;
-    currentSortOrder = sortBy;
+// Sort Album Results: the server sorts, so reload the list in the new order
+async function sortAlbumResults() {
+    currentSortOrder = document.getElementById('albums-sort').value;
     
-    if (!allAlbumsData || allAlbumsData.length === 0) {
+    if (albumListState.mode !== 'search') {
+        loadAlbums();
         return;
     }
     
-    const sortedData = [...allAlbumsData];
-    
-    switch(sortBy) {
-        case 'artist':
-            sortedData.sort((a, b) => (a.artist || '').localeCompare(b.artist || ''));
-            break;
-        case 'album':
-            sortedData.sort((a, b) => (a.album || '').localeCompare(b.album || ''));
-            break;
-        case 'year-desc':
-            sortedData.sort((a, b) => (b.year || 0) - (a.year || 0));
-            break;
-        case 'year-asc':
-            sortedData.sort((a, b) => (a.year || 0) - (b.year || 0));
-            break;
-        case 'label':
-            sortedData.sort((a, b) => (a.label || '').localeCompare(b.label || ''));
-            break;
-        case 'quality':
-            sortedData.sort((a, b) => (a.quality || '').localeCompare(b.quality || ''));
-            break;
-        case 'recent':
-        default:
-            // Keep original order (most recent first)
-            break;
+    try {
+        if (await fetchAlbumSearchPage()) {
+            updateAlbumsDisplay();
+        }
+    } catch (error) {
+        showError(`Search failed: ${error.message}`);
     }
+}
+
+// Download the albums in view (the whole collection, or the current search) as a playlist or track list
+function exportAlbumView(select) {
+    const [format, level] = select.value.split(':');
+    select.value = '';
+    if (!format) {return;}
     
-    allAlbumsData = sortedData;
-    updateAlbumsDisplay();
+    const { sortBy, sortOrder } = currentAlbumSort();
+    const params = new URLSearchParams({ format, sortBy, sortOrder });
+    if (level) {
+        params.set('level', level);
+    }
+    if (albumListState.mode === 'search') {
+        const query = buildAlbumSearchQuery(currentSearchFilters);
+        if (query) {
+            params.set('q', query);
+        }
+    }
+    window.location.href = `${API_BASE}/api/export?${params.toString()}`;
+}
+
+// Download one album as an M3U8 playlist with paths relative to its folder
+function downloadAlbumPlaylist(albumId) {
+    window.location.href = `${API_BASE}/api/export?format=m3u8&relative=true&albumId=${encodeURIComponent(albumId)}`;
 }
 
 // Switch Album View Mode
@@ -3812,6 +4467,7 @@ function sortAlbumTable(column) {
         'year': 'year-desc',
         'label': 'label',
         'quality': 'quality',
+        'size': 'size',
         'mode': 'recent'
     };
     
@@ -3828,7 +4484,40 @@ function updateAlbumsDisplay() {
     }
 }
 
-// Update Albums Table
+// Rows drawn above and below the visible part of the album list
+const ALBUM_LIST_OVERSCAN = 10;
+let albumRowHeight = 49;
+let albumGridRowHeight = 140;
+let albumScrollFrame = null;
+
+// Redraw the visible albums while scrolling, and fetch more search results near the end
+function onAlbumListScroll() {
+    if (albumScrollFrame) {return;}
+    albumScrollFrame = requestAnimationFrame(() => {
+        albumScrollFrame = null;
+        updateAlbumsDisplay();
+        
+        const view = document.getElementById(currentViewMode === 'table' ? 'albums-table-view' : 'albums-grid-view');
+        if (view.scrollTop + view.clientHeight * 2 >= view.scrollHeight) {
+            loadMoreAlbumSearchResults();
+        }
+    });
+}
+
+// The slice of the list that fits the scroll position, with spacing for the rows left out
+function visibleAlbumRange(view, rowHeight, perRow, total) {
+    const rows = Math.ceil(total / perRow);
+    const firstRow = Math.max(0, Math.floor(view.scrollTop / rowHeight) - ALBUM_LIST_OVERSCAN);
+    const lastRow = Math.min(rows, firstRow + Math.ceil(view.clientHeight / rowHeight) + ALBUM_LIST_OVERSCAN * 2);
+    return {
+        start: firstRow * perRow,
+        end: Math.min(total, lastRow * perRow),
+        before: firstRow * rowHeight,
+        after: (rows - lastRow) * rowHeight
+    };
+}
+
+// Update Albums Table: only the rows in view are in the DOM, so the whole collection can be scrolled
 function updateAlbumsTable() {
     const tbody = document.getElementById('albums-tbody');
     
@@ -3837,8 +4526,12 @@ function updateAlbumsTable() {
         return;
     }
     
-    tbody.innerHTML = allAlbumsData.map(album => `
-        <tr onclick="selectAlbum('${album.id || ''}')">
+    const view = document.getElementById('albums-table-view');
+    const range = visibleAlbumRange(view, albumRowHeight, 1, allAlbumsData.length);
+    const spacer = height => (height > 0 ? `<tr class="virtual-spacer" style="height: ${height}px"><td colspan="7"></td></tr>` : '');
+    
+    tbody.innerHTML = spacer(range.before) + allAlbumsData.slice(range.start, range.end).map(album => `
+        <tr class="album-row" onclick="selectAlbum('${album.id || ''}')">
             <td>${album.artist || 'Unknown Artist'}</td>
             <td>${album.album || 'Unknown Album'}</td>
             <td>${album.year || 'N/A'}</td>
@@ -3853,21 +4546,33 @@ function updateAlbumsTable() {
                 <button class="action-btn secondary" onclick="event.stopPropagation(); viewAlbumDetails('${album.id || ''}')">📋 Details</button>
                 <button class="action-btn secondary" onclick="event.stopPropagation(); editAlbumMetadata('${album.id || ''}')">✏️ Edit</button>
                 <button class="action-btn secondary" onclick="event.stopPropagation(); openAudioPlayer('${album.id || ''}')">🎵 Play</button>
+                <button class="action-btn secondary" onclick="event.stopPropagation(); downloadAlbumPlaylist('${album.id || ''}')">📃 M3U</button>
             </td>
         </tr>
-    `).join('');
+    `).join('') + spacer(range.after);
+    
+    const row = tbody.querySelector('.album-row');
+    if (row && row.offsetHeight > 0) {
+        albumRowHeight = row.offsetHeight;
+    }
 }
 
-// Update Albums Grid
+// Update Albums Grid: drawn a row of cards at a time, like the table
 function updateAlbumsGrid() {
     const container = document.getElementById('albums-grid-container');
     
     if (!allAlbumsData || allAlbumsData.length === 0) {
+        container.style.padding = '';
         container.innerHTML = '<div class="loading">No albums found</div>';
         return;
     }
     
-    container.innerHTML = allAlbumsData.map(album => `
+    const view = document.getElementById('albums-grid-view');
+    const columns = Math.max(1, getComputedStyle(container).gridTemplateColumns.split(' ').length);
+    const range = visibleAlbumRange(view, albumGridRowHeight, columns, allAlbumsData.length);
+    container.style.padding = `${range.before}px 0 ${range.after}px`;
+    
+    container.innerHTML = allAlbumsData.slice(range.start, range.end).map(album => `
         <div class="grid-item" onclick="selectAlbum('${album.id || ''}')">
             <div class="grid-item-header">
                 <div>
@@ -3885,6 +4590,12 @@ function updateAlbumsGrid() {
             </div>
         </div>
     `).join('');
+    
+    // Card height plus the grid gap
+    const item = container.querySelector('.grid-item');
+    if (item && item.offsetHeight > 0) {
+        albumGridRowHeight = item.offsetHeight + (parseFloat(getComputedStyle(container).rowGap) || 0);
+    }
 }
 
 // Get Quality Color
@@ -4553,6 +5264,7 @@ function testPushNotification() {
 // Configuration Management System
 let currentConfig = {};
 let originalConfig = {};
+let configVersion = null;
 
 // Initialize Configuration Management
 function initConfigManagement() {
@@ -4590,15 +5302,20 @@ async function loadConfig() {
     
     try {
         const response = await fetchAPI('/api/config');
-        currentConfig = response.config;
-        originalConfig = JSON.parse(JSON.stringify(response.config)); // Deep copy
+        configVersion = response.version;
         
         // Populate form fields
-        populateConfigForm(currentConfig);
+        populateConfigForm(response.config);
+        
+        // Compare against what the form shows, so untouched fields are not written back
+        currentConfig = gatherConfigForm();
+        originalConfig = response.config;
         
         // Show form and hide status
         form.style.display = 'block';
-        statusDiv.innerHTML = '<div style="color: var(--success-color);">✅ Configuration loaded successfully</div>';
+        statusDiv.innerHTML = '<div style="color: var(--success-color);">✅ Configuration loaded from ' + escapeHtml(response.path) + '</div>';
+        
+        loadConfigHistory();
         
         // Clear status after delay
         setTimeout(() => {
@@ -4706,107 +5423,224 @@ function getCheckboxValue(id) {
     return element && element.checked ? '1' : '0';
 }
 
-// Save configuration to server
+// Read every configuration field from the form
+function gatherConfigForm() {
+    return {
+        // Core directories
+        SOURCE_DIR: getValue('SOURCE_DIR'),
+        DEST_DIR: getValue('DEST_DIR'),
+        UNSORTED_DIR_BASE: getValue('UNSORTED_DIR_BASE'),
+        
+        // Logging & verbosity
+        LOG_FILE: getValue('LOG_FILE'),
+        VERBOSITY: getValue('VERBOSITY'),
+        
+        // Processing modes
+        INCREMENTAL_MODE: getCheckboxValue('INCREMENTAL_MODE'),
+        STATE_DB: getValue('STATE_DB'),
+        SINCE_DATE: getValue('SINCE_DATE'),
+        BATCH_MODE: getCheckboxValue('BATCH_MODE'),
+        
+        // Duplicate detection
+        FIND_DUPLICATES: getCheckboxValue('FIND_DUPLICATES'),
+        RESOLVE_DUPLICATES: getCheckboxValue('RESOLVE_DUPLICATES'),
+        DUPLICATES_DB: getValue('DUPLICATES_DB'),
+        
+        // Discogs integration
+        DISCOGS_ENABLED: getCheckboxValue('DISCOGS_ENABLED'),
+        DISCOGS_USER_TOKEN: getValue('DISCOGS_USER_TOKEN'),
+        DISCOGS_CONSUMER_KEY: getValue('DISCOGS_CONSUMER_KEY'),
+        DISCOGS_CONSUMER_SECRET: getValue('DISCOGS_CONSUMER_SECRET'),
+        DISCOGS_CONFIDENCE_THRESHOLD: getValue('DISCOGS_CONFIDENCE_THRESHOLD'),
+        DISCOGS_RATE_LIMIT: getValue('DISCOGS_RATE_LIMIT'),
+        DISCOGS_CACHE_EXPIRY: getValue('DISCOGS_CACHE_EXPIRY'),
+        
+        // Electronic music organization
+        ORGANIZATION_MODE: getValue('ORGANIZATION_MODE'),
+        LABEL_PRIORITY_THRESHOLD: getValue('LABEL_PRIORITY_THRESHOLD'),
+        MIN_LABEL_RELEASES: getValue('MIN_LABEL_RELEASES'),
+        SEPARATE_REMIXES: getCheckboxValue('SEPARATE_REMIXES'),
+        SEPARATE_COMPILATIONS: getCheckboxValue('SEPARATE_COMPILATIONS'),
+        VINYL_SIDE_MARKERS: getCheckboxValue('VINYL_SIDE_MARKERS'),
+        UNDERGROUND_DETECTION: getCheckboxValue('UNDERGROUND_DETECTION'),
+        
+        // Artist aliases
+        GROUP_ARTIST_ALIASES: getCheckboxValue('GROUP_ARTIST_ALIASES'),
+        USE_PRIMARY_ARTIST_NAME: getCheckboxValue('USE_PRIMARY_ARTIST_NAME'),
+        ARTIST_ALIAS_GROUPS: getValue('ARTIST_ALIAS_GROUPS'),
+        
+        // Google Drive backup
+        ENABLE_GDRIVE_BACKUP: getCheckboxValue('ENABLE_GDRIVE_BACKUP'),
+        GDRIVE_BACKUP_DIR: getValue('GDRIVE_BACKUP_DIR'),
+        GDRIVE_MOUNT_POINT: getValue('GDRIVE_MOUNT_POINT'),
+        MAX_PARALLEL_UPLOADS: getValue('MAX_PARALLEL_UPLOADS'),
+        CHECKSUM_VERIFY: getCheckboxValue('CHECKSUM_VERIFY'),
+        
+        // Notifications
+        NOTIFY_EMAIL: getValue('NOTIFY_EMAIL'),
+        NOTIFY_WEBHOOK: getValue('NOTIFY_WEBHOOK'),
+        
+        // Organization patterns
+        PATTERN_ARTIST: getValue('PATTERN_ARTIST'),
+        PATTERN_LABEL: getValue('PATTERN_LABEL'),
+        PATTERN_SERIES: getValue('PATTERN_SERIES'),
+        PATTERN_REMIX: getValue('PATTERN_REMIX')
+};
+}
+
+// Save changed configuration fields to ordr.fm.conf
 async function saveConfig() {
     const statusDiv = document.getElementById('config-status');
     
-    if (Object.keys(currentConfig).length === 0) {
+    if (!configVersion) {
         statusDiv.innerHTML = '<div style="color: var(--warning-color);">⚠️ Please load configuration first</div>';
         return;
     }
     
+    const formValues = gatherConfigForm();
+    const changes = {};
+    for (const [key, value] of Object.entries(formValues)) {
+        if (value !== currentConfig[key]) {
+            changes[key] = value;
+        }
+    }
+    
+    if (Object.keys(changes).length === 0) {
+        statusDiv.innerHTML = '<div style="color: var(--warning-color);">⚠️ No changes to save</div>';
+        return;
+    }
+    
     statusDiv.innerHTML = '<div style="color: #667eea;">💾 Saving configuration...</div>';
     
     try {
-        // Gather all form values
-        const updatedConfig = {
-            // Core directories
-            SOURCE_DIR: getValue('SOURCE_DIR'),
-            DEST_DIR: getValue('DEST_DIR'),
-            UNSORTED_DIR_BASE: getValue('UNSORTED_DIR_BASE'),
-            
-            // Logging & verbosity
-            LOG_FILE: getValue('LOG_FILE'),
-            VERBOSITY: getValue('VERBOSITY'),
-            
-            // Processing modes
-            INCREMENTAL_MODE: getCheckboxValue('INCREMENTAL_MODE'),
-            STATE_DB: getValue('STATE_DB'),
-            SINCE_DATE: getValue('SINCE_DATE'),
-            BATCH_MODE: getCheckboxValue('BATCH_MODE'),
-            
-            // Duplicate detection
-            FIND_DUPLICATES: getCheckboxValue('FIND_DUPLICATES'),
-            RESOLVE_DUPLICATES: getCheckboxValue('RESOLVE_DUPLICATES'),
-            DUPLICATES_DB: getValue('DUPLICATES_DB'),
-            
-            // Discogs integration
-            DISCOGS_ENABLED: getCheckboxValue('DISCOGS_ENABLED'),
-            DISCOGS_USER_TOKEN: getValue('DISCOGS_USER_TOKEN'),
-            DISCOGS_CONSUMER_KEY: getValue('DISCOGS_CONSUMER_KEY'),
-            DISCOGS_CONSUMER_SECRET: getValue('DISCOGS_CONSUMER_SECRET'),
-            DISCOGS_CONFIDENCE_THRESHOLD: getValue('DISCOGS_CONFIDENCE_THRESHOLD'),
-            DISCOGS_RATE_LIMIT: getValue('DISCOGS_RATE_LIMIT'),
-            DISCOGS_CACHE_EXPIRY: getValue('DISCOGS_CACHE_EXPIRY'),
-            
-            // Electronic music organization
-            ORGANIZATION_MODE: getValue('ORGANIZATION_MODE'),
-            LABEL_PRIORITY_THRESHOLD: getValue('LABEL_PRIORITY_THRESHOLD'),
-            MIN_LABEL_RELEASES: getValue('MIN_LABEL_RELEASES'),
-            SEPARATE_REMIXES: getCheckboxValue('SEPARATE_REMIXES'),
-            SEPARATE_COMPILATIONS: getCheckboxValue('SEPARATE_COMPILATIONS'),
-            VINYL_SIDE_MARKERS: getCheckboxValue('VINYL_SIDE_MARKERS'),
-            UNDERGROUND_DETECTION: getCheckboxValue('UNDERGROUND_DETECTION'),
-            
-            // Artist aliases
-            GROUP_ARTIST_ALIASES: getCheckboxValue('GROUP_ARTIST_ALIASES'),
-            USE_PRIMARY_ARTIST_NAME: getCheckboxValue('USE_PRIMARY_ARTIST_NAME'),
-            ARTIST_ALIAS_GROUPS: getValue('ARTIST_ALIAS_GROUPS'),
-            
-            // Google Drive backup
-            ENABLE_GDRIVE_BACKUP: getCheckboxValue('ENABLE_GDRIVE_BACKUP'),
-            GDRIVE_BACKUP_DIR: getValue('GDRIVE_BACKUP_DIR'),
-            GDRIVE_MOUNT_POINT: getValue('GDRIVE_MOUNT_POINT'),
-            MAX_PARALLEL_UPLOADS: getValue('MAX_PARALLEL_UPLOADS'),
-            CHECKSUM_VERIFY: getCheckboxValue('CHECKSUM_VERIFY'),
-            
-            // Notifications
-            NOTIFY_EMAIL: getValue('NOTIFY_EMAIL'),
-            NOTIFY_WEBHOOK: getValue('NOTIFY_WEBHOOK'),
-            
-            // Organization patterns
-            PATTERN_ARTIST: getValue('PATTERN_ARTIST'),
-            PATTERN_LABEL: getValue('PATTERN_LABEL'),
-            PATTERN_SERIES: getValue('PATTERN_SERIES'),
-            PATTERN_REMIX: getValue('PATTERN_REMIX')
-        };
-        
-        // Send to server
+        // Raw fetch so validation details in the error body are available
         const response = await fetch('/api/config', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ config: updatedConfig })
+            body: JSON.stringify({ config: changes, version: configVersion })
         });
         
         const result = await response.json();
         
         if (!response.ok) {
-            throw new Error(result.error || 'Failed to save configuration');
+            const details = (result.details || [])
+                .map(detail => '<li>' + escapeHtml(detail.key) + ' ' + escapeHtml(detail.message) + '</li>')
+                .join('');
+            statusDiv.innerHTML = '<div style="color: var(--error-color);">❌ ' + escapeHtml(result.error || 'Failed to save configuration') +
+                (response.status === 409 ? ' (load the configuration again to see the current values)' : '') +
+                (details ? '<ul>' + details + '</ul>' : '') + '</div>';
+            return;
         }
         
-        currentConfig = updatedConfig;
-        statusDiv.innerHTML = '<div style="color: var(--success-color);">✅ Configuration saved successfully</div>';
-        
-        // Clear status after delay
-        setTimeout(() => {
-            statusDiv.innerHTML = '';
-        }, 3000);
+        configVersion = result.version;
+        currentConfig = formValues;
+        statusDiv.innerHTML = '<div style="color: var(--success-color);">✅ ' + escapeHtml(result.message) + describeConfigApply(result.apply) + '</div>';
+        loadConfigHistory();
         
     } catch (error) {
         console.error('Failed to save configuration:', error);
-        statusDiv.innerHTML = '<div style="color: var(--error-color);">❌ Failed to save configuration: ' + error.message + '</div>';
+        statusDiv.innerHTML = '<div style="color: var(--error-color);">❌ Failed to save configuration: ' + escapeHtml(error.message) + '</div>';
+    }
+}
+
+// Say when saved settings take effect
+function describeConfigApply(apply) {
+    if (!apply) {
+        return '';
+    }
+    
+    const parts = [];
+    if (apply.live.length > 0) {
+        parts.push('applied now: ' + apply.live.join(', '));
+    }
+    if (apply.nextRun.length > 0) {
+        parts.push('used from the next processing run: ' + apply.nextRun.join(', '));
+    }
+    return parts.length > 0 ? ' (' + escapeHtml(parts.join('; ')) + ')' : '';
+}
+
+// Load the list of configuration versions
+async function loadConfigHistory() {
+    const card = document.getElementById('config-history-card');
+    const tbody = document.getElementById('config-history-tbody');
+    
+    try {
+        const { entries } = await fetchAPI('/api/config/history?limit=20');
+        card.style.display = 'block';
+        
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5">No configuration changes recorded yet</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(entry.action)}${entry.revertedFrom ? ' #' + entry.revertedFrom : ''}</td>
+                <td>${escapeHtml(entry.author || '-')}</td>
+                <td>${escapeHtml(entry.changes.map(change => change.key).join(', ') || '-')}</td>
+                <td>
+                    <button class="action-btn secondary" onclick="showConfigHistoryEntry(${entry.id})">Diff</button>
+                    <button class="action-btn secondary" onclick="revertConfig(${entry.id})">Revert</button>
+                </td>
+            </tr>
+        `).join('');
+        
+    } catch (error) {
+        // History needs a login; the form itself works without it
+        console.warn('Failed to load configuration history:', error);
+        card.style.display = 'none';
+    }
+}
+
+// Show what reverting to a version would change
+async function showConfigHistoryEntry(id) {
+    const diffDiv = document.getElementById('config-history-diff');
+    
+    try {
+        const entry = await fetchAPI(`/api/config/history/${id}`);
+        
+        if (entry.diffToCurrent.length === 0) {
+            diffDiv.innerHTML = `<p>Version #${id} matches the current configuration.</p>`;
+            return;
+        }
+        
+        diffDiv.innerHTML = `
+            <p>Reverting to version #${id} would change:</p>
+            <table>
+                <thead><tr><th>Setting</th><th>Current</th><th>Version #${id}</th></tr></thead>
+                <tbody>
+                    ${entry.diffToCurrent.map(change => `
+                        <tr>
+                            <td>${escapeHtml(change.key)}</td>
+                            <td>${escapeHtml(change.before ?? '(unset)')}</td>
+                            <td>${escapeHtml(change.after ?? '(unset)')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+    } catch (error) {
+        showError('Failed to load configuration version: ' + error.message);
+    }
+}
+
+// Restore ordr.fm.conf as recorded in a version
+async function revertConfig(id) {
+    if (!confirm(`Revert ordr.fm.conf to version #${id}? The current file stays in the history.`)) {
+        return;
+    }
+    
+    try {
+        const result = await fetchAPI(`/api/config/history/${id}/revert`, { method: 'POST' });
+        showSuccess('✅ ' + result.message + describeConfigApply(result.apply));
+        document.getElementById('config-history-diff').innerHTML = '';
+        loadConfig();
+    } catch (error) {
+        showError('Revert failed: ' + error.message);
     }
 }
 
@@ -5173,24 +6007,23 @@ function getQualityClass(score) {
 // Load metadata edit history
 async function loadMetadataHistory(albumId) {
     try {
-        const response = await fetchAPI(`/api/metadata/history/${albumId}`);
+        const response = await fetchAPI(`/api/albums/${albumId}/history`);
         const historyContainer = document.getElementById('metadata-history');
         
-        if (response.history && response.history.length > 0) {
-            historyContainer.innerHTML = response.history.map(entry => `
+        if (response.entries && response.entries.length > 0) {
+            historyContainer.innerHTML = response.entries.map(entry => `
                 <div class="history-entry">
                     <div class="history-header">
-                        <span class="history-date">${new Date(entry.timestamp).toLocaleString()}</span>
-                        <span class="history-user">${entry.user || 'System'}</span>
+                        <span class="history-date">${new Date(entry.createdAt).toLocaleString()}</span>
+                        <span class="history-user">${escapeHtml(entry.user || 'System')} · ${escapeHtml(entry.source)}</span>
                     </div>
                     <div class="history-changes">
-                        ${entry.changes.map(change => `
-                            <div class="history-change">
-                                <strong>${change.field}:</strong> 
-                                <span class="old-value">${change.old_value || 'Empty'}</span> → 
-                                <span class="new-value">${change.new_value || 'Empty'}</span>
-                            </div>
-                        `).join('')}
+                        <div class="history-change">
+                            <strong>${escapeHtml(entry.entityType === 'track' ? `Track ${entry.entityId} ${entry.field}` : entry.field)}:</strong> 
+                            <span class="old-value">${escapeHtml(String(entry.oldValue ?? 'Empty'))}</span> → 
+                            <span class="new-value">${escapeHtml(String(entry.newValue ?? 'Empty'))}</span>
+                            ${entry.entityId ? `<button class="action-btn secondary" onclick="revertMetadataChange(${albumId}, ${entry.id})">↩️ Revert</button>` : ''}
+                        </div>
                     </div>
                 </div>
             `).join('');
@@ -5202,6 +6035,26 @@ async function loadMetadataHistory(albumId) {
     }
 }
 
+// Undo one recorded field change
+async function revertMetadataChange(albumId, entryId, force = false) {
+    try {
+        const result = await fetchAPI(`/api/albums/${albumId}/history/${entryId}/revert`, {
+            method: 'POST',
+            body: JSON.stringify({ force })
+        });
+        showSuccess(result.message);
+    } catch (error) {
+        // The field was edited again after this change
+        if (!force && error.message.includes('has changed since') &&
+            confirm(error.message.replace(/^Conflict: /, '') + '\n\nRevert anyway and overwrite the newer value?')) {
+            return revertMetadataChange(albumId, entryId, true);
+        }
+        showError('Revert failed: ' + error.message);
+    }
+    
+    loadMetadataHistory(albumId);
+}
+
 // Preview metadata changes
 function previewMetadata() {
     const modal = document.getElementById('metadata-preview-modal');
@@ -5468,6 +6321,8 @@ const audioPlayer = {
     loadingTimeout: null,
     retryCount: 0,
     maxRetries: 3,
+    // Seconds into the track the current stream starts at (transcodes seek by restarting)
+    streamOffset: 0,
     equalizer: {
         context: null,
         filters: [],
@@ -5665,8 +6520,8 @@ async function loadAndPlayCurrentTrack() {
         }, 10000); // 10 second timeout
         
         // Load track with validation
-        const streamUrl = `/api/audio/stream/${encodeURIComponent(track.id)}`;
-        audioPlayer.audio.src = streamUrl;
+        audioPlayer.streamOffset = 0;
+        audioPlayer.audio.src = buildStreamUrl(track);
         
         // Preload the audio
         audioPlayer.audio.load();
@@ -5936,7 +6791,7 @@ function setupAudioEventListeners() {
 // Handle Track End
 function handleTrackEnd() {
     if (audioPlayer.isRepeat) {
-        audioPlayer.audio.currentTime = 0;
+        seekTo(0);
         audioPlayer.audio.play();
         return;
     }
@@ -5983,15 +6838,97 @@ function nextTrack() {
     }
 }
 
+// Formats this browser can decode, so the server only transcodes what it has to
+const PLAYER_FORMAT_TYPES = {
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    m4a: 'audio/mp4; codecs="mp4a.40.2"',
+    alac: 'audio/mp4; codecs="alac"',
+    opus: 'audio/ogg; codecs="opus"',
+    ogg: 'audio/ogg; codecs="vorbis"',
+    flac: 'audio/flac',
+    wav: 'audio/wav',
+    aiff: 'audio/aiff'
+};
+
+function getSupportedAudioFormats() {
+    const probe = document.createElement('audio');
+    return Object.entries(PLAYER_FORMAT_TYPES)
+        .filter(([, type]) => probe.canPlayType(type) !== '')
+        .map(([format]) => format);
+}
+
+// Bitrate to stream at: the chosen one, else a low one on metered connections
+function getStreamBitrate() {
+    const saved = localStorage.getItem('ordr-fm-stream-bitrate');
+    if (saved !== null) {return saved ? parseInt(saved, 10) : null;}
+    
+    const connection = navigator.connection;
+    return connection && (connection.saveData || connection.type === 'cellular') ? 128 : null;
+}
+
+function setStreamQuality(value) {
+    localStorage.setItem('ordr-fm-stream-bitrate', value);
+    
+    // Carry on from the same place at the new quality
+    if (audioPlayer.audio && audioPlayer.playlist[audioPlayer.currentTrack]) {
+        restartStreamAt(getPlaybackTime());
+    }
+}
+
+function buildStreamUrl(track, start = 0) {
+    const params = new URLSearchParams({ supports: getSupportedAudioFormats().join(',') });
+    const bitrate = getStreamBitrate();
+    if (bitrate) {params.set('bitrate', bitrate);}
+    if (start > 0) {params.set('start', start.toFixed(1));}
+    return `/api/audio/stream/${encodeURIComponent(track.id)}?${params}`;
+}
+
+// Position in the track, counting from its start rather than the stream's
+function getPlaybackTime() {
+    return audioPlayer.streamOffset + (audioPlayer.audio ? audioPlayer.audio.currentTime : 0);
+}
+
+// A transcode streaming from the encoder has no length of its own yet
+function getPlaybackDuration() {
+    const track = audioPlayer.playlist[audioPlayer.currentTrack];
+    return Number(track && track.duration) || audioPlayer.streamOffset + (audioPlayer.audio ? audioPlayer.audio.duration : 0);
+}
+
+function seekTo(time) {
+    if (!audioPlayer.audio) {return;}
+    
+    const relative = time - audioPlayer.streamOffset;
+    const seekable = audioPlayer.audio.seekable;
+    if (relative >= 0 && seekable.length > 0 &&
+        seekable.start(0) <= relative && seekable.end(seekable.length - 1) >= relative) {
+        audioPlayer.audio.currentTime = relative;
+        return;
+    }
+    
+    // A transcode being streamed cannot seek; ask for one starting there
+    restartStreamAt(time);
+}
+
+function restartStreamAt(time) {
+    const track = audioPlayer.playlist[audioPlayer.currentTrack];
+    const wasPlaying = !audioPlayer.audio.paused;
+    
+    // The server is asked for tenths of a second
+    audioPlayer.streamOffset = Math.round(time * 10) / 10;
+    audioPlayer.audio.src = buildStreamUrl(track, audioPlayer.streamOffset);
+    audioPlayer.audio.load();
+    if (wasPlaying) {audioPlayer.audio.play();}
+}
+
 function seekToPosition(event) {
     if (!audioPlayer.audio) {return;}
     
     const progressBar = event.currentTarget;
     const rect = progressBar.getBoundingClientRect();
     const percent = (event.clientX - rect.left) / rect.width;
-    const newTime = percent * audioPlayer.audio.duration;
     
-    audioPlayer.audio.currentTime = newTime;
+    seekTo(percent * getPlaybackDuration());
 }
 
 function setVolume(event) {
@@ -6062,8 +6999,8 @@ function updatePlayButton() {
 function updateProgress() {
     if (!audioPlayer.audio) {return;}
     
-    const current = audioPlayer.audio.currentTime;
-    const duration = audioPlayer.audio.duration;
+    const current = getPlaybackTime();
+    const duration = getPlaybackDuration();
     
     if (duration > 0) {
         const percent = (current / duration) * 100;
@@ -6077,8 +7014,7 @@ function updateProgress() {
 function updateDuration() {
     if (!audioPlayer.audio) {return;}
     
-    const duration = audioPlayer.audio.duration;
-    document.getElementById('audio-duration').textContent = formatTime(duration);
+    document.getElementById('audio-duration').textContent = formatTime(getPlaybackDuration());
 }
 
 function updateVolumeDisplay() {
@@ -6604,8 +7540,7 @@ function addAccessibilityFeatures() {
 function seekRelative(seconds) {
     if (!audioPlayer.audio) {return;}
     
-    const newTime = Math.max(0, Math.min(audioPlayer.audio.duration, audioPlayer.audio.currentTime + seconds));
-    audioPlayer.audio.currentTime = newTime;
+    seekTo(Math.max(0, Math.min(getPlaybackDuration(), getPlaybackTime() + seconds)));
 }
 
 // Cleanup on page unload
@@ -6622,6 +7557,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Audio player disabled due to errors
     // initAudioPlayer();
     addAccessibilityFeatures();
+    
+    const streamQuality = document.getElementById('audio-stream-quality');
+    if (streamQuality) {
+        streamQuality.value = localStorage.getItem('ordr-fm-stream-bitrate') || '';
+    }
 });
 
 // Close audio player
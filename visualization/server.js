@@ -9,6 +9,10 @@ const { swaggerSpec, swaggerOptions } = require('./src/config/swagger');
 
 // Import services
 const databaseService = require('./src/services/database');
+const { initializeAll } = require('./src/services/schema');
+const cloudBackupService = require('./src/services/cloudBackup');
+const planStore = require('./src/services/planStore');
+const configStore = require('./src/services/configStore');
 const webSocketService = require('./src/websocket');
 
 // Import middleware
@@ -42,6 +46,9 @@ const processingController = require('./src/controllers/processing');
 const tracksController = require('./src/controllers/tracks');
 const systemController = require('./src/controllers/system');
 const performanceController = require('./src/controllers/performance');
+const movesController = require('./src/controllers/moves');
+const enhancementsController = require('./src/controllers/enhancements');
+const duplicatesController = require('./src/controllers/duplicates');
 
 // Create Express app
 const app = express();
@@ -61,7 +68,8 @@ if (!securityValidation.valid) {
 app.use(configureSecurityHeaders());
 app.use(configureCors());
 
-// Basic middleware
+// Basic middleware; a whole collection export can be larger than other request bodies
+app.use('/api/import', express.json({ limit: '100mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
@@ -227,8 +235,11 @@ app.post('/api/users', authenticateToken, requireRole('admin'), authController.c
 
 // Album routes
 app.get('/api/albums', albumsController.getAlbums.bind(albumsController));
+app.get('/api/albums/stream', albumsController.streamAlbums.bind(albumsController));
 app.get('/api/albums/:id', albumsController.getAlbum.bind(albumsController));
 app.put('/api/albums/:id', authenticateToken, albumsController.updateAlbum.bind(albumsController));
+app.get('/api/albums/:id/history', albumsController.getAlbumHistory.bind(albumsController));
+app.post('/api/albums/:id/history/:entryId/revert', authenticateToken, albumsController.revertHistoryEntry.bind(albumsController));
 
 // Statistics routes
 app.get('/api/stats', albumsController.getStats.bind(albumsController));
@@ -259,48 +270,53 @@ app.get('/api/actions/backup-status', backupController.getStatus.bind(backupCont
 app.post('/api/backup/start', authenticateToken, backupController.startBackup.bind(backupController));
 app.get('/api/backup/logs/:filename', authenticateToken, backupController.getBackupLogs.bind(backupController));
 app.post('/api/actions/backup-cancel', authenticateToken, backupController.cancelBackup.bind(backupController));
-app.post('/api/actions/backup-cloud', backupController.startCloudBackup.bind(backupController));
-app.post('/api/actions/backup-database', backupController.backupDatabase.bind(backupController));
+app.post('/api/actions/backup-cloud', authenticateToken, backupController.startCloudBackup.bind(backupController));
+app.post('/api/actions/backup-database', authenticateToken, backupController.backupDatabase.bind(backupController));
+app.get('/api/backup/databases', authenticateToken, backupController.listDatabaseBackups.bind(backupController));
+app.post('/api/backup/databases/:backupId/verify', authenticateToken, backupController.verifyDatabaseBackup.bind(backupController));
+app.get('/api/backup/targets', authenticateToken, backupController.listTargets.bind(backupController));
+app.post('/api/backup/cloud/:jobId/resume', authenticateToken, backupController.resumeCloudBackup.bind(backupController));
+app.post('/api/backup/restore', authenticateToken, requireRole('admin'), backupController.restoreDatabase.bind(backupController));
 
 // Processing routes
 app.post('/api/actions/process', authenticateToken, processingController.startProcessing.bind(processingController));
 app.get('/api/jobs/active', processingController.getActiveJobs.bind(processingController));
 app.get('/api/jobs/history', processingController.getJobHistory.bind(processingController));
 app.get('/api/jobs/:jobId', processingController.getJob.bind(processingController));
+app.get('/api/jobs/:jobId/logs', processingController.getJobLogs.bind(processingController));
+app.get('/api/jobs/:jobId/events', processingController.getJobEvents.bind(processingController));
 app.post('/api/jobs/:jobId/cancel', authenticateToken, processingController.cancelJob.bind(processingController));
+app.post('/api/plans', authenticateToken, processingController.createPlan.bind(processingController));
+app.get('/api/plans', processingController.listPlans.bind(processingController));
+app.get('/api/plans/:planId', processingController.getPlan.bind(processingController));
+app.patch('/api/plans/:planId/entries', authenticateToken, processingController.updatePlanEntries.bind(processingController));
+app.patch('/api/plans/:planId/entries/:entryId', authenticateToken, processingController.updatePlanEntry.bind(processingController));
+app.post('/api/plans/:planId/apply', authenticateToken, processingController.applyPlan.bind(processingController));
 app.post('/api/actions/enhance-metadata', authenticateToken, processingController.enhanceMetadata.bind(processingController));
+app.post('/api/actions/fingerprint', authenticateToken, processingController.fingerprintTracks.bind(processingController));
+app.get('/api/enhancements', enhancementsController.listMatches.bind(enhancementsController));
+app.post('/api/enhancements/:matchId/approve', authenticateToken, enhancementsController.approveMatch.bind(enhancementsController));
+app.post('/api/enhancements/:matchId/reject', authenticateToken, enhancementsController.rejectMatch.bind(enhancementsController));
 
 // System routes
 app.get('/api/system/status', processingController.getSystemStatus.bind(processingController));
 app.get('/api/system/activity', systemController.getActivity.bind(systemController));
 app.get('/api/config', systemController.getConfig.bind(systemController));
 app.post('/api/config', authenticateToken, requireRole('admin'), systemController.updateConfig.bind(systemController));
+app.get('/api/config/history', authenticateToken, systemController.getConfigHistory.bind(systemController));
+app.get('/api/config/history/:id', authenticateToken, systemController.getConfigHistoryEntry.bind(systemController));
+app.post('/api/config/history/:id/revert', authenticateToken, requireRole('admin'), systemController.revertConfig.bind(systemController));
 app.get('/api/export', exportApiLimiter, authenticateToken, systemController.exportCollection.bind(systemController));
+app.post('/api/import/preview', authenticateToken, systemController.previewImport.bind(systemController));
+app.post('/api/import/apply', authenticateToken, requireRole('admin'), systemController.applyImport.bind(systemController));
 app.get('/api/insights', systemController.getInsights.bind(systemController));
 
 // Real implementation of data endpoints
-app.get('/api/duplicates', async (req, res) => {
-    try {
-        // Find duplicate albums by artist + album name
-        const duplicates = await databaseService.query(`
-            SELECT artist, album_title, COUNT(*) as count, 
-                   GROUP_CONCAT(path) as paths,
-                   GROUP_CONCAT(quality) as qualities
-            FROM albums 
-            WHERE artist IS NOT NULL AND album_title IS NOT NULL
-            GROUP BY LOWER(artist), LOWER(album_title)
-            HAVING COUNT(*) > 1
-        `);
-        
-        res.json({ 
-            duplicates: duplicates || [],
-            groups: duplicates.length 
-        });
-    } catch (error) {
-        console.error('Duplicates error:', error);
-        res.status(500).json({ error: 'Failed to detect duplicates' });
-    }
-});
+app.get('/api/duplicates', duplicatesController.getDuplicates.bind(duplicatesController));
+app.get('/api/duplicates/audio', duplicatesController.getAudioClusters.bind(duplicatesController));
+app.get('/api/duplicates/quarantine', authenticateToken, duplicatesController.listQuarantine.bind(duplicatesController));
+app.post('/api/duplicates/quarantine/:id/restore', authenticateToken, duplicatesController.restoreQuarantined.bind(duplicatesController));
+app.post('/api/duplicates/:groupId/resolve', authenticateToken, duplicatesController.resolveGroup.bind(duplicatesController));
 
 app.get('/api/labels', async (req, res) => {
     try {
@@ -344,25 +360,9 @@ app.get('/api/timeline', async (req, res) => {
     }
 });
 
-app.get('/api/moves', async (req, res) => {
-    try {
-        // Get recent album additions as "moves" (since we don't have a separate moves table yet)
-        const moves = await databaseService.query(`
-            SELECT created_at as move_date,
-                   path as destination_path,
-                   artist || ' - ' || album_title as source_path,
-                   'import' as move_type
-            FROM albums 
-            ORDER BY created_at DESC
-            LIMIT 50
-        `);
-        
-        res.json({ moves: moves || [] });
-    } catch (error) {
-        console.error('Moves error:', error);
-        res.status(500).json({ error: 'Failed to get moves' });
-    }
-});
+app.get('/api/moves', movesController.listMoves.bind(movesController));
+app.post('/api/moves/runs/:runId/rollback', authenticateToken, movesController.rollbackRun.bind(movesController));
+app.post('/api/moves/:moveId/rollback', authenticateToken, movesController.rollbackMove.bind(movesController));
 
 // File browser endpoint
 app.get('/api/browse', (req, res) => {
@@ -480,6 +480,17 @@ async function startServer() {
         await databaseService.connect();
         createDatabaseMonitor(databaseService);
 
+        // Create and migrate the services' tables; restores persisted jobs, marking those orphaned by the last shutdown as interrupted
+        await initializeAll();
+
+        // Settings from ordr.fm.conf the server uses itself are applied on every change
+        const applyScriptConfig = (values) => {
+            cloudBackupService.applyScriptConfig(values);
+            planStore.applyScriptConfig(values);
+        };
+        applyScriptConfig((await configStore.read()).values);
+        configStore.on('configChanged', ({ values }) => applyScriptConfig(values));
+
         // Initialize WebSocket service with performance monitoring
         webSocketService.initialize(server);
         createWebSocketMonitor(webSocketService.io);
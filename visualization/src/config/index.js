@@ -18,11 +18,77 @@ const CACHE_MAX_SIZE = 1000;
 const DB_PATH = process.env.METADATA_DB || 
                process.env.ORDRFM_DB || 
                path.join(__dirname, '../../ordr.fm.metadata.db');
+const STATE_DB_PATH = process.env.STATE_DB ||
+               path.join(__dirname, '../../ordr.fm.state.db');
+
+// Backup configuration
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../../backups');
+const BACKUP_RETENTION_COUNT = parseInt(process.env.BACKUP_RETENTION_COUNT, 10) || 10;
+const BACKUP_RETENTION_DAYS = parseInt(process.env.BACKUP_RETENTION_DAYS, 10) || 0; // 0 disables age-based pruning
+
+// Library locations backed up by cloud backup targets. Unless ORDRFM_LIBRARY_DIR
+// pins it, the library follows DEST_DIR in ordr.fm.conf
+const LIBRARY_DIR = process.env.ORDRFM_LIBRARY_DIR || '/home/plex/Music/sorted_music';
+const LIBRARY_DIR_PINNED = Boolean(process.env.ORDRFM_LIBRARY_DIR);
+const UNPROCESSED_DIR = process.env.ORDRFM_UNPROCESSED_DIR || null;
+
+// Holding directory for duplicate albums set aside by a resolve; next to the library so moving there is a rename
+const QUARANTINE_DIR = process.env.ORDRFM_QUARANTINE_DIR || path.join(path.dirname(LIBRARY_DIR), 'ordr.fm_quarantine');
+
+// Cloud backup targets: JSON array of { id, type: 'local' | 'rclone' | 'rsync', destination, options }
+const BACKUP_TARGETS = parseBackupTargets(process.env.BACKUP_TARGETS);
+const BACKUP_DEFAULT_TARGET = process.env.BACKUP_DEFAULT_TARGET || (BACKUP_TARGETS[0] && BACKUP_TARGETS[0].id);
+const RCLONE_PATH = process.env.RCLONE_PATH || 'rclone';
+const RSYNC_PATH = process.env.RSYNC_PATH || 'rsync';
+
+// ordr.fm.sh configuration file edited through /api/config
+const ORDRFM_CONFIG_FILE = process.env.ORDRFM_CONFIG_FILE || path.join(__dirname, '../../../ordr.fm.conf');
+const CONFIG_HISTORY_LIMIT = parseInt(process.env.CONFIG_HISTORY_LIMIT, 10) || 100;
+
+// Audio tooling configuration
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FPCALC_PATH = process.env.FPCALC_PATH || 'fpcalc';
+const CACHE_DIR = process.env.ORDRFM_CACHE_DIR || path.join(__dirname, '../../cache');
+const WAVEFORM_CACHE_DIR = process.env.WAVEFORM_CACHE_DIR || path.join(CACHE_DIR, 'waveforms');
+const TRANSCODE_CACHE_DIR = process.env.TRANSCODE_CACHE_DIR || path.join(CACHE_DIR, 'transcodes');
+const TRANSCODE_CACHE_MAX_MB = parseInt(process.env.TRANSCODE_CACHE_MAX_MB, 10) || 2048;
+const TRANSCODE_MAX_PROCESSES = parseInt(process.env.TRANSCODE_MAX_PROCESSES, 10) || 2;
+
+// Metadata enhancement: matches at or above the threshold are applied, the rest wait for review (0 applies all)
+const autoApplyThreshold = parseFloat(process.env.ENHANCEMENT_AUTO_APPLY_THRESHOLD);
+const ENHANCEMENT_AUTO_APPLY_THRESHOLD = Number.isNaN(autoApplyThreshold) ? 0.9 : autoApplyThreshold;
+const MUSICBRAINZ_CACHE_DIR = process.env.MUSICBRAINZ_CACHE_DIR || path.join(CACHE_DIR, 'musicbrainz');
+
+// Job history configuration
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 30;
+
+// Search analytics: days of logged searches to keep
+const SEARCH_LOG_RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 180;
 
 // Rate limiting configuration  
 const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX) || 500;
 
+/**
+ * Parse the BACKUP_TARGETS variable, falling back to the Google Drive remote
+ * used by backup_to_gdrive.sh
+ */
+function parseBackupTargets(value) {
+    const fallback = [{ id: 'gdrive', type: 'rclone', destination: 'gdrive:ordr.fm-backup' }];
+    if (!value) {return fallback;}
+
+    try {
+        const targets = JSON.parse(value);
+        if (!Array.isArray(targets)) {
+            throw new Error('expected a JSON array');
+        }
+        return targets;
+    } catch (error) {
+        console.warn(`⚠️  WARNING: Ignoring invalid BACKUP_TARGETS (${error.message})`);
+        return fallback;
+    }
+}
+
 // Security warning for production
 if (NODE_ENV === 'production' && JWT_SECRET === 'ordr-fm-default-secret-change-in-production') {
     console.warn('⚠️  WARNING: Using default JWT secret in production! Set JWT_SECRET environment variable.');
@@ -44,6 +110,31 @@ module.exports = {
     CACHE_TTL,
     CACHE_MAX_SIZE,
     DB_PATH,
+    STATE_DB_PATH,
+    BACKUP_DIR,
+    BACKUP_RETENTION_COUNT,
+    BACKUP_RETENTION_DAYS,
+    LIBRARY_DIR,
+    LIBRARY_DIR_PINNED,
+    UNPROCESSED_DIR,
+    QUARANTINE_DIR,
+    BACKUP_TARGETS,
+    BACKUP_DEFAULT_TARGET,
+    RCLONE_PATH,
+    RSYNC_PATH,
+    ORDRFM_CONFIG_FILE,
+    CONFIG_HISTORY_LIMIT,
+    FFMPEG_PATH,
+    FPCALC_PATH,
+    CACHE_DIR,
+    WAVEFORM_CACHE_DIR,
+    TRANSCODE_CACHE_DIR,
+    TRANSCODE_CACHE_MAX_MB,
+    TRANSCODE_MAX_PROCESSES,
+    ENHANCEMENT_AUTO_APPLY_THRESHOLD,
+    MUSICBRAINZ_CACHE_DIR,
+    JOB_RETENTION_DAYS,
+    SEARCH_LOG_RETENTION_DAYS,
     RATE_LIMIT_WINDOW_MS,
     RATE_LIMIT_MAX,
     
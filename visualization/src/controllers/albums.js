@@ -1,6 +1,13 @@
 // Albums controller for music collection API
 const databaseService = require('../services/database');
-const cacheManager = require('../utils/cache');
+const metadataHistoryService = require('../services/metadataHistory');
+const albumListService = require('../services/albumList');
+const { streamNdjson } = require('../utils/ndjson');
+
+const ALBUM_LIST_COLUMNS = `
+    id, album_title, album_artist, year, genre, label,
+    quality, track_count, total_duration, path, created_at
+`;
 
 class AlbumsController {
     /**
@@ -8,7 +15,7 @@ class AlbumsController {
      * /api/albums:
      *   get:
      *     summary: Get albums with pagination and filtering
-     *     description: Retrieve a paginated list of albums from the music collection with optional filtering by artist, genre, year, quality, and search term.
+     *     description: Retrieve a paginated list of albums from the music collection with optional filtering by artist, genre, year, quality, and search term. Sorting happens in the database; for deep pages pass the nextCursor of the previous page instead of a page number.
      *     tags: [Albums]
      *     parameters:
      *       - in: query
@@ -27,12 +34,17 @@ class AlbumsController {
      *           default: 20
      *         description: Number of albums per page
      *       - in: query
+     *         name: cursor
+     *         schema:
+     *           type: string
+     *         description: nextCursor from the previous page; page is ignored when given. Only valid with the same sortBy and sortOrder.
+     *       - in: query
      *         name: sortBy
      *         schema:
      *           type: string
-     *           enum: [album_title, album_artist, year, genre, quality, track_count, total_duration, created_at]
+     *           enum: [album_title, album_artist, year, genre, label, quality, track_count, total_duration, total_size, created_at, artist, album, added, size]
      *           default: album_title
-     *         description: Field to sort by
+     *         description: Field to sort by; ties are broken by album ID. size needs a total_size or file_size_mb column.
      *       - in: query
      *         name: sortOrder
      *         schema:
@@ -81,6 +93,17 @@ class AlbumsController {
      *                       type: array
      *                       items:
      *                         $ref: '#/components/schemas/Album'
+     *                     pagination:
+     *                       type: object
+     *                       properties:
+     *                         nextCursor:
+     *                           type: string
+     *                           nullable: true
+     *                           description: Cursor for the next page, null on the last page
+     *                         total:
+     *                           type: integer
+     *                           nullable: true
+     *                           description: Matching albums; only counted when no cursor is given
      *                     filters:
      *                       type: object
      *                       properties:
@@ -98,6 +121,8 @@ class AlbumsController {
      *                           type: string
      *                         sortOrder:
      *                           type: string
+     *       400:
+     *         description: Unknown sort key, or a cursor that is malformed or made for another sort
      *       500:
      *         description: Internal server error
      *         content:
@@ -111,6 +136,7 @@ class AlbumsController {
             const {
                 page = 1,
                 pageSize = 20,
+                cursor,
                 sortBy = 'album_title',
                 sortOrder = 'ASC',
                 artist,
@@ -121,80 +147,42 @@ class AlbumsController {
             } = req.query;
 
             // Validate pagination
-            const limit = Math.min(parseInt(pageSize), 100); // Max 100 per page
-            const offset = (parseInt(page) - 1) * limit;
-
-            // Build WHERE clause
-            const conditions = [];
-            const params = [];
-
-            if (artist) {
-                conditions.push('album_artist LIKE ?');
-                params.push(`%${artist}%`);
-            }
-
-            if (genre) {
-                conditions.push('genre LIKE ?');
-                params.push(`%${genre}%`);
-            }
-
-            if (year) {
-                conditions.push('year = ?');
-                params.push(parseInt(year));
-            }
-
-            if (quality) {
-                conditions.push('quality = ?');
-                params.push(quality);
-            }
+            const limit = Math.min(Math.max(parseInt(pageSize, 10) || 20, 1), 100); // Max 100 per page
+            const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+            const sort = albumListService.resolveSort(sortBy, sortOrder);
+            const { conditions, params } = this._buildFilters(req.query);
+
+            const { rows: albums, nextCursor } = await albumListService.page({
+                select: ALBUM_LIST_COLUMNS,
+                conditions,
+                params,
+                sort,
+                cursor,
+                limit,
+                offset: (pageNumber - 1) * limit
+            });
 
-            if (search) {
-                conditions.push(
-                    '(album_title LIKE ? OR album_artist LIKE ? OR genre LIKE ?)'
-                );
-                params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+            // Counting is only needed to show where the first page sits; later pages follow the cursor
+            let total = null;
+            if (!cursor) {
+                const totalResult = await databaseService.queryOne(`
+                    SELECT COUNT(*) as total FROM albums
+                    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                `, params);
+                total = totalResult?.total || 0;
             }
 
-            const whereClause = conditions.length > 0 ? 
-                `WHERE ${conditions.join(' AND ')}` : '';
-
-            // Validate sort column to prevent SQL injection
-            const validSortColumns = [
-                'album_title', 'album_artist', 'year', 'genre', 
-                'quality', 'track_count', 'total_duration', 'created_at'
-            ];
-            const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'album_title';
-            const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-
-            // Get albums
-            const albums = await databaseService.query(`
-                SELECT 
-                    id, album_title, album_artist, year, genre, 
-                    quality, track_count, total_duration, path,
-                    created_at, created_at
-                FROM albums 
-                ${whereClause}
-                ORDER BY ${sortColumn} ${sortDirection}
-                LIMIT ? OFFSET ?
-            `, [...params, limit, offset]);
-
-            // Get total count
-            const totalResult = await databaseService.queryOne(`
-                SELECT COUNT(*) as total FROM albums ${whereClause}
-            `, params);
-
-            const total = totalResult?.total || 0;
-            const totalPages = Math.ceil(total / limit);
-
             res.json({
                 albums,
                 pagination: {
-                    page: parseInt(page),
+                    page: cursor ? null : pageNumber,
                     pageSize: limit,
                     total,
-                    totalPages,
-                    hasNext: parseInt(page) < totalPages,
-                    hasPrev: parseInt(page) > 1
+                    totalPages: total === null ? null : Math.ceil(total / limit),
+                    hasNext: nextCursor !== null,
+                    hasPrev: Boolean(cursor) || pageNumber > 1,
+                    nextCursor
                 },
                 filters: {
                     artist,
@@ -202,12 +190,13 @@ class AlbumsController {
                     year,
                     quality,
                     search,
-                    sortBy: sortColumn,
-                    sortOrder: sortDirection
+                    sortBy: sort.key,
+                    sortOrder: sort.direction
                 }
             });
 
         } catch (error) {
+            if (this._sendListError(res, error)) {return;}
             console.error('Get albums error:', error);
             res.status(500).json({
                 error: 'Internal server error while fetching albums'
@@ -215,6 +204,51 @@ class AlbumsController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/albums/stream:
+     *   get:
+     *     summary: Stream all albums as NDJSON
+     *     description: Every album matching the filters, one JSON object per line in the requested sort order, read from the database in batches. Takes the same filter and sort parameters as /api/albums. The X-Total-Count header holds the number of albums.
+     *     tags: [Albums]
+     *     responses:
+     *       200:
+     *         description: Albums, one per line
+     *         content:
+     *           application/x-ndjson:
+     *             schema:
+     *               $ref: '#/components/schemas/Album'
+     *       400:
+     *         description: Unknown sort key
+     *     security: []
+     */
+    async streamAlbums(req, res) {
+        try {
+            const { sortBy = 'album_title', sortOrder = 'ASC' } = req.query;
+            const sort = albumListService.resolveSort(sortBy, sortOrder);
+            const { conditions, params } = this._buildFilters(req.query);
+
+            const totalResult = await databaseService.queryOne(`
+                SELECT COUNT(*) as total FROM albums
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            `, params);
+
+            await streamNdjson(res, albumListService.batches({
+                select: ALBUM_LIST_COLUMNS,
+                conditions,
+                params,
+                sort
+            }), { total: totalResult?.total || 0 });
+
+        } catch (error) {
+            if (this._sendListError(res, error)) {return;}
+            console.error('Stream albums error:', error);
+            res.status(500).json({
+                error: 'Internal server error while streaming albums'
+            });
+        }
+    }
+
     /**
      * @swagger
      * /api/albums/{id}:
@@ -306,63 +340,65 @@ class AlbumsController {
     }
 
     /**
-     * Update album metadata
+     * @swagger
+     * /api/albums/{id}:
+     *   put:
+     *     summary: Update album metadata
+     *     description: Change album fields. Every changed field is recorded in the album history as a manual edit.
+     *     tags: [Albums]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Changed fields
+     *       400:
+     *         description: No valid fields to update
+     *       404:
+     *         description: Album not found
      */
     async updateAlbum(req, res) {
         try {
             const { id } = req.params;
-            const updates = req.body;
-
-            // Validate album exists
-            const album = await databaseService.queryOne(
-                'SELECT id FROM albums WHERE id = ?',
-                [id]
-            );
+            const updates = req.body || {};
 
-            if (!album) {
-                return res.status(404).json({
-                    error: 'Album not found'
-                });
-            }
-
-            // Build update query
             const allowedFields = [
                 'album_title', 'album_artist', 'year', 'genre',
                 'catalog_number', 'label'
             ];
 
-            const updateFields = [];
-            const params = [];
-
+            const values = {};
             for (const field of allowedFields) {
                 if (updates[field] !== undefined) {
-                    updateFields.push(`${field} = ?`);
-                    params.push(updates[field]);
+                    values[field] = updates[field];
                 }
             }
 
-            if (updateFields.length === 0) {
+            if (Object.keys(values).length === 0) {
                 return res.status(400).json({
                     error: 'No valid fields to update'
                 });
             }
 
-            // Add timestamp and ID
-            updateFields.push('created_at = CURRENT_TIMESTAMP');
-            params.push(id);
-
-            await databaseService.run(`
-                UPDATE albums 
-                SET ${updateFields.join(', ')}
-                WHERE id = ?
-            `, params);
+            const changes = await metadataHistoryService.updateAlbum(parseInt(id, 10), values, {
+                source: 'manual',
+                user: req.user?.username || null
+            });
 
-            // Clear cache for updated album
-            cacheManager.clearCache(`album:${id}`);
-            cacheManager.clearCache('albums');
+            if (!changes) {
+                return res.status(404).json({
+                    error: 'Album not found'
+                });
+            }
 
             res.json({
-                message: 'Album updated successfully'
+                message: 'Album updated successfully',
+                changes
             });
 
         } catch (error) {
@@ -373,6 +409,140 @@ class AlbumsController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/albums/{id}/history:
+     *   get:
+     *     summary: Album edit history
+     *     description: Changes to the album and its tracks, most recent first, with old and new value, source (manual, musicbrainz, discogs, reconstruction, revert, import), user and time.
+     *     tags: [Albums]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: field
+     *         schema:
+     *           type: string
+     *         description: Only changes to this field
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: History entries
+     *       404:
+     *         description: Album not found
+     */
+    async getAlbumHistory(req, res) {
+        try {
+            const { field, limit = 50, offset = 0 } = req.query;
+
+            const history = await metadataHistoryService.getAlbumHistory(parseInt(req.params.id, 10), {
+                field: field || null,
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            if (!history) {
+                return res.status(404).json({
+                    error: 'Album not found'
+                });
+            }
+
+            res.json(history);
+
+        } catch (error) {
+            console.error('Get album history error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching album history'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/albums/{id}/history/{entryId}/revert:
+     *   post:
+     *     summary: Revert one field change
+     *     description: Set the field back to the value it had before the change. Refused if the field was changed again since, unless force is set.
+     *     tags: [Albums]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: entryId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               force:
+     *                 type: boolean
+     *     responses:
+     *       200:
+     *         description: Field reverted
+     *       404:
+     *         description: History entry not found for this album
+     *       409:
+     *         description: Field changed since, or the change cannot be reverted
+     */
+    async revertHistoryEntry(req, res) {
+        try {
+            const albumId = parseInt(req.params.id, 10);
+            const entryId = parseInt(req.params.entryId, 10);
+
+            const entry = await metadataHistoryService.getEntry(entryId);
+            // Reconstruction entries recorded before the album was imported carry no album ID
+            if (!entry || (entry.albumId !== null && entry.albumId !== albumId)) {
+                return res.status(404).json({
+                    error: 'History entry not found'
+                });
+            }
+
+            const changes = await metadataHistoryService.revertEntry(entryId, {
+                user: req.user?.username || null,
+                force: req.body?.force === true
+            });
+
+            res.json({
+                message: `Reverted ${entry.field}`,
+                changes
+            });
+
+        } catch (error) {
+            if (error.code === 'STALE_VALUE' || error.code === 'NOT_REVERTIBLE') {
+                return res.status(409).json({
+                    error: error.message,
+                    code: error.code,
+                    ...(error.currentValue !== undefined ? { currentValue: error.currentValue } : {})
+                });
+            }
+            console.error('Revert album history error:', error);
+            res.status(500).json({
+                error: 'Internal server error while reverting album history'
+            });
+        }
+    }
+
     /**
      * Get album statistics
      */
@@ -481,6 +651,63 @@ class AlbumsController {
             });
         }
     }
+
+    /**
+     * WHERE conditions for the album list filters
+     * @param {Object} query - Request query: artist, genre, year, quality, search
+     * @returns {{conditions: string[], params: Array}}
+     * @private
+     */
+    _buildFilters(query) {
+        const { artist, genre, year, quality, search } = query;
+        const conditions = [];
+        const params = [];
+
+        if (artist) {
+            conditions.push('album_artist LIKE ?');
+            params.push(`%${artist}%`);
+        }
+
+        if (genre) {
+            conditions.push('genre LIKE ?');
+            params.push(`%${genre}%`);
+        }
+
+        if (year) {
+            conditions.push('year = ?');
+            params.push(parseInt(year, 10));
+        }
+
+        if (quality) {
+            conditions.push('quality = ?');
+            params.push(quality);
+        }
+
+        if (search) {
+            conditions.push(
+                '(album_title LIKE ? OR album_artist LIKE ? OR genre LIKE ?)'
+            );
+            params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Answer sort and cursor errors with 400
+     * @returns {boolean} Whether the error was handled
+     * @private
+     */
+    _sendListError(res, error) {
+        if (error.code !== 'INVALID_SORT' && error.code !== 'INVALID_CURSOR') {
+            return false;
+        }
+        res.status(400).json({
+            error: error.message,
+            code: error.code
+        });
+        return true;
+    }
 }
 
 module.exports = new AlbumsController();
\ No newline at end of file
@@ -1,13 +1,25 @@
 // Backup controller for cloud backup and database operations
-const databaseService = require('../services/database');
+const databaseBackupService = require('../services/databaseBackup');
+const cloudBackupService = require('../services/cloudBackup');
+const { initializeAll } = require('../services/schema');
+const jobStore = require('../services/jobStore');
+const webSocketService = require('../websocket');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
+
+const BACKUP_JOB_TYPES = ['backup', 'cloud_backup'];
 
 class BackupController {
     constructor() {
-        this.activeBackups = new Map();
-        this.backupHistory = [];
+        // Job IDs whose cancellation has been requested
+        this.cancelRequests = new Set();
+    }
+
+    /**
+     * Currently running backup job, if any
+     */
+    _getActiveBackup() {
+        return jobStore.getActiveJobs().find(job => BACKUP_JOB_TYPES.includes(job.type)) || null;
     }
 
     /**
@@ -15,14 +27,15 @@ class BackupController {
      */
     async getStatus(req, res) {
         try {
-            // Check for active backup processes
-            const activeBackup = Array.from(this.activeBackups.values())[0];
+            // Check for active backup jobs
+            const activeBackup = this._getActiveBackup();
             
             if (activeBackup) {
                 return res.json({
                     isRunning: true,
-                    status: 'running',
-                    currentPid: activeBackup.pid,
+                    status: activeBackup.status,
+                    jobId: activeBackup.id,
+                    currentPid: null,
                     progress: activeBackup.progress || 0,
                     startTime: activeBackup.startTime,
                     currentFile: activeBackup.currentFile,
@@ -32,15 +45,23 @@ class BackupController {
                 });
             }
 
-            // Get last backup info from history
-            const lastBackup = this.backupHistory[this.backupHistory.length - 1];
+            // Last backup comes from the verified backup sets on disk
+            const backups = await databaseBackupService.listBackups();
+            const latest = backups[0];
             
             res.json({
                 isRunning: false,
                 status: 'idle',
                 currentPid: null,
-                lastBackup: lastBackup || null,
-                totalBackups: this.backupHistory.length,
+                lastBackup: latest ? {
+                    id: latest.id,
+                    filename: latest.id,
+                    size: latest.size,
+                    modified: latest.createdAt,
+                    databases: latest.files.map(file => file.database)
+                } : null,
+                totalBackups: backups.length,
+                retention: databaseBackupService.retention,
                 nextScheduled: null // Would implement scheduling
             });
 
@@ -57,35 +78,30 @@ class BackupController {
      */
     async startBackup(req, res) {
         try {
-            const { type = 'incremental', destination = 'gdrive' } = req.body;
+            const { type = 'database', destination = 'local' } = req.body || {};
 
             // Check if backup is already running
-            if (this.activeBackups.size > 0) {
+            if (this._getActiveBackup()) {
                 return res.status(409).json({
                     error: 'Backup already in progress'
                 });
             }
 
-            const backupId = `backup_${Date.now()}`;
-            const backupJob = {
-                id: backupId,
-                type,
-                destination,
-                startTime: new Date().toISOString(),
-                progress: 0,
+            const backupJob = await jobStore.createJob('backup', {
                 status: 'starting',
+                backupType: type,
+                destination,
                 totalFiles: 0,
-                processedFiles: 0
-            };
-
-            this.activeBackups.set(backupId, backupJob);
+                processedFiles: 0,
+                currentFile: null
+            });
 
             // Start backup process asynchronously
             this._executeBackup(backupJob);
 
             res.json({
                 message: 'Backup started successfully',
-                backupId,
+                backupId: backupJob.id,
                 status: backupJob
             });
 
@@ -141,7 +157,7 @@ class BackupController {
      */
     async cancelBackup(req, res) {
         try {
-            const activeBackup = Array.from(this.activeBackups.values())[0];
+            const activeBackup = this._getActiveBackup();
             
             if (!activeBackup) {
                 return res.status(404).json({
@@ -149,26 +165,14 @@ class BackupController {
                 });
             }
 
-            // Kill the backup process
-            if (activeBackup.process) {
-                activeBackup.process.kill('SIGTERM');
-            }
-
-            // Update status
-            activeBackup.status = 'cancelled';
-            activeBackup.endTime = new Date().toISOString();
-
-            // Move to history
-            this.backupHistory.push({
-                ...activeBackup,
-                duration: Date.now() - new Date(activeBackup.startTime).getTime()
-            });
-
-            this.activeBackups.delete(activeBackup.id);
+            // The running backup checks this between steps and cleans up after itself
+            this.cancelRequests.add(activeBackup.id);
+            await jobStore.appendLog(activeBackup.id, 'info', 'Backup cancelled by user');
+            const backup = await jobStore.completeJob(activeBackup.id, 'cancelled');
 
             res.json({
                 message: 'Backup cancelled successfully',
-                backup: activeBackup
+                backup
             });
 
         } catch (error) {
@@ -180,44 +184,166 @@ class BackupController {
     }
 
     /**
-     * Start cloud backup to Google Drive
+     * @swagger
+     * /api/actions/backup-cloud:
+     *   post:
+     *     summary: Start a cloud backup
+     *     description: Incrementally upload the sorted library and a fresh database snapshot to a configured backup target. Files already uploaded with the same size and mtime are skipped. Per-file progress is broadcast on the WebSocket "backup" channel.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               targetId:
+     *                 type: string
+     *                 description: Backup target ID, defaults to BACKUP_DEFAULT_TARGET
+     *               target:
+     *                 type: string
+     *                 enum: [organized, unprocessed, both]
+     *                 description: What to back up
+     *               includeDatabases:
+     *                 type: boolean
+     *               forceFullBackup:
+     *                 type: boolean
+     *               dryRun:
+     *                 type: boolean
+     *     responses:
+     *       200:
+     *         description: Cloud backup started
+     *       400:
+     *         description: Unknown scope or invalid target configuration
+     *       404:
+     *         description: Unknown backup target
+     *       409:
+     *         description: Another backup is already running
      */
     async startCloudBackup(req, res) {
         try {
-            const { forceFullBackup = false } = req.body;
+            const {
+                targetId = cloudBackupService.defaultTargetId,
+                target: scope = 'organized',
+                includeDatabases = true,
+                forceFullBackup = false,
+                dryRun = false
+            } = req.body || {};
+
+            const response = await this._startCloudBackupJob({
+                targetId,
+                scope,
+                includeDatabases: includeDatabases !== false,
+                forceFullBackup: forceFullBackup === true,
+                dryRun: dryRun === true
+            }, res);
+
+            if (response) {
+                res.json({
+                    message: 'Cloud backup started',
+                    ...response
+                });
+            }
 
-            if (this.activeBackups.size > 0) {
+        } catch (error) {
+            console.error('Start cloud backup error:', error);
+            res.status(500).json({
+                error: 'Internal server error while starting cloud backup'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/backup/cloud/{jobId}/resume:
+     *   post:
+     *     summary: Resume a cloud backup
+     *     description: Start a new cloud backup with the settings of a failed, cancelled or interrupted one. Files it already uploaded are skipped and partially uploaded files continue where the target supports it.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: jobId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Resumed backup started
+     *       404:
+     *         description: Cloud backup job not found
+     *       409:
+     *         description: The job finished successfully or another backup is running
+     */
+    async resumeCloudBackup(req, res) {
+        try {
+            const jobId = parseInt(req.params.jobId, 10);
+            const previous = Number.isNaN(jobId) ? null : await jobStore.getJob(jobId);
+
+            if (!previous || previous.type !== 'cloud_backup') {
+                return res.status(404).json({
+                    error: 'Cloud backup job not found'
+                });
+            }
+
+            if (!jobStore.isTerminal(previous.status) || previous.status === 'completed') {
                 return res.status(409).json({
-                    error: 'Another backup is already in progress'
+                    error: `Cannot resume a backup that is ${previous.status}`
                 });
             }
 
-            const backupId = `cloud_backup_${Date.now()}`;
-            const backupJob = {
-                id: backupId,
-                type: 'cloud',
-                destination: 'google_drive',
-                startTime: new Date().toISOString(),
-                progress: 0,
-                status: 'preparing',
-                forceFullBackup
-            };
+            const response = await this._startCloudBackupJob({
+                targetId: previous.targetId,
+                scope: previous.scope,
+                includeDatabases: previous.includeDatabases !== false,
+                forceFullBackup: false,
+                dryRun: false,
+                resumedFrom: previous.id
+            }, res);
+
+            if (response) {
+                res.json({
+                    message: 'Cloud backup resumed',
+                    ...response
+                });
+            }
 
-            this.activeBackups.set(backupId, backupJob);
+        } catch (error) {
+            console.error('Resume cloud backup error:', error);
+            res.status(500).json({
+                error: 'Internal server error while resuming cloud backup'
+            });
+        }
+    }
 
-            // Execute cloud backup
-            this._executeCloudBackup(backupJob);
+    /**
+     * @swagger
+     * /api/backup/targets:
+     *   get:
+     *     summary: List backup targets
+     *     description: Configured cloud backup targets with the number of files and bytes uploaded to each.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Backup targets
+     */
+    async listTargets(req, res) {
+        try {
+            const targets = await cloudBackupService.listTargets();
 
             res.json({
-                message: 'Cloud backup started',
-                backupId,
-                status: backupJob
+                targets,
+                defaultTarget: cloudBackupService.defaultTargetId
             });
 
         } catch (error) {
-            console.error('Start cloud backup error:', error);
+            console.error('List backup targets error:', error);
             res.status(500).json({
-                error: 'Internal server error while starting cloud backup'
+                error: 'Internal server error while listing backup targets'
             });
         }
     }
@@ -227,44 +353,203 @@ class BackupController {
      */
     async backupDatabase(req, res) {
         try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupFilename = `database_${timestamp}.db`;
-            const backupPath = path.join(__dirname, '../../backups', backupFilename);
-
-            // Create backup directory if it doesn't exist
-            const backupDir = path.dirname(backupPath);
-            if (!fs.existsSync(backupDir)) {
-                fs.mkdirSync(backupDir, { recursive: true });
+            if (this._getActiveBackup()) {
+                return res.status(409).json({
+                    error: 'Another backup is already in progress'
+                });
             }
 
-            // Simple file copy for SQLite database backup
-            const dbPath = path.join(__dirname, '../../ordr.fm.metadata.db');
+            const manifest = await databaseBackupService.createBackup();
             
-            // Check if source database exists
-            if (!fs.existsSync(dbPath)) {
+            res.json({
+                success: true,
+                message: 'Database backup completed successfully',
+                backupId: manifest.id,
+                backupFile: manifest.id,
+                size: manifest.size,
+                timestamp: manifest.createdAt,
+                files: manifest.files.map(file => ({
+                    database: file.database,
+                    size: file.size,
+                    sha256: file.sha256,
+                    integrity: file.integrity
+                })),
+                pruned: manifest.pruned
+            });
+
+        } catch (error) {
+            if (error.code === 'NO_DATABASES') {
                 return res.status(404).json({
                     error: 'Database file not found'
                 });
             }
 
-            // Copy the database file
-            fs.copyFileSync(dbPath, backupPath);
-            
-            // Get file stats
-            const stats = fs.statSync(backupPath);
-            
+            console.error('Backup database error:', error);
+            res.status(500).json({
+                error: 'Internal server error during database backup: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/backup/databases:
+     *   get:
+     *     summary: List database backups
+     *     description: List verified backup sets of the metadata and state databases, newest first.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Backup manifests with per-file checksum and integrity results
+     */
+    async listDatabaseBackups(req, res) {
+        try {
+            const backups = await databaseBackupService.listBackups();
+
             res.json({
-                message: 'Database backup completed successfully',
-                backupFile: backupFilename,
-                size: stats.size,
-                timestamp,
-                path: backupPath
+                backups,
+                total: backups.length,
+                retention: databaseBackupService.retention
             });
 
         } catch (error) {
-            console.error('Backup database error:', error);
+            console.error('List database backups error:', error);
             res.status(500).json({
-                error: 'Internal server error during database backup: ' + error.message
+                error: 'Internal server error while listing backups'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/backup/databases/{backupId}/verify:
+     *   post:
+     *     summary: Verify a database backup
+     *     description: Recompute checksums and run PRAGMA integrity_check on every file in a backup set.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: backupId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Verification result
+     *       404:
+     *         description: Backup not found
+     */
+    async verifyDatabaseBackup(req, res) {
+        try {
+            const result = await databaseBackupService.verifyBackup(req.params.backupId);
+            res.json(result);
+
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({
+                    error: 'Backup not found'
+                });
+            }
+
+            console.error('Verify database backup error:', error);
+            res.status(500).json({
+                error: 'Internal server error while verifying backup'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/backup/restore:
+     *   post:
+     *     summary: Restore databases from a backup
+     *     description: Verify the backup set, validate its schema against the live database, take a pre-restore safety backup and then swap the restored files into place.
+     *     tags: [Backup]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [backupId]
+     *             properties:
+     *               backupId:
+     *                 type: string
+     *               databases:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                   enum: [metadata, state]
+     *     responses:
+     *       200:
+     *         description: Restore completed
+     *       404:
+     *         description: Backup not found
+     *       409:
+     *         description: Jobs are running or the backup failed validation
+     */
+    async restoreDatabase(req, res) {
+        try {
+            const { backupId, databases } = req.body || {};
+
+            if (!backupId) {
+                return res.status(400).json({
+                    error: 'backupId is required'
+                });
+            }
+
+            if (databases !== undefined && (!Array.isArray(databases) || databases.length === 0)) {
+                return res.status(400).json({
+                    error: 'databases must be a non-empty array'
+                });
+            }
+
+            // Swapping the database under a running job would corrupt its results
+            const runningJobs = jobStore.getActiveJobs();
+            if (runningJobs.length > 0) {
+                return res.status(409).json({
+                    error: 'Cannot restore while jobs are running',
+                    activeJobs: runningJobs.map(job => ({ id: job.id, type: job.type }))
+                });
+            }
+
+            const result = await databaseBackupService.restoreBackup(backupId, { databases });
+
+            // The restored database may predate tables and columns added since
+            await initializeAll();
+
+            console.log(`Database restored from ${backupId} by ${req.user?.username || 'unknown'}`);
+
+            res.json({
+                success: true,
+                message: 'Database restored successfully',
+                backupId,
+                restored: result.restored,
+                safetyBackupId: result.safetyBackupId
+            });
+
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({
+                    error: 'Backup not found'
+                });
+            }
+
+            if (error.code === 'INVALID_BACKUP' || error.code === 'SCHEMA_MISMATCH') {
+                return res.status(409).json({
+                    error: error.message
+                });
+            }
+
+            console.error('Restore database error:', error);
+            res.status(500).json({
+                error: 'Internal server error during database restore'
             });
         }
     }
@@ -273,91 +558,190 @@ class BackupController {
      * Execute backup process (private method)
      */
     async _executeBackup(backupJob) {
+        const isCancelled = () => this.cancelRequests.has(backupJob.id);
+
         try {
-            backupJob.status = 'scanning';
-            
-            // Mock backup process - would implement real backup logic
-            const totalSteps = 100;
-            
-            for (let step = 0; step < totalSteps; step++) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                backupJob.progress = Math.round((step / totalSteps) * 100);
-                backupJob.processedFiles = step;
-                backupJob.totalFiles = totalSteps;
-                backupJob.currentFile = `file_${step}.mp3`;
-                
-                if (step === Math.floor(totalSteps / 3)) {
-                    backupJob.status = 'uploading';
-                }
-                
-                if (step === Math.floor(totalSteps * 2 / 3)) {
-                    backupJob.status = 'finalizing';
+            await jobStore.updateJob(backupJob.id, { status: 'backing_up' });
+
+            const manifest = await databaseBackupService.createBackup({
+                isCancelled,
+                onProgress: ({ database, stage, percent }) => {
+                    if (isCancelled()) {return;}
+                    jobStore.updateJob(backupJob.id, {
+                        status: stage || 'backing_up',
+                        currentFile: database || null,
+                        progress: percent
+                    }).catch(() => {});
                 }
-            }
+            });
 
-            backupJob.status = 'completed';
-            backupJob.endTime = new Date().toISOString();
-            backupJob.progress = 100;
+            await jobStore.appendLog(backupJob.id, 'info',
+                `Backup ${manifest.id} written and verified (${manifest.files.map(file => file.database).join(', ')})`);
 
-            // Move to history
-            this.backupHistory.push({
-                ...backupJob,
-                duration: Date.now() - new Date(backupJob.startTime).getTime()
+            if (manifest.pruned && manifest.pruned.length > 0) {
+                await jobStore.appendLog(backupJob.id, 'info', `Retention removed: ${manifest.pruned.join(', ')}`);
+            }
+
+            await jobStore.completeJob(backupJob.id, 'completed', {
+                backupSetId: manifest.id,
+                totalFiles: manifest.files.length,
+                processedFiles: manifest.files.length,
+                size: manifest.size
             });
 
-            this.activeBackups.delete(backupJob.id);
+        } catch (error) {
+            if (error.code !== 'CANCELLED') {
+                console.error('Backup execution error:', error);
+                await jobStore.appendLog(backupJob.id, 'error', error.message).catch(() => {});
+                await jobStore.completeJob(backupJob.id, 'failed', { error: error.message }).catch(() => {});
+            }
+        } finally {
+            this.cancelRequests.delete(backupJob.id);
+        }
+    }
+
+    /**
+     * Validate the request and start a cloud backup job. Sends the error
+     * response itself and returns null when the backup cannot start.
+     */
+    async _startCloudBackupJob(settings, res) {
+        if (this._getActiveBackup()) {
+            res.status(409).json({
+                error: 'Another backup is already in progress'
+            });
+            return null;
+        }
 
+        let target;
+        try {
+            cloudBackupService.resolveScope(settings.scope);
+            target = cloudBackupService.getTarget(settings.targetId);
         } catch (error) {
-            console.error('Backup execution error:', error);
-            backupJob.status = 'failed';
-            backupJob.error = error.message;
-            backupJob.endTime = new Date().toISOString();
-            
-            this.backupHistory.push(backupJob);
-            this.activeBackups.delete(backupJob.id);
+            if (error.code === 'NOT_FOUND') {
+                res.status(404).json({ error: error.message });
+                return null;
+            }
+            if (error.code === 'INVALID_SCOPE' || error.code === 'INVALID_TARGET') {
+                res.status(400).json({ error: error.message });
+                return null;
+            }
+            throw error;
+        }
+
+        const backupJob = await jobStore.createJob('cloud_backup', {
+            status: 'preparing',
+            destination: target.destination,
+            targetType: target.type,
+            ...settings,
+            targetId: target.id,
+            totalFiles: 0,
+            processedFiles: 0,
+            currentFile: null
+        });
+
+        if (settings.resumedFrom) {
+            await jobStore.appendLog(backupJob.id, 'info', `Resuming cloud backup job ${settings.resumedFrom}`);
         }
+
+        this._executeCloudBackup(backupJob);
+
+        return {
+            backupId: backupJob.id,
+            target: target.describe(),
+            status: backupJob
+        };
     }
 
     /**
      * Execute cloud backup process (private method)
      */
     async _executeCloudBackup(backupJob) {
+        const isCancelled = () => this.cancelRequests.has(backupJob.id);
+        const broadcast = (type, data) => {
+            webSocketService.broadcast({ type, data: { backupId: backupJob.id, ...data } }, 'backup');
+        };
+
         try {
-            backupJob.status = 'authenticating';
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            const summary = await cloudBackupService.runBackup({
+                targetId: backupJob.targetId,
+                scope: backupJob.scope,
+                includeDatabases: backupJob.includeDatabases,
+                forceFullBackup: backupJob.forceFullBackup,
+                dryRun: backupJob.dryRun,
+                isCancelled,
+                onProgress: (event) => {
+                    if (isCancelled()) {return;}
+                    broadcast('backup_update', event);
+                    this._recordCloudProgress(backupJob.id, event).catch(() => {});
+                }
+            });
 
-            backupJob.status = 'scanning';
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            const failed = summary.failedFiles.length;
+            await jobStore.appendLog(backupJob.id, failed > 0 ? 'warn' : 'info',
+                summary.dryRun ?
+                    `Dry run: ${summary.totalFiles} of ${summary.scannedFiles} files would be uploaded` :
+                    `Uploaded ${summary.uploadedFiles} files (${summary.uploadedBytes} bytes), skipped ${summary.skippedFiles} unchanged, ${failed} failed`);
+
+            await jobStore.completeJob(backupJob.id, failed > 0 ? 'failed' : 'completed', {
+                progress: 100,
+                currentFile: null,
+                summary,
+                error: failed > 0 ? `${failed} files failed to upload` : null
+            });
 
-            backupJob.status = 'uploading';
-            
-            // Simulate upload progress
-            for (let progress = 0; progress <= 100; progress += 5) {
-                backupJob.progress = progress;
-                await new Promise(resolve => setTimeout(resolve, 500));
+            broadcast('backup_complete', {
+                success: failed === 0,
+                error: failed > 0 ? `${failed} files failed to upload` : null,
+                summary
+            });
+
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                broadcast('backup_cancelled', { message: `Cloud backup ${backupJob.id} cancelled` });
+                // cancelBackup() has already completed the job
+                if (!jobStore.isTerminal(backupJob.status)) {
+                    await jobStore.completeJob(backupJob.id, 'cancelled').catch(() => {});
+                }
+                return;
             }
 
-            backupJob.status = 'completed';
-            backupJob.endTime = new Date().toISOString();
-            backupJob.progress = 100;
+            console.error('Cloud backup execution error:', error);
+            await jobStore.appendLog(backupJob.id, 'error', error.message).catch(() => {});
+            await jobStore.completeJob(backupJob.id, 'failed', { error: error.message }).catch(() => {});
+            broadcast('backup_complete', { success: false, error: error.message });
+        } finally {
+            this.cancelRequests.delete(backupJob.id);
+        }
+    }
 
-            this.backupHistory.push({
-                ...backupJob,
-                duration: Date.now() - new Date(backupJob.startTime).getTime()
-            });
+    /**
+     * Mirror cloud backup progress into the job record. Byte-level ticks are
+     * only broadcast; the job row changes once per stage and per file.
+     */
+    async _recordCloudProgress(jobId, event) {
+        if (event.stage === 'uploading' && event.fileBytes > 0) {return;}
 
-            this.activeBackups.delete(backupJob.id);
+        if (event.stage === 'planned') {
+            await jobStore.appendLog(jobId, 'info',
+                `${event.totalFiles} of ${event.scannedFiles} files need uploading (${event.totalBytes} bytes)`);
+            return jobStore.updateJob(jobId, { totalFiles: event.totalFiles, databaseSnapshot: event.databaseSnapshot });
+        }
 
-        } catch (error) {
-            console.error('Cloud backup execution error:', error);
-            backupJob.status = 'failed';
-            backupJob.error = error.message;
-            backupJob.endTime = new Date().toISOString();
-            
-            this.backupHistory.push(backupJob);
-            this.activeBackups.delete(backupJob.id);
+        if (event.stage === 'file_failed') {
+            return jobStore.appendLog(jobId, 'error', `${event.currentFile}: ${event.error}`);
         }
+
+        if (event.stage === 'file_complete') {
+            return jobStore.updateJob(jobId, {
+                status: 'uploading',
+                processedFiles: event.fileIndex,
+                progress: event.progress
+            });
+        }
+
+        const changes = { status: event.stage };
+        if (event.currentFile) {changes.currentFile = event.currentFile;}
+        return jobStore.updateJob(jobId, changes);
     }
 }
 
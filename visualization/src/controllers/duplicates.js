@@ -0,0 +1,304 @@
+// Duplicates controller for scored duplicate groups, resolving them, the quarantine and tracks with the same audio
+const duplicateService = require('../services/duplicates');
+const fingerprintService = require('../services/fingerprint');
+const jobStore = require('../services/jobStore');
+
+// Service error codes mapped to HTTP statuses
+const ERROR_STATUS = {
+    INVALID_KEEP: 400,
+    INVALID_STATUS: 400,
+    INVALID_STATE: 409,
+    RESOLVE_CONFLICT: 409,
+    RESOLVE_IN_PROGRESS: 409,
+    RESTORE_CONFLICT: 409
+};
+
+class DuplicatesController {
+    /**
+     * @swagger
+     * /api/duplicates:
+     *   get:
+     *     summary: Duplicate album groups
+     *     description: Albums with the same artist and title (letters and digits only, any case), largest possible saving first. Every copy is scored on the format and bitrate of its files and on track completeness, and the best one is recommended to keep.
+     *     tags: [Albums]
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Overview, format distribution and groups with their scored copies
+     */
+    async getDuplicates(req, res) {
+        try {
+            const { limit = 50, offset = 0 } = req.query;
+
+            const result = await duplicateService.getGroups({
+                limit: Math.min(parseInt(limit, 10) || 50, 500),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Duplicates error:', error);
+            res.status(500).json({
+                error: 'Internal server error while detecting duplicates'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/duplicates/audio:
+     *   get:
+     *     summary: Tracks with the same audio
+     *     description: Clusters of tracks in different albums whose acoustic fingerprints match, as found by the last fingerprint job (/api/actions/fingerprint). Clusters whose titles or artists differ come first; they are the same recording under another spelling or a track tagged into the wrong album.
+     *     tags: [Albums]
+     *     parameters:
+     *       - in: query
+     *         name: differentMetadata
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Only clusters whose track titles or artists differ
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Fingerprint coverage and clusters with their tracks
+     */
+    async getAudioClusters(req, res) {
+        try {
+            const { differentMetadata, limit = 50, offset = 0 } = req.query;
+
+            const result = await fingerprintService.getClusters({
+                differentMetadata: differentMetadata === 'true',
+                limit: Math.min(parseInt(limit, 10) || 50, 500),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Audio duplicates error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching audio duplicates'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/duplicates/{groupId}/resolve:
+     *   post:
+     *     summary: Resolve a duplicate group
+     *     description: Keep one copy and move the others to the quarantine directory, taking them out of the library. Nothing is moved if a folder to quarantine is missing.
+     *     tags: [Albums]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: groupId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               keep:
+     *                 type: integer
+     *                 description: Album to keep; defaults to the recommended copy
+     *     responses:
+     *       200:
+     *         description: Kept album and quarantine entries
+     *       400:
+     *         description: The album to keep is not in the group
+     *       404:
+     *         description: Group not found
+     *       409:
+     *         description: Folders missing, another resolve running, or albums being moved
+     */
+    async resolveGroup(req, res) {
+        try {
+            if (this._refuseWhileProcessing(res)) {return;}
+
+            const result = await duplicateService.resolveGroup(req.params.groupId, {
+                keep: req.body?.keep,
+                user: req.user?.username || null
+            });
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Duplicate group not found'
+                });
+            }
+
+            if (result.failed) {
+                return res.status(500).json({
+                    error: `Quarantine stopped at album ${result.failed.albumId}: ${result.failed.error}`,
+                    ...result
+                });
+            }
+
+            res.json({
+                message: `Kept album ${result.kept} and quarantined ${result.quarantined.length} duplicate(s)`,
+                ...result
+            });
+
+        } catch (error) {
+            if (this._sendDuplicateError(res, error)) {return;}
+            console.error('Resolve duplicates error:', error);
+            res.status(500).json({
+                error: 'Internal server error while resolving duplicates'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/duplicates/quarantine:
+     *   get:
+     *     summary: Quarantined duplicates
+     *     description: Albums set aside by resolving duplicate groups, most recent first.
+     *     tags: [Albums]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [quarantined, restored]
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Quarantine entries and total
+     */
+    async listQuarantine(req, res) {
+        try {
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const result = await duplicateService.listQuarantine({
+                status: status || null,
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            if (this._sendDuplicateError(res, error)) {return;}
+            console.error('List quarantine error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching quarantine'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/duplicates/quarantine/{id}/restore:
+     *   post:
+     *     summary: Restore a quarantined album
+     *     description: Move the album back to its original path and put it back in the library. Refused if the original location is occupied.
+     *     tags: [Albums]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Restored entry
+     *       404:
+     *         description: Entry not found
+     *       409:
+     *         description: Already restored, folder missing, original location occupied, or albums being moved
+     */
+    async restoreQuarantined(req, res) {
+        try {
+            if (this._refuseWhileProcessing(res)) {return;}
+
+            const entry = await duplicateService.restore(parseInt(req.params.id, 10), {
+                user: req.user?.username || null
+            });
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Quarantine entry not found'
+                });
+            }
+
+            res.json({
+                message: `Restored ${entry.originalPath}`,
+                entry
+            });
+
+        } catch (error) {
+            if (this._sendDuplicateError(res, error)) {return;}
+            console.error('Restore quarantined album error:', error);
+            res.status(500).json({
+                error: 'Internal server error while restoring album'
+            });
+        }
+    }
+
+    // A running job may be moving the same albums
+    _refuseWhileProcessing(res) {
+        const moving = jobStore.getActiveJobs().filter(job => job.enableMove || job.type === 'apply_plan');
+        if (moving.length === 0) {
+            return false;
+        }
+
+        res.status(409).json({
+            error: 'Cannot move duplicates while albums are being moved',
+            jobIds: moving.map(job => job.id)
+        });
+        return true;
+    }
+
+    _sendDuplicateError(res, error) {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        res.status(status).json({
+            error: error.message,
+            code: error.code,
+            ...(error.conflicts ? { conflicts: error.conflicts } : {})
+        });
+        return true;
+    }
+}
+
+module.exports = new DuplicatesController();
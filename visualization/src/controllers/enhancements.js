@@ -0,0 +1,169 @@
+// Enhancements controller for reviewing metadata matches
+const metadataEnrichmentService = require('../services/metadataEnrichment');
+
+// Service error codes mapped to HTTP statuses
+const ERROR_STATUS = {
+    INVALID_STATUS: 400,
+    INVALID_STATE: 409
+};
+
+class EnhancementsController {
+    /**
+     * @swagger
+     * /api/enhancements:
+     *   get:
+     *     summary: Metadata matches
+     *     description: Results of metadata enhancement jobs with their confidence, most recent first. Use status=pending for the review queue.
+     *     tags: [Processing]
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [applied, pending, approved, rejected, superseded, no_match]
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Matches with the field changes they propose
+     */
+    async listMatches(req, res) {
+        try {
+            const { status, limit = 50, offset = 0 } = req.query;
+
+            const result = await metadataEnrichmentService.listMatches({
+                status: status || null,
+                limit: Math.min(parseInt(limit, 10) || 50, 200),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            if (this._sendEnhancementError(res, error)) {return;}
+            console.error('List enhancements error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching metadata matches'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/enhancements/{matchId}/approve:
+     *   post:
+     *     summary: Approve a metadata match
+     *     description: Write the fields of a pending match to its album.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: matchId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Match applied
+     *       404:
+     *         description: Match not found
+     *       409:
+     *         description: Match is not pending
+     */
+    async approveMatch(req, res) {
+        try {
+            const match = await metadataEnrichmentService.approveMatch(parseInt(req.params.matchId, 10), {
+                reviewer: req.user?.username || null
+            });
+            if (!match) {
+                return res.status(404).json({
+                    error: 'Match not found'
+                });
+            }
+
+            res.json({
+                message: 'Match applied',
+                match
+            });
+
+        } catch (error) {
+            if (this._sendEnhancementError(res, error)) {return;}
+            console.error('Approve enhancement error:', error);
+            res.status(500).json({
+                error: 'Internal server error while approving metadata match'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/enhancements/{matchId}/reject:
+     *   post:
+     *     summary: Reject a metadata match
+     *     description: Discard a pending match. The album is skipped when enhancement picks albums automatically.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: matchId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Match rejected
+     *       404:
+     *         description: Match not found
+     *       409:
+     *         description: Match is not pending
+     */
+    async rejectMatch(req, res) {
+        try {
+            const match = await metadataEnrichmentService.rejectMatch(parseInt(req.params.matchId, 10), {
+                reviewer: req.user?.username || null
+            });
+            if (!match) {
+                return res.status(404).json({
+                    error: 'Match not found'
+                });
+            }
+
+            res.json({
+                message: 'Match rejected',
+                match
+            });
+
+        } catch (error) {
+            if (this._sendEnhancementError(res, error)) {return;}
+            console.error('Reject enhancement error:', error);
+            res.status(500).json({
+                error: 'Internal server error while rejecting metadata match'
+            });
+        }
+    }
+
+    _sendEnhancementError(res, error) {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        res.status(status).json({
+            error: error.message,
+            code: error.code
+        });
+        return true;
+    }
+}
+
+module.exports = new EnhancementsController();
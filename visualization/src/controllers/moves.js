@@ -0,0 +1,196 @@
+// Moves controller for the ordr.fm.sh move log and rollback
+const moveHistoryService = require('../services/moveHistory');
+const jobStore = require('../services/jobStore');
+
+// Service error codes mapped to HTTP statuses
+const ERROR_STATUS = {
+    INVALID_STATUS: 400,
+    INVALID_STATE: 409,
+    ROLLBACK_CONFLICT: 409,
+    ROLLBACK_IN_PROGRESS: 409
+};
+
+class MovesController {
+    /**
+     * @swagger
+     * /api/moves:
+     *   get:
+     *     summary: Move history
+     *     description: Album moves recorded by ordr.fm.sh, grouped by processing run, most recent run first.
+     *     tags: [Processing]
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *         description: Number of runs
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [IN_PROGRESS, SUCCESS, FAILED, ROLLED_BACK]
+     *     responses:
+     *       200:
+     *         description: Runs with their moves
+     */
+    async listMoves(req, res) {
+        try {
+            const { limit = 20, offset = 0, status } = req.query;
+
+            const result = await moveHistoryService.listRuns({
+                limit: Math.min(parseInt(limit, 10) || 20, 200),
+                offset: Math.max(parseInt(offset, 10) || 0, 0),
+                status: status || null
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            if (this._sendMoveError(res, error)) {return;}
+            console.error('List moves error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching moves'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/moves/{moveId}/rollback:
+     *   post:
+     *     summary: Roll back one move
+     *     description: Move the album back to its original path and update its library path. Refused if the original location is occupied.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: moveId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Album moved back
+     *       404:
+     *         description: Move not found
+     *       409:
+     *         description: Original location occupied, move not completed, or processing running
+     */
+    async rollbackMove(req, res) {
+        try {
+            if (this._refuseWhileProcessing(res)) {return;}
+
+            const result = await moveHistoryService.rollbackMove(req.params.moveId);
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Move not found'
+                });
+            }
+
+            this._sendRollbackResult(res, result);
+
+        } catch (error) {
+            if (this._sendMoveError(res, error)) {return;}
+            console.error('Rollback move error:', error);
+            res.status(500).json({
+                error: 'Internal server error while rolling back move'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/moves/runs/{runId}/rollback:
+     *   post:
+     *     summary: Roll back a processing run
+     *     description: Move every album of the run back, most recent first. Nothing is moved if any original location is occupied.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: runId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Albums moved back
+     *       404:
+     *         description: Run not found
+     *       409:
+     *         description: Conflicts listed in `conflicts`, or processing running
+     */
+    async rollbackRun(req, res) {
+        try {
+            if (this._refuseWhileProcessing(res)) {return;}
+
+            const result = await moveHistoryService.rollbackRun(req.params.runId);
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Run not found'
+                });
+            }
+
+            this._sendRollbackResult(res, result);
+
+        } catch (error) {
+            if (this._sendMoveError(res, error)) {return;}
+            console.error('Rollback run error:', error);
+            res.status(500).json({
+                error: 'Internal server error while rolling back run'
+            });
+        }
+    }
+
+    // A running job may be moving the same albums
+    _refuseWhileProcessing(res) {
+        const moving = jobStore.getActiveJobs().filter(job => job.enableMove || job.type === 'apply_plan');
+        if (moving.length === 0) {
+            return false;
+        }
+
+        res.status(409).json({
+            error: 'Cannot roll back while albums are being moved',
+            jobIds: moving.map(job => job.id)
+        });
+        return true;
+    }
+
+    _sendRollbackResult(res, result) {
+        if (result.failed) {
+            return res.status(500).json({
+                error: `Rollback stopped at ${result.failed.moveId}: ${result.failed.error}`,
+                ...result
+            });
+        }
+
+        res.json({
+            message: `Rolled back ${result.rolledBack.length} move(s)`,
+            ...result
+        });
+    }
+
+    _sendMoveError(res, error) {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        res.status(status).json({
+            error: error.message,
+            code: error.code,
+            ...(error.conflicts ? { conflicts: error.conflicts } : {})
+        });
+        return true;
+    }
+}
+
+module.exports = new MovesController();
@@ -1,14 +1,34 @@
 // Processing controller for music organization and enrichment
 const databaseService = require('../services/database');
+const jobStore = require('../services/jobStore');
+const planStore = require('../services/planStore');
+const metadataEnrichmentService = require('../services/metadataEnrichment');
+const metadataHistoryService = require('../services/metadataHistory');
+const fingerprintService = require('../services/fingerprint');
+const { PROGRESS_FD, ProgressEventParser } = require('../utils/progressEvents');
+const { ORDRFM_CONFIG_FILE, ENHANCEMENT_AUTO_APPLY_THRESHOLD } = require('../config');
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// Levels written by log() in lib/common.sh, mapped to job log levels
+const SCRIPT_LOG_LEVELS = {
+    ERROR: 'error',
+    WARNING: 'warn',
+    INFO: 'info',
+    DEBUG: 'debug'
+};
+
+// Matches Discogs' default DISCOGS_CONFIDENCE_THRESHOLD in lib/discogs.sh
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
 
 class ProcessingController {
     constructor() {
-        this.activeJobs = new Map();
-        this.jobHistory = [];
-        this.jobIdCounter = 1;
+        // Child processes of running jobs, keyed by job ID (job state itself lives in the job store)
+        this.processes = new Map();
+        // Reconstructed metadata per job and album path, recorded once the album is moved
+        this.reconstructions = new Map();
     }
 
     /**
@@ -36,31 +56,22 @@ class ProcessingController {
                 });
             }
 
-            const jobId = this.jobIdCounter++;
-            const job = {
-                id: jobId,
-                type: 'process',
-                status: 'starting',
-                startTime: new Date().toISOString(),
-                progress: 0,
+            const job = await jobStore.createJob('process', {
                 sourcePath,
                 enableMove,
                 enableDiscogs,
                 organizationMode,
                 processedAlbums: 0,
                 totalAlbums: 0,
-                currentAlbum: null,
-                logs: []
-            };
-
-            this.activeJobs.set(jobId, job);
+                currentAlbum: null
+            });
 
             // Start processing asynchronously
             this._executeProcessing(job);
 
             res.json({
                 message: 'Processing job started',
-                jobId,
+                jobId: job.id,
                 status: job
             });
 
@@ -77,7 +88,7 @@ class ProcessingController {
      */
     getActiveJobs(req, res) {
         try {
-            const jobs = Array.from(this.activeJobs.values());
+            const jobs = jobStore.getActiveJobs();
             res.json({ jobs });
         } catch (error) {
             console.error('Get active jobs error:', error);
@@ -90,18 +101,20 @@ class ProcessingController {
     /**
      * Get job history
      */
-    getJobHistory(req, res) {
+    async getJobHistory(req, res) {
         try {
-            const { limit = 50 } = req.query;
-            const maxLimit = Math.min(parseInt(limit), 100);
-            
-            const history = this.jobHistory
-                .slice(-maxLimit)
-                .reverse();
+            const { limit = 50, offset = 0, type } = req.query;
+            const maxLimit = Math.min(parseInt(limit, 10) || 50, 100);
+
+            const { jobs, total } = await jobStore.getJobHistory({
+                limit: maxLimit,
+                offset: Math.max(parseInt(offset, 10) || 0, 0),
+                type: type || null
+            });
 
             res.json({ 
-                history,
-                total: this.jobHistory.length 
+                history: jobs,
+                total
             });
         } catch (error) {
             console.error('Get job history error:', error);
@@ -114,68 +127,488 @@ class ProcessingController {
     /**
      * Get specific job details
      */
-    getJob(req, res) {
+    async getJob(req, res) {
         try {
-            const { jobId } = req.params;
-            const id = parseInt(jobId);
+            const id = parseInt(req.params.jobId, 10);
 
-            const activeJob = this.activeJobs.get(id);
-            if (activeJob) {
-                return res.json({ job: activeJob });
+            const job = await jobStore.getJob(id, { logLimit: 1000 });
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Job not found'
+                });
             }
 
-            const historicalJob = this.jobHistory.find(job => job.id === id);
-            if (historicalJob) {
-                return res.json({ job: historicalJob });
+            res.json({ job });
+
+        } catch (error) {
+            console.error('Get job error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching job'
+            });
+        }
+    }
+
+    /**
+     * Get log rows for a job, paged by log ID
+     */
+    async getJobLogs(req, res) {
+        try {
+            const id = parseInt(req.params.jobId, 10);
+            const { after = 0, limit = 500 } = req.query;
+
+            const job = await jobStore.getJob(id);
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Job not found'
+                });
             }
 
-            res.status(404).json({
-                error: 'Job not found'
+            const logs = await jobStore.getLogs(id, {
+                after: parseInt(after, 10) || 0,
+                limit: Math.min(parseInt(limit, 10) || 500, 5000)
+            });
+
+            res.json({
+                jobId: id,
+                status: job.status,
+                logs,
+                nextCursor: logs.length > 0 ? logs[logs.length - 1].id : parseInt(after, 10) || 0
             });
 
         } catch (error) {
-            console.error('Get job error:', error);
+            console.error('Get job logs error:', error);
             res.status(500).json({
-                error: 'Internal server error while fetching job'
+                error: 'Internal server error while fetching job logs'
             });
         }
     }
 
     /**
-     * Cancel a running job
+     * Get typed progress events for a job, paged by event ID
      */
-    cancelJob(req, res) {
+    async getJobEvents(req, res) {
         try {
-            const { jobId } = req.params;
-            const id = parseInt(jobId);
+            const id = parseInt(req.params.jobId, 10);
+            const { after = 0, limit = 500, type } = req.query;
 
-            const job = this.activeJobs.get(id);
+            const job = await jobStore.getJob(id);
             if (!job) {
                 return res.status(404).json({
-                    error: 'Active job not found'
+                    error: 'Job not found'
+                });
+            }
+
+            const events = await jobStore.getEvents(id, {
+                after: parseInt(after, 10) || 0,
+                limit: Math.min(parseInt(limit, 10) || 500, 5000),
+                types: type ? String(type).split(',').map(value => value.trim()).filter(Boolean) : []
+            });
+
+            res.json({
+                jobId: id,
+                status: job.status,
+                albumOutcomes: job.albumOutcomes || {},
+                events,
+                nextCursor: events.length > 0 ? events[events.length - 1].id : parseInt(after, 10) || 0
+            });
+
+        } catch (error) {
+            console.error('Get job events error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching job events'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/plans:
+     *   post:
+     *     summary: Generate a processing plan
+     *     description: Run ordr.fm.sh in dry-run mode and persist every album it would move, with the proposed destination, quality, organization mode and Discogs confidence, for review before anything is moved.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [sourcePath]
+     *             properties:
+     *               sourcePath:
+     *                 type: string
+     *               destinationPath:
+     *                 type: string
+     *               enableDiscogs:
+     *                 type: boolean
+     *               organizationMode:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Plan generation started
+     *       400:
+     *         description: Missing or invalid source path
+     */
+    async createPlan(req, res) {
+        try {
+            const {
+                sourcePath,
+                destinationPath = null,
+                enableDiscogs = true,
+                organizationMode = 'hybrid'
+            } = req.body || {};
+
+            if (!sourcePath || !fs.existsSync(sourcePath)) {
+                return res.status(400).json({
+                    error: sourcePath ? 'Source path does not exist' : 'Source path is required'
                 });
             }
 
-            // Kill the process if it exists
-            if (job.process) {
-                job.process.kill('SIGTERM');
+            if (destinationPath !== null && !path.isAbsolute(destinationPath)) {
+                return res.status(400).json({
+                    error: 'Destination path must be absolute'
+                });
             }
 
-            job.status = 'cancelled';
-            job.endTime = new Date().toISOString();
-            job.logs.push({
-                level: 'info',
-                message: 'Job cancelled by user',
-                timestamp: new Date().toISOString()
+            const options = { destinationPath, enableDiscogs, organizationMode };
+            const job = await jobStore.createJob('plan', {
+                sourcePath,
+                ...options,
+                enableMove: false,
+                processedAlbums: 0,
+                totalAlbums: 0,
+                currentAlbum: null
+            });
+
+            const plan = await planStore.createPlan(job.id, sourcePath, options);
+            await jobStore.updateJob(job.id, { planId: plan.id });
+
+            this._executeProcessing(job);
+
+            res.json({
+                message: 'Plan generation started',
+                planId: plan.id,
+                jobId: job.id,
+                plan
+            });
+
+        } catch (error) {
+            console.error('Create plan error:', error);
+            res.status(500).json({
+                error: 'Internal server error while creating plan'
+            });
+        }
+    }
+
+    /**
+     * List processing plans
+     */
+    async listPlans(req, res) {
+        try {
+            const { limit = 20, offset = 0 } = req.query;
+
+            const plans = await planStore.listPlans({
+                limit: Math.min(parseInt(limit, 10) || 20, 100),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json({ plans });
+
+        } catch (error) {
+            console.error('List plans error:', error);
+            res.status(500).json({
+                error: 'Internal server error while listing plans'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/plans/{planId}:
+     *   get:
+     *     summary: Get a processing plan
+     *     description: Plan status, per-status entry counts and a page of entries.
+     *     tags: [Processing]
+     *     parameters:
+     *       - in: path
+     *         name: planId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, approved, excluded, applied, failed]
+     *     responses:
+     *       200:
+     *         description: Plan with entries
+     *       404:
+     *         description: Plan not found
+     */
+    async getPlan(req, res) {
+        try {
+            const planId = parseInt(req.params.planId, 10);
+            const { status, limit = 500, offset = 0 } = req.query;
+
+            const plan = await planStore.getPlan(planId);
+            if (!plan) {
+                return res.status(404).json({
+                    error: 'Plan not found'
+                });
+            }
+
+            const { entries, total } = await planStore.getEntries(planId, {
+                status: status || null,
+                limit: Math.min(parseInt(limit, 10) || 500, 5000),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json({ plan, entries, total });
+
+        } catch (error) {
+            console.error('Get plan error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching plan'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/plans/{planId}/entries/{entryId}:
+     *   patch:
+     *     summary: Review a plan entry
+     *     description: Approve or exclude an entry, or change its destination. Destinations must stay inside the plan's destination directory; null restores the proposed path.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               status:
+     *                 type: string
+     *                 enum: [pending, approved, excluded]
+     *               destination:
+     *                 type: string
+     *                 nullable: true
+     *     responses:
+     *       200:
+     *         description: Updated entry
+     *       400:
+     *         description: Invalid status or destination
+     *       404:
+     *         description: Plan or entry not found
+     *       409:
+     *         description: Plan is no longer editable
+     */
+    async updatePlanEntry(req, res) {
+        try {
+            const planId = parseInt(req.params.planId, 10);
+            const entryId = parseInt(req.params.entryId, 10);
+            const { status, destination } = req.body || {};
+
+            const entry = await planStore.updateEntry(planId, entryId, { status, destination });
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Plan entry not found'
+                });
+            }
+
+            res.json({ entry });
+
+        } catch (error) {
+            if (this._sendPlanError(res, error)) {return;}
+
+            console.error('Update plan entry error:', error);
+            res.status(500).json({
+                error: 'Internal server error while updating plan entry'
+            });
+        }
+    }
+
+    /**
+     * Approve, exclude or reset many plan entries at once
+     */
+    async updatePlanEntries(req, res) {
+        try {
+            const planId = parseInt(req.params.planId, 10);
+            const { status, entryIds = null } = req.body || {};
+
+            if (entryIds !== null && !Array.isArray(entryIds)) {
+                return res.status(400).json({
+                    error: 'entryIds must be an array'
+                });
+            }
+
+            const plan = await planStore.getPlan(planId);
+            if (!plan) {
+                return res.status(404).json({
+                    error: 'Plan not found'
+                });
+            }
+
+            const updated = await planStore.setEntriesStatus(planId, {
+                status,
+                entryIds: entryIds ? entryIds.map(id => parseInt(id, 10)).filter(Number.isInteger) : null
+            });
+
+            res.json({
+                updated,
+                plan: await planStore.getPlan(planId)
+            });
+
+        } catch (error) {
+            if (this._sendPlanError(res, error)) {return;}
+
+            console.error('Update plan entries error:', error);
+            res.status(500).json({
+                error: 'Internal server error while updating plan entries'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/plans/{planId}/apply:
+     *   post:
+     *     summary: Apply the approved part of a plan
+     *     description: Move only the approved entries, to their reviewed destinations, in a new apply_plan job. Each entry ends up applied or failed.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: planId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Apply job started
+     *       400:
+     *         description: No approved entries
+     *       404:
+     *         description: Plan not found
+     *       409:
+     *         description: Plan is not ready to apply
+     */
+    async applyPlan(req, res) {
+        try {
+            const planId = parseInt(req.params.planId, 10);
+
+            const plan = await planStore.getPlan(planId);
+            if (!plan) {
+                return res.status(404).json({
+                    error: 'Plan not found'
+                });
+            }
+
+            // Claimed first, so a second request gets a 409 and the entries can no longer be edited
+            if (!(await planStore.startApply(planId))) {
+                const { status } = await planStore.getPlan(planId);
+                return res.status(409).json({
+                    error: `Plan is ${status} and cannot be applied`
+                });
+            }
+
+            let entries;
+            let job;
+            try {
+                ({ entries } = await planStore.getEntries(planId, { status: 'approved', limit: 100000 }));
+                if (entries.length === 0) {
+                    await planStore.updatePlan(planId, { status: 'ready' });
+                    return res.status(400).json({
+                        error: 'No approved entries to apply'
+                    });
+                }
+
+                job = await jobStore.createJob('apply_plan', {
+                    planId,
+                    sourcePath: plan.sourcePath,
+                    destinationPath: plan.destinationRoot || plan.options.destinationPath,
+                    enableDiscogs: plan.options.enableDiscogs,
+                    organizationMode: plan.options.organizationMode || 'hybrid',
+                    enableMove: true,
+                    processedAlbums: 0,
+                    totalAlbums: entries.length,
+                    currentAlbum: null
+                });
+
+                // ordr.fm.sh reads "source<TAB>destination" lines with --plan-file
+                const planFile = path.join(os.tmpdir(), `ordrfm-plan-${planId}-job-${job.id}.tsv`);
+                const lines = entries.map(entry => `${entry.sourcePath}\t${entry.destination || ''}`);
+                await fs.promises.writeFile(planFile, lines.join('\n') + '\n', { mode: 0o600 });
+
+                await jobStore.updateJob(job.id, { planFile });
+            } catch (error) {
+                await planStore.updatePlan(planId, { status: 'ready' });
+                throw error;
+            }
+
+            await planStore.updatePlan(planId, { applyJobId: job.id });
+            await this._log(job.id, 'info', `Applying ${entries.length} approved entries of plan ${planId}`);
+
+            this._executeProcessing(job);
+
+            res.json({
+                message: 'Plan apply started',
+                planId,
+                jobId: job.id,
+                entries: entries.length
             });
 
-            // Move to history
-            this.jobHistory.push({
-                ...job,
-                duration: Date.now() - new Date(job.startTime).getTime()
+        } catch (error) {
+            console.error('Apply plan error:', error);
+            res.status(500).json({
+                error: 'Internal server error while applying plan'
             });
+        }
+    }
+
+    /**
+     * Map plan validation errors to responses; returns whether one was sent
+     */
+    _sendPlanError(res, error) {
+        if (error.code === 'INVALID_PLAN_CHANGE') {
+            res.status(400).json({ error: error.message });
+            return true;
+        }
+        if (error.code === 'PLAN_LOCKED') {
+            res.status(409).json({ error: error.message });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Cancel a running job
+     */
+    async cancelJob(req, res) {
+        try {
+            const id = parseInt(req.params.jobId, 10);
+
+            const activeJob = jobStore.getActiveJobs().find(job => job.id === id);
+            if (!activeJob) {
+                return res.status(404).json({
+                    error: 'Active job not found'
+                });
+            }
 
-            this.activeJobs.delete(id);
+            // Kill the process if it exists; its close handler sees the cancelled status
+            const child = this.processes.get(id);
+            if (child) {
+                child.kill('SIGTERM');
+                this.processes.delete(id);
+            }
+
+            await this._log(id, 'info', 'Job cancelled by user');
+            const job = await jobStore.completeJob(id, 'cancelled');
 
             res.json({
                 message: 'Job cancelled successfully',
@@ -202,8 +635,8 @@ class ProcessingController {
                 uptime: process.uptime(),
                 platform: process.platform,
                 nodeVersion: process.version,
-                activeJobs: this.activeJobs.size,
-                totalJobsRun: this.jobHistory.length
+                activeJobs: jobStore.getActiveJobs().length,
+                totalJobsRun: (await jobStore.getJobHistory({ limit: 1 })).total
             };
 
             // Get database stats
@@ -243,42 +676,112 @@ class ProcessingController {
     }
 
     /**
-     * Enhance metadata using external APIs
+     * @swagger
+     * /api/actions/enhance-metadata:
+     *   post:
+     *     summary: Enhance album metadata
+     *     description: Look albums up with a metadata provider. Matches at or above the auto-apply threshold are written to the album; lower-confidence matches are queued for review at /api/enhancements.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               albumIds:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *                 description: Albums to look up (at most 100). Defaults to albums without a release ID.
+     *               limit:
+     *                 type: integer
+     *                 default: 10
+     *                 description: Number of albums to pick when albumIds is omitted
+     *               provider:
+     *                 type: string
+     *                 enum: [musicbrainz]
+     *                 default: musicbrainz
+     *               autoApplyThreshold:
+     *                 type: number
+     *                 minimum: 0
+     *                 maximum: 1
+     *                 description: Defaults to ENHANCEMENT_AUTO_APPLY_THRESHOLD
+     *     responses:
+     *       200:
+     *         description: Enhancement job started
+     *       400:
+     *         description: Invalid provider, threshold or album IDs
+     *       409:
+     *         description: An enhancement job is already running
      */
     async enhanceMetadata(req, res) {
         try {
-            const { albumIds, provider = 'discogs' } = req.body;
+            const {
+                albumIds,
+                limit = 10,
+                provider = 'musicbrainz',
+                autoApplyThreshold = ENHANCEMENT_AUTO_APPLY_THRESHOLD
+            } = req.body || {};
+
+            const providers = metadataEnrichmentService.getProviderNames();
+            if (!providers.includes(provider)) {
+                return res.status(400).json({
+                    error: `Unsupported provider. Available providers: ${providers.join(', ')}`
+                });
+            }
 
-            if (!albumIds || !Array.isArray(albumIds) || albumIds.length === 0) {
+            const threshold = Number(autoApplyThreshold);
+            if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
                 return res.status(400).json({
-                    error: 'Album IDs array is required'
+                    error: 'autoApplyThreshold must be a number between 0 and 1'
                 });
             }
 
-            const jobId = this.jobIdCounter++;
-            const job = {
-                id: jobId,
-                type: 'enhance_metadata',
-                status: 'starting',
-                startTime: new Date().toISOString(),
-                progress: 0,
+            if (albumIds !== undefined && (!Array.isArray(albumIds) || albumIds.some(id => !Number.isInteger(id)))) {
+                return res.status(400).json({
+                    error: 'albumIds must be an array of album IDs'
+                });
+            }
+
+            const running = jobStore.getActiveJobs('enhance_metadata');
+            if (running.length > 0) {
+                return res.status(409).json({
+                    error: 'Metadata enhancement is already running',
+                    jobId: running[0].id
+                });
+            }
+
+            const selectedIds = albumIds ?
+                albumIds.slice(0, 100) : // Limit to 100 albums
+                await metadataEnrichmentService.selectAlbums(Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100));
+
+            if (selectedIds.length === 0) {
+                return res.status(400).json({
+                    error: 'No albums to enhance'
+                });
+            }
+
+            const job = await jobStore.createJob('enhance_metadata', {
                 provider,
-                albumIds: albumIds.slice(0, 100), // Limit to 100 albums
+                autoApplyThreshold: threshold,
+                albumIds: selectedIds,
                 processedAlbums: 0,
-                totalAlbums: albumIds.length,
+                totalAlbums: selectedIds.length,
                 enhancedCount: 0,
+                queuedCount: 0,
                 skippedCount: 0,
-                logs: []
-            };
-
-            this.activeJobs.set(jobId, job);
+                failedCount: 0,
+                currentAlbum: null
+            });
 
             // Start enhancement process
             this._executeEnhancement(job);
 
             res.json({
                 message: 'Metadata enhancement started',
-                jobId,
+                jobId: job.id,
                 status: job
             });
 
@@ -290,23 +793,101 @@ class ProcessingController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/actions/fingerprint:
+     *   post:
+     *     summary: Fingerprint tracks
+     *     description: Compute an acoustic fingerprint for every track without one, using fpcalc (or ffmpeg built with chromaprint), then cluster tracks of different albums with the same audio. The clusters are listed at /api/duplicates/audio.
+     *     tags: [Processing]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               albumIds:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *                 description: Only fingerprint the tracks of these albums
+     *               refresh:
+     *                 type: boolean
+     *                 default: false
+     *                 description: Fingerprint again tracks already done or failed before
+     *     responses:
+     *       200:
+     *         description: Fingerprint job started
+     *       400:
+     *         description: Invalid album IDs
+     *       409:
+     *         description: A fingerprint job is already running
+     */
+    async fingerprintTracks(req, res) {
+        try {
+            const { albumIds, refresh = false } = req.body || {};
+
+            if (albumIds !== undefined && (!Array.isArray(albumIds) || albumIds.some(id => !Number.isInteger(id)))) {
+                return res.status(400).json({
+                    error: 'albumIds must be an array of album IDs'
+                });
+            }
+
+            const running = jobStore.getActiveJobs('fingerprint');
+            if (running.length > 0) {
+                return res.status(409).json({
+                    error: 'Fingerprinting is already running',
+                    jobId: running[0].id
+                });
+            }
+
+            const job = await jobStore.createJob('fingerprint', {
+                albumIds: albumIds || null,
+                refresh: Boolean(refresh),
+                processedTracks: 0,
+                totalTracks: 0,
+                fingerprintedCount: 0,
+                failedCount: 0,
+                clusterCount: null,
+                currentTrack: null
+            });
+
+            // Start fingerprinting
+            this._executeFingerprinting(job);
+
+            res.json({
+                message: 'Fingerprinting started',
+                jobId: job.id,
+                status: job
+            });
+
+        } catch (error) {
+            console.error('Fingerprint tracks error:', error);
+            res.status(500).json({
+                error: 'Internal server error while starting fingerprinting'
+            });
+        }
+    }
+
     /**
      * Execute processing job (private method)
      */
     async _executeProcessing(job) {
         try {
-            job.status = 'scanning';
+            await jobStore.updateJob(job.id, { status: 'scanning' });
             
             // Build command arguments
-            const scriptPath = path.join(__dirname, '../../ordr.fm.sh');
+            const scriptPath = path.join(__dirname, '../../../ordr.fm.sh');
             const args = [
+                '--config', ORDRFM_CONFIG_FILE,
                 '--source', job.sourcePath,
                 '--verbose'
             ];
 
-            if (job.enableMove) {
-                args.push('--move');
-            }
+            // Explicit either way: ordr.fm.conf, loaded before the arguments, may set DRY_RUN=0
+            args.push(job.enableMove ? '--move' : '--dry-run');
 
             if (job.enableDiscogs) {
                 args.push('--discogs');
@@ -316,153 +897,366 @@ class ProcessingController {
                 args.push('--organization-mode', job.organizationMode);
             }
 
-            job.logs.push({
-                level: 'info',
-                message: `Starting processing with args: ${args.join(' ')}`,
-                timestamp: new Date().toISOString()
-            });
-
-            // Spawn the processing script
-            const process = spawn('bash', [scriptPath, ...args], {
-                stdio: ['pipe', 'pipe', 'pipe'],
-                cwd: path.dirname(scriptPath)
-            });
-
-            job.process = process;
-            job.status = 'processing';
+            if (job.destinationPath) {
+                args.push('--destination', job.destinationPath);
+            }
 
-            // Handle stdout
-            process.stdout.on('data', (data) => {
-                const output = data.toString().trim();
-                if (output) {
-                    job.logs.push({
-                        level: 'info',
-                        message: output,
-                        timestamp: new Date().toISOString()
-                    });
+            if (job.planFile) {
+                args.push('--plan-file', job.planFile);
+            }
 
-                    // Parse progress from output
-                    this._parseProgressFromOutput(job, output);
+            await this._log(job.id, 'info', `Starting processing with args: ${args.join(' ')}`);
+
+            // Progress events arrive as JSON lines on their own descriptor,
+            // independent of the human-readable log on stdout/stderr
+            const stdio = ['ignore', 'pipe', 'pipe'];
+            stdio[PROGRESS_FD] = 'pipe';
+
+            const child = spawn('bash', [scriptPath, ...args], {
+                stdio,
+                cwd: path.dirname(scriptPath),
+                env: {
+                    ...process.env,
+                    ORDRFM_PROGRESS_FD: String(PROGRESS_FD),
+                    // Moves made by this job are grouped under its ID in /api/moves
+                    ORDRFM_RUN_ID: `job-${job.id}`
                 }
             });
 
-            // Handle stderr
-            process.stderr.on('data', (data) => {
-                const output = data.toString().trim();
-                if (output) {
-                    job.logs.push({
-                        level: 'error',
-                        message: output,
-                        timestamp: new Date().toISOString()
-                    });
+            this.processes.set(job.id, child);
+            await jobStore.updateJob(job.id, { status: 'processing', pid: child.pid, albumOutcomes: {} });
+
+            // Events are stored one at a time so their IDs follow the script's order
+            const parser = new ProgressEventParser();
+            let eventChain = Promise.resolve();
+            const handleParsed = (results) => {
+                for (const result of results) {
+                    eventChain = eventChain.then(() => this._handleProgressEvent(job, result));
                 }
-            });
+            };
+
+            child.stdio[PROGRESS_FD].on('data', (data) => handleParsed(parser.push(data)));
+
+            child.stdout.on('data', (data) => this._logScriptOutput(job.id, data, 'info'));
+            child.stderr.on('data', (data) => this._logScriptOutput(job.id, data, 'error'));
 
             // Handle process completion
-            process.on('close', (code) => {
-                job.endTime = new Date().toISOString();
-                job.progress = 100;
-                
-                if (code === 0) {
-                    job.status = 'completed';
-                    job.logs.push({
-                        level: 'info',
-                        message: 'Processing completed successfully',
-                        timestamp: new Date().toISOString()
-                    });
-                } else {
-                    job.status = 'failed';
-                    job.logs.push({
-                        level: 'error',
-                        message: `Processing failed with exit code: ${code}`,
-                        timestamp: new Date().toISOString()
-                    });
+            child.on('close', async (code) => {
+                this.processes.delete(job.id);
+                handleParsed(parser.flush());
+                await eventChain;
+                this.reconstructions.delete(job.id);
+                await this._finishPlan(job, code === 0 ? null : `Exit code ${code}`);
+
+                // Already finished (e.g. cancelled by user)
+                if (jobStore.isTerminal(job.status)) {
+                    return;
                 }
 
-                // Move to history
-                this.jobHistory.push({
-                    ...job,
-                    duration: Date.now() - new Date(job.startTime).getTime()
-                });
-
-                this.activeJobs.delete(job.id);
+                try {
+                    if (code === 0) {
+                        await this._log(job.id, 'info', 'Processing completed successfully');
+                        await jobStore.completeJob(job.id, 'completed', { exitCode: code, currentAlbum: null });
+                    } else {
+                        await this._log(job.id, 'error', `Processing failed with exit code: ${code}`);
+                        await jobStore.completeJob(job.id, 'failed', {
+                            exitCode: code,
+                            error: `Exit code ${code}`
+                        });
+                    }
+                } catch (error) {
+                    console.error('Failed to record processing result:', error);
+                }
             });
 
         } catch (error) {
             console.error('Processing execution error:', error);
-            job.status = 'failed';
-            job.error = error.message;
-            job.endTime = new Date().toISOString();
-            
-            this.jobHistory.push(job);
-            this.activeJobs.delete(job.id);
+            await this._finishPlan(job, error.message);
+            await jobStore.completeJob(job.id, 'failed', { error: error.message }).catch(() => {});
+        }
+    }
+
+    /**
+     * Settle the plan behind a plan or apply_plan job once its script exits
+     */
+    async _finishPlan(job, error) {
+        if (!job.planId) {return;}
+
+        try {
+            if (job.type === 'plan') {
+                await planStore.updatePlan(job.planId, { status: error ? 'failed' : 'ready' });
+            } else if (job.type === 'apply_plan') {
+                const status = await planStore.finishApply(job.planId, error);
+                await this._log(job.id, 'info', `Plan ${job.planId} ${status.replace('_', ' ')}`);
+                await fs.promises.rm(job.planFile, { force: true });
+            }
+        } catch (planError) {
+            console.error(`Failed to finish plan ${job.planId}:`, planError);
         }
     }
 
     /**
      * Execute metadata enhancement (private method)
+     *
+     * Albums are looked up one at a time; the provider client paces its own requests.
+     * Each result is recorded as an album_enhanced job event.
      */
     async _executeEnhancement(job) {
+        // Job counter incremented for each result status
+        const counters = {
+            applied: 'enhancedCount',
+            pending: 'queuedCount',
+            no_match: 'skippedCount'
+        };
+
         try {
-            job.status = 'enhancing';
+            await jobStore.updateJob(job.id, { status: 'enhancing' });
 
             for (const albumId of job.albumIds) {
-                if (job.status === 'cancelled') {break;}
-
-                job.currentAlbum = albumId;
-                
-                // Mock enhancement process
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                
-                job.processedAlbums++;
-                job.enhancedCount++;
-                job.progress = Math.round((job.processedAlbums / job.totalAlbums) * 100);
-
-                job.logs.push({
-                    level: 'info',
-                    message: `Enhanced metadata for album ${albumId}`,
-                    timestamp: new Date().toISOString()
+                if (jobStore.isTerminal(job.status)) {break;}
+
+                await jobStore.updateJob(job.id, { currentAlbum: albumId });
+
+                const changes = {};
+                try {
+                    const result = await metadataEnrichmentService.enrichAlbum(albumId, {
+                        provider: job.provider,
+                        threshold: job.autoApplyThreshold,
+                        jobId: job.id
+                    });
+
+                    if (!result) {
+                        changes.skippedCount = job.skippedCount + 1;
+                        await this._log(job.id, 'warn', `Album ${albumId} not found`);
+                    } else {
+                        const counter = counters[result.status];
+                        changes[counter] = job[counter] + 1;
+                        await jobStore.appendEvent(job.id, 'album_enhanced', { albumId, ...result });
+                        await this._log(job.id, 'info', this._describeEnhancement(albumId, result));
+                    }
+                } catch (albumError) {
+                    changes.failedCount = job.failedCount + 1;
+                    await this._log(job.id, 'error', `Lookup failed for album ${albumId}: ${albumError.message}`);
+                }
+
+                // Cancelled while the lookup was running
+                if (jobStore.isTerminal(job.status)) {break;}
+
+                const processedAlbums = job.processedAlbums + 1;
+                await jobStore.updateJob(job.id, {
+                    ...changes,
+                    processedAlbums,
+                    progress: Math.round((processedAlbums / job.totalAlbums) * 100)
                 });
             }
 
-            job.status = 'completed';
-            job.endTime = new Date().toISOString();
-            job.progress = 100;
+            if (!jobStore.isTerminal(job.status)) {
+                await this._log(job.id, 'info',
+                    `Enhancement finished: ${job.enhancedCount} applied, ${job.queuedCount} queued for review, ` +
+                    `${job.skippedCount} without match, ${job.failedCount} failed`);
+                await jobStore.completeJob(job.id, 'completed', { currentAlbum: null });
+            }
 
-            this.jobHistory.push({
-                ...job,
-                duration: Date.now() - new Date(job.startTime).getTime()
-            });
+        } catch (error) {
+            console.error('Enhancement execution error:', error);
+            await jobStore.completeJob(job.id, 'failed', { error: error.message }).catch(() => {});
+        }
+    }
 
-            this.activeJobs.delete(job.id);
+    async _executeFingerprinting(job) {
+        try {
+            await jobStore.updateJob(job.id, { status: 'fingerprinting' });
+
+            const trackIds = await fingerprintService.selectTracks({ albumIds: job.albumIds, refresh: job.refresh });
+            await jobStore.updateJob(job.id, { totalTracks: trackIds.length });
+            await this._log(job.id, 'info', `Fingerprinting ${trackIds.length} track(s)`);
+
+            for (const trackId of trackIds) {
+                if (jobStore.isTerminal(job.status)) {break;}
+
+                await jobStore.updateJob(job.id, { currentTrack: trackId });
+
+                const changes = {};
+                try {
+                    if (await fingerprintService.fingerprintTrack(trackId)) {
+                        changes.fingerprintedCount = job.fingerprintedCount + 1;
+                    }
+                } catch (trackError) {
+                    // Without a tool no other track can be fingerprinted either
+                    if (trackError.code === 'FINGERPRINTER_UNAVAILABLE') {throw trackError;}
+                    changes.failedCount = job.failedCount + 1;
+                    await this._log(job.id, 'warn', `Fingerprinting failed for track ${trackId}: ${trackError.message}`);
+                }
+
+                if (jobStore.isTerminal(job.status)) {break;}
+
+                const processedTracks = job.processedTracks + 1;
+                await jobStore.updateJob(job.id, {
+                    ...changes,
+                    processedTracks,
+                    progress: Math.round((processedTracks / job.totalTracks) * 100)
+                });
+            }
+
+            if (!jobStore.isTerminal(job.status)) {
+                await jobStore.updateJob(job.id, { status: 'clustering', currentTrack: null });
+                const result = await fingerprintService.updateClusters();
+                await this._log(job.id, 'info',
+                    `Fingerprinting finished: ${job.fingerprintedCount} fingerprinted, ${job.failedCount} failed; ` +
+                    `${result.clusteredTracks} of ${result.tracks} track(s) share their audio in ${result.clusters} cluster(s)`);
+                await jobStore.completeJob(job.id, 'completed', { clusterCount: result.clusters, progress: 100 });
+            }
 
         } catch (error) {
-            console.error('Enhancement execution error:', error);
-            job.status = 'failed';
-            job.error = error.message;
-            job.endTime = new Date().toISOString();
-            
-            this.jobHistory.push(job);
-            this.activeJobs.delete(job.id);
+            console.error('Fingerprint execution error:', error);
+            await this._log(job.id, 'error', error.message);
+            await jobStore.completeJob(job.id, 'failed', { error: error.message, currentTrack: null }).catch(() => {});
+        }
+    }
+
+    _describeEnhancement(albumId, result) {
+        const confidence = result.confidence === null ? '' : ` (confidence ${result.confidence.toFixed(2)})`;
+        switch (result.status) {
+            case 'applied':
+                return `Applied match ${result.releaseId} to album ${albumId}${confidence}: ` +
+                    (result.changes.map(change => change.field).join(', ') || 'no changes');
+            case 'pending':
+                return `Queued match ${result.releaseId} for album ${albumId} for review${confidence}`;
+            default:
+                return `No match for album ${albumId}`;
         }
     }
 
     /**
-     * Parse progress information from script output
+     * Store a progress event from the script and fold it into the job record
      */
-    _parseProgressFromOutput(job, output) {
-        // Parse album progress
-        const albumMatch = output.match(/Processing album (\d+) of (\d+)/);
-        if (albumMatch) {
-            job.processedAlbums = parseInt(albumMatch[1]);
-            job.totalAlbums = parseInt(albumMatch[2]);
-            job.progress = Math.round((job.processedAlbums / job.totalAlbums) * 100);
-        }
-
-        // Parse current album name
-        const currentMatch = output.match(/Current album: (.+)/);
-        if (currentMatch) {
-            job.currentAlbum = currentMatch[1];
+    async _handleProgressEvent(job, { event, error, line }) {
+        if (!event) {
+            await this._log(job.id, 'warn', `Ignored progress event (${error}): ${line.slice(0, 200)}`);
+            return;
+        }
+
+        const { type, data } = event;
+        const changes = {};
+
+        switch (type) {
+            case 'run_started':
+                changes.totalAlbums = data.total;
+                changes.dryRun = data.dryRun;
+                changes.runId = data.runId;
+                break;
+
+            case 'album_started':
+                changes.currentAlbum = data.path;
+                if (data.total) {changes.totalAlbums = data.total;}
+                break;
+
+            case 'discogs_match':
+                changes.confidenceThreshold = data.threshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+                break;
+
+            case 'album_finished': {
+                const threshold = job.confidenceThreshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+                if (data.discogsConfidence !== undefined) {
+                    data.lowConfidence = data.discogsConfidence < threshold;
+                    if (data.lowConfidence) {
+                        changes.lowConfidenceAlbums = (job.lowConfidenceAlbums || 0) + 1;
+                    }
+                }
+
+                const outcomes = { ...(job.albumOutcomes || {}) };
+                outcomes[data.outcome] = (outcomes[data.outcome] || 0) + 1;
+                changes.albumOutcomes = outcomes;
+                changes.processedAlbums = data.index;
+
+                const total = data.total || job.totalAlbums;
+                if (total > 0) {
+                    changes.progress = Math.min(100, Math.round((data.index / total) * 100));
+                }
+                break;
+            }
+
+            case 'error':
+                changes.errorCount = (job.errorCount || 0) + 1;
+                break;
+
+            default:
+                break;
+        }
+
+        try {
+            await jobStore.appendEvent(job.id, type, data);
+            if (Object.keys(changes).length > 0 && !jobStore.isTerminal(job.status)) {
+                await jobStore.updateJob(job.id, changes);
+            }
+
+            if (job.planId) {
+                await this._applyEventToPlan(job, type, data);
+            }
+            await this._recordReconstruction(job, type, data);
+        } catch (storeError) {
+            console.error(`Failed to record progress event for job ${job.id}:`, storeError);
+        }
+    }
+
+    /**
+     * Record metadata the script reconstructed in the album history, against the path the album was moved to
+     */
+    async _recordReconstruction(job, type, data) {
+        if (type === 'metadata_reconstructed') {
+            if (!this.reconstructions.has(job.id)) {
+                this.reconstructions.set(job.id, new Map());
+            }
+            this.reconstructions.get(job.id).set(data.path, data);
+            return;
+        }
+
+        const pending = this.reconstructions.get(job.id);
+        if (type === 'album_finished' && pending?.has(data.path)) {
+            const reconstruction = pending.get(data.path);
+            pending.delete(data.path);
+            // Dry runs and albums that were not organized leave no metadata behind
+            if (data.outcome === 'moved' && data.destination) {
+                await metadataHistoryService.recordReconstruction(data.destination, reconstruction);
+            }
+        }
+    }
+
+    /**
+     * Record dry-run results as plan entries, and apply results against them
+     */
+    async _applyEventToPlan(job, type, data) {
+        if (job.type === 'plan') {
+            if (type === 'run_started' && data.destination) {
+                await planStore.updatePlan(job.planId, { destinationRoot: data.destination });
+            } else if (type === 'album_finished') {
+                await planStore.addEntry(job.planId, data);
+            }
+        } else if (job.type === 'apply_plan' && type === 'album_finished') {
+            await planStore.recordApplyResult(job.planId, data);
+        }
+    }
+
+    /**
+     * Log script output line by line, keeping the level log() gave each line
+     */
+    _logScriptOutput(jobId, data, fallbackLevel) {
+        const lines = data.toString().split('\n').map(line => line.trim()).filter(Boolean);
+
+        for (const line of lines) {
+            const match = /^\[[^\]]+\] \[(ERROR|WARNING|INFO|DEBUG)\s*\] /.exec(line);
+            this._log(jobId, match ? SCRIPT_LOG_LEVELS[match[1]] : fallbackLevel, line);
+        }
+    }
+
+    /**
+     * Append a log row to a job without letting storage errors escape
+     */
+    async _log(jobId, level, message) {
+        try {
+            await jobStore.appendLog(jobId, level, message);
+        } catch (error) {
+            console.error(`Failed to write log for job ${jobId}:`, error);
         }
     }
 
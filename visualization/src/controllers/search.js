@@ -1,6 +1,27 @@
 // Search controller for advanced music discovery features
 const databaseService = require('../services/database');
-const cacheManager = require('../utils/cache');
+const searchIndexService = require('../services/searchIndex');
+const searchLogService = require('../services/searchLog');
+const albumListService = require('../services/albumList');
+const {
+    SEARCH_FIELDS,
+    getCompletionContext,
+    resolveField,
+    formatValue,
+    escapeLike
+} = require('../utils/searchQuery');
+
+// A past search counts as much as this many albums when ranking suggestions
+const PAST_SEARCH_WEIGHT = 2;
+
+// Service error codes mapped to HTTP statuses
+const ERROR_STATUS = {
+    INVALID_TYPE: 400,
+    INVALID_QUERY: 400,
+    INVALID_SORT: 400,
+    INVALID_CURSOR: 400,
+    INDEX_UNAVAILABLE: 503
+};
 
 class SearchController {
     /**
@@ -8,7 +29,11 @@ class SearchController {
      * /api/search/fuzzy:
      *   get:
      *     summary: Fuzzy search across albums and tracks
-     *     description: Perform intelligent fuzzy search across album titles, artists, track titles with relevance scoring.
+     *     description: >
+     *       Full-text search over album titles, artists, labels, catalog numbers, genres and track titles.
+     *       Matching ignores case and diacritics, every word must match and the last word matches as a prefix.
+     *       Albums and tracks are ranked together by BM25 with titles weighted above artists, and artists above
+     *       label, catalog number and genre.
      *     tags: [Search]
      *     parameters:
      *       - in: query
@@ -27,6 +52,17 @@ class SearchController {
      *           maximum: 100
      *           default: 20
      *         description: Maximum number of results
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *       - in: query
+     *         name: type
+     *         schema:
+     *           type: string
+     *           enum: [album, track]
+     *         description: Only return albums or only tracks
      *     responses:
      *       200:
      *         description: Search results with relevance scoring
@@ -65,18 +101,26 @@ class SearchController {
      *                       quality:
      *                         type: string
      *                         description: Audio quality
+     *                       album:
+     *                         type: string
+     *                         description: Album title (tracks only)
      *                       relevance_score:
-     *                         type: integer
-     *                         description: Relevance score (1-10)
+     *                         type: number
+     *                         description: BM25 score, higher is more relevant
+     *                       highlights:
+     *                         type: object
+     *                         description: Matched fields as HTML-escaped text with matches wrapped in <mark>
      *                 total:
      *                   type: integer
-     *                   description: Total number of results
+     *                   description: Total number of matches
      *       400:
      *         description: Invalid search query
      *         content:
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/Error'
+     *       503:
+     *         description: The albums table does not exist yet, so there is nothing to search
      *       500:
      *         description: Internal server error
      *         content:
@@ -87,7 +131,8 @@ class SearchController {
      */
     async fuzzySearch(req, res) {
         try {
-            const { q: query, limit = 20 } = req.query;
+            const startedAt = Date.now();
+            const { q: query, limit = 20, offset = 0, type } = req.query;
             
             if (!query || query.trim().length < 2) {
                 return res.status(400).json({
@@ -95,45 +140,21 @@ class SearchController {
                 });
             }
 
-            const searchTerm = `%${query.toLowerCase().trim()}%`;
-            const maxResults = Math.min(parseInt(limit), 100);
-
-            // Search albums with fuzzy matching (tracks table not implemented yet)
-            const results = await databaseService.query(`
-                SELECT 
-                    'album' as type,
-                    id,
-                    album_title as title,
-                    album_artist as artist,
-                    year as year,
-                    genre,
-                    quality,
-                    path,
-                    CASE 
-                        WHEN LOWER(album_title) LIKE ? THEN 10
-                        WHEN LOWER(album_artist) LIKE ? THEN 8
-                        WHEN LOWER(genre) LIKE ? THEN 5
-                        ELSE 1
-                    END as relevance_score
-                FROM albums 
-                WHERE LOWER(album_title) LIKE ? 
-                   OR LOWER(album_artist) LIKE ?
-                   OR LOWER(genre) LIKE ?
-                ORDER BY relevance_score DESC, title
-                LIMIT ?
-            `, [
-                searchTerm, searchTerm, searchTerm,  // Album scoring
-                searchTerm, searchTerm, searchTerm,  // Album matching
-                maxResults
-            ], true); // Use cache
+            const { results, total } = await searchIndexService.search(query, {
+                types: type ? [type] : undefined,
+                limit: Math.min(parseInt(limit, 10) || 20, 100),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+            this._logSearch(req, 'fuzzy', { query, filters: { type }, resultCount: total, startedAt });
 
             res.json({
                 query,
                 results,
-                total: results.length
+                total
             });
 
         } catch (error) {
+            if (this._sendSearchError(res, error)) {return;}
             console.error('Fuzzy search error:', error);
             res.status(500).json({
                 error: 'Internal server error during search'
@@ -142,27 +163,72 @@ class SearchController {
     }
 
     /**
-     * Get search suggestions based on query
+     * @swagger
+     * /api/search/suggestions:
+     *   get:
+     *     summary: Autocomplete a search query
+     *     description: >
+     *       Completes the term at the end of an album search query. While a field name or word is typed,
+     *       matching field names, then artists, labels, album titles and earlier searches are suggested;
+     *       after `field:` the most common values of that field in the library are suggested. Each
+     *       suggestion carries the whole query with the term completed.
+     *     tags: [Search]
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *         example: "label:Running art"
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           maximum: 50
+     *     responses:
+     *       200:
+     *         description: >
+     *           Suggestions, each { type, value, count, query }. type is field, value (after field:),
+     *           artist, label or album (values starting with a free-text word, ranked by album count and
+     *           past searches) or query (an earlier search starting with the text typed).
      */
-    getSuggestions(req, res) {
+    async getSuggestions(req, res) {
         try {
-            const { q: query } = req.query;
-            
-            if (!query || query.trim().length === 0) {
-                return res.json({ suggestions: [] });
+            const { q: query = '', limit = 10 } = req.query;
+            const maxResults = Math.min(parseInt(limit, 10) || 10, 50);
+
+            const context = getCompletionContext(query);
+            const negation = context.negated ? '-' : '';
+            let suggestions = [];
+
+            if (context.field === null || context.field === 'has') {
+                // Field names, or the fields has: can test
+                const partial = context.partial.toLowerCase();
+                const names = context.field === 'has' ? Object.keys(SEARCH_FIELDS) : [...Object.keys(SEARCH_FIELDS), 'has'];
+                suggestions = names
+                    .filter(name => name.startsWith(partial))
+                    .map(name => {
+                        const term = context.field === 'has' ? `has:${name}` : `${name}:`;
+                        return { type: 'field', value: term, query: `${context.prefix}${negation}${term}` };
+                    });
+                if (context.field === null) {
+                    suggestions.push(...await this._getTermSuggestions(query, context, maxResults));
+                }
+            } else {
+                const field = resolveField(context.field);
+                if (field) {
+                    const values = await this._getFieldValues(field, context.partial, maxResults);
+                    suggestions = values.map(({ value, count }) => ({
+                        type: 'value',
+                        value: String(value),
+                        count,
+                        query: `${context.prefix}${negation}${context.field}:${formatValue(value)}`
+                    }));
+                }
             }
 
-            // Simple implementation - would be enhanced with ML/analytics in production
-            const suggestions = [
-                `${query} electronic`,
-                `${query} house`,
-                `${query} ambient`,
-                `${query} 2023`,
-                `artist:${query}`
-            ].filter(s => s.toLowerCase() !== query.toLowerCase());
-
             res.json({
-                suggestions: suggestions.slice(0, 5)
+                suggestions: suggestions.slice(0, maxResults)
             });
 
         } catch (error) {
@@ -174,28 +240,36 @@ class SearchController {
     }
 
     /**
-     * Get popular search terms
+     * @swagger
+     * /api/search/popular:
+     *   get:
+     *     summary: Popular searches
+     *     description: The queries searched most often in the last `days` days that found something.
+     *     tags: [Search]
+     *     parameters:
+     *       - in: query
+     *         name: days
+     *         schema:
+     *           type: integer
+     *           default: 30
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *     responses:
+     *       200:
+     *         description: Queries with how often they were searched and the average number of results
      */
-    getPopularSearches(req, res) {
+    async getPopularSearches(req, res) {
         try {
-            // Mock popular searches - would be tracked from actual usage
-            const popular = [
-                'electronic',
-                'house',
-                'techno',
-                'ambient',
-                'drum and bass',
-                '2023',
-                '2024',
-                'compilation',
-                'various artists',
-                'remix'
-            ];
-
-            res.json({
-                popular: popular.slice(0, 10)
+            const popular = await searchLogService.getPopular({
+                days: Math.min(parseInt(req.query.days, 10) || 30, 365),
+                limit: Math.min(parseInt(req.query.limit, 10) || 10, 50)
             });
 
+            res.json({ popular });
+
         } catch (error) {
             console.error('Popular searches error:', error);
             res.status(500).json({
@@ -205,25 +279,32 @@ class SearchController {
     }
 
     /**
-     * Get search analytics (admin only)
+     * @swagger
+     * /api/search/analytics:
+     *   get:
+     *     summary: Search analytics
+     *     description: >
+     *       Figures from the search log for the last `days` days: totals, average results and latency,
+     *       the share of searches that found nothing, top queries, queries with no results, searches per
+     *       day and per endpoint.
+     *     tags: [Search]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: days
+     *         schema:
+     *           type: integer
+     *           default: 30
+     *     responses:
+     *       200:
+     *         description: Search analytics
      */
-    getAnalytics(req, res) {
+    async getAnalytics(req, res) {
         try {
-            // Mock analytics data - would track real search patterns
-            const analytics = {
-                totalSearches: 12847,
-                uniqueQueries: 3429,
-                avgResultsPerQuery: 7.3,
-                topQueries: [
-                    { query: 'electronic', count: 324 },
-                    { query: 'house', count: 298 },
-                    { query: 'techno', count: 267 }
-                ],
-                searchTrends: {
-                    daily: [45, 67, 89, 123, 156, 134, 98],
-                    weekly: [890, 1200, 1450, 1234]
-                }
-            };
+            const analytics = await searchLogService.getAnalytics({
+                days: Math.min(parseInt(req.query.days, 10) || 30, 365)
+            });
 
             res.json({ analytics });
 
@@ -236,11 +317,65 @@ class SearchController {
     }
 
     /**
-     * Advanced search with multiple criteria
+     * @swagger
+     * /api/search/advanced:
+     *   get:
+     *     summary: Advanced album search
+     *     description: >
+     *       Filter albums with a one-line query in `q`, e.g.
+     *       `artist:"Move D" label:Running year:1995..2002 quality:lossless -genre:ambient has:catalog`.
+     *       Terms are combined with AND unless joined by OR; `-` or NOT negates a term and parentheses group.
+     *       Fields: artist, album (title), label, catalog (catno), genre, path and quality match text;
+     *       year, tracks and duration take a number, a range (1995..2002, 1995.., ..2002) or a comparison (>=1995);
+     *       has:field requires a value. Words without a field use the full-text index.
+     *       The older per-field parameters still work and are combined with `q`.
+     *       Results are sorted in the database by `sortBy` (as for /api/albums) with ties broken by album ID;
+     *       pass `nextCursor` back as `cursor` for the next page. `total` is only counted without a cursor.
+     *     tags: [Search]
+     *     parameters:
+     *       - in: query
+     *         name: q
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: sortBy
+     *         schema:
+     *           type: string
+     *           default: album_artist
+     *       - in: query
+     *         name: sortOrder
+     *         schema:
+     *           type: string
+     *           enum: [ASC, DESC]
+     *           default: ASC
+     *       - in: query
+     *         name: cursor
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 50
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *         description: Albums to skip when no cursor is given
+     *     responses:
+     *       200:
+     *         description: Matching albums
+     *       400:
+     *         description: >
+     *           The query could not be parsed (`position` is the offset of the error in `q`),
+     *           the sort key is unknown or the cursor does not fit the sort
      */
     async advancedSearch(req, res) {
         try {
+            const startedAt = Date.now();
             const {
+                q,
                 query,
                 artist,
                 genre,
@@ -251,103 +386,72 @@ class SearchController {
                 max_duration,
                 label,
                 catalog,
+                sortBy = 'album_artist',
+                sortOrder = 'ASC',
+                cursor,
                 limit = 50,
                 offset = 0
             } = req.query;
 
-            const conditions = [];
-            const params = [];
-
-            // Build dynamic WHERE clause
-            if (query) {
-                conditions.push(`(
-                    LOWER(album_title) LIKE ? OR 
-                    LOWER(album_artist) LIKE ? OR 
-                    LOWER(genre) LIKE ?
-                )`);
-                const searchTerm = `%${query.toLowerCase()}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
-            }
-
-            if (artist) {
-                conditions.push('LOWER(album_artist) LIKE ?');
-                params.push(`%${artist.toLowerCase()}%`);
-            }
-
-            if (genre) {
-                conditions.push('LOWER(genre) LIKE ?');
-                params.push(`%${genre.toLowerCase()}%`);
-            }
-
-            if (year_start) {
-                conditions.push('year >= ?');
-                params.push(parseInt(year_start));
-            }
-
-            if (year_end) {
-                conditions.push('year <= ?');
-                params.push(parseInt(year_end));
-            }
-
-            if (quality) {
-                conditions.push('quality = ?');
-                params.push(quality);
-            }
-
-            if (min_duration) {
-                conditions.push('total_duration >= ?');
-                params.push(parseInt(min_duration));
-            }
-
-            if (max_duration) {
-                conditions.push('total_duration <= ?');
-                params.push(parseInt(max_duration));
-            }
-
-            if (label) {
-                conditions.push('LOWER(label) LIKE ?');
-                params.push(`%${label.toLowerCase()}%`);
-            }
+            const sort = albumListService.resolveSort(sortBy, sortOrder);
 
-            if (catalog) {
-                conditions.push('LOWER(catalog_number) LIKE ?');
-                params.push(`%${catalog.toLowerCase()}%`);
-            }
+            const { conditions, params } = albumListService.searchConditions(req.query);
 
             const whereClause = conditions.length > 0 ? 
                 `WHERE ${conditions.join(' AND ')}` : '';
 
-            const maxResults = Math.min(parseInt(limit), 100);
-            const searchOffset = Math.max(parseInt(offset), 0);
+            const maxResults = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+            const searchOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
-            const albums = await databaseService.query(`
-                SELECT 
+            const { rows: albums, nextCursor } = await albumListService.page({
+                select: `
                     id, album_title, album_artist, year, genre,
                     quality, track_count, total_duration, label,
                     catalog_number, path
-                FROM albums 
-                ${whereClause}
-                ORDER BY album_artist, year DESC, album_title
-                LIMIT ? OFFSET ?
-            `, [...params, maxResults, searchOffset]);
+                `,
+                conditions,
+                params,
+                sort,
+                cursor,
+                limit: maxResults,
+                offset: searchOffset
+            });
 
-            // Get total count
-            const totalResult = await databaseService.queryOne(`
-                SELECT COUNT(*) as total FROM albums ${whereClause}
-            `, params);
+            // Later pages of the same search are neither counted again nor logged as new searches
+            let total = null;
+            if (!cursor) {
+                const totalResult = await databaseService.queryOne(`
+                    SELECT COUNT(*) as total FROM albums ${whereClause}
+                `, params);
+                total = totalResult?.total || 0;
+
+                this._logSearch(req, 'advanced', {
+                    query: q || query,
+                    filters: {
+                        query: q ? query : undefined,
+                        artist, genre, year_start, year_end, quality, min_duration, max_duration, label, catalog
+                    },
+                    resultCount: total,
+                    startedAt
+                });
+            }
 
             res.json({
                 results: albums,
-                total: totalResult?.total || 0,
-                offset: searchOffset,
+                total,
+                offset: cursor ? null : searchOffset,
                 limit: maxResults,
+                nextCursor,
+                sortBy: sort.key,
+                sortOrder: sort.direction,
                 filters: {
-                    query, artist, genre, year_start, year_end,
+                    q, query, artist, genre, year_start, year_end,
                     quality, min_duration, max_duration, label, catalog
                 }
             });
 
         } catch (error) {
+            if (this._sendSearchError(res, error)) {return;}
             console.error('Advanced search error:', error);
             res.status(500).json({
                 error: 'Internal server error during advanced search'
@@ -417,10 +521,11 @@ class SearchController {
     }
 
     /**
-     * Search albums with basic filtering
+     * Search albums in the full-text index, best matches first
      */
     async searchAlbums(req, res) {
         try {
+            const startedAt = Date.now();
             const { q: query, limit = 20 } = req.query;
 
             if (!query || query.trim().length < 2) {
@@ -429,38 +534,33 @@ class SearchController {
                 });
             }
 
-            const searchTerm = `%${query.toLowerCase().trim()}%`;
-            const maxResults = Math.min(parseInt(limit), 50);
-
-            const albums = await databaseService.query(`
-                SELECT 
-                    id, album_title, album_artist, year, 
-                    genre, quality, track_count
-                FROM albums 
-                WHERE LOWER(album_title) LIKE ? 
-                   OR LOWER(album_artist) LIKE ?
-                   OR LOWER(genre) LIKE ?
-                ORDER BY 
-                    CASE 
-                        WHEN LOWER(album_title) LIKE ? THEN 1
-                        WHEN LOWER(album_artist) LIKE ? THEN 2
-                        ELSE 3
-                    END,
-                    album_title
-                LIMIT ?
-            `, [
-                searchTerm, searchTerm, searchTerm,  // WHERE conditions
-                searchTerm, searchTerm,              // ORDER conditions
-                maxResults
-            ], true);
+            const { results, total } = await searchIndexService.search(query, {
+                types: ['album'],
+                limit: Math.min(parseInt(limit, 10) || 20, 50)
+            });
+            this._logSearch(req, 'albums', { query, resultCount: total, startedAt });
+
+            // Keep the album column names this endpoint has always returned
+            const albums = results.map(result => ({
+                id: result.id,
+                album_title: result.title,
+                album_artist: result.artist,
+                year: result.year,
+                genre: result.genre,
+                quality: result.quality,
+                track_count: result.track_count,
+                relevance_score: result.relevance_score,
+                highlights: result.highlights
+            }));
 
             res.json({
                 albums,
                 query,
-                total: albums.length
+                total
             });
 
         } catch (error) {
+            if (this._sendSearchError(res, error)) {return;}
             console.error('Search albums error:', error);
             res.status(500).json({
                 error: 'Internal server error during album search'
@@ -469,10 +569,11 @@ class SearchController {
     }
 
     /**
-     * Search tracks with track-specific metadata
+     * Search tracks in the full-text index by title, artist and album title
      */
     async searchTracks(req, res) {
         try {
+            const startedAt = Date.now();
             const { q: query, limit = 30 } = req.query;
 
             if (!query || query.trim().length < 2) {
@@ -481,26 +582,120 @@ class SearchController {
                 });
             }
 
-            const searchTerm = `%${query.toLowerCase().trim()}%`;
-            const maxResults = Math.min(parseInt(limit), 100);
-
-            // Since we don't have a tracks table yet, return empty results
-            // TODO: Implement when tracks table is created
-            const tracks = [];
+            const { results, total } = await searchIndexService.search(query, {
+                types: ['track'],
+                limit: Math.min(parseInt(limit, 10) || 30, 100)
+            });
+            this._logSearch(req, 'tracks', { query, resultCount: total, startedAt });
 
             res.json({
-                tracks,
+                tracks: results,
                 query,
-                total: tracks.length
+                total
             });
 
         } catch (error) {
+            if (this._sendSearchError(res, error)) {return;}
             console.error('Search tracks error:', error);
             res.status(500).json({
                 error: 'Internal server error during track search'
             });
         }
     }
+
+    // Artists, labels and album titles starting with the word being typed, and earlier queries starting
+    // with the whole text, ranked by the number of albums plus how often each was searched
+    async _getTermSuggestions(query, context, limit) {
+        if (context.partial.length < 2) {
+            return [];
+        }
+
+        const negation = context.negated ? '-' : '';
+        const candidates = [];
+        for (const field of ['artist', 'label', 'album']) {
+            const values = await this._getFieldValues(field, context.partial, limit);
+            candidates.push(...values.map(({ value, count }) => ({
+                type: field,
+                value: String(value),
+                count,
+                term: `${field}:${formatValue(value)}`
+            })));
+        }
+
+        // A value counts as searched when it was searched on its own or as field:value
+        const searches = await searchLogService.getQueryCounts(
+            candidates.flatMap(candidate => [candidate.value, candidate.term])
+        );
+        const ranked = candidates.map(candidate => ({
+            type: candidate.type,
+            value: candidate.value,
+            count: candidate.count,
+            query: `${context.prefix}${negation}${candidate.term}`,
+            weight: candidate.count + PAST_SEARCH_WEIGHT * (
+                (searches.get(candidate.value.toLowerCase()) || 0) + (searches.get(candidate.term.toLowerCase()) || 0)
+            )
+        }));
+
+        if (!context.negated) {
+            const past = await searchLogService.getQueriesStartingWith(query, limit);
+            ranked.push(...past.map(entry => ({
+                type: 'query',
+                value: entry.query,
+                count: entry.count,
+                query: entry.query,
+                weight: PAST_SEARCH_WEIGHT * entry.count
+            })));
+        }
+
+        return ranked
+            .sort((a, b) => b.weight - a.weight)
+            .map(({ weight: _weight, ...suggestion }) => suggestion);
+    }
+
+    // Logging must not hold up or fail the search
+    _logSearch(req, endpoint, { query, filters, resultCount, startedAt }) {
+        searchLogService.record({
+            endpoint,
+            query,
+            filters,
+            resultCount,
+            latencyMs: Date.now() - startedAt,
+            user: req.user?.username || null
+        }).catch(error => {
+            console.error('Search log error:', error);
+        });
+    }
+
+    // Most common values of a field starting with the typed text
+    async _getFieldValues(field, partial, limit) {
+        const { column, type } = SEARCH_FIELDS[field];
+        if (type === 'number' && field !== 'year') {
+            return [];
+        }
+
+        return databaseService.query(`
+            SELECT ${column} as value, COUNT(*) as count
+            FROM albums
+            WHERE ${column} IS NOT NULL AND ${column} != '' AND CAST(${column} AS TEXT) LIKE ? ESCAPE '\\'
+            GROUP BY ${column}
+            ORDER BY count DESC, value
+            LIMIT ?
+        `, [`${escapeLike(partial)}%`, limit]);
+    }
+
+    _sendSearchError(res, error) {
+        const status = ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        res.status(status).json({
+            error: error.message,
+            code: error.code,
+            position: error.position
+        });
+        return true;
+    }
 }
 
 module.exports = new SearchController();
\ No newline at end of file
@@ -1,8 +1,28 @@
 // System controller for system information and configuration
 const databaseService = require('../services/database');
+const configStore = require('../services/configStore');
+const albumListService = require('../services/albumList');
+const collectionImportService = require('../services/collectionImport');
+const { streamNdjson } = require('../utils/ndjson');
+const { createExportWriter } = require('../utils/exportFormats');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { once } = require('events');
+
+// Export formats; playlists are always track-level, csv and json also with level=track
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'm3u8', 'xspf', 'rekordbox'];
+const PLAYLIST_FORMATS = ['m3u8', 'xspf', 'rekordbox'];
+const EXPORT_REQUEST_ERRORS = ['INVALID_SORT', 'INVALID_QUERY'];
+const IMPORT_ERROR_STATUS = {
+    INVALID_IMPORT: 400,
+    APPLY_FAILED: 409
+};
+
+const EXPORT_ALBUM_COLUMNS = `
+    id, album_title, album_artist, year, genre, quality, track_count,
+    total_duration, label, catalog_number, path, created_at
+`;
 
 class SystemController {
     /**
@@ -57,35 +77,21 @@ class SystemController {
     }
 
     /**
-     * Get system configuration
+     * @swagger
+     * /api/config:
+     *   get:
+     *     summary: Get ordr.fm.sh configuration
+     *     description: Known settings from ordr.fm.conf with the version needed to update them. Credentials and keys the dashboard does not know are left out.
+     *     tags: [System]
+     *     responses:
+     *       200:
+     *         description: Configuration values, version and file details
      */
-    getConfig(req, res) {
+    async getConfig(req, res) {
         try {
-            const config = {
-                version: '2.5.0',
-                environment: process.env.NODE_ENV || 'development',
-                features: {
-                    authentication: true,
-                    backups: true,
-                    discogs: true,
-                    webSocket: true,
-                    audioStreaming: true
-                },
-                limits: {
-                    maxFileSize: '10MB',
-                    maxConcurrentJobs: 3,
-                    apiRateLimit: '100/hour',
-                    searchResultsMax: 100
-                },
-                paths: {
-                    database: './data/metadata.db',
-                    logs: './logs/',
-                    backups: './backups/',
-                    temp: './temp/'
-                }
-            };
+            const { values, ...details } = await configStore.read();
 
-            res.json({ config });
+            res.json({ config: values, ...details });
 
         } catch (error) {
             console.error('Get config error:', error);
@@ -96,43 +102,59 @@ class SystemController {
     }
 
     /**
-     * Update system configuration
+     * @swagger
+     * /api/config:
+     *   post:
+     *     summary: Update ordr.fm.sh configuration
+     *     description: Validates the changed values against the schema and writes ordr.fm.conf atomically. Settings the server uses apply immediately, the rest on the next ordr.fm.sh run.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               config:
+     *                 type: object
+     *                 description: Keys to change and their new values
+     *               version:
+     *                 type: string
+     *                 description: Version returned by GET /api/config; a stale version is rejected
+     *     responses:
+     *       200:
+     *         description: Changed keys, new version and when each change applies
+     *       400:
+     *         description: Validation errors listed in `details`
+     *       409:
+     *         description: The file changed since it was loaded
      */
-    updateConfig(req, res) {
+    async updateConfig(req, res) {
         try {
-            const updates = req.body;
-
-            // Validate allowed config updates
-            const allowedUpdates = [
-                'features.backups',
-                'features.discogs', 
-                'limits.apiRateLimit',
-                'limits.searchResultsMax'
-            ];
-
-            const validUpdates = {};
-            for (const key of allowedUpdates) {
-                const value = this._getNestedProperty(updates, key);
-                if (value !== undefined) {
-                    this._setNestedProperty(validUpdates, key, value);
-                }
-            }
+            const { config, version } = req.body || {};
 
-            if (Object.keys(validUpdates).length === 0) {
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
                 return res.status(400).json({
-                    error: 'No valid configuration updates provided'
+                    error: 'config must be an object of configuration keys'
                 });
             }
 
-            // In production, would persist configuration changes
-            console.log('Config updates requested:', validUpdates);
+            const result = await configStore.update(config, {
+                version,
+                author: req.user?.username || null
+            });
 
             res.json({
-                message: 'Configuration updated successfully',
-                updates: validUpdates
+                message: result.changes.length > 0 ?
+                    `Updated ${result.changes.length} setting(s)` :
+                    'No configuration changes',
+                ...result
             });
 
         } catch (error) {
+            if (this._sendConfigError(res, error)) {return;}
             console.error('Update config error:', error);
             res.status(500).json({
                 error: 'Internal server error while updating configuration'
@@ -140,41 +162,184 @@ class SystemController {
         }
     }
 
+    /**
+     * @swagger
+     * /api/config/history:
+     *   get:
+     *     summary: Configuration history
+     *     description: Every write to ordr.fm.conf with its changed keys, most recent first. Edits made outside the dashboard appear as `external` entries.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 20
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: History entries
+     */
+    async getConfigHistory(req, res) {
+        try {
+            const { limit = 20, offset = 0 } = req.query;
+
+            const result = await configStore.getHistory({
+                limit: Math.min(parseInt(limit, 10) || 20, 100),
+                offset: Math.max(parseInt(offset, 10) || 0, 0)
+            });
+
+            res.json(result);
+
+        } catch (error) {
+            console.error('Get config history error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching configuration history'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/config/history/{id}:
+     *   get:
+     *     summary: Configuration history entry
+     *     description: The values recorded in one entry and what reverting to it would change.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Entry with `values` and `diffToCurrent`
+     *       404:
+     *         description: Entry not found
+     */
+    async getConfigHistoryEntry(req, res) {
+        try {
+            const entry = await configStore.getHistoryEntry(parseInt(req.params.id, 10));
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Configuration history entry not found'
+                });
+            }
+
+            res.json(entry);
+
+        } catch (error) {
+            console.error('Get config history entry error:', error);
+            res.status(500).json({
+                error: 'Internal server error while fetching configuration history'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/config/history/{id}/revert:
+     *   post:
+     *     summary: Revert configuration
+     *     description: Restore ordr.fm.conf as recorded in a history entry. The revert is itself recorded.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Changed keys, new version and when each change applies
+     *       404:
+     *         description: Entry not found
+     */
+    async revertConfig(req, res) {
+        try {
+            const result = await configStore.revert(parseInt(req.params.id, 10), {
+                author: req.user?.username || null
+            });
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Configuration history entry not found'
+                });
+            }
+
+            res.json({
+                message: `Reverted configuration to entry ${req.params.id}`,
+                ...result
+            });
+
+        } catch (error) {
+            console.error('Revert config error:', error);
+            res.status(500).json({
+                error: 'Internal server error while reverting configuration'
+            });
+        }
+    }
+
     /**
      * Export collection data
+     *
+     * format=ndjson streams one album per line, read in batches in the order
+     * given by sortBy/sortOrder (as for /api/albums), so large collections are
+     * never held in memory; includeTracks=false leaves out the track lists.
+     *
+     * Track-level exports are streamed the same way: m3u8 and xspf playlists,
+     * rekordbox (collection XML with a playlist per album), and csv or json
+     * with level=track. They take the /api/search/advanced filters (q, query,
+     * artist, ...) so a filtered view can be exported as is, and albumId to
+     * export a single album; relative=true writes m3u8 paths relative to the
+     * album folder so the playlist can sit next to the files.
      */
     async exportCollection(req, res) {
         try {
-            const { format = 'json', includeStats = false } = req.query;
+            const { format = 'json', level = 'album', includeStats = false } = req.query;
 
-            if (!['json', 'csv'].includes(format)) {
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    error: `Invalid format. Supported formats: ${EXPORT_FORMATS.join(', ')}`
+                });
+            }
+            if (!['album', 'track'].includes(level)) {
                 return res.status(400).json({
-                    error: 'Invalid format. Supported formats: json, csv'
+                    error: 'Invalid level. Supported levels: album, track'
                 });
             }
 
-            // Get all albums with tracks
+            if (format === 'ndjson') {
+                return await this._exportNdjson(req, res);
+            }
+            if (PLAYLIST_FORMATS.includes(format) || level === 'track') {
+                return await this._exportTracks(req, res, format);
+            }
+
+            // Get all albums, with the release IDs an import matches on
+            const identifiers = Object.entries(collectionImportService.identifierColumns())
+                .map(([key, column]) => `, ${column} as ${key}`)
+                .join('');
             const albums = await databaseService.query(`
-                SELECT 
-                    a.id, a.album_title, a.album_artist, a.year,
-                    a.genre, a.quality, a.track_count, a.total_duration,
-                    a.label, a.catalog_number, a.path,
-                    GROUP_CONCAT(
-                        t.track_number || '|' || 
-                        COALESCE(t.track_title, '') || '|' || 
-                        COALESCE(t.track_artist, '') || '|' || 
-                        COALESCE(t.duration, ''), 
-                        ';;;'
-                    ) as tracks_data
-                FROM albums a
-                LEFT JOIN tracks t ON a.id = t.album_id
-                GROUP BY a.id
-                ORDER BY a.album_artist, a.year, a.album_title
+                SELECT ${EXPORT_ALBUM_COLUMNS}${identifiers}
+                FROM albums
+                ORDER BY album_artist, year, album_title
             `);
 
             let exportData;
 
             if (format === 'json') {
+                const tracks = await this._getAllTracksByAlbum();
                 exportData = {
                     metadata: {
                         exportDate: new Date().toISOString(),
@@ -183,11 +348,14 @@ class SystemController {
                     },
                     albums: albums.map(album => ({
                         ...album,
-                        tracks: album.tracks_data ? 
-                            album.tracks_data.split(';;;').map(track => {
-                                const [number, title, artist, duration] = track.split('|');
-                                return { number, title, artist, duration };
-                            }).filter(t => t.number) : []
+                        tracks: (tracks.get(album.id) || []).map(track => ({
+                            number: track.track_number,
+                            title: track.track_title,
+                            artist: track.track_artist,
+                            duration: track.duration,
+                            disc_number: track.disc_number,
+                            path: track.path
+                        }))
                     }))
                 };
 
@@ -225,6 +393,19 @@ class SystemController {
             }
 
         } catch (error) {
+            if (EXPORT_REQUEST_ERRORS.includes(error.code)) {
+                return res.status(400).json({
+                    error: error.message,
+                    code: error.code,
+                    ...(error.position !== undefined ? { position: error.position } : {})
+                });
+            }
+            // A stream already under way cannot turn into an error response; cut it off so it is not taken as complete
+            if (res.headersSent) {
+                console.error('Export collection error:', error);
+                res.destroy(error);
+                return;
+            }
             console.error('Export collection error:', error);
             res.status(500).json({
                 error: 'Internal server error during export'
@@ -232,6 +413,228 @@ class SystemController {
         }
     }
 
+    async _exportNdjson(req, res) {
+        const { sortBy = 'album_artist', sortOrder = 'ASC', includeTracks = 'true' } = req.query;
+        const sort = albumListService.resolveSort(sortBy, sortOrder);
+        const totalResult = await databaseService.queryOne('SELECT COUNT(*) as total FROM albums', [], false);
+
+        const batches = albumListService.batches({ select: EXPORT_ALBUM_COLUMNS, sort });
+
+        await streamNdjson(res, batches, {
+            filename: 'ordr-fm-collection.ndjson',
+            total: totalResult?.total || 0,
+            mapBatch: includeTracks === 'false' ? null : albums => this._withTracks(albums)
+        });
+    }
+
+    async _withTracks(albums) {
+        const tracks = await this._getTracksByAlbum(albums);
+        return albums.map(album => ({
+            ...album,
+            tracks: (tracks.get(album.id) || []).map(track => ({
+                number: track.track_number,
+                title: track.track_title,
+                artist: track.track_artist,
+                duration: track.duration
+            }))
+        }));
+    }
+
+    async _exportTracks(req, res, format) {
+        const { albumId, sortBy = 'album_artist', sortOrder = 'ASC', relative } = req.query;
+        const sort = albumListService.resolveSort(sortBy, sortOrder);
+        const { conditions, params } = albumListService.searchConditions(req.query);
+
+        let title = 'ordr.fm collection';
+        let filename = 'ordr-fm-collection';
+        if (albumId !== undefined) {
+            const album = await databaseService.queryOne(
+                'SELECT id, album_title, album_artist FROM albums WHERE id = ?',
+                [parseInt(albumId, 10)],
+                false
+            );
+            if (!album) {
+                return res.status(404).json({
+                    error: 'Album not found'
+                });
+            }
+            conditions.push('id = ?');
+            params.push(album.id);
+            title = `${album.album_artist || 'Unknown Artist'} - ${album.album_title || 'Unknown Album'}`;
+            filename = title;
+        }
+
+        const countRow = await databaseService.queryOne(`
+            SELECT COUNT(*) as total FROM tracks
+            WHERE album_id IN (SELECT id FROM albums ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''})
+        `, params, false);
+
+        const writer = createExportWriter(format, {
+            title,
+            trackCount: countRow.total,
+            relativePaths: relative === 'true' && albumId !== undefined
+        });
+
+        res.setHeader('Content-Type', writer.contentType);
+        res.setHeader('Content-Disposition', attachmentHeader(`${filename}.${writer.extension}`));
+        res.setHeader('X-Total-Count', String(countRow.total));
+
+        await writeChunk(res, writer.begin());
+        for await (const albums of albumListService.batches({ select: EXPORT_ALBUM_COLUMNS, conditions, params, sort })) {
+            if (res.destroyed) {return;}
+            const tracks = await this._getTracksByAlbum(albums);
+            await writeChunk(res, albums.map(album => writer.album(album, tracks.get(album.id) || [])).join(''));
+        }
+        await writeChunk(res, writer.end());
+        res.end();
+    }
+
+    // Tracks of the given albums in play order, by album ID
+    async _getTracksByAlbum(albums) {
+        const tracks = await databaseService.query(`
+            SELECT id, album_id, disc_number, track_number, track_title, track_artist, duration, file_format, path
+            FROM tracks
+            WHERE album_id IN (${albums.map(() => '?').join(', ')})
+            ORDER BY album_id, disc_number, track_number, id
+        `, albums.map(album => album.id), false);
+        return groupByAlbum(tracks);
+    }
+
+    // Every track in play order, by album ID
+    async _getAllTracksByAlbum() {
+        const tracks = await databaseService.query(`
+            SELECT id, album_id, disc_number, track_number, track_title, track_artist, duration, path
+            FROM tracks
+            ORDER BY album_id, disc_number, track_number, id
+        `, [], false);
+        return groupByAlbum(tracks);
+    }
+
+    /**
+     * @swagger
+     * /api/import/preview:
+     *   post:
+     *     summary: Preview a collection import
+     *     description: Compare a /api/export?format=json file with the database. Albums are matched by path, then MusicBrainz ID, then Discogs ID; the result lists new albums, changed albums with each changed field (and track title/artist), albums missing from the file, and entries that were skipped.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               collection:
+     *                 type: object
+     *                 description: The export; it may also be sent as the whole body
+     *               pathMap:
+     *                 type: object
+     *                 description: "{ from, to } to rewrite path prefixes in the file, e.g. when the music lives elsewhere here"
+     *     responses:
+     *       200:
+     *         description: Summary and the new, changed, missing and skipped albums
+     *       400:
+     *         description: Not a collection export
+     */
+    async previewImport(req, res) {
+        try {
+            const { collection, pathMap } = this._importRequest(req.body);
+            const preview = await collectionImportService.preview(collection, { pathMap });
+
+            res.json(preview);
+
+        } catch (error) {
+            if (this._sendImportError(res, error)) {return;}
+            console.error('Preview import error:', error);
+            res.status(500).json({
+                error: 'Internal server error while previewing import'
+            });
+        }
+    }
+
+    /**
+     * @swagger
+     * /api/import/apply:
+     *   post:
+     *     summary: Apply a collection import
+     *     description: Apply the chosen part of an import preview in one transaction. Changed fields are recorded in the album's metadata history with source "import"; albums missing from the file are only removed when asked for.
+     *     tags: [System]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               collection:
+     *                 type: object
+     *               pathMap:
+     *                 type: object
+     *               new:
+     *                 description: true (default), false, or the preview entries to add
+     *               changed:
+     *                 description: true (default), false, or the album IDs to update
+     *               missing:
+     *                 description: false (default), true, or the album IDs to remove
+     *     responses:
+     *       200:
+     *         description: Numbers of albums added, updated and removed, and fields changed
+     *       400:
+     *         description: Not a collection export
+     *       409:
+     *         description: The import failed and was rolled back
+     */
+    async applyImport(req, res) {
+        try {
+            const { collection, pathMap } = this._importRequest(req.body);
+            const { new: addNew, changed, missing } = req.body || {};
+            const result = await collectionImportService.apply(collection, {
+                pathMap,
+                new: addNew,
+                changed,
+                missing,
+                user: req.user?.username || null
+            });
+
+            res.json({
+                message: `Imported ${result.added} new and ${result.updated} changed albums`,
+                ...result
+            });
+
+        } catch (error) {
+            if (this._sendImportError(res, error)) {return;}
+            console.error('Apply import error:', error);
+            res.status(500).json({
+                error: 'Internal server error while applying import'
+            });
+        }
+    }
+
+    // The export can be sent as is or under collection, next to the import options
+    _importRequest(body = {}) {
+        return {
+            collection: body.collection || body,
+            pathMap: body.pathMap || null
+        };
+    }
+
+    _sendImportError(res, error) {
+        const status = IMPORT_ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        res.status(status).json({
+            error: error.message,
+            code: error.code
+        });
+        return true;
+    }
+
     /**
      * Get collection insights and analytics
      */
@@ -402,25 +805,42 @@ class SystemController {
         return stringValue;
     }
 
-    /**
-     * Get nested property from object (private method)
-     */
-    _getNestedProperty(obj, path) {
-        return path.split('.').reduce((current, key) => current?.[key], obj);
+    _sendConfigError(res, error) {
+        if (error.code === 'INVALID_CONFIG') {
+            res.status(400).json({ error: error.message, code: error.code, details: error.details });
+            return true;
+        }
+        if (error.code === 'CONFIG_CONFLICT') {
+            res.status(409).json({ error: error.message, code: error.code });
+            return true;
+        }
+        return false;
     }
+}
 
-    /**
-     * Set nested property in object (private method)
-     */
-    _setNestedProperty(obj, path, value) {
-        const keys = path.split('.');
-        const lastKey = keys.pop();
-        const target = keys.reduce((current, key) => {
-            if (!current[key]) {current[key] = {};}
-            return current[key];
-        }, obj);
-        target[lastKey] = value;
+// Write to a response, waiting for the client to catch up when its buffer is full
+async function writeChunk(res, text) {
+    if (text && !res.write(text)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+}
+
+// Content-Disposition for a download whose name may not be ASCII
+function attachmentHeader(filename) {
+    const safe = filename.replace(/[\\/:*?"<>|]/g, '_');
+    const ascii = safe.replace(/[^\x20-\x7e]/g, '_');
+    return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(safe)}`;
+}
+
+function groupByAlbum(tracks) {
+    const byAlbum = new Map();
+    for (const track of tracks) {
+        if (!byAlbum.has(track.album_id)) {
+            byAlbum.set(track.album_id, []);
+        }
+        byAlbum.get(track.album_id).push(track);
     }
+    return byAlbum;
 }
 
 module.exports = new SystemController();
\ No newline at end of file
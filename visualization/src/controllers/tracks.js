@@ -1,8 +1,20 @@
 // Tracks controller for track-specific operations and audio streaming
 const databaseService = require('../services/database');
+const waveformService = require('../services/waveform');
+const transcodeService = require('../services/transcode');
+const metadataHistoryService = require('../services/metadataHistory');
 const path = require('path');
 const fs = require('fs');
 const { createReadStream } = require('fs');
+const { pipeline } = require('stream');
+
+// Transcode error codes mapped to HTTP statuses
+const TRANSCODE_ERROR_STATUS = {
+    INVALID_FORMAT: 400,
+    INVALID_BITRATE: 400,
+    DECODER_UNAVAILABLE: 503,
+    TRANSCODE_BUSY: 503
+};
 
 class TracksController {
     /**
@@ -10,7 +22,7 @@ class TracksController {
      * /api/tracks/{id}:
      *   put:
      *     summary: Update track metadata
-     *     description: Update metadata for a specific track
+     *     description: Update metadata for a specific track. Changed fields are recorded in the album history.
      *     tags: [Tracks]
      *     security:
      *       - bearerAuth: []
@@ -47,53 +59,39 @@ class TracksController {
     async updateTrack(req, res) {
         try {
             const { id } = req.params;
-            const updates = req.body;
-
-            // Validate track exists
-            const track = await databaseService.queryOne(
-                'SELECT id, album_id FROM tracks WHERE id = ?',
-                [id]
-            );
-
-            if (!track) {
-                return res.status(404).json({
-                    error: 'Track not found'
-                });
-            }
+            const updates = req.body || {};
 
-            // Build update query
             const allowedFields = [
                 'track_title', 'track_artist', 'track_number', 'disc_number'
             ];
 
-            const updateFields = [];
-            const params = [];
-
+            const values = {};
             for (const field of allowedFields) {
                 if (updates[field] !== undefined) {
-                    updateFields.push(`${field} = ?`);
-                    params.push(updates[field]);
+                    values[field] = updates[field];
                 }
             }
 
-            if (updateFields.length === 0) {
+            if (Object.keys(values).length === 0) {
                 return res.status(400).json({
                     error: 'No valid fields to update'
                 });
             }
 
-            // Add timestamp and ID
-            updateFields.push('created_at = CURRENT_TIMESTAMP');
-            params.push(id);
+            const changes = await metadataHistoryService.updateTrack(parseInt(id, 10), values, {
+                source: 'manual',
+                user: req.user?.username || null
+            });
 
-            await databaseService.run(`
-                UPDATE tracks 
-                SET ${updateFields.join(', ')}
-                WHERE id = ?
-            `, params);
+            if (!changes) {
+                return res.status(404).json({
+                    error: 'Track not found'
+                });
+            }
 
             res.json({
-                message: 'Track updated successfully'
+                message: 'Track updated successfully',
+                changes
             });
 
         } catch (error) {
@@ -105,7 +103,28 @@ class TracksController {
     }
 
     /**
-     * Stream audio file with range support
+     * @swagger
+     * /api/audio/{albumId}/{trackId}:
+     *   get:
+     *     summary: Stream a track of an album
+     *     description: Same as /api/audio/stream/{trackId}, for a track of the given album.
+     *     tags: [Tracks]
+     *     parameters:
+     *       - in: path
+     *         name: albumId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: trackId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Audio
+     *       404:
+     *         description: Track or audio file not found
      */
     async streamAudio(req, res) {
         try {
@@ -113,8 +132,7 @@ class TracksController {
 
             // Get track and album information
             const track = await databaseService.queryOne(`
-                SELECT t.path, t.track_title, t.file_format,
-                       a.album_title, a.album_artist, a.path as album_path
+                SELECT t.*
                 FROM tracks t
                 JOIN albums a ON t.album_id = a.id
                 WHERE t.id = ? AND a.id = ?
@@ -126,50 +144,10 @@ class TracksController {
                 });
             }
 
-            // Construct full file path
-            const filePath = path.resolve(track.path);
-
-            // Check if file exists
-            if (!fs.existsSync(filePath)) {
-                return res.status(404).json({
-                    error: 'Audio file not found on disk'
-                });
-            }
-
-            const stat = fs.statSync(filePath);
-            const fileSize = stat.size;
-
-            // Handle range requests for streaming
-            const range = req.headers.range;
-            if (range) {
-                const parts = range.replace(/bytes=/, '').split('-');
-                const start = parseInt(parts[0], 10);
-                const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-                const chunksize = (end - start) + 1;
-
-                const stream = createReadStream(filePath, { start, end });
-
-                res.status(206).set({
-                    'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunksize,
-                    'Content-Type': this._getAudioMimeType(track.file_format)
-                });
-
-                stream.pipe(res);
-            } else {
-                // Full file streaming
-                res.set({
-                    'Content-Length': fileSize,
-                    'Content-Type': this._getAudioMimeType(track.file_format),
-                    'Accept-Ranges': 'bytes'
-                });
-
-                const stream = createReadStream(filePath);
-                stream.pipe(res);
-            }
+            await this._sendAudio(req, res, track);
 
         } catch (error) {
+            if (this._sendTranscodeError(res, error)) {return;}
             console.error('Stream audio error:', error);
             res.status(500).json({
                 error: 'Internal server error while streaming audio'
@@ -178,14 +156,65 @@ class TracksController {
     }
 
     /**
-     * Get audio stream (alternative endpoint)
+     * @swagger
+     * /api/audio/stream/{trackId}:
+     *   get:
+     *     summary: Stream a track
+     *     description: |
+     *       Send the track file with byte range support, or transcode it with ffmpeg to Opus, AAC or MP3.
+     *       With format=auto (the default) the file is sent as it is if the player can decode it and no lower bitrate is asked for; otherwise it is transcoded to the best format the player lists in `supports`, or else accepts in its Accept header.
+     *       A complete transcode is cached and then served with byte ranges; with `start` the transcode begins at that time and is streamed only. The X-Transcode-Format and X-Start-Offset headers tell what was sent.
+     *     tags: [Tracks]
+     *     parameters:
+     *       - in: path
+     *         name: trackId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [auto, original, opus, aac, mp3]
+     *           default: auto
+     *       - in: query
+     *         name: bitrate
+     *         schema:
+     *           type: integer
+     *           minimum: 32
+     *           maximum: 320
+     *         description: Transcode bitrate in kbps; with format=auto, transcode when the original is larger
+     *       - in: query
+     *         name: start
+     *         schema:
+     *           type: number
+     *           minimum: 0
+     *         description: Seconds into the track to start a transcode at
+     *       - in: query
+     *         name: supports
+     *         schema:
+     *           type: string
+     *         description: Comma-separated formats the player can play (e.g. mp3,aac,opus,flac)
+     *     responses:
+     *       200:
+     *         description: Audio
+     *       206:
+     *         description: Byte range of the original or of a cached transcode
+     *       400:
+     *         description: Invalid format, bitrate or start
+     *       404:
+     *         description: Track or audio file not found
+     *       416:
+     *         description: Byte range outside the file
+     *       503:
+     *         description: Audio encoder not available, or too many transcodes running
      */
     async getAudioStream(req, res) {
         try {
             const { trackId } = req.params;
 
             const track = await databaseService.queryOne(`
-                SELECT path, track_title, file_format, duration
+                SELECT *
                 FROM tracks 
                 WHERE id = ?
             `, [trackId]);
@@ -196,44 +225,10 @@ class TracksController {
                 });
             }
 
-            const filePath = path.resolve(track.path);
-
-            if (!fs.existsSync(filePath)) {
-                return res.status(404).json({
-                    error: 'Audio file not found'
-                });
-            }
-
-            const stat = fs.statSync(filePath);
-            const range = req.headers.range;
-
-            if (range) {
-                const parts = range.replace(/bytes=/, '').split('-');
-                const start = parseInt(parts[0], 10);
-                const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1;
-                const chunksize = (end - start) + 1;
-
-                const stream = createReadStream(filePath, { start, end });
-
-                res.status(206).set({
-                    'Content-Range': `bytes ${start}-${end}/${stat.size}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunksize,
-                    'Content-Type': this._getAudioMimeType(track.file_format)
-                });
-
-                stream.pipe(res);
-            } else {
-                res.set({
-                    'Content-Length': stat.size,
-                    'Content-Type': this._getAudioMimeType(track.file_format)
-                });
-
-                const stream = createReadStream(filePath);
-                stream.pipe(res);
-            }
+            await this._sendAudio(req, res, track);
 
         } catch (error) {
+            if (this._sendTranscodeError(res, error)) {return;}
             console.error('Get audio stream error:', error);
             res.status(500).json({
                 error: 'Internal server error while streaming audio'
@@ -342,15 +337,72 @@ class TracksController {
     }
 
     /**
-     * Generate waveform data for track (mock implementation)
+     * @swagger
+     * /api/audio/{albumId}/{trackId}/waveform:
+     *   get:
+     *     summary: Get waveform peaks for a track
+     *     description: Decode the track file and return min/max peaks at the requested resolution. Results are cached per file path and modification time, so repeat requests are served from the peak cache until the file changes.
+     *     tags: [Tracks]
+     *     parameters:
+     *       - in: path
+     *         name: albumId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: trackId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: samples
+     *         schema:
+     *           type: integer
+     *           minimum: 16
+     *           maximum: 4000
+     *           default: 1000
+     *         description: Number of peak pairs per channel
+     *       - in: query
+     *         name: channels
+     *         schema:
+     *           type: integer
+     *           enum: [1, 2]
+     *           default: 1
+     *         description: Mix down to mono (1) or keep stereo peaks (2)
+     *     responses:
+     *       200:
+     *         description: Waveform peaks
+     *       400:
+     *         description: Invalid samples or channels parameter
+     *       404:
+     *         description: Track or audio file not found
+     *       503:
+     *         description: Audio decoder not available
      */
     async getWaveform(req, res) {
         try {
             const { albumId, trackId } = req.params;
+            const { samples, channels } = req.query;
+
+            const limits = waveformService.limits;
+            const sampleCount = samples === undefined ? limits.defaultSamples : parseInt(samples, 10);
+            const channelCount = channels === undefined ? 1 : parseInt(channels, 10);
+
+            if (!Number.isInteger(sampleCount) || sampleCount < limits.minSamples || sampleCount > limits.maxSamples) {
+                return res.status(400).json({
+                    error: `samples must be an integer between ${limits.minSamples} and ${limits.maxSamples}`
+                });
+            }
+
+            if (channelCount !== 1 && channelCount !== 2) {
+                return res.status(400).json({
+                    error: 'channels must be 1 or 2'
+                });
+            }
 
             // Validate track exists
             const track = await databaseService.queryOne(`
-                SELECT t.id, t.track_title, t.duration
+                SELECT t.id, t.track_title, t.duration, t.path
                 FROM tracks t
                 JOIN albums a ON t.album_id = a.id
                 WHERE t.id = ? AND a.id = ?
@@ -362,27 +414,39 @@ class TracksController {
                 });
             }
 
-            // Mock waveform data - would generate real waveform in production
-            const duration = track.duration || 300; // Default 5 minutes
-            const samples = Math.min(1000, Math.floor(duration)); // Max 1000 samples
-            
-            const waveformData = [];
-            for (let i = 0; i < samples; i++) {
-                // Generate mock waveform with some variation
-                const amplitude = Math.random() * 0.8 + 0.2;
-                const smoothed = amplitude * (1 - Math.abs(i - samples / 2) / (samples / 2)) * 0.3 + amplitude * 0.7;
-                waveformData.push(Math.round(smoothed * 100) / 100);
+            const filePath = path.resolve(track.path);
+
+            if (!fs.existsSync(filePath)) {
+                return res.status(404).json({
+                    error: 'Audio file not found on disk'
+                });
             }
 
+            const waveform = await waveformService.getWaveform(filePath, {
+                samples: sampleCount,
+                channels: channelCount
+            });
+
+            res.set('Cache-Control', 'private, max-age=3600');
             res.json({
                 trackId: track.id,
                 title: track.track_title,
-                duration,
-                samples,
-                waveform: waveformData
+                duration: waveform.duration || track.duration,
+                samples: waveform.samples,
+                channels: waveform.channels,
+                sampleRate: waveform.sampleRate,
+                peaks: waveform.peaks,
+                waveform: waveform.waveform,
+                cached: waveform.cached
             });
 
         } catch (error) {
+            if (error.code === 'DECODER_UNAVAILABLE') {
+                return res.status(503).json({
+                    error: 'Audio decoder not available on this server'
+                });
+            }
+
             console.error('Get waveform error:', error);
             res.status(500).json({
                 error: 'Internal server error while generating waveform'
@@ -390,6 +454,138 @@ class TracksController {
         }
     }
 
+    /**
+     * Send a track as it is or transcoded, as the request asks for
+     * @private
+     */
+    async _sendAudio(req, res, track) {
+        const { format = 'auto', bitrate, start, supports } = req.query;
+
+        const startTime = start === undefined ? 0 : Number(start);
+        if (!Number.isFinite(startTime) || startTime < 0) {
+            return res.status(400).json({
+                error: 'start must be a number of seconds, 0 or more'
+            });
+        }
+
+        const filePath = path.resolve(track.path);
+
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({
+                error: 'Audio file not found on disk'
+            });
+        }
+
+        const sourceFormat = track.file_format || path.extname(filePath).slice(1);
+        const choice = transcodeService.chooseFormat({
+            sourceFormat,
+            sourceBitrate: track.bitrate > 10000 ? Math.round(track.bitrate / 1000) : track.bitrate || null,
+            format,
+            bitrate: bitrate === undefined ? null : Number(bitrate),
+            accept: req.headers.accept,
+            supports: supports ? String(supports).split(',').map(name => name.trim()).filter(Boolean) : null
+        });
+
+        // The answer depends on what the player says it can play
+        res.set('Vary', 'Accept');
+
+        if (choice.format === 'original') {
+            res.set({ 'X-Transcode-Format': 'original', 'X-Start-Offset': '0' });
+            return this._sendFile(req, res, filePath, fs.statSync(filePath).size, this._getAudioMimeType(sourceFormat));
+        }
+
+        // Stop the encoder (or leave the queue) when the player goes away
+        const abort = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {abort.abort();}
+        });
+
+        const transcode = await transcodeService.getTranscode(filePath, {
+            format: choice.format,
+            bitrate: choice.bitrate,
+            start: startTime,
+            signal: abort.signal
+        });
+
+        res.set({
+            'X-Transcode-Format': `${choice.format}; bitrate=${choice.bitrate}`,
+            'X-Start-Offset': String(startTime)
+        });
+        if (track.duration) {
+            res.set('X-Content-Duration', String(Math.max(track.duration - startTime, 0)));
+        }
+
+        if (transcode.file) {
+            return this._sendFile(req, res, transcode.file, transcode.size, transcode.contentType);
+        }
+
+        res.set({
+            'Content-Type': transcode.contentType,
+            'Accept-Ranges': 'none'
+        });
+        pipeline(transcode.stream, res, (error) => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.warn(`Transcode of track ${track.id} ended early:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Send a file, or the byte range the request asks for
+     * @private
+     */
+    _sendFile(req, res, filePath, size, contentType) {
+        const range = req.headers.range;
+
+        if (range) {
+            const parts = range.replace(/bytes=/, '').split('-');
+            const start = parseInt(parts[0], 10) || 0;
+            const end = parts[1] ? Math.min(parseInt(parts[1], 10), size - 1) : size - 1;
+
+            if (start >= size || end < start) {
+                return res.status(416).set('Content-Range', `bytes */${size}`).end();
+            }
+
+            res.status(206).set({
+                'Content-Range': `bytes ${start}-${end}/${size}`,
+                'Accept-Ranges': 'bytes',
+                'Content-Length': (end - start) + 1,
+                'Content-Type': contentType
+            });
+
+            createReadStream(filePath, { start, end }).pipe(res);
+        } else {
+            res.set({
+                'Content-Length': size,
+                'Content-Type': contentType,
+                'Accept-Ranges': 'bytes'
+            });
+
+            createReadStream(filePath).pipe(res);
+        }
+    }
+
+    _sendTranscodeError(res, error) {
+        // The player has gone; there is nobody to answer
+        if (error.code === 'TRANSCODE_ABORTED') {
+            return true;
+        }
+
+        const status = TRANSCODE_ERROR_STATUS[error.code];
+        if (!status) {
+            return false;
+        }
+
+        if (error.code === 'TRANSCODE_BUSY') {
+            res.set('Retry-After', '5');
+        }
+        res.status(status).json({
+            error: error.code === 'DECODER_UNAVAILABLE' ? 'Audio encoder not available on this server' : error.message,
+            code: error.code
+        });
+        return true;
+    }
+
     /**
      * Get audio MIME type based on file format
      */
@@ -401,7 +597,8 @@ class TracksController {
             'ogg': 'audio/ogg',
             'm4a': 'audio/mp4',
             'aac': 'audio/aac',
-            'aiff': 'audio/aiff'
+            'aiff': 'audio/aiff',
+            'opus': 'audio/ogg; codecs=opus'
         };
 
         return mimeTypes[format?.toLowerCase()] || 'audio/mpeg';
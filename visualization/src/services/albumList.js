@@ -0,0 +1,278 @@
+// Album list service - filtered, sorted, cursor-paginated album listings for the albums, search and export routes
+const databaseService = require('./database');
+const searchIndexService = require('./searchIndex');
+const { parseSearchQuery, compileSearchQuery } = require('../utils/searchQuery');
+
+/**
+ * Columns albums can be sorted by. Each sort key is compared as a non-NULL
+ * value (text case-insensitively) so it can be written into a cursor and
+ * compared again; ties are broken by id. `columns` lists the columns the key
+ * may come from, in order of preference, since the albums table written by
+ * ordr.fm.sh differs between versions. Indexed keys get an expression index
+ * matching their ORDER BY so deep pages do not sort the whole table.
+ */
+const SORT_KEYS = {
+    album_title: { columns: ['album_title'], type: 'text', indexed: true },
+    album_artist: { columns: ['album_artist'], type: 'text', indexed: true },
+    year: { columns: ['year'], type: 'number', indexed: true },
+    genre: { columns: ['genre'], type: 'text' },
+    label: { columns: ['label'], type: 'text' },
+    quality: { columns: ['quality'], type: 'text', indexed: true },
+    track_count: { columns: ['track_count'], type: 'number' },
+    total_duration: { columns: ['total_duration'], type: 'number' },
+    total_size: { columns: ['total_size', 'file_size_mb'], type: 'number', indexed: true },
+    created_at: { columns: ['created_at'], type: 'text', indexed: true }
+};
+
+const SORT_ALIASES = {
+    artist: 'album_artist',
+    album: 'album_title',
+    title: 'album_title',
+    added: 'created_at',
+    size: 'total_size',
+    tracks: 'track_count',
+    duration: 'total_duration'
+};
+
+/**
+ * Keyset pagination over the albums table: a page ends with a cursor holding
+ * the sort value and id of its last album, and the next page starts after
+ * that pair instead of skipping rows with OFFSET. Pages stay fast however deep
+ * they go and albums added or removed meanwhile do not shift them.
+ */
+class AlbumListService {
+    constructor() {
+        // Columns of the albums table; null until initialized or when there is no albums table
+        this.columns = null;
+    }
+
+    /**
+     * Find the sortable columns and create the sort indexes
+     */
+    async initialize() {
+        const columns = await databaseService.query('PRAGMA table_info(albums)', [], false);
+        if (columns.length === 0) {
+            this.columns = null;
+            return;
+        }
+        this.columns = new Set(columns.map(column => column.name));
+
+        for (const key of Object.keys(SORT_KEYS)) {
+            const sort = this._sortFor(key);
+            if (sort && SORT_KEYS[key].indexed) {
+                await databaseService.run(
+                    `CREATE INDEX IF NOT EXISTS idx_albums_sort_${key} ON albums(${sort.expression}, id)`
+                );
+            }
+        }
+    }
+
+    /**
+     * Resolve a requested sort
+     * @param {string} sortBy - Sort key or alias (artist, year, added, size, ...)
+     * @param {string} sortOrder - ASC or DESC
+     * @returns {{key: string, column: string, expression: string, direction: string}}
+     * @throws {Error} code INVALID_SORT for unknown keys or columns this database does not have
+     */
+    resolveSort(sortBy = 'album_title', sortOrder = 'ASC') {
+        const key = SORT_ALIASES[sortBy] || sortBy;
+        const sort = SORT_KEYS[key] ? this._sortFor(key) : null;
+        if (!sort) {
+            throw listError('INVALID_SORT', `Cannot sort albums by "${sortBy}"; use one of ${this.getSortKeys().join(', ')}`);
+        }
+        return { ...sort, direction: String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC' };
+    }
+
+    /**
+     * Sort keys this database supports
+     * @returns {string[]}
+     */
+    getSortKeys() {
+        return Object.keys(SORT_KEYS).filter(key => this._sortFor(key));
+    }
+
+    /**
+     * WHERE conditions for the advanced search filters, shared by the search and export routes
+     * @param {Object} query - q (query language), query (full text), artist, genre, year_start, year_end,
+     *                         quality, min_duration, max_duration, label, catalog
+     * @returns {{conditions: string[], params: Array}}
+     * @throws {Error} code INVALID_QUERY if q cannot be parsed
+     */
+    searchConditions(query) {
+        const {
+            q, query: text, artist, genre, year_start, year_end,
+            quality, min_duration, max_duration, label, catalog
+        } = query;
+        const conditions = [];
+        const params = [];
+
+        const tree = parseSearchQuery(q);
+        if (tree) {
+            const compiled = compileSearchQuery(tree, {
+                matchText: value => searchIndexService.albumMatchSubquery(value)
+            });
+            conditions.push(compiled.sql);
+            params.push(...compiled.params);
+        }
+
+        if (text) {
+            const match = searchIndexService.albumMatchSubquery(text);
+            conditions.push(`id IN (${match.sql})`);
+            params.push(...match.params);
+        }
+
+        if (artist) {
+            conditions.push('LOWER(album_artist) LIKE ?');
+            params.push(`%${artist.toLowerCase()}%`);
+        }
+
+        if (genre) {
+            conditions.push('LOWER(genre) LIKE ?');
+            params.push(`%${genre.toLowerCase()}%`);
+        }
+
+        if (year_start) {
+            conditions.push('year >= ?');
+            params.push(parseInt(year_start, 10));
+        }
+
+        if (year_end) {
+            conditions.push('year <= ?');
+            params.push(parseInt(year_end, 10));
+        }
+
+        if (quality) {
+            conditions.push('quality = ?');
+            params.push(quality);
+        }
+
+        if (min_duration) {
+            conditions.push('total_duration >= ?');
+            params.push(parseInt(min_duration, 10));
+        }
+
+        if (max_duration) {
+            conditions.push('total_duration <= ?');
+            params.push(parseInt(max_duration, 10));
+        }
+
+        if (label) {
+            conditions.push('LOWER(label) LIKE ?');
+            params.push(`%${label.toLowerCase()}%`);
+        }
+
+        if (catalog) {
+            conditions.push('LOWER(catalog_number) LIKE ?');
+            params.push(`%${catalog.toLowerCase()}%`);
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Fetch one page of albums
+     * @param {Object} options
+     * @param {string} options.select - Columns to select
+     * @param {string[]} options.conditions - WHERE conditions, ANDed
+     * @param {Array} options.params - Parameters for the conditions
+     * @param {Object} options.sort - Result of resolveSort
+     * @param {string} [options.cursor] - Cursor from the previous page
+     * @param {number} options.limit - Page size
+     * @param {number} [options.offset] - Rows to skip when there is no cursor
+     * @param {boolean} [options.useCache] - Whether to use the query cache
+     * @returns {Promise<{rows: Array, nextCursor: string|null}>}
+     * @throws {Error} code INVALID_CURSOR if the cursor is malformed or was made for another sort
+     */
+    async page(options) {
+        const { select, conditions = [], params = [], sort, cursor, limit, offset = 0, useCache = true } = options;
+        const where = [...conditions];
+        const whereParams = [...params];
+
+        if (cursor) {
+            const position = decodeCursor(cursor, sort);
+            const after = sort.direction === 'DESC' ? '<' : '>';
+            // The bound on the sort key alone lets SQLite seek into the sort index; the row value breaks ties
+            where.push(`(${sort.expression} ${after}= ? AND (${sort.expression}, id) ${after} (?, ?))`);
+            whereParams.push(position.value, position.value, position.id);
+        }
+
+        // One extra row tells whether there is a next page
+        const rows = await databaseService.query(`
+            SELECT ${select}, ${sort.expression} as sort_value
+            FROM albums
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY ${sort.expression} ${sort.direction}, id ${sort.direction}
+            LIMIT ? OFFSET ?
+        `, [...whereParams, limit + 1, cursor ? 0 : offset], useCache);
+
+        const hasNext = rows.length > limit;
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+
+        return {
+            rows: page.map(({ sort_value: _sortValue, ...row }) => row),
+            nextCursor: hasNext ? encodeCursor(sort, last.sort_value, last.id) : null
+        };
+    }
+
+    /**
+     * Walk every matching album a batch at a time, for streaming exports
+     * @param {Object} options - As for page(), with batchSize instead of limit, cursor and offset
+     * @returns {AsyncGenerator<Array>} Batches of album rows
+     */
+    async *batches(options) {
+        const { batchSize = 500, ...rest } = options;
+        let cursor = null;
+        do {
+            const { rows, nextCursor } = await this.page({ ...rest, cursor, limit: batchSize, useCache: false });
+            if (rows.length > 0) {
+                yield rows;
+            }
+            cursor = nextCursor;
+        } while (cursor);
+    }
+
+    _sortFor(key) {
+        const { columns, type } = SORT_KEYS[key];
+        const column = this.columns ? columns.find(name => this.columns.has(name)) : columns[0];
+        if (!column) {
+            return null;
+        }
+
+        const expression = type === 'number'
+            ? `COALESCE(${column}, 0)`
+            : `COALESCE(${column}, '') COLLATE NOCASE`;
+        return { key, column, expression };
+    }
+}
+
+function encodeCursor(sort, value, id) {
+    return Buffer.from(JSON.stringify({ s: sort.key, d: sort.direction, v: value, i: id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw listError('INVALID_CURSOR', 'Malformed cursor');
+    }
+
+    if (!position || !Number.isInteger(position.i) || !['string', 'number'].includes(typeof position.v)) {
+        throw listError('INVALID_CURSOR', 'Malformed cursor');
+    }
+    if (position.s !== sort.key || position.d !== sort.direction) {
+        throw listError('INVALID_CURSOR', 'The cursor belongs to a different sort order; start again from the first page');
+    }
+    return { value: position.v, id: position.i };
+}
+
+function listError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+const albumListService = new AlbumListService();
+module.exports = albumListService;
@@ -0,0 +1,370 @@
+// Backup targets - mounted directory, rclone remote and rsync over ssh
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { RCLONE_PATH, RSYNC_PATH } = require('../config');
+
+const PARTIAL_SUFFIX = '.partial';
+
+/**
+ * Base class for backup targets.
+ * Every target uploads one file at a time so progress and resume state can
+ * be tracked per file by the cloud backup service.
+ */
+class BackupTarget {
+    constructor(config) {
+        this.id = config.id;
+        this.type = config.type;
+        this.destination = config.destination;
+        this.options = config.options || {};
+    }
+
+    /**
+     * Public description of the target
+     */
+    describe() {
+        return {
+            id: this.id,
+            type: this.type,
+            destination: this.destination
+        };
+    }
+
+    /**
+     * Check the destination is reachable and writable
+     * @returns {Promise<void>} Rejects with code TARGET_UNAVAILABLE
+     */
+    async testConnection() {
+        throw new Error('testConnection() not implemented');
+    }
+
+    /**
+     * Upload a single file
+     * @param {Object} item - { localPath, root, relativePath, remotePath, size, mtimeMs }
+     * @param {Object} options - { onProgress(bytes), signal }
+     * @returns {Promise<Object>} { resumedBytes }
+     */
+    async uploadFile() {
+        throw new Error('uploadFile() not implemented');
+    }
+
+    /**
+     * Run a command, reporting each stderr/stdout line and rejecting on failure
+     */
+    _run(command, args, { onLine = () => {}, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                return reject(cancelledError());
+            }
+
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            const output = [];
+            let buffered = '';
+
+            const onAbort = () => child.kill('SIGTERM');
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const collect = (chunk) => {
+                buffered += chunk.toString();
+                // Progress meters redraw the same line with carriage returns
+                const lines = buffered.split(/[\r\n]/);
+                buffered = lines.pop();
+                for (const line of lines) {
+                    if (!line.trim()) {continue;}
+                    output.push(line);
+                    if (output.length > 50) {output.shift();}
+                    onLine(line);
+                }
+            };
+
+            child.stdout.on('data', collect);
+            child.stderr.on('data', collect);
+
+            child.on('error', (error) => {
+                if (signal) {signal.removeEventListener('abort', onAbort);}
+                if (error.code === 'ENOENT') {
+                    return reject(unavailableError(`${command} is not installed`));
+                }
+                reject(error);
+            });
+
+            child.on('close', (code) => {
+                if (signal) {signal.removeEventListener('abort', onAbort);}
+                if (signal && signal.aborted) {
+                    return reject(cancelledError());
+                }
+                if (code !== 0) {
+                    const failure = new Error(`${path.basename(command)} exited with code ${code}: ${output.slice(-3).join(' ').trim()}`);
+                    failure.code = 'TRANSFER_FAILED';
+                    failure.exitCode = code;
+                    return reject(failure);
+                }
+                resolve(output);
+            });
+        });
+    }
+}
+
+/**
+ * Plain directory target, typically a mounted NAS share or USB disk.
+ * Files are written to "<name>.partial" and renamed once complete, so an
+ * interrupted upload continues from the bytes already written.
+ */
+class LocalDirectoryTarget extends BackupTarget {
+    async testConnection() {
+        // Never create the root: an unmounted mount point would silently
+        // fill the local disk instead
+        try {
+            const stat = await fs.promises.stat(this.destination);
+            if (!stat.isDirectory()) {
+                throw unavailableError(`Backup destination is not a directory: ${this.destination}`);
+            }
+            await fs.promises.access(this.destination, fs.constants.W_OK);
+        } catch (error) {
+            if (error.code === 'TARGET_UNAVAILABLE') {throw error;}
+            throw unavailableError(`Backup destination is not writable: ${this.destination} (${error.code || error.message})`);
+        }
+    }
+
+    async uploadFile(item, { onProgress = () => {}, signal } = {}) {
+        const finalPath = path.join(this.destination, ...item.remotePath.split('/'));
+        const partialPath = finalPath + PARTIAL_SUFFIX;
+        await fs.promises.mkdir(path.dirname(finalPath), { recursive: true });
+
+        let offset = 0;
+        try {
+            const partial = await fs.promises.stat(partialPath);
+            // A partial larger than the source belongs to an older version
+            offset = partial.size <= item.size ? partial.size : 0;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {throw error;}
+        }
+
+        let transferred = offset;
+        onProgress(transferred);
+
+        if (offset < item.size || item.size === 0) {
+            const source = fs.createReadStream(item.localPath, { start: offset });
+            source.on('data', (chunk) => {
+                transferred += chunk.length;
+                onProgress(transferred);
+            });
+
+            const output = fs.createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' });
+            try {
+                await pipeline(source, output, signal ? { signal } : undefined);
+            } catch (error) {
+                if (error.name === 'AbortError') {throw cancelledError();}
+                throw error;
+            }
+        }
+
+        const written = await fs.promises.stat(partialPath);
+        if (written.size !== item.size) {
+            // Source changed while uploading; start over next time
+            await fs.promises.rm(partialPath, { force: true });
+            const mismatch = new Error(`Size mismatch after upload of ${item.relativePath}`);
+            mismatch.code = 'TRANSFER_FAILED';
+            throw mismatch;
+        }
+
+        const mtime = new Date(item.mtimeMs);
+        await fs.promises.utimes(partialPath, mtime, mtime);
+        await fs.promises.rename(partialPath, finalPath);
+
+        return { resumedBytes: offset };
+    }
+}
+
+/**
+ * rclone remote target (Google Drive, S3, ...), e.g. "gdrive:ordr.fm-backup".
+ * options.flags adds extra rclone flags such as ["--drive-chunk-size", "64M"].
+ */
+class RcloneTarget extends BackupTarget {
+    constructor(config) {
+        super(config);
+        this.command = this.options.rclonePath || RCLONE_PATH;
+    }
+
+    async testConnection() {
+        try {
+            await this._run(this.command, ['mkdir', this.destination, ...this._flags()]);
+        } catch (error) {
+            if (error.code === 'TARGET_UNAVAILABLE') {throw error;}
+            throw unavailableError(`rclone remote unavailable: ${error.message}`);
+        }
+    }
+
+    async uploadFile(item, { onProgress = () => {}, signal } = {}) {
+        const remote = `${this.destination.replace(/\/+$/, '')}/${item.remotePath}`;
+
+        await this._run(this.command, [
+            'copyto', item.localPath, remote,
+            '--use-json-log',
+            '--stats', '1s',
+            '--stats-log-level', 'NOTICE',
+            ...this._flags()
+        ], {
+            signal,
+            onLine: (line) => {
+                const bytes = parseRcloneStats(line);
+                if (bytes !== null) {onProgress(bytes);}
+            }
+        });
+
+        onProgress(item.size);
+        return { resumedBytes: 0 };
+    }
+
+    _flags() {
+        return Array.isArray(this.options.flags) ? this.options.flags.map(String) : [];
+    }
+}
+
+/**
+ * rsync over ssh target, e.g. "backup@nas.local:/volume1/ordr.fm".
+ * Interrupted files are kept in a partial dir on the remote side and
+ * resumed by the next run. options: { port, identityFile }.
+ */
+class RsyncTarget extends BackupTarget {
+    constructor(config) {
+        super(config);
+        this.command = this.options.rsyncPath || RSYNC_PATH;
+
+        const match = /^(?:([^@/]+)@)?([^:/]+):(.+)$/.exec(this.destination || '');
+        if (!match) {
+            throw invalidTargetError(`rsync destination must look like user@host:/path, got "${this.destination}"`);
+        }
+        this.user = match[1] || null;
+        this.host = match[2];
+        this.remoteDir = match[3].replace(/\/+$/, '');
+    }
+
+    async testConnection() {
+        const login = this.user ? `${this.user}@${this.host}` : this.host;
+        try {
+            await this._run('ssh', [...this._sshOptions(), login, 'mkdir', '-p', shellQuote(this.remoteDir)]);
+        } catch (error) {
+            if (error.code === 'TARGET_UNAVAILABLE') {throw error;}
+            throw unavailableError(`ssh connection failed: ${error.message}`);
+        }
+    }
+
+    async uploadFile(item, { onProgress = () => {}, signal } = {}) {
+        // "/./" tells --relative where the path to recreate remotely starts
+        const prefix = item.remotePath.slice(0, item.remotePath.length - item.relativePath.length).replace(/\/+$/, '');
+        const source = `${item.root}${path.sep}.${path.sep}${item.relativePath}`;
+        const destination = `${this.destination.replace(/\/+$/, '')}/${prefix ? prefix + '/' : ''}`;
+
+        await this._run(this.command, [
+            '--times',
+            '--relative',
+            '--partial-dir=.rsync-partial',
+            '--progress',
+            '-e', ['ssh', ...this._sshOptions()].join(' '),
+            source,
+            destination
+        ], {
+            signal,
+            onLine: (line) => {
+                const match = /^\s*([\d,]+)\s+\d+%/.exec(line);
+                if (match) {onProgress(parseInt(match[1].replace(/,/g, ''), 10));}
+            }
+        });
+
+        onProgress(item.size);
+        return { resumedBytes: 0 };
+    }
+
+    _sshOptions() {
+        const options = [
+            '-o', 'BatchMode=yes',
+            // Reuse one ssh connection across the per-file rsync runs
+            '-o', 'ControlMaster=auto',
+            '-o', `ControlPath=${path.join(os.tmpdir(), 'ordrfm-ssh-%r@%h-%p')}`,
+            '-o', 'ControlPersist=60'
+        ];
+        if (this.options.port) {
+            options.push('-p', String(parseInt(this.options.port, 10)));
+        }
+        if (this.options.identityFile) {
+            options.push('-i', this.options.identityFile);
+        }
+        return options;
+    }
+}
+
+const TARGET_TYPES = {
+    local: LocalDirectoryTarget,
+    rclone: RcloneTarget,
+    rsync: RsyncTarget
+};
+
+/**
+ * Create a backup target from its configuration
+ * @param {Object} config - { id, type, destination, options }
+ * @returns {BackupTarget} Target instance
+ */
+function createBackupTarget(config) {
+    if (!config || !config.id || !config.destination) {
+        throw invalidTargetError('Backup target needs an id and a destination');
+    }
+
+    const TargetClass = TARGET_TYPES[config.type];
+    if (!TargetClass) {
+        throw invalidTargetError(`Unknown backup target type "${config.type}" (expected ${Object.keys(TARGET_TYPES).join(', ')})`);
+    }
+
+    return new TargetClass(config);
+}
+
+/**
+ * Extract transferred bytes from an rclone --use-json-log stats line
+ */
+function parseRcloneStats(line) {
+    try {
+        const entry = JSON.parse(line);
+        if (entry.stats && typeof entry.stats.bytes === 'number') {
+            return entry.stats.bytes;
+        }
+    } catch {
+        // Not a JSON log line
+    }
+    return null;
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+}
+
+function cancelledError() {
+    const error = new Error('Upload cancelled');
+    error.code = 'CANCELLED';
+    return error;
+}
+
+function unavailableError(message) {
+    const error = new Error(message);
+    error.code = 'TARGET_UNAVAILABLE';
+    return error;
+}
+
+function invalidTargetError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TARGET';
+    return error;
+}
+
+module.exports = {
+    BackupTarget,
+    LocalDirectoryTarget,
+    RcloneTarget,
+    RsyncTarget,
+    TARGET_TYPES,
+    createBackupTarget,
+    parseRcloneStats
+};
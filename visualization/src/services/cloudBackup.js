@@ -0,0 +1,373 @@
+// Cloud backup service - incremental, resumable library and database uploads
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+const databaseBackupService = require('./databaseBackup');
+const { createBackupTarget } = require('./backupTargets');
+const {
+    BACKUP_DIR,
+    BACKUP_TARGETS,
+    BACKUP_DEFAULT_TARGET,
+    LIBRARY_DIR,
+    LIBRARY_DIR_PINNED,
+    UNPROCESSED_DIR
+} = require('../config');
+
+// Legacy UI values ('organized', 'unprocessed', 'both') map onto these scopes
+const SCOPES = {
+    organized: ['library'],
+    library: ['library'],
+    unprocessed: ['unprocessed'],
+    both: ['library', 'unprocessed']
+};
+
+// Minimum interval between per-file progress events
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Uploads the sorted library and a fresh database snapshot to a backup target.
+ *
+ * Every uploaded file is recorded in backup_transfer_index with the size and
+ * mtime it had when uploaded. Later runs only send new or changed files, and a
+ * run that was interrupted picks up where it stopped: finished files are in
+ * the index and targets resume the file that was in flight where they can.
+ */
+class CloudBackupService {
+    constructor() {
+        this.targetConfigs = BACKUP_TARGETS;
+        this.defaultTargetId = BACKUP_DEFAULT_TARGET;
+        this.sources = {
+            library: LIBRARY_DIR,
+            unprocessed: UNPROCESSED_DIR
+        };
+    }
+
+    /**
+     * Follow DEST_DIR from ordr.fm.conf unless ORDRFM_LIBRARY_DIR pins the library
+     * @param {Object} values - Parsed ordr.fm.conf values
+     */
+    applyScriptConfig(values) {
+        if (!LIBRARY_DIR_PINNED && values.DEST_DIR) {
+            this.sources.library = values.DEST_DIR;
+        }
+    }
+
+    /**
+     * Create the transfer index table
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS backup_transfer_index (
+                target_id TEXT NOT NULL,
+                remote_path TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                mtime_ms INTEGER NOT NULL,
+                uploaded_at TEXT NOT NULL,
+                PRIMARY KEY (target_id, remote_path)
+            )
+        `);
+    }
+
+    /**
+     * Configured targets with what has been uploaded to each so far
+     * @returns {Promise<Array>} Target descriptions
+     */
+    async listTargets() {
+        const totals = await databaseService.query(`
+            SELECT target_id, COUNT(*) as files, COALESCE(SUM(size), 0) as bytes, MAX(uploaded_at) as last_upload
+            FROM backup_transfer_index
+            GROUP BY target_id
+        `, [], false);
+        const byTarget = new Map(totals.map(row => [row.target_id, row]));
+
+        return this.targetConfigs.map(config => {
+            const uploaded = byTarget.get(config.id);
+            return {
+                id: config.id,
+                type: config.type,
+                destination: config.destination,
+                isDefault: config.id === this.defaultTargetId,
+                uploadedFiles: uploaded ? uploaded.files : 0,
+                uploadedBytes: uploaded ? uploaded.bytes : 0,
+                lastUpload: uploaded ? uploaded.last_upload : null
+            };
+        });
+    }
+
+    /**
+     * Build a target instance by ID
+     * @param {string} targetId - Target ID, defaults to BACKUP_DEFAULT_TARGET
+     * @returns {BackupTarget} Target
+     */
+    getTarget(targetId = this.defaultTargetId) {
+        const config = this.targetConfigs.find(target => target.id === targetId);
+        if (!config) {
+            const error = new Error(`Unknown backup target: ${targetId}`);
+            error.code = 'NOT_FOUND';
+            throw error;
+        }
+        return createBackupTarget(config);
+    }
+
+    /**
+     * Resolve a scope name to the list of source sections
+     * @param {string} scope - 'library', 'unprocessed', 'both' (or legacy 'organized')
+     * @returns {Array<string>} Source section names
+     */
+    resolveScope(scope = 'library') {
+        const sections = SCOPES[scope];
+        if (!sections) {
+            const error = new Error(`Unknown backup scope: ${scope}`);
+            error.code = 'INVALID_SCOPE';
+            throw error;
+        }
+
+        const missing = sections.filter(section => !this.sources[section]);
+        if (missing.length > 0) {
+            const error = new Error(`No directory configured for: ${missing.join(', ')}`);
+            error.code = 'INVALID_SCOPE';
+            throw error;
+        }
+        return sections;
+    }
+
+    /**
+     * Run an incremental backup
+     * @param {Object} options - {
+     *   targetId, scope, includeDatabases, forceFullBackup, dryRun,
+     *   onProgress(event), isCancelled()
+     * }
+     * @returns {Promise<Object>} Summary of the run
+     */
+    async runBackup(options = {}) {
+        const {
+            targetId = this.defaultTargetId,
+            scope = 'library',
+            includeDatabases = true,
+            forceFullBackup = false,
+            dryRun = false,
+            onProgress = () => {},
+            isCancelled = () => false
+        } = options;
+
+        const sections = this.resolveScope(scope);
+        const target = this.getTarget(targetId);
+        const checkCancelled = () => {
+            if (isCancelled()) {
+                const error = new Error('Backup cancelled');
+                error.code = 'CANCELLED';
+                throw error;
+            }
+        };
+
+        onProgress({ stage: 'connecting', target: target.describe() });
+        await target.testConnection();
+        checkCancelled();
+
+        onProgress({ stage: 'scanning' });
+        const items = [];
+        for (const section of sections) {
+            items.push(...await this._scanDirectory(this.sources[section], section));
+            checkCancelled();
+        }
+
+        let snapshot = null;
+        if (includeDatabases && !dryRun) {
+            onProgress({ stage: 'snapshotting' });
+            snapshot = await this._snapshotDatabases(isCancelled);
+            if (snapshot) {
+                items.push(...await this._scanDirectory(path.join(BACKUP_DIR, snapshot.id), `databases/${snapshot.id}`));
+            }
+        }
+
+        const uploaded = forceFullBackup ? new Map() : await this._loadIndex(target.id);
+        const pending = items.filter(item => {
+            const previous = uploaded.get(item.remotePath);
+            return !previous || previous.size !== item.size || previous.mtime_ms !== Math.floor(item.mtimeMs);
+        });
+
+        const summary = {
+            targetId: target.id,
+            scope,
+            dryRun,
+            databaseSnapshot: snapshot ? snapshot.id : null,
+            scannedFiles: items.length,
+            skippedFiles: items.length - pending.length,
+            totalFiles: pending.length,
+            totalBytes: pending.reduce((sum, item) => sum + item.size, 0),
+            uploadedFiles: 0,
+            uploadedBytes: 0,
+            resumedBytes: 0,
+            failedFiles: []
+        };
+
+        onProgress({ stage: 'planned', ...summary });
+        if (dryRun) {
+            summary.pendingFiles = pending.slice(0, 100).map(item => item.remotePath);
+            return summary;
+        }
+
+        const controller = new AbortController();
+        const cancelWatcher = setInterval(() => {
+            if (isCancelled()) {controller.abort();}
+        }, 500);
+
+        try {
+            for (const [index, item] of pending.entries()) {
+                checkCancelled();
+                let lastEmit = 0;
+
+                const emitFileProgress = (bytes, force = false) => {
+                    const now = Date.now();
+                    if (!force && now - lastEmit < PROGRESS_INTERVAL_MS) {return;}
+                    lastEmit = now;
+                    onProgress({
+                        stage: 'uploading',
+                        currentFile: item.remotePath,
+                        fileIndex: index + 1,
+                        totalFiles: pending.length,
+                        fileBytes: bytes,
+                        fileSize: item.size,
+                        uploadedBytes: summary.uploadedBytes + bytes,
+                        totalBytes: summary.totalBytes,
+                        progress: progressPercent(summary.uploadedBytes + bytes, summary.totalBytes, index, pending.length)
+                    });
+                };
+
+                emitFileProgress(0, true);
+
+                try {
+                    const result = await target.uploadFile(item, {
+                        signal: controller.signal,
+                        onProgress: (bytes) => emitFileProgress(Math.min(bytes, item.size))
+                    });
+                    await this._recordUpload(target.id, item);
+
+                    summary.uploadedFiles++;
+                    summary.uploadedBytes += item.size;
+                    summary.resumedBytes += result.resumedBytes || 0;
+
+                    onProgress({
+                        stage: 'file_complete',
+                        currentFile: item.remotePath,
+                        fileIndex: index + 1,
+                        totalFiles: pending.length,
+                        resumedBytes: result.resumedBytes || 0,
+                        uploadedBytes: summary.uploadedBytes,
+                        totalBytes: summary.totalBytes,
+                        progress: progressPercent(summary.uploadedBytes, summary.totalBytes, index + 1, pending.length)
+                    });
+                } catch (error) {
+                    if (error.code === 'CANCELLED' || error.code === 'TARGET_UNAVAILABLE') {throw error;}
+
+                    // One unreadable file should not abort a whole library backup
+                    summary.failedFiles.push({ file: item.remotePath, error: error.message });
+                    onProgress({ stage: 'file_failed', currentFile: item.remotePath, error: error.message });
+                }
+            }
+        } finally {
+            clearInterval(cancelWatcher);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Forget what was uploaded to a target so the next run sends everything
+     * @param {string} targetId - Target ID
+     * @returns {Promise<number>} Number of index entries removed
+     */
+    async resetIndex(targetId) {
+        const result = await databaseService.run('DELETE FROM backup_transfer_index WHERE target_id = ?', [targetId]);
+        return result.changes;
+    }
+
+    /**
+     * Take a fresh database backup set to upload with the library
+     *
+     * Labelled sets do not count toward local retention; the previous one,
+     * already uploaded, is pruned.
+     */
+    async _snapshotDatabases(isCancelled) {
+        try {
+            return await databaseBackupService.createBackup({ label: 'cloud', isCancelled });
+        } catch (error) {
+            if (error.code === 'NO_DATABASES') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Recursively list regular files below a directory
+     */
+    async _scanDirectory(root, prefix) {
+        const items = [];
+        const walk = async (dir) => {
+            const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && !entry.name.endsWith('.partial')) {
+                    const stat = await fs.promises.stat(fullPath);
+                    const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+                    items.push({
+                        localPath: fullPath,
+                        root,
+                        relativePath,
+                        remotePath: `${prefix}/${relativePath}`,
+                        size: stat.size,
+                        mtimeMs: stat.mtimeMs
+                    });
+                }
+            }
+        };
+
+        try {
+            await walk(root);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                const missing = new Error(`Backup source not found: ${root}`);
+                missing.code = 'INVALID_SCOPE';
+                throw missing;
+            }
+            throw error;
+        }
+        return items;
+    }
+
+    async _loadIndex(targetId) {
+        const rows = await databaseService.query(
+            'SELECT remote_path, size, mtime_ms FROM backup_transfer_index WHERE target_id = ?',
+            [targetId],
+            false
+        );
+        return new Map(rows.map(row => [row.remote_path, row]));
+    }
+
+    async _recordUpload(targetId, item) {
+        await databaseService.run(`
+            INSERT INTO backup_transfer_index (target_id, remote_path, size, mtime_ms, uploaded_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (target_id, remote_path) DO UPDATE SET
+                size = excluded.size,
+                mtime_ms = excluded.mtime_ms,
+                uploaded_at = excluded.uploaded_at
+        `, [targetId, item.remotePath, item.size, Math.floor(item.mtimeMs), new Date().toISOString()]);
+    }
+}
+
+/**
+ * Overall progress by bytes, falling back to file count for empty files
+ */
+function progressPercent(bytesDone, totalBytes, filesDone, totalFiles) {
+    if (totalBytes > 0) {
+        return Math.min(100, Math.round((bytesDone / totalBytes) * 100));
+    }
+    return totalFiles > 0 ? Math.round((filesDone / totalFiles) * 100) : 100;
+}
+
+// Export singleton instance
+module.exports = new CloudBackupService();
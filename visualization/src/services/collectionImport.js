@@ -0,0 +1,401 @@
+// Collection import service - reads a JSON collection export back in, diffs it against the database and applies the chosen changes
+const databaseService = require('./database');
+const metadataHistoryService = require('./metadataHistory');
+
+// Metadata carried over to albums both collections have; the rest describes the local files
+const ALBUM_FIELDS = ['album_title', 'album_artist', 'year', 'genre', 'label', 'catalog_number', 'musicbrainz_id', 'discogs_id'];
+
+// Written only for new albums
+const NEW_ALBUM_FIELDS = ['quality', 'track_count', 'total_duration', 'path'];
+
+// Export track keys and the track columns they hold
+const TRACK_FIELDS = { title: 'track_title', artist: 'track_artist' };
+const NEW_TRACK_FIELDS = {
+    number: 'track_number', disc_number: 'disc_number', title: 'track_title',
+    artist: 'track_artist', duration: 'duration', path: 'path'
+};
+
+// Release IDs, by export key, with the album columns they may be stored in; the schema differs between ordr.fm versions
+const IDENTIFIER_COLUMNS = {
+    musicbrainz_id: ['musicbrainz_id'],
+    discogs_id: ['discogs_id', 'discogs_release_id']
+};
+
+// Matched albums' tracks are read this many albums at a time
+const TRACK_BATCH_SIZE = 500;
+
+/**
+ * Imports the collection written by /api/export?format=json, e.g. to move a
+ * library between installations. Albums in the file are matched to albums in
+ * the database by path, then MusicBrainz ID, then Discogs ID; path prefixes
+ * can be rewritten first when the music lives elsewhere on this machine.
+ *
+ * preview() reports what an import would do: albums that are new, albums
+ * whose metadata differs (field by field, with their tracks' titles and
+ * artists), and albums in the database that the file does not have.
+ * apply() makes the chosen part of that in one transaction, recording every
+ * changed field in the metadata history with source "import" so each can be
+ * reverted. Missing albums are only removed when asked for.
+ */
+class CollectionImportService {
+    constructor() {
+        // Album and track columns; null until initialized
+        this.albumColumns = null;
+        this.trackColumns = null;
+    }
+
+    /**
+     * Find the album and track columns this database has
+     */
+    async initialize() {
+        const albumColumns = await databaseService.query('PRAGMA table_info(albums)', [], false);
+        const trackColumns = await databaseService.query('PRAGMA table_info(tracks)', [], false);
+        this.albumColumns = new Set(albumColumns.map(column => column.name));
+        this.trackColumns = new Set(trackColumns.map(column => column.name));
+    }
+
+    /**
+     * Release ID columns this database has, by export key
+     * @returns {Object} e.g. { musicbrainz_id: 'musicbrainz_id', discogs_id: 'discogs_release_id' }
+     */
+    identifierColumns() {
+        const columns = {};
+        for (const [key, candidates] of Object.entries(IDENTIFIER_COLUMNS)) {
+            const column = candidates.find(name => this.albumColumns?.has(name));
+            if (column) {
+                columns[key] = column;
+            }
+        }
+        return columns;
+    }
+
+    /**
+     * Compare an export with the database
+     * @param {Object} collection - Parsed /api/export?format=json output
+     * @param {Object} options - { pathMap: { from, to } to rewrite path prefixes in the file }
+     * @returns {Promise<Object>} { summary, new, changed, missing, skipped }
+     * @throws {Error} code INVALID_IMPORT if the collection is not an export
+     */
+    async preview(collection, options = {}) {
+        const diff = await this._diff(collection, options);
+        return {
+            summary: {
+                total: diff.albums.length,
+                new: diff.added.length,
+                changed: diff.changed.length,
+                unchanged: diff.unchanged,
+                missing: diff.missing.length,
+                skipped: diff.skipped.length
+            },
+            new: diff.added.map(({ entry, album }) => ({
+                entry,
+                path: album.path,
+                album_title: album.album_title ?? null,
+                album_artist: album.album_artist ?? null,
+                year: album.year ?? null,
+                trackCount: album.tracks.length
+            })),
+            changed: diff.changed.map(({ entry, local, matchedBy, changes, trackChanges }) => ({
+                entry,
+                albumId: local.id,
+                path: local.path,
+                matchedBy,
+                changes,
+                trackChanges
+            })),
+            missing: diff.missing.map(album => ({
+                albumId: album.id,
+                path: album.path,
+                album_title: album.album_title,
+                album_artist: album.album_artist
+            })),
+            skipped: diff.skipped
+        };
+    }
+
+    /**
+     * Apply part of an import in one transaction
+     * @param {Object} collection - Parsed /api/export?format=json output
+     * @param {Object} options
+     * @param {Object} [options.pathMap] - As for preview()
+     * @param {boolean|number[]} [options.new] - Add new albums: all (default), none, or these entries
+     * @param {boolean|number[]} [options.changed] - Update changed albums: all (default), none, or these album IDs
+     * @param {boolean|number[]} [options.missing] - Remove missing albums: none (default), all, or these album IDs
+     * @param {string} [options.user] - Recorded with each metadata change
+     * @returns {Promise<{added: number, updated: number, fieldsChanged: number, removed: number}>}
+     * @throws {Error} code INVALID_IMPORT for a malformed collection, APPLY_FAILED if the transaction was rolled back
+     */
+    async apply(collection, options = {}) {
+        const { new: addNew = true, changed: updateChanged = true, missing: removeMissing = false, user = null } = options;
+        const history = { source: 'import', user };
+        if (!this.albumColumns) {
+            await this.initialize();
+        }
+
+        try {
+            return await databaseService.transaction(async () => {
+                // Diffed in the transaction, so the changes applied are against the rows as they are now
+                const diff = await this._diff(collection, options);
+                const added = diff.added.filter(({ entry }) => selected(addNew, entry));
+                const changed = diff.changed.filter(({ local }) => selected(updateChanged, local.id));
+                const missing = diff.missing.filter(album => selected(removeMissing, album.id));
+                const identifiers = this.identifierColumns();
+                let fieldsChanged = 0;
+
+                for (const { album } of added) {
+                    const albumValues = this._columnValues(this.albumColumns, [
+                        ...ALBUM_FIELDS.filter(field => !IDENTIFIER_COLUMNS[field]).map(field => [field, album[field]]),
+                        ...Object.entries(identifiers).map(([key, column]) => [column, album[key]]),
+                        ...NEW_ALBUM_FIELDS.map(field => [field, album[field]])
+                    ]);
+                    const { lastID } = await this._insert('albums', albumValues);
+
+                    for (const track of album.tracks) {
+                        await this._insert('tracks', this._columnValues(this.trackColumns, [
+                            ['album_id', lastID],
+                            ...Object.entries(NEW_TRACK_FIELDS).map(([key, column]) => [column, track[key]])
+                        ]));
+                    }
+                }
+
+                for (const { local, changes, trackChanges } of changed) {
+                    if (changes.length > 0) {
+                        await databaseService.run(
+                            `UPDATE albums SET ${changes.map(change => `${identifiers[change.field] || change.field} = ?`).join(', ')} WHERE id = ?`,
+                            [...changes.map(change => change.newValue), local.id]
+                        );
+                    }
+                    for (const track of trackChanges) {
+                        await databaseService.run(
+                            `UPDATE tracks SET ${track.changes.map(change => `${change.field} = ?`).join(', ')} WHERE id = ?`,
+                            [...track.changes.map(change => change.newValue), track.trackId]
+                        );
+                    }
+
+                    const queries = [
+                        ...metadataHistoryService.historyQueries('album', local.id, local.id, changes, history),
+                        ...trackChanges.flatMap(track =>
+                            metadataHistoryService.historyQueries('track', track.trackId, local.id, track.changes, history))
+                    ];
+                    for (const query of queries) {
+                        await databaseService.run(query.sql, query.params);
+                    }
+                    fieldsChanged += queries.length;
+                }
+
+                for (const album of missing) {
+                    await databaseService.run('DELETE FROM tracks WHERE album_id = ?', [album.id]);
+                    await databaseService.run('DELETE FROM albums WHERE id = ?', [album.id]);
+                }
+
+                return { added: added.length, updated: changed.length, fieldsChanged, removed: missing.length };
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_IMPORT') {throw error;}
+            throw importError('APPLY_FAILED', `The import was rolled back: ${error.message}`);
+        }
+    }
+
+    async _diff(collection, { pathMap = null } = {}) {
+        if (!this.albumColumns) {
+            await this.initialize();
+        }
+        const albums = this._readCollection(collection, pathMap);
+        const identifiers = this.identifierColumns();
+        const fields = ALBUM_FIELDS.filter(field =>
+            IDENTIFIER_COLUMNS[field] ? identifiers[field] : this.albumColumns.has(field));
+
+        const localAlbums = await databaseService.query(`
+            SELECT id, path, ${fields.map(field => identifiers[field] ? `${identifiers[field]} as ${field}` : field).join(', ')}
+            FROM albums
+        `, [], false);
+        const indexes = {
+            path: indexBy(localAlbums, 'path'),
+            musicbrainz_id: indexBy(localAlbums, 'musicbrainz_id'),
+            discogs_id: indexBy(localAlbums, 'discogs_id')
+        };
+
+        const matchedBy = new Map();
+        const matches = [];
+        const added = [];
+        const skipped = [];
+        albums.forEach((album, entry) => {
+            const match = ['path', 'musicbrainz_id', 'discogs_id']
+                .map(key => ({ key, local: present(album[key]) ? indexes[key].get(String(album[key])) : undefined }))
+                .find(candidate => candidate.local);
+
+            if (!match) {
+                if (present(album.path)) {
+                    added.push({ entry, album });
+                } else {
+                    skipped.push(skippedEntry(entry, album, 'Matches no album and has no path to add it under'));
+                }
+                return;
+            }
+            if (matchedBy.has(match.local.id)) {
+                skipped.push(skippedEntry(entry, album,
+                    `Matches album ${match.local.id}, which entry ${matchedBy.get(match.local.id)} already matched`));
+                return;
+            }
+            matchedBy.set(match.local.id, entry);
+            matches.push({ entry, album, local: match.local, matchedBy: match.key });
+        });
+
+        const localTracks = await this._getTracks(matches.map(match => match.local.id));
+        const changed = [];
+        for (const match of matches) {
+            const changes = fields
+                .filter(field => match.album[field] !== undefined && !sameValue(match.local[field], match.album[field]))
+                .map(field => ({ field, oldValue: match.local[field] ?? null, newValue: match.album[field] }));
+            const trackChanges = this._trackChanges(match.album.tracks, localTracks.get(match.local.id) || []);
+
+            if (changes.length > 0 || trackChanges.length > 0) {
+                changed.push({ ...match, changes, trackChanges });
+            }
+        }
+
+        return {
+            albums,
+            added,
+            changed,
+            unchanged: matches.length - changed.length,
+            missing: localAlbums.filter(album => !matchedBy.has(album.id)),
+            skipped
+        };
+    }
+
+    // Validate the export and rewrite its paths
+    _readCollection(collection, pathMap) {
+        if (!collection || typeof collection !== 'object' || !Array.isArray(collection.albums)) {
+            throw importError('INVALID_IMPORT', 'Expected a collection export from /api/export?format=json, with an albums array');
+        }
+        if (pathMap && (typeof pathMap.from !== 'string' || typeof pathMap.to !== 'string' || pathMap.from === '')) {
+            throw importError('INVALID_IMPORT', 'pathMap needs a from and a to path');
+        }
+        const mapPath = value => {
+            if (!pathMap || typeof value !== 'string') {return value;}
+            const from = pathMap.from.replace(/\/+$/, '');
+            if (value !== from && !value.startsWith(`${from}/`)) {return value;}
+            return pathMap.to.replace(/\/+$/, '') + value.slice(from.length);
+        };
+
+        return collection.albums.map((album, entry) => {
+            if (!album || typeof album !== 'object' || (album.tracks !== undefined && !Array.isArray(album.tracks))) {
+                throw importError('INVALID_IMPORT', `Album entry ${entry} is not an exported album`);
+            }
+            return {
+                ...album,
+                path: mapPath(album.path),
+                tracks: (album.tracks || []).map(track => ({
+                    ...track,
+                    // Older exports wrote track numbers as text
+                    number: toInteger(track.number),
+                    disc_number: toInteger(track.disc_number) ?? 1,
+                    path: mapPath(track.path)
+                }))
+            };
+        });
+    }
+
+    // Title and artist changes of tracks matched by path, or else by disc and track number
+    _trackChanges(importedTracks, localTracks) {
+        const byPath = indexBy(localTracks, 'path');
+        const byNumber = new Map(localTracks.map(track => [`${track.disc_number || 1}-${track.track_number}`, track]));
+        const seen = new Set();
+        const trackChanges = [];
+
+        for (const track of importedTracks) {
+            const local = (present(track.path) && byPath.get(track.path)) ||
+                (track.number !== null ? byNumber.get(`${track.disc_number}-${track.number}`) : undefined);
+            if (!local || seen.has(local.id)) {continue;}
+            seen.add(local.id);
+
+            const changes = Object.entries(TRACK_FIELDS)
+                .filter(([key, field]) => track[key] !== undefined && !sameValue(local[field], track[key]))
+                .map(([key, field]) => ({ field, oldValue: local[field] ?? null, newValue: track[key] }));
+            if (changes.length > 0) {
+                trackChanges.push({ trackId: local.id, changes });
+            }
+        }
+        return trackChanges;
+    }
+
+    async _getTracks(albumIds) {
+        const byAlbum = new Map();
+        for (let start = 0; start < albumIds.length; start += TRACK_BATCH_SIZE) {
+            const ids = albumIds.slice(start, start + TRACK_BATCH_SIZE);
+            const tracks = await databaseService.query(`
+                SELECT id, album_id, disc_number, track_number, track_title, track_artist, path
+                FROM tracks
+                WHERE album_id IN (${ids.map(() => '?').join(', ')})
+            `, ids, false);
+            for (const track of tracks) {
+                if (!byAlbum.has(track.album_id)) {
+                    byAlbum.set(track.album_id, []);
+                }
+                byAlbum.get(track.album_id).push(track);
+            }
+        }
+        return byAlbum;
+    }
+
+    // Column/value pairs the table has, leaving out values the export did not have
+    _columnValues(columns, pairs) {
+        return pairs.filter(([column, value]) => columns.has(column) && value !== undefined);
+    }
+
+    async _insert(table, pairs) {
+        return databaseService.run(
+            `INSERT INTO ${table} (${pairs.map(([column]) => column).join(', ')}) VALUES (${pairs.map(() => '?').join(', ')})`,
+            pairs.map(([, value]) => value)
+        );
+    }
+}
+
+// true/false for all or none, or a list of entries or album IDs
+function selected(selection, id) {
+    return Array.isArray(selection) ? selection.includes(id) : Boolean(selection);
+}
+
+function indexBy(rows, key) {
+    const index = new Map();
+    for (const row of rows) {
+        if (present(row[key]) && !index.has(String(row[key]))) {
+            index.set(String(row[key]), row);
+        }
+    }
+    return index;
+}
+
+function present(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function toInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+}
+
+// Exports and the database disagree on types (year 2001 vs '2001'), so compare as text
+function sameValue(a, b) {
+    return String(a ?? '') === String(b ?? '');
+}
+
+function skippedEntry(entry, album, reason) {
+    return {
+        entry,
+        path: album.path ?? null,
+        album_title: album.album_title ?? null,
+        album_artist: album.album_artist ?? null,
+        reason
+    };
+}
+
+function importError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new CollectionImportService();
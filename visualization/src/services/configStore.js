@@ -0,0 +1,296 @@
+// Config store - reads and atomically writes ordr.fm.conf, with history, diff and revert
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+const { ORDRFM_CONFIG_FILE, CONFIG_HISTORY_LIMIT } = require('../config');
+const {
+    CONFIG_SCHEMA,
+    parseConfig,
+    updateConfigContent,
+    validateConfig,
+    diffConfig,
+    publicValues
+} = require('../utils/scriptConfig');
+
+/**
+ * Owns ordr.fm.conf for the dashboard.
+ *
+ * Every write is recorded in config_history with the full file content and the
+ * changed keys, so any version can be diffed or restored. Edits made outside the
+ * dashboard are picked up as 'external' entries before the next write. Emits
+ * 'configChanged' ({ values, changes }) after each write so live settings can be applied.
+ */
+class ConfigStore extends EventEmitter {
+    constructor() {
+        super();
+        this.configPath = ORDRFM_CONFIG_FILE;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Create the history table
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS config_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                content TEXT NOT NULL,
+                version TEXT NOT NULL,
+                changes TEXT,
+                reverted_from INTEGER,
+                author TEXT,
+                created_at TEXT NOT NULL
+            )
+        `);
+    }
+
+    /**
+     * Read the current configuration
+     * @returns {Promise<Object>} { values, version, path, lastModified, invalidLines }
+     */
+    async read() {
+        const content = await this._readContent();
+        const { values, invalidLines } = parseConfig(content);
+        const stat = await fs.promises.stat(this.configPath).catch(() => null);
+
+        return {
+            values: publicValues(values),
+            version: versionOf(content),
+            path: this.configPath,
+            lastModified: stat ? stat.mtime.toISOString() : null,
+            invalidLines
+        };
+    }
+
+    /**
+     * Validate and write changed values
+     * @param {Object} updates - Key to requested value
+     * @param {Object} options - { version, author }; a stale version is rejected
+     * @returns {Promise<Object>} { changes, version, historyId, apply }
+     */
+    async update(updates, options = {}) {
+        const { values, errors } = validateConfig(updates);
+        if (errors.length > 0) {
+            const error = new Error('Invalid configuration');
+            error.code = 'INVALID_CONFIG';
+            error.details = errors;
+            throw error;
+        }
+
+        return this._serialize(async () => {
+            const content = await this._readContent();
+            this._assertVersion(content, options.version);
+
+            const current = parseConfig(content).values;
+            const changed = Object.fromEntries(
+                Object.entries(values).filter(([key, value]) => (current[key] ?? '') !== value)
+            );
+            if (Object.keys(changed).length === 0) {
+                return { changes: [], version: versionOf(content), historyId: null, apply: applyModes([]) };
+            }
+
+            return this._write(content, updateConfigContent(content, changed), {
+                action: 'update',
+                author: options.author
+            });
+        });
+    }
+
+    /**
+     * List history entries, most recent first
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<{entries: Array, total: number}>}
+     */
+    async getHistory(options = {}) {
+        const { limit = 20, offset = 0 } = options;
+        const rows = await databaseService.query(`
+            SELECT id, action, version, changes, reverted_from, author, created_at
+            FROM config_history
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [limit, offset], false);
+        const totalRow = await databaseService.queryOne('SELECT COUNT(*) as total FROM config_history', [], false);
+
+        return { entries: rows.map(row => this._fromRow(row)), total: totalRow.total };
+    }
+
+    /**
+     * Get one history entry with its diff against the current file
+     * @param {number} id - History entry ID
+     * @returns {Promise<Object|null>} Entry or null
+     */
+    async getHistoryEntry(id) {
+        const row = await databaseService.queryOne('SELECT * FROM config_history WHERE id = ?', [id], false);
+        if (!row) {
+            return null;
+        }
+
+        const current = parseConfig(await this._readContent()).values;
+        const entryValues = parseConfig(row.content).values;
+
+        return {
+            ...this._fromRow(row),
+            values: publicValues(entryValues),
+            diffToCurrent: diffConfig(publicValues(current), publicValues(entryValues))
+        };
+    }
+
+    /**
+     * Restore the file content recorded in a history entry
+     * @param {number} id - History entry ID
+     * @param {Object} options - { author }
+     * @returns {Promise<Object|null>} Write result, or null if the entry does not exist
+     */
+    async revert(id, options = {}) {
+        const row = await databaseService.queryOne('SELECT * FROM config_history WHERE id = ?', [id], false);
+        if (!row) {
+            return null;
+        }
+
+        return this._serialize(async () => {
+            const content = await this._readContent();
+            if (versionOf(content) === row.version) {
+                return { changes: [], version: row.version, historyId: null, apply: applyModes([]) };
+            }
+
+            return this._write(content, row.content, {
+                action: 'revert',
+                author: options.author,
+                revertedFrom: row.id
+            });
+        });
+    }
+
+    // Writes are queued so concurrent requests cannot interleave read-modify-write
+    _serialize(task) {
+        const result = this.writing.then(task);
+        this.writing = result.catch(() => {});
+        return result;
+    }
+
+    async _write(previousContent, content, { action, author = null, revertedFrom = null }) {
+        await this._recordExternalChanges(previousContent);
+
+        const before = parseConfig(previousContent).values;
+        const after = parseConfig(content).values;
+        const changes = diffConfig(publicValues(before), publicValues(after));
+
+        await this._writeAtomic(content);
+
+        const version = versionOf(content);
+        const result = await databaseService.run(`
+            INSERT INTO config_history (action, content, version, changes, reverted_from, author, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [action, content, version, JSON.stringify(changes), revertedFrom, author, new Date().toISOString()]);
+        await this._pruneHistory();
+
+        const apply = applyModes(changes);
+        this.emit('configChanged', { values: publicValues(after), changes, apply });
+
+        return { changes, version, historyId: result.lastID, apply };
+    }
+
+    // Snapshot the file as found if it differs from the last recorded version,
+    // so the state before this write (including hand edits) can be restored
+    async _recordExternalChanges(content) {
+        const latest = await databaseService.queryOne(
+            'SELECT content, version FROM config_history ORDER BY id DESC LIMIT 1',
+            [],
+            false
+        );
+        const version = versionOf(content);
+        if (latest && latest.version === version) {
+            return;
+        }
+
+        const changes = latest ?
+            diffConfig(publicValues(parseConfig(latest.content).values), publicValues(parseConfig(content).values)) :
+            [];
+        await databaseService.run(`
+            INSERT INTO config_history (action, content, version, changes, created_at)
+            VALUES (?, ?, ?, ?, ?)
+        `, [latest ? 'external' : 'initial', content, version, JSON.stringify(changes), new Date().toISOString()]);
+    }
+
+    async _pruneHistory() {
+        await databaseService.run(`
+            DELETE FROM config_history
+            WHERE id NOT IN (SELECT id FROM config_history ORDER BY id DESC LIMIT ?)
+        `, [CONFIG_HISTORY_LIMIT]);
+    }
+
+    async _writeAtomic(content) {
+        // Replace the file a symlink points at, not the link
+        const targetPath = await fs.promises.realpath(this.configPath).catch(() => this.configPath);
+        const tempPath = path.join(
+            path.dirname(targetPath),
+            `.${path.basename(targetPath)}.${process.pid}.${Date.now()}.tmp`
+        );
+        const stat = await fs.promises.stat(targetPath).catch(() => null);
+
+        const handle = await fs.promises.open(tempPath, 'w', stat ? stat.mode & 0o777 : 0o644);
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.promises.rename(tempPath, targetPath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async _readContent() {
+        try {
+            return await fs.promises.readFile(this.configPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return '';
+            }
+            throw error;
+        }
+    }
+
+    _assertVersion(content, version) {
+        if (version && version !== versionOf(content)) {
+            const error = new Error('ordr.fm.conf changed since it was loaded; reload and try again');
+            error.code = 'CONFIG_CONFLICT';
+            throw error;
+        }
+    }
+
+    _fromRow(row) {
+        return {
+            id: row.id,
+            action: row.action,
+            version: row.version,
+            changes: row.changes ? JSON.parse(row.changes) : [],
+            revertedFrom: row.reverted_from,
+            author: row.author,
+            createdAt: row.created_at
+        };
+    }
+}
+
+function versionOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// Which changed keys took effect immediately and which wait for the next ordr.fm.sh run
+function applyModes(changes) {
+    const keys = changes.map(change => change.key);
+    return {
+        live: keys.filter(key => CONFIG_SCHEMA[key]?.apply === 'live'),
+        nextRun: keys.filter(key => CONFIG_SCHEMA[key]?.apply !== 'live')
+    };
+}
+
+// Export singleton instance
+module.exports = new ConfigStore();
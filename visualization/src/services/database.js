@@ -1,13 +1,56 @@
 // Database service for SQLite operations
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
 const path = require('path');
 const { DB_PATH, isTest } = require('../config');
 const cacheManager = require('../utils/cache');
 
+// A table in a FROM list or JOIN, with its alias (an alias is never JOIN, which starts the next table)
+const TABLE_REFERENCE = String.raw`["\`[]?[A-Za-z_]\w*["\`\]]?(?:\s+(?:AS\s+)?(?!JOIN\b)[A-Za-z_]\w*)?`;
+
+// Tables a query reads: the names after JOIN and after FROM, including comma-separated lists (FROM albums a, tracks t)
+const READ_TABLES = new RegExp(String.raw`\b(?:FROM|JOIN)\s+(${TABLE_REFERENCE}(?:\s*,\s*${TABLE_REFERENCE})*)`, 'gi');
+const TABLE_NAME = /^\s*["`[]?([A-Za-z_]\w*)/;
+
+// The table an INSERT, REPLACE, UPDATE or DELETE writes
+const WRITTEN_TABLE = /^\s*(?:INSERT(?:\s+OR\s+\w+)?\s+INTO|REPLACE\s+INTO|UPDATE(?:\s+OR\s+\w+)?|DELETE\s+FROM)\s+["`[]?([A-Za-z_][\w]*)/i;
+
+// Statements that never change data
+const READ_ONLY_STATEMENT = /^\s*(?:BEGIN|COMMIT|END|SAVEPOINT|RELEASE|SELECT|EXPLAIN)\b/i;
+
+/**
+ * Cached query results remember the tables they were read from. A write
+ * through run() drops the results that read the written table; schema
+ * changes and rollbacks drop everything. Writes by other processes, such as
+ * ordr.fm.sh updating the same database file, are noticed through
+ * PRAGMA data_version, which changes whenever another connection commits.
+ *
+ * The connection is shared, so a transaction would take in any statement
+ * issued while it is open. Statements from outside a transaction wait for it
+ * to end; those issued by its own callback run in it.
+ */
 class DatabaseService {
     constructor() {
         this.db = null;
         this.isConnected = false;
+        this.dataVersion = null;
+        this.transactionQueue = Promise.resolve();
+        // Settles when the open transaction ends; null while none is open
+        this.activeTransaction = null;
+        // Set for the statements a transaction callback issues
+        this.transactionContext = new AsyncLocalStorage();
+        // Table to the tables its contents are derived from, e.g. a full-text index and its source
+        this.tableSources = new Map();
+    }
+
+    /**
+     * Declare that a table is kept in sync with others (by triggers), so cached
+     * reads of it are dropped when those tables are written
+     * @param {string} table - Derived table
+     * @param {string[]} sources - Tables it is derived from
+     */
+    addTableSources(table, sources) {
+        this.tableSources.set(table.toLowerCase(), sources.map(source => source.toLowerCase()));
     }
 
     /**
@@ -25,6 +68,7 @@ class DatabaseService {
                 } else {
                     console.log('Connected to SQLite database:', dbPath);
                     this.isConnected = true;
+                    this.dataVersion = null;
                     resolve();
                 }
             });
@@ -67,13 +111,14 @@ class DatabaseService {
         
         // Check cache first
         if (cacheKey) {
+            await this._checkExternalWrites();
             const cached = cacheManager.getCache(cacheKey);
             if (cached) {
                 return cached;
             }
         }
 
-        return new Promise((resolve, reject) => {
+        return this._outsideTransactions(() => new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     console.error('Database query error:', err);
@@ -81,12 +126,12 @@ class DatabaseService {
                 } else {
                     // Cache the result
                     if (cacheKey) {
-                        cacheManager.setCache(cacheKey, rows);
+                        cacheManager.setCache(cacheKey, rows, this._readTables(sql));
                     }
                     resolve(rows);
                 }
             });
-        });
+        }));
     }
 
     /**
@@ -112,7 +157,7 @@ class DatabaseService {
             throw new Error('Database not connected');
         }
 
-        return new Promise((resolve, reject) => {
+        const result = await this._outsideTransactions(() => new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
                     console.error('Database run error:', err);
@@ -124,7 +169,64 @@ class DatabaseService {
                     });
                 }
             });
-        });
+        }));
+
+        if (!READ_ONLY_STATEMENT.test(sql)) {
+            cacheManager.invalidateTables(this._writtenTables(sql));
+        }
+        return result;
+    }
+
+    /**
+     * Tables a query reads, including the tables derived tables are built from
+     * @param {string} sql - SQL query
+     * @returns {string[]|null} Table names, or null if none could be found
+     * @private
+     */
+    _readTables(sql) {
+        const tables = new Set();
+        for (const match of sql.matchAll(READ_TABLES)) {
+            for (const reference of match[1].split(',')) {
+                const table = reference.match(TABLE_NAME)[1].toLowerCase();
+                tables.add(table);
+                for (const source of this.tableSources.get(table) || []) {
+                    tables.add(source);
+                }
+            }
+        }
+        return tables.size > 0 ? [...tables] : null;
+    }
+
+    /**
+     * Table a write changes
+     * @param {string} sql - SQL statement
+     * @returns {string[]|null} Table names, or null when the statement may change any table
+     * @private
+     */
+    _writtenTables(sql) {
+        const match = sql.match(WRITTEN_TABLE);
+        return match ? [match[1].toLowerCase()] : null;
+    }
+
+    /**
+     * Drop the whole cache if another connection committed since the last check
+     * @private
+     */
+    async _checkExternalWrites() {
+        const row = await this._outsideTransactions(() => new Promise((resolve, reject) => {
+            this.db.get('PRAGMA data_version', (err, result) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        }));
+
+        if (this.dataVersion !== null && row.data_version !== this.dataVersion) {
+            cacheManager.clearCache();
+        }
+        this.dataVersion = row.data_version;
     }
 
     /**
@@ -188,20 +290,58 @@ class DatabaseService {
 
     /**
      * Execute multiple queries in a transaction
-     * @param {Array} queries - Array of {sql, params} objects
-     * @returns {Promise<Array>} Results array
+     *
+     * Transactions are queued: the connection is shared, and a BEGIN while
+     * another transaction is open fails. A function given instead of queries
+     * runs inside the transaction and must not start one itself.
+     * @param {Array|Function} queries - Array of {sql, params} objects, or an async function issuing the statements
+     * @returns {Promise<Array|*>} Results array, or what the function returned
      */
-    async transaction(queries) {
-        const results = [];
-        
+    transaction(queries) {
+        const result = this.transactionQueue.then(() => {
+            const running = this.transactionContext.run(true, () => this._runTransaction(queries));
+            const ended = running.then(() => {}, () => {});
+            this.activeTransaction = ended;
+            ended.then(() => {
+                if (this.activeTransaction === ended) {this.activeTransaction = null;}
+            });
+            return running;
+        });
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Issue a statement once no other caller's transaction is open
+     *
+     * execute is called in the same tick as the last check, so no BEGIN can
+     * come between them.
+     * @param {Function} execute - Issues the statement, returning its promise
+     * @private
+     */
+    async _outsideTransactions(execute) {
+        if (!this.transactionContext.getStore()) {
+            while (this.activeTransaction) {
+                await this.activeTransaction;
+            }
+        }
+        return execute();
+    }
+
+    async _runTransaction(queries) {
+        await this.beginTransaction();
+
         try {
-            await this.beginTransaction();
-            
-            for (const query of queries) {
-                const result = await this.run(query.sql, query.params);
-                results.push(result);
+            let results;
+            if (typeof queries === 'function') {
+                results = await queries();
+            } else {
+                results = [];
+                for (const query of queries) {
+                    results.push(await this.run(query.sql, query.params));
+                }
             }
-            
+
             await this.commitTransaction();
             return results;
         } catch (error) {
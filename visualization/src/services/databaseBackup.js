@@ -0,0 +1,485 @@
+// Database backup service - online SQLite backups with verification, retention and restore
+const sqlite3 = require('sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+const cacheManager = require('../utils/cache');
+const {
+    DB_PATH,
+    STATE_DB_PATH,
+    BACKUP_DIR,
+    BACKUP_RETENTION_COUNT,
+    BACKUP_RETENTION_DAYS
+} = require('../config');
+
+const BACKUP_ID_PATTERN = /^backup_[0-9TZ-]+(_[a-z-]+)?$/;
+const MANIFEST_FILE = 'manifest.json';
+
+// Label of the sets cloud backups upload; the newest is kept, outside the retention count
+const CLOUD_LABEL = 'cloud';
+
+// Pages copied per backup step; small steps let ordr.fm.sh keep writing between them
+const PAGES_PER_STEP = 256;
+
+// Tables each database must contain before it may replace the live copy
+const REQUIRED_TABLES = {
+    metadata: ['albums', 'tracks'],
+    state: ['processed_directories']
+};
+
+// Columns a restored table cannot do without; the services' initialize() adds the rest
+const CORE_COLUMNS = {
+    albums: ['id', 'path', 'album_title', 'album_artist'],
+    tracks: ['id', 'album_id', 'path'],
+    processed_directories: ['directory_path']
+};
+
+class DatabaseBackupService {
+    constructor() {
+        this.backupDir = BACKUP_DIR;
+        this.retention = {
+            count: BACKUP_RETENTION_COUNT,
+            days: BACKUP_RETENTION_DAYS
+        };
+    }
+
+    /**
+     * Databases covered by a backup set
+     * @returns {Array<{name: string, path: string}>}
+     */
+    getDatabases() {
+        return [
+            { name: 'metadata', path: DB_PATH },
+            { name: 'state', path: STATE_DB_PATH }
+        ];
+    }
+
+    /**
+     * Create a verified backup set of every database that exists on disk
+     * @param {Object} options - { label, onProgress, isCancelled, prune }
+     * @returns {Promise<Object>} Backup manifest
+     */
+    async createBackup(options = {}) {
+        const {
+            label = null,
+            onProgress = () => {},
+            isCancelled = () => false,
+            prune = true
+        } = options;
+
+        const sources = this.getDatabases().filter(db => this._isFileDatabase(db.path) && fs.existsSync(db.path));
+        if (sources.length === 0) {
+            const error = new Error('No database files found to back up');
+            error.code = 'NO_DATABASES';
+            throw error;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const id = label ? `backup_${timestamp}_${label}` : `backup_${timestamp}`;
+        const setDir = path.join(this.backupDir, id);
+        await fs.promises.mkdir(setDir, { recursive: true });
+
+        const manifest = {
+            id,
+            label,
+            createdAt: new Date().toISOString(),
+            files: []
+        };
+
+        try {
+            for (const [index, source] of sources.entries()) {
+                const fileName = `${source.name}.db`;
+                const destination = path.join(setDir, fileName);
+
+                await this._onlineBackup(source.path, destination, (fraction) => {
+                    onProgress({
+                        database: source.name,
+                        percent: Math.round(((index + fraction) / sources.length) * 90)
+                    });
+                }, isCancelled);
+
+                onProgress({ database: source.name, stage: 'verifying', percent: Math.round(((index + 1) / sources.length) * 90) });
+
+                const integrity = await this._integrityCheck(destination);
+                if (integrity !== 'ok') {
+                    throw new Error(`Integrity check failed for ${source.name} backup: ${integrity}`);
+                }
+
+                const stat = await fs.promises.stat(destination);
+                manifest.files.push({
+                    database: source.name,
+                    file: fileName,
+                    sourcePath: source.path,
+                    size: stat.size,
+                    sha256: await this._checksum(destination),
+                    integrity,
+                    tables: await this._listTables(destination)
+                });
+            }
+
+            manifest.size = manifest.files.reduce((sum, file) => sum + file.size, 0);
+            await fs.promises.writeFile(path.join(setDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        } catch (error) {
+            await fs.promises.rm(setDir, { recursive: true, force: true });
+            throw error;
+        }
+
+        if (prune) {
+            onProgress({ stage: 'retention', percent: 95 });
+            manifest.pruned = await this.applyRetention();
+        }
+
+        return manifest;
+    }
+
+    /**
+     * List backup sets, newest first
+     * @returns {Promise<Array>} Backup manifests
+     */
+    async listBackups() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.backupDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {return [];}
+            throw error;
+        }
+
+        const backups = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !BACKUP_ID_PATTERN.test(entry.name)) {continue;}
+
+            const manifest = await this._readManifest(entry.name);
+            if (manifest) {
+                backups.push(manifest);
+            }
+        }
+
+        return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a single backup manifest
+     * @param {string} id - Backup ID
+     * @returns {Promise<Object|null>}
+     */
+    async getBackup(id) {
+        if (!BACKUP_ID_PATTERN.test(id || '')) {return null;}
+        return this._readManifest(id);
+    }
+
+    /**
+     * Re-verify checksums and integrity of a stored backup set
+     * @param {string} id - Backup ID
+     * @returns {Promise<Object>} { valid, files: [{ database, checksumOk, integrity }] }
+     */
+    async verifyBackup(id) {
+        const manifest = await this.getBackup(id);
+        if (!manifest) {
+            const error = new Error(`Backup not found: ${id}`);
+            error.code = 'NOT_FOUND';
+            throw error;
+        }
+
+        const files = [];
+        for (const file of manifest.files) {
+            const filePath = path.join(this.backupDir, id, file.file);
+            if (!fs.existsSync(filePath)) {
+                files.push({ database: file.database, checksumOk: false, integrity: 'missing' });
+                continue;
+            }
+
+            files.push({
+                database: file.database,
+                checksumOk: await this._checksum(filePath) === file.sha256,
+                integrity: await this._integrityCheck(filePath)
+            });
+        }
+
+        return {
+            id,
+            valid: files.every(file => file.checksumOk && file.integrity === 'ok'),
+            files
+        };
+    }
+
+    /**
+     * Delete backup sets beyond the retention policy, and all but the newest cloud set
+     * @returns {Promise<Array<string>>} IDs of deleted backups
+     */
+    async applyRetention() {
+        const backups = await this.listBackups();
+        const cutoff = this.retention.days > 0 ?
+            Date.now() - this.retention.days * 24 * 60 * 60 * 1000 : null;
+
+        const pruned = [];
+        const cloudSets = backups.filter(backup => backup.label === CLOUD_LABEL);
+        pruned.push(...cloudSets.slice(1).map(backup => backup.id));
+
+        backups.filter(backup => backup.label !== CLOUD_LABEL).forEach((backup, index) => {
+            const tooMany = this.retention.count > 0 && index >= this.retention.count;
+            const tooOld = cutoff !== null && Date.parse(backup.createdAt) < cutoff;
+            if (tooMany || tooOld) {
+                pruned.push(backup.id);
+            }
+        });
+
+        for (const id of pruned) {
+            await fs.promises.rm(path.join(this.backupDir, id), { recursive: true, force: true });
+        }
+
+        return pruned;
+    }
+
+    /**
+     * Restore databases from a backup set, replacing the live files
+     * @param {string} id - Backup ID
+     * @param {Object} options - { databases } names to restore (defaults to all in the set)
+     * @returns {Promise<Object>} { restored, safetyBackupId }
+     */
+    async restoreBackup(id, options = {}) {
+        const manifest = await this.getBackup(id);
+        if (!manifest) {
+            const error = new Error(`Backup not found: ${id}`);
+            error.code = 'NOT_FOUND';
+            throw error;
+        }
+
+        const names = options.databases || manifest.files.map(file => file.database);
+        const files = manifest.files.filter(file => names.includes(file.database));
+        if (files.length === 0) {
+            const error = new Error('Backup contains none of the requested databases');
+            error.code = 'INVALID_BACKUP';
+            throw error;
+        }
+
+        const verification = await this.verifyBackup(id);
+        const targets = this.getDatabases();
+
+        // Validate everything before touching any live file
+        for (const file of files) {
+            const result = verification.files.find(entry => entry.database === file.database);
+            if (!result.checksumOk || result.integrity !== 'ok') {
+                const error = new Error(`Backup of ${file.database} failed verification`);
+                error.code = 'INVALID_BACKUP';
+                throw error;
+            }
+
+            const target = targets.find(db => db.name === file.database);
+            await this._validateSchema(path.join(this.backupDir, id, file.file), target);
+        }
+
+        // Keep a copy of what is being replaced so a bad restore can itself be undone
+        // (pruning waits until after the swap so it cannot remove the set being restored)
+        const safety = await this.createBackup({ label: 'pre-restore', prune: false });
+
+        const restored = [];
+        for (const file of files) {
+            const target = targets.find(db => db.name === file.database);
+            const isLive = target.path === DB_PATH && databaseService.isConnected;
+
+            if (isLive) {
+                await databaseService.disconnect();
+            }
+
+            try {
+                await this._swapInto(path.join(this.backupDir, id, file.file), target.path);
+                restored.push(file.database);
+            } finally {
+                if (isLive) {
+                    await databaseService.connect();
+                    cacheManager.clearCache();
+                }
+            }
+        }
+
+        await this.applyRetention();
+        return { restored, safetyBackupId: safety.id };
+    }
+
+    /**
+     * Copy a database with the SQLite online backup API
+     * @private
+     */
+    _onlineBackup(sourcePath, destination, onFraction, isCancelled) {
+        return new Promise((resolve, reject) => {
+            const source = new sqlite3.Database(sourcePath, sqlite3.OPEN_READONLY, (openError) => {
+                if (openError) {return reject(openError);}
+
+                const finish = (error) => {
+                    backup.finish(() => {
+                        source.close(() => (error ? reject(error) : resolve()));
+                    });
+                };
+
+                const backup = source.backup(destination, (initError) => {
+                    if (initError) {return finish(initError);}
+
+                    const step = () => {
+                        if (isCancelled()) {
+                            const cancelled = new Error('Backup cancelled');
+                            cancelled.code = 'CANCELLED';
+                            return finish(cancelled);
+                        }
+
+                        backup.step(PAGES_PER_STEP, (stepError) => {
+                            if (stepError) {return finish(stepError);}
+
+                            if (backup.pageCount > 0) {
+                                onFraction(1 - backup.remaining / backup.pageCount);
+                            }
+
+                            if (backup.completed) {return finish(null);}
+                            if (backup.failed) {return finish(new Error('SQLite backup failed'));}
+                            setTimeout(step, 0);
+                        });
+                    };
+
+                    step();
+                });
+            });
+        });
+    }
+
+    /**
+     * Run PRAGMA integrity_check against a database file
+     * @private
+     */
+    _integrityCheck(filePath) {
+        return this._withReadOnly(filePath, (db, done) => {
+            db.all('PRAGMA integrity_check', (error, rows) => {
+                if (error) {return done(null, error.message);}
+                done(null, rows.map(row => row.integrity_check).join('; '));
+            });
+        });
+    }
+
+    /**
+     * List user tables in a database file
+     * @private
+     */
+    _listTables(filePath) {
+        return this._withReadOnly(filePath, (db, done) => {
+            db.all(
+                'SELECT name FROM sqlite_master WHERE type = \'table\' AND name NOT LIKE \'sqlite_%\' ORDER BY name',
+                (error, rows) => done(error, rows ? rows.map(row => row.name) : [])
+            );
+        });
+    }
+
+    /**
+     * Column names of a table in a database file
+     * @private
+     */
+    _tableColumns(filePath, table) {
+        return this._withReadOnly(filePath, (db, done) => {
+            db.all(`PRAGMA table_info(${table})`, (error, rows) => {
+                done(error, rows ? rows.map(row => row.name) : []);
+            });
+        });
+    }
+
+    /**
+     * Check a backup has the tables, and the core columns of the live tables, the server relies on.
+     * Columns added by later migrations may be missing: backups taken before an upgrade are
+     * migrated when the services initialize after the restore.
+     * @private
+     */
+    async _validateSchema(backupPath, target) {
+        const tables = await this._listTables(backupPath);
+        const required = REQUIRED_TABLES[target.name] || [];
+
+        const missing = required.filter(table => !tables.includes(table));
+        if (missing.length > 0) {
+            const error = new Error(`Backup of ${target.name} is missing tables: ${missing.join(', ')}`);
+            error.code = 'SCHEMA_MISMATCH';
+            throw error;
+        }
+
+        if (!fs.existsSync(target.path)) {return;}
+
+        for (const table of required) {
+            const liveColumns = await this._tableColumns(target.path, table);
+            const backupColumns = await this._tableColumns(backupPath, table);
+            const missingColumns = (CORE_COLUMNS[table] || [])
+                .filter(column => liveColumns.includes(column) && !backupColumns.includes(column));
+
+            if (missingColumns.length > 0) {
+                const error = new Error(`Backup table ${table} is missing columns: ${missingColumns.join(', ')}`);
+                error.code = 'SCHEMA_MISMATCH';
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Atomically replace a live database file with a backup copy
+     * @private
+     */
+    async _swapInto(backupPath, livePath) {
+        const tempPath = `${livePath}.restore-${process.pid}`;
+        await fs.promises.copyFile(backupPath, tempPath);
+
+        // Stale WAL/SHM files would be replayed on top of the restored database
+        for (const suffix of ['-wal', '-shm', '-journal']) {
+            await fs.promises.rm(`${livePath}${suffix}`, { force: true });
+        }
+
+        await fs.promises.rename(tempPath, livePath);
+    }
+
+    /**
+     * @private
+     */
+    _withReadOnly(filePath, work) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (openError) => {
+                if (openError) {return reject(openError);}
+
+                work(db, (error, result) => {
+                    db.close(() => (error ? reject(error) : resolve(result)));
+                });
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _readManifest(id) {
+        try {
+            const content = await fs.promises.readFile(path.join(this.backupDir, id, MANIFEST_FILE), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Ignoring unreadable backup manifest for ${id}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _isFileDatabase(dbPath) {
+        return Boolean(dbPath) && dbPath !== ':memory:';
+    }
+}
+
+// Export singleton instance
+const databaseBackupService = new DatabaseBackupService();
+module.exports = databaseBackupService;
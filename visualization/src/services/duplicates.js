@@ -0,0 +1,554 @@
+// Duplicate service - scored duplicate album groups, and quarantining the copies not kept
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+const { QUARANTINE_DIR } = require('../config');
+const { moveDirectory } = require('../utils/moveDirectory');
+
+// Format and bitrate scores from lib/duplicate_detection.sh
+const FORMAT_QUALITY = {
+    flac: 100, wav: 95, aiff: 95, aif: 95, alac: 90,
+    mp3: 60, aac: 55, m4a: 55, ogg: 50, wma: 30
+};
+const DEFAULT_FORMAT_QUALITY = 30;
+
+// Highest rate at or below the file's bitrate wins; below 96 kbps scores as 96
+const BITRATE_QUALITY = [[320, 100], [256, 85], [192, 70], [128, 50], [96, 30]];
+const DEFAULT_BITRATE_QUALITY = 50;
+
+// The albums' quality column stands in for the format when an album has no tracks
+const QUALITY_FORMATS = { lossless: 'flac', lossy: 'mp3' };
+
+// Share of the album score taken by file quality (format 70%, bitrate 30%, as calculate_quality_score) and by completeness
+const SCORE_WEIGHTS = { quality: 0.8, completeness: 0.2 };
+
+// Album columns differ between the schema ordr.fm.sh writes and the dashboard's
+const ALBUM_COLUMNS = {
+    artist: ['album_artist', 'artist'],
+    title: ['album_title', 'album'],
+    sizeBytes: ['total_size'],
+    sizeMb: ['file_size_mb'],
+    year: ['year'],
+    trackCount: ['track_count'],
+    quality: ['quality'],
+    musicbrainzId: ['musicbrainz_id']
+};
+const TRACK_COLUMNS = {
+    format: ['file_format'],
+    bitrate: ['bitrate'],
+    size: ['file_size']
+};
+
+const QUARANTINE_STATUSES = ['quarantined', 'restored'];
+
+// Tracks of grouped albums are read this many albums at a time
+const TRACK_BATCH_SIZE = 500;
+
+/**
+ * Groups albums with the same artist and title, compared the way
+ * generate_audio_fingerprint in lib/duplicate_detection.sh does (lower case,
+ * letters and digits only), and scores every copy on the quality signals of
+ * calculate_quality_score: the format and bitrate of its files and whether
+ * all of its tracks are there. The best copy is recommended to keep.
+ *
+ * Resolving a group moves the other copies' folders to the quarantine
+ * directory and takes them out of the library tables. A snapshot of their
+ * album and track rows is kept with the quarantine entry, so restoring puts
+ * folder and rows back as they were.
+ */
+class DuplicateService {
+    constructor() {
+        this.quarantineDir = QUARANTINE_DIR;
+        this.resolveInProgress = false;
+        // Columns found by initialize(), by role
+        this.albumColumns = {};
+        this.trackColumns = {};
+    }
+
+    /**
+     * Create the quarantine table and find the columns the scores use
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS duplicate_quarantine (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                group_id TEXT NOT NULL,
+                album_id INTEGER NOT NULL,
+                kept_album_id INTEGER,
+                original_path TEXT NOT NULL,
+                quarantine_path TEXT NOT NULL,
+                album_data TEXT NOT NULL,
+                status TEXT NOT NULL,
+                created_by TEXT,
+                created_at TEXT NOT NULL,
+                restored_by TEXT,
+                restored_at TEXT
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_duplicate_quarantine_status ON duplicate_quarantine(status)');
+
+        this.albumColumns = await findColumns('albums', ALBUM_COLUMNS);
+        this.trackColumns = await findColumns('tracks', TRACK_COLUMNS);
+    }
+
+    /**
+     * Duplicate groups, largest possible saving first
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<{overview: Object, quality_distribution: Array, groups: Array, total: number}>}
+     */
+    async getGroups(options = {}) {
+        const { limit = 50, offset = 0 } = options;
+        const groups = await this._findGroups();
+
+        const formats = new Map();
+        for (const album of groups.flatMap(group => group.albums)) {
+            const format = album.format || 'unknown';
+            formats.set(format, (formats.get(format) || 0) + 1);
+        }
+
+        return {
+            overview: {
+                duplicate_groups: groups.length,
+                albums_in_groups: groups.reduce((sum, group) => sum + group.album_count, 0),
+                potential_savings_bytes: groups.reduce((sum, group) => sum + group.potential_savings_bytes, 0),
+                average_confidence: groups.length > 0
+                    ? round(groups.reduce((sum, group) => sum + group.confidence, 0) / groups.length)
+                    : null
+            },
+            quality_distribution: [...formats.entries()]
+                .map(([format, count]) => ({ format, count }))
+                .sort((a, b) => b.count - a.count),
+            groups: groups.slice(offset, offset + limit),
+            total: groups.length
+        };
+    }
+
+    /**
+     * Get one duplicate group
+     * @param {string} groupId - Group ID
+     * @returns {Promise<Object|null>} Group, or null if there is no such group (any more)
+     */
+    async getGroup(groupId) {
+        const groups = await this._findGroups();
+        return groups.find(group => group.id === groupId) || null;
+    }
+
+    /**
+     * Keep one copy of a group and quarantine the others
+     * @param {string} groupId - Group ID
+     * @param {Object} options - { keep: album ID (default: the recommended copy), user }
+     * @returns {Promise<{groupId: string, kept: number, quarantined: Array, failed: Object|null}|null>}
+     *          Result, or null if the group does not exist; failed is set if a move failed part way
+     * @throws {Error} INVALID_KEEP, RESOLVE_CONFLICT (folders missing) or RESOLVE_IN_PROGRESS
+     */
+    async resolveGroup(groupId, options = {}) {
+        if (this.resolveInProgress) {
+            throw duplicateError('RESOLVE_IN_PROGRESS', 'Another duplicate group is being resolved');
+        }
+        this.resolveInProgress = true;
+
+        try {
+            const group = await this.getGroup(groupId);
+            if (!group) {
+                return null;
+            }
+
+            const kept = options.keep === undefined || options.keep === null
+                ? group.recommended_keep
+                : parseInt(options.keep, 10);
+            if (!group.albums.some(album => album.id === kept)) {
+                throw duplicateError('INVALID_KEEP', `Album ${options.keep} is not in this duplicate group`);
+            }
+
+            const losers = group.albums.filter(album => album.id !== kept);
+            const conflicts = losers
+                .filter(album => !album.path || !fs.existsSync(album.path))
+                .map(album => ({ albumId: album.id, path: album.path, reason: 'Album folder not found' }));
+            if (conflicts.length > 0) {
+                const error = duplicateError('RESOLVE_CONFLICT', `${conflicts.length} album folder(s) to quarantine were not found`);
+                error.conflicts = conflicts;
+                throw error;
+            }
+
+            const quarantined = [];
+            for (const album of losers) {
+                try {
+                    quarantined.push(await this._quarantineAlbum(group.id, album, kept, options.user || null));
+                } catch (error) {
+                    // Keep what was already quarantined; the group can be resolved again
+                    return { groupId, kept, quarantined, failed: { albumId: album.id, error: error.message } };
+                }
+            }
+
+            return { groupId, kept, quarantined, failed: null };
+        } finally {
+            this.resolveInProgress = false;
+        }
+    }
+
+    /**
+     * List quarantined albums, most recent first
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<{entries: Array, total: number}>}
+     */
+    async listQuarantine(options = {}) {
+        const { status = null, limit = 50, offset = 0 } = options;
+        if (status && !QUARANTINE_STATUSES.includes(status)) {
+            throw duplicateError('INVALID_STATUS', `status must be one of ${QUARANTINE_STATUSES.join(', ')}`);
+        }
+
+        const whereClause = status ? 'WHERE status = ?' : '';
+        const params = status ? [status] : [];
+        const rows = await databaseService.query(`
+            SELECT * FROM duplicate_quarantine
+            ${whereClause}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset], false);
+        const totalRow = await databaseService.queryOne(
+            `SELECT COUNT(*) as total FROM duplicate_quarantine ${whereClause}`,
+            params,
+            false
+        );
+
+        return { entries: rows.map(row => this._fromRow(row)), total: totalRow.total };
+    }
+
+    /**
+     * Move a quarantined album back and put its rows back in the library
+     * @param {number} entryId - Quarantine entry ID
+     * @param {Object} options - { user }
+     * @returns {Promise<Object|null>} Restored entry, or null if it does not exist
+     * @throws {Error} INVALID_STATE if already restored, RESTORE_CONFLICT if the folders are not where they should be
+     */
+    async restore(entryId, options = {}) {
+        const row = await databaseService.queryOne('SELECT * FROM duplicate_quarantine WHERE id = ?', [entryId], false);
+        if (!row) {
+            return null;
+        }
+        if (row.status !== 'quarantined') {
+            throw duplicateError('INVALID_STATE', `Entry ${entryId} has already been restored`);
+        }
+        if (!fs.existsSync(row.quarantine_path)) {
+            throw duplicateError('RESTORE_CONFLICT', 'The quarantined folder is missing');
+        }
+        if (fs.existsSync(row.original_path)) {
+            throw duplicateError('RESTORE_CONFLICT', 'The original location is occupied');
+        }
+
+        const { album, tracks } = JSON.parse(row.album_data);
+        await moveDirectory(row.quarantine_path, row.original_path);
+        try {
+            await databaseService.transaction([
+                await this._insertQuery('albums', album),
+                ...await Promise.all(tracks.map(track => this._insertQuery('tracks', track))),
+                {
+                    sql: 'UPDATE duplicate_quarantine SET status = \'restored\', restored_by = ?, restored_at = ? WHERE id = ?',
+                    params: [options.user || null, new Date().toISOString(), entryId]
+                }
+            ]);
+        } catch (error) {
+            await moveDirectory(row.original_path, row.quarantine_path);
+            throw error;
+        }
+        await this._removeEmptyParents(row.quarantine_path);
+
+        return this._fromRow(await databaseService.queryOne('SELECT * FROM duplicate_quarantine WHERE id = ?', [entryId], false));
+    }
+
+    async _quarantineAlbum(groupId, album, keptId, user) {
+        const quarantinePath = path.join(this.quarantineDir, groupId, String(album.id), path.basename(album.path));
+        const snapshot = {
+            album: await databaseService.queryOne('SELECT * FROM albums WHERE id = ?', [album.id], false),
+            tracks: await databaseService.query('SELECT * FROM tracks WHERE album_id = ?', [album.id], false)
+        };
+
+        await moveDirectory(album.path, quarantinePath);
+        let result;
+        try {
+            [result] = await databaseService.transaction([
+                {
+                    sql: `
+                        INSERT INTO duplicate_quarantine
+                            (group_id, album_id, kept_album_id, original_path, quarantine_path, album_data, status, created_by, created_at)
+                        VALUES (?, ?, ?, ?, ?, ?, 'quarantined', ?, ?)
+                    `,
+                    params: [
+                        groupId, album.id, keptId, album.path, quarantinePath,
+                        JSON.stringify(snapshot), user, new Date().toISOString()
+                    ]
+                },
+                { sql: 'DELETE FROM tracks WHERE album_id = ?', params: [album.id] },
+                { sql: 'DELETE FROM albums WHERE id = ?', params: [album.id] }
+            ]);
+        } catch (error) {
+            await moveDirectory(quarantinePath, album.path);
+            throw error;
+        }
+
+        return { id: result.lastID, albumId: album.id, originalPath: album.path, quarantinePath };
+    }
+
+    async _findGroups() {
+        const { artist, title } = this.albumColumns;
+        if (!artist || !title) {
+            return [];
+        }
+
+        const albums = await databaseService.query(`
+            SELECT id, path, ${artist} as artist, ${title} as title,
+                ${this._albumColumn('year')} as year,
+                ${this._albumColumn('trackCount')} as track_count,
+                ${this._albumColumn('quality')} as quality,
+                ${this._albumColumn('musicbrainzId')} as musicbrainz_id,
+                ${this._sizeExpression()} as size_bytes
+            FROM albums
+            WHERE ${artist} IS NOT NULL AND ${title} IS NOT NULL
+        `, [], false);
+
+        const byKey = new Map();
+        for (const album of albums) {
+            const key = `${normalize(album.artist)}|${normalize(album.title)}`;
+            if (key.startsWith('|') || key.endsWith('|')) {continue;}
+            if (!byKey.has(key)) {
+                byKey.set(key, []);
+            }
+            byKey.get(key).push(album);
+        }
+
+        const grouped = [...byKey.entries()].filter(([, members]) => members.length > 1);
+        const tracks = await this._getTracks(grouped.flatMap(([, members]) => members.map(album => album.id)));
+
+        return grouped
+            .map(([key, members]) => scoreGroup(key, members.map(album => scoreAlbum(album, tracks.get(album.id) || []))))
+            .sort((a, b) => b.potential_savings_bytes - a.potential_savings_bytes || a.id.localeCompare(b.id));
+    }
+
+    async _getTracks(albumIds) {
+        const { format, bitrate, size } = this.trackColumns;
+        const byAlbum = new Map();
+        for (let start = 0; start < albumIds.length; start += TRACK_BATCH_SIZE) {
+            const ids = albumIds.slice(start, start + TRACK_BATCH_SIZE);
+            const tracks = await databaseService.query(`
+                SELECT album_id, disc_number, track_number, path,
+                    ${format || 'NULL'} as file_format, ${bitrate || 'NULL'} as bitrate, ${size || 'NULL'} as file_size
+                FROM tracks
+                WHERE album_id IN (${ids.map(() => '?').join(', ')})
+            `, ids, false);
+            for (const track of tracks) {
+                if (!byAlbum.has(track.album_id)) {
+                    byAlbum.set(track.album_id, []);
+                }
+                byAlbum.get(track.album_id).push(track);
+            }
+        }
+        return byAlbum;
+    }
+
+    _albumColumn(role) {
+        return this.albumColumns[role] || 'NULL';
+    }
+
+    _sizeExpression() {
+        const { sizeBytes, sizeMb } = this.albumColumns;
+        if (sizeBytes) {return sizeBytes;}
+        if (sizeMb) {return `CAST(${sizeMb} * 1048576 AS INTEGER)`;}
+        return 'NULL';
+    }
+
+    // Insert for a snapshot row, with the columns the table still has
+    async _insertQuery(table, row) {
+        const columns = await databaseService.query(`PRAGMA table_info(${table})`, [], false);
+        const names = new Set(columns.map(column => column.name));
+        const pairs = Object.entries(row).filter(([column]) => names.has(column));
+        return {
+            sql: `INSERT INTO ${table} (${pairs.map(([column]) => column).join(', ')}) VALUES (${pairs.map(() => '?').join(', ')})`,
+            params: pairs.map(([, value]) => value)
+        };
+    }
+
+    // The group and album directories a quarantine created are left empty by the restore
+    async _removeEmptyParents(quarantinePath) {
+        const root = path.resolve(this.quarantineDir);
+        let dir = path.dirname(quarantinePath);
+
+        while (dir.startsWith(`${root}${path.sep}`)) {
+            try {
+                await fs.promises.rmdir(dir);
+            } catch {
+                return;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    _fromRow(row) {
+        const { album } = JSON.parse(row.album_data);
+        return {
+            id: row.id,
+            groupId: row.group_id,
+            albumId: row.album_id,
+            keptAlbumId: row.kept_album_id,
+            originalPath: row.original_path,
+            quarantinePath: row.quarantine_path,
+            album: {
+                artist: album[this.albumColumns.artist] ?? null,
+                title: album[this.albumColumns.title] ?? null,
+                year: album.year ?? null
+            },
+            status: row.status,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            restoredBy: row.restored_by,
+            restoredAt: row.restored_at
+        };
+    }
+}
+
+/**
+ * Score one copy: file quality averaged over its tracks, and completeness,
+ * the share of the tracks its numbering and track count call for that are there
+ */
+function scoreAlbum(album, tracks) {
+    const fileScores = tracks.map(track => fileScore(trackFormat(track), track.bitrate));
+    const format = primaryFormat(tracks) || QUALITY_FORMATS[String(album.quality || '').toLowerCase()] || null;
+    const qualityScore = fileScores.length > 0
+        ? fileScores.reduce((sum, score) => sum + score, 0) / fileScores.length
+        : fileScore(format, null);
+
+    // Highest track number per disc; a gap in the numbering is a missing track
+    const discs = new Map();
+    const present = new Set();
+    for (const track of tracks) {
+        const disc = track.disc_number || 1;
+        if (Number.isInteger(track.track_number) && track.track_number > 0) {
+            discs.set(disc, Math.max(discs.get(disc) || 0, track.track_number));
+            present.add(`${disc}-${track.track_number}`);
+        } else {
+            present.add(`track-${present.size}`);
+        }
+    }
+    const numbered = [...discs.values()].reduce((sum, last) => sum + last, 0);
+    const expectedTracks = Math.max(album.track_count || 0, numbered, tracks.length);
+    const completeness = expectedTracks > 0 ? present.size / expectedTracks : 0;
+
+    const trackSize = tracks.reduce((sum, track) => sum + (track.file_size || 0), 0);
+    const bitrates = tracks.map(track => kbps(track.bitrate)).filter(Boolean);
+
+    return {
+        id: album.id,
+        artist: album.artist,
+        title: album.title,
+        year: album.year,
+        path: album.path,
+        quality: album.quality,
+        musicbrainz_id: album.musicbrainz_id || null,
+        format,
+        avg_bitrate: bitrates.length > 0 ? Math.round(bitrates.reduce((sum, rate) => sum + rate, 0) / bitrates.length) : null,
+        track_count: tracks.length,
+        expected_tracks: expectedTracks,
+        completeness: round(completeness),
+        quality_score: Math.round(qualityScore),
+        score: Math.round(qualityScore * SCORE_WEIGHTS.quality + completeness * 100 * SCORE_WEIGHTS.completeness),
+        size_bytes: album.size_bytes || trackSize || null
+    };
+}
+
+/**
+ * Rank the copies of a group and rate how sure the match is: the same
+ * MusicBrainz release is certain, otherwise matching years and track counts
+ * add to the name match
+ */
+function scoreGroup(key, albums) {
+    const ranked = [...albums].sort((a, b) =>
+        b.score - a.score ||
+        b.completeness - a.completeness ||
+        (b.size_bytes || 0) - (a.size_bytes || 0) ||
+        a.id - b.id
+    );
+    const [best] = ranked;
+
+    const allSame = values => values.every(value => value !== null && value !== undefined && value === values[0]);
+    let confidence = 0.7;
+    if (allSame(ranked.map(album => album.musicbrainz_id))) {
+        confidence = 1;
+    } else {
+        if (allSame(ranked.map(album => album.year))) {confidence += 0.1;}
+        if (allSame(ranked.map(album => album.expected_tracks))) {confidence += 0.2;}
+    }
+
+    return {
+        id: crypto.createHash('sha1').update(key).digest('hex').slice(0, 16),
+        artist: best.artist,
+        title: best.title,
+        album_count: ranked.length,
+        confidence: round(confidence),
+        recommended_keep: best.id,
+        potential_savings_bytes: ranked.slice(1).reduce((sum, album) => sum + (album.size_bytes || 0), 0),
+        albums: ranked.map(album => ({ ...album, recommended: album.id === best.id }))
+    };
+}
+
+// Weighted as in calculate_quality_score: format 70%, bitrate 30%
+function fileScore(format, bitrate) {
+    const formatScore = FORMAT_QUALITY[format] ?? DEFAULT_FORMAT_QUALITY;
+    const rate = kbps(bitrate);
+    let bitrateScore = DEFAULT_BITRATE_QUALITY;
+    if (rate) {
+        const match = BITRATE_QUALITY.find(([threshold]) => rate >= threshold);
+        bitrateScore = match ? match[1] : BITRATE_QUALITY[BITRATE_QUALITY.length - 1][1];
+    }
+    return (formatScore * 70 + bitrateScore * 30) / 100;
+}
+
+// Bitrates are stored in kbps by ordr.fm.sh and in bits per second by some taggers
+function kbps(bitrate) {
+    if (!bitrate || bitrate <= 0) {return null;}
+    return bitrate > 10000 ? Math.round(bitrate / 1000) : bitrate;
+}
+
+function trackFormat(track) {
+    const format = track.file_format || path.extname(track.path || '').slice(1);
+    return format ? format.toLowerCase() : null;
+}
+
+function primaryFormat(tracks) {
+    const counts = new Map();
+    for (const track of tracks) {
+        const format = trackFormat(track);
+        if (format) {
+            counts.set(format, (counts.get(format) || 0) + 1);
+        }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// As generate_audio_fingerprint: lower case, letters and digits only
+function normalize(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// First column of each role the table has
+async function findColumns(table, roles) {
+    const columns = await databaseService.query(`PRAGMA table_info(${table})`, [], false);
+    const names = new Set(columns.map(column => column.name));
+    const found = {};
+    for (const [role, candidates] of Object.entries(roles)) {
+        found[role] = candidates.find(name => names.has(name)) || null;
+    }
+    return found;
+}
+
+function duplicateError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new DuplicateService();
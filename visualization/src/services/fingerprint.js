@@ -0,0 +1,514 @@
+// Fingerprint service - acoustic fingerprints per track and clusters of tracks with the same audio
+const { spawn } = require('child_process');
+const databaseService = require('./database');
+const { FPCALC_PATH, FFMPEG_PATH } = require('../config');
+
+// Seconds of audio fingerprinted from the start of each track (fpcalc's default)
+const FINGERPRINT_LENGTH = 120;
+
+// Fingerprint columns added to the tracks table
+const FINGERPRINT_COLUMNS = [
+    ['fingerprint', 'TEXT'],
+    ['fingerprint_duration', 'REAL'],
+    ['fingerprint_error', 'TEXT'],
+    ['fingerprinted_at', 'TEXT'],
+    ['fingerprint_cluster', 'INTEGER'],
+    ['fingerprint_similarity', 'REAL']
+];
+
+// Track and album columns differ between the schema ordr.fm.sh writes and the dashboard's
+const TRACK_COLUMNS = {
+    title: ['track_title', 'title'],
+    artist: ['track_artist', 'artist'],
+    duration: ['duration']
+};
+const ALBUM_COLUMNS = {
+    artist: ['album_artist', 'artist'],
+    title: ['album_title', 'album']
+};
+
+// Chromaprint emits about eight items per second. Tracks are compared on
+// their first 256 items (~32 s), shifted up to 20 items (~2.5 s) against each
+// other to allow for different leading silence, over at least 48 items
+const COMPARE_ITEMS = 256;
+const MAX_OFFSET = 20;
+const MIN_OVERLAP = 48;
+
+// Unrelated audio differs in about half of the bits; re-encodes of the same
+// recording stay well under 20%
+const SIMILARITY_THRESHOLD = 0.8;
+
+// Candidate pairs share this many index terms (the top 20 bits of an item)
+// from the compared items, and have durations this many seconds apart at most
+const TERM_SHIFT = 12;
+const MIN_SHARED_TERMS = 8;
+const DURATION_TOLERANCE = 5;
+
+// Terms in this many tracks (silence, mostly) say nothing about a match
+const MAX_TERM_TRACKS = 200;
+
+/**
+ * Computes a Chromaprint fingerprint for every track with fpcalc, or with
+ * ffmpeg's chromaprint muxer when fpcalc is not installed, and keeps the raw
+ * fingerprint in the tracks table.
+ *
+ * Tracks in different albums whose fingerprints match are clustered, and
+ * each track's cluster is stored with it, so the same recording under two
+ * spellings, or a track tagged into the wrong album, can be listed without
+ * comparing the library again.
+ */
+class FingerprintService {
+    constructor() {
+        this.fpcalcPath = FPCALC_PATH;
+        this.ffmpegPath = FFMPEG_PATH;
+        // Tool found by the first fingerprint ('fpcalc' or 'ffmpeg')
+        this.backend = null;
+        // Columns found by initialize(), by role
+        this.trackColumns = {};
+        this.albumColumns = {};
+    }
+
+    /**
+     * Add the fingerprint columns to the tracks table
+     */
+    async initialize() {
+        const columns = await databaseService.query('PRAGMA table_info(tracks)', [], false);
+        if (columns.length === 0) {return;}
+
+        const existing = new Set(columns.map(column => column.name));
+        for (const [name, type] of FINGERPRINT_COLUMNS) {
+            if (!existing.has(name)) {
+                await databaseService.run(`ALTER TABLE tracks ADD COLUMN ${name} ${type}`);
+            }
+        }
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_tracks_fingerprint_cluster ON tracks(fingerprint_cluster)');
+
+        this.trackColumns = await findColumns('tracks', TRACK_COLUMNS);
+        this.albumColumns = await findColumns('albums', ALBUM_COLUMNS);
+    }
+
+    /**
+     * Tracks still to fingerprint
+     * @param {Object} options - { albumIds, refresh: fingerprint again tracks done or failed before }
+     * @returns {Promise<number[]>} Track IDs
+     */
+    async selectTracks(options = {}) {
+        const { albumIds = null, refresh = false } = options;
+        const conditions = [];
+        const params = [];
+
+        if (!refresh) {
+            conditions.push('fingerprint IS NULL AND fingerprint_error IS NULL');
+        }
+        if (albumIds) {
+            conditions.push(`album_id IN (${albumIds.map(() => '?').join(', ')})`);
+            params.push(...albumIds);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await databaseService.query(`SELECT id FROM tracks ${where} ORDER BY album_id, id`, params, false);
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Fingerprint one track and store the result. A file that cannot be
+     * decoded is recorded as failed so it is not picked again.
+     * @param {number} trackId - Track ID
+     * @returns {Promise<Object|null>} { trackId, items, duration }, or null if there is no such track
+     */
+    async fingerprintTrack(trackId) {
+        const durationColumn = this.trackColumns.duration;
+        const track = await databaseService.queryOne(
+            `SELECT id, path${durationColumn ? `, ${durationColumn} AS duration` : ''} FROM tracks WHERE id = ?`,
+            [trackId]
+        );
+        if (!track) {return null;}
+
+        let result;
+        try {
+            result = await this.fingerprintFile(track.path);
+        } catch (error) {
+            if (error.code === 'DECODE_FAILED') {
+                await databaseService.run(
+                    'UPDATE tracks SET fingerprint = NULL, fingerprint_error = ?, fingerprinted_at = ? WHERE id = ?',
+                    [error.message.slice(0, 500), new Date().toISOString(), trackId]
+                );
+            }
+            throw error;
+        }
+
+        const duration = result.duration ?? track.duration ?? null;
+        await databaseService.run(
+            'UPDATE tracks SET fingerprint = ?, fingerprint_duration = ?, fingerprint_error = NULL, fingerprinted_at = ? WHERE id = ?',
+            [encodeFingerprint(result.fingerprint), duration, new Date().toISOString(), trackId]
+        );
+
+        return { trackId, items: result.fingerprint.length, duration };
+    }
+
+    /**
+     * Compute the raw fingerprint of an audio file
+     * @param {string} filePath - Absolute path to the audio file
+     * @returns {Promise<{fingerprint: number[], duration: number|null}>}
+     */
+    async fingerprintFile(filePath) {
+        const backend = await this._detectBackend();
+
+        if (backend === 'fpcalc') {
+            const output = await this._run(this.fpcalcPath, [
+                '-raw', '-json', '-length', String(FINGERPRINT_LENGTH), filePath
+            ]);
+            const parsed = JSON.parse(output.toString());
+            return {
+                fingerprint: parsed.fingerprint.map(item => item >>> 0),
+                duration: parsed.duration ?? null
+            };
+        }
+
+        // The raw format is the fingerprint's 32-bit items, little-endian
+        const output = await this._run(this.ffmpegPath, [
+            '-v', 'error',
+            '-i', filePath,
+            '-vn',
+            '-t', String(FINGERPRINT_LENGTH),
+            '-f', 'chromaprint',
+            '-fp_format', 'raw',
+            '-'
+        ]);
+        return { fingerprint: [...decodeItems(output)], duration: null };
+    }
+
+    /**
+     * Compare every fingerprinted track and store the clusters of tracks in
+     * different albums with the same audio
+     * @returns {Promise<{tracks: number, clusters: number, clusteredTracks: number}>}
+     */
+    async updateClusters() {
+        const rows = await databaseService.query(
+            'SELECT id, album_id, fingerprint, fingerprint_duration FROM tracks WHERE fingerprint IS NOT NULL',
+            [], false
+        );
+        const tracks = rows.map(row => ({
+            id: row.id,
+            albumId: row.album_id,
+            duration: row.fingerprint_duration,
+            items: decodeFingerprint(row.fingerprint).subarray(0, COMPARE_ITEMS)
+        }));
+
+        const clusters = clusterTracks(tracks);
+
+        const queries = [{
+            sql: 'UPDATE tracks SET fingerprint_cluster = NULL, fingerprint_similarity = NULL WHERE fingerprint_cluster IS NOT NULL',
+            params: []
+        }];
+        for (const cluster of clusters) {
+            for (const member of cluster.members) {
+                queries.push({
+                    sql: 'UPDATE tracks SET fingerprint_cluster = ?, fingerprint_similarity = ? WHERE id = ?',
+                    params: [cluster.id, member.similarity, member.id]
+                });
+            }
+        }
+        await databaseService.transaction(queries);
+
+        return {
+            tracks: tracks.length,
+            clusters: clusters.length,
+            clusteredTracks: queries.length - 1
+        };
+    }
+
+    /**
+     * Stored clusters of tracks with the same audio in different albums
+     * @param {Object} options - { differentMetadata: only clusters whose titles or artists differ, limit, offset }
+     * @returns {Promise<{overview: Object, clusters: Array, total: number}>}
+     */
+    async getClusters(options = {}) {
+        const { differentMetadata = false, limit = 50, offset = 0 } = options;
+        const { title, artist, duration } = this.trackColumns;
+        const album = this.albumColumns;
+
+        const rows = await databaseService.query(`
+            SELECT t.id, t.album_id, t.path, t.fingerprint_cluster, t.fingerprint_similarity,
+                ${title ? `t.${title}` : 'NULL'} AS title,
+                ${artist ? `t.${artist}` : 'NULL'} AS artist,
+                ${duration ? `t.${duration}` : 't.fingerprint_duration'} AS duration,
+                ${album.title ? `a.${album.title}` : 'NULL'} AS album_title,
+                ${album.artist ? `a.${album.artist}` : 'NULL'} AS album_artist
+            FROM tracks t
+            JOIN albums a ON a.id = t.album_id
+            WHERE t.fingerprint_cluster IS NOT NULL
+            ORDER BY t.fingerprint_cluster, t.album_id, t.id
+        `);
+
+        const byCluster = new Map();
+        for (const row of rows) {
+            if (!byCluster.has(row.fingerprint_cluster)) {
+                byCluster.set(row.fingerprint_cluster, []);
+            }
+            byCluster.get(row.fingerprint_cluster).push({
+                id: row.id,
+                album_id: row.album_id,
+                title: row.title,
+                artist: row.artist || row.album_artist,
+                album_title: row.album_title,
+                album_artist: row.album_artist,
+                duration: row.duration,
+                path: row.path,
+                similarity: row.fingerprint_similarity
+            });
+        }
+
+        const clusters = [];
+        for (const [id, members] of byCluster) {
+            // Albums removed since the clusters were stored leave single tracks behind
+            const albumCount = new Set(members.map(member => member.album_id)).size;
+            if (albumCount < 2) {continue;}
+
+            const differences = ['title', 'artist']
+                .filter(field => new Set(members.map(member => normalize(member[field]))).size > 1);
+            if (differentMetadata && differences.length === 0) {continue;}
+
+            clusters.push({
+                id,
+                track_count: members.length,
+                album_count: albumCount,
+                similarity: Math.min(...members.map(member => member.similarity)),
+                metadata_differs: differences.length > 0,
+                differences,
+                tracks: members
+            });
+        }
+        clusters.sort((a, b) =>
+            Number(b.metadata_differs) - Number(a.metadata_differs) || b.track_count - a.track_count || a.id - b.id);
+
+        const counts = await databaseService.queryOne(`
+            SELECT COUNT(*) AS total,
+                SUM(CASE WHEN fingerprint IS NOT NULL THEN 1 ELSE 0 END) AS fingerprinted,
+                SUM(CASE WHEN fingerprint_error IS NOT NULL THEN 1 ELSE 0 END) AS failed
+            FROM tracks
+        `);
+
+        return {
+            overview: {
+                total_tracks: counts.total,
+                fingerprinted_tracks: counts.fingerprinted || 0,
+                failed_tracks: counts.failed || 0,
+                clusters: clusters.length,
+                clusters_with_different_metadata: clusters.filter(cluster => cluster.metadata_differs).length
+            },
+            clusters: clusters.slice(offset, offset + limit),
+            total: clusters.length
+        };
+    }
+
+    /**
+     * Find the fingerprinting tool, preferring fpcalc
+     * @private
+     */
+    async _detectBackend() {
+        if (this.backend) {return this.backend;}
+
+        try {
+            await this._run(this.fpcalcPath, ['-version']);
+            this.backend = 'fpcalc';
+            return this.backend;
+        } catch (error) {
+            if (error.code !== 'FINGERPRINTER_UNAVAILABLE') {throw error;}
+        }
+
+        // ffmpeg only has the chromaprint muxer when built with --enable-chromaprint
+        let muxers = '';
+        try {
+            muxers = (await this._run(this.ffmpegPath, ['-hide_banner', '-muxers'])).toString();
+        } catch (error) {
+            if (error.code !== 'FINGERPRINTER_UNAVAILABLE') {throw error;}
+        }
+        if (!/\schromaprint\s/.test(muxers)) {
+            throw fingerprintError('FINGERPRINTER_UNAVAILABLE',
+                `No fingerprinting tool found: install fpcalc (${this.fpcalcPath}) or an ffmpeg built with chromaprint (${this.ffmpegPath})`);
+        }
+
+        this.backend = 'ffmpeg';
+        return this.backend;
+    }
+
+    /**
+     * Run a tool and collect its output
+     * @private
+     */
+    _run(command, args) {
+        return new Promise((resolve, reject) => {
+            const stdout = [];
+            const stderr = [];
+
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            child.stdout.on('data', (chunk) => stdout.push(chunk));
+            child.stderr.on('data', (chunk) => stderr.push(chunk));
+
+            child.on('error', (error) => {
+                if (error.code === 'ENOENT') {
+                    return reject(fingerprintError('FINGERPRINTER_UNAVAILABLE', `Fingerprinting tool not found: ${command}`));
+                }
+                reject(error);
+            });
+
+            child.on('close', (code) => {
+                if (code !== 0) {
+                    const message = Buffer.concat(stderr).toString().trim();
+                    return reject(fingerprintError('DECODE_FAILED', `Fingerprinting failed (exit ${code}): ${message}`));
+                }
+                resolve(Buffer.concat(stdout));
+            });
+        });
+    }
+}
+
+/**
+ * Cluster tracks of different albums whose fingerprints match
+ * @param {Array<{id: number, albumId: number, duration: number|null, items: Uint32Array}>} tracks
+ * @returns {Array<{id: number, members: Array<{id: number, similarity: number}>}>} Clusters, identified by their lowest track ID
+ */
+function clusterTracks(tracks) {
+    // Inverted index of terms to the tracks that have them
+    const index = new Map();
+    tracks.forEach((track, position) => {
+        for (const term of new Set(Array.from(track.items, item => item >>> TERM_SHIFT))) {
+            if (!index.has(term)) {
+                index.set(term, []);
+            }
+            index.get(term).push(position);
+        }
+    });
+
+    const parents = tracks.map((_track, position) => position);
+    const find = (position) => {
+        while (parents[position] !== position) {
+            parents[position] = parents[parents[position]];
+            position = parents[position];
+        }
+        return position;
+    };
+
+    // Best similarity of each track to another track in its cluster
+    const best = new Map();
+
+    tracks.forEach((track, position) => {
+        const shared = new Map();
+        for (const term of new Set(Array.from(track.items, item => item >>> TERM_SHIFT))) {
+            const postings = index.get(term);
+            if (postings.length > MAX_TERM_TRACKS) {continue;}
+            for (const other of postings) {
+                if (other > position) {
+                    shared.set(other, (shared.get(other) || 0) + 1);
+                }
+            }
+        }
+
+        for (const [other, count] of shared) {
+            const candidate = tracks[other];
+            if (count < MIN_SHARED_TERMS || candidate.albumId === track.albumId) {continue;}
+            if (track.duration && candidate.duration && Math.abs(track.duration - candidate.duration) > DURATION_TOLERANCE) {continue;}
+
+            const similarity = compareFingerprints(track.items, candidate.items);
+            if (similarity < SIMILARITY_THRESHOLD) {continue;}
+
+            parents[find(other)] = find(position);
+            for (const member of [position, other]) {
+                best.set(member, Math.max(best.get(member) || 0, similarity));
+            }
+        }
+    });
+
+    const clusters = new Map();
+    for (const position of best.keys()) {
+        const root = find(position);
+        if (!clusters.has(root)) {
+            clusters.set(root, []);
+        }
+        clusters.get(root).push({ id: tracks[position].id, similarity: best.get(position) });
+    }
+
+    return [...clusters.values()].map(members => ({
+        id: Math.min(...members.map(member => member.id)),
+        members
+    }));
+}
+
+/**
+ * Similarity of two raw fingerprints: the share of equal bits at the best
+ * alignment of the two
+ * @param {Uint32Array|number[]} a
+ * @param {Uint32Array|number[]} b
+ * @returns {number} 0 to 1; unrelated audio scores about 0.5
+ */
+function compareFingerprints(a, b) {
+    let bestSimilarity = 0;
+
+    for (let offset = -MAX_OFFSET; offset <= MAX_OFFSET; offset++) {
+        const start = Math.max(0, -offset);
+        const end = Math.min(a.length, b.length - offset);
+        const overlap = end - start;
+        if (overlap < MIN_OVERLAP) {continue;}
+
+        let differentBits = 0;
+        for (let i = start; i < end; i++) {
+            differentBits += bitCount((a[i] ^ b[i + offset]) >>> 0);
+        }
+
+        bestSimilarity = Math.max(bestSimilarity, 1 - differentBits / (overlap * 32));
+    }
+
+    return Math.round(bestSimilarity * 1000) / 1000;
+}
+
+function bitCount(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return Math.imul((value + (value >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+}
+
+// Fingerprints are stored as their items, little-endian, in base64
+function encodeFingerprint(items) {
+    const buffer = Buffer.alloc(items.length * 4);
+    items.forEach((item, i) => buffer.writeUInt32LE(item >>> 0, i * 4));
+    return buffer.toString('base64');
+}
+
+function decodeFingerprint(value) {
+    return decodeItems(Buffer.from(value, 'base64'));
+}
+
+function decodeItems(buffer) {
+    const items = new Uint32Array(Math.floor(buffer.length / 4));
+    for (let i = 0; i < items.length; i++) {
+        items[i] = buffer.readUInt32LE(i * 4);
+    }
+    return items;
+}
+
+function normalize(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function fingerprintError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// First column of each role the table has
+async function findColumns(table, roles) {
+    const columns = await databaseService.query(`PRAGMA table_info(${table})`, [], false);
+    const names = new Set(columns.map(column => column.name));
+    const found = {};
+    for (const [role, candidates] of Object.entries(roles)) {
+        found[role] = candidates.find(name => names.has(name)) || null;
+    }
+    return found;
+}
+
+// Export singleton instance
+const fingerprintService = new FingerprintService();
+module.exports = fingerprintService;
@@ -0,0 +1,496 @@
+// Persistent job store - SQLite-backed job records and log rows
+const EventEmitter = require('events');
+const databaseService = require('./database');
+const { JOB_RETENTION_DAYS } = require('../config');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// Columns stored directly; every other job field lives in the JSON data column
+const COLUMN_FIELDS = ['status', 'progress', 'error', 'exitCode'];
+
+/**
+ * Stores jobs and their logs in the metadata database so job state, logs and
+ * exit status survive server restarts. Active jobs are mirrored in memory to
+ * keep frequent progress updates cheap; finished jobs are read from SQLite.
+ *
+ * Emits:
+ *  - 'jobUpdate' (job, isCompleted) whenever a job changes
+ *  - 'jobLog' (jobId, logEntry) whenever a log row is appended
+ *  - 'jobEvent' (jobId, event) whenever a typed progress event is appended
+ */
+class JobStore extends EventEmitter {
+    constructor() {
+        super();
+        this.activeJobs = new Map();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Create tables and mark jobs orphaned by a previous shutdown as interrupted
+     * @returns {Promise<number>} Number of jobs marked as interrupted
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                status TEXT NOT NULL,
+                progress INTEGER DEFAULT 0,
+                data TEXT,
+                error TEXT,
+                exit_code INTEGER,
+                started_at TEXT NOT NULL,
+                updated_at TEXT,
+                ended_at TEXT
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS job_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                level TEXT NOT NULL,
+                message TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS job_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                data TEXT,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_jobs_started ON jobs(started_at)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_job_logs_job ON job_logs(job_id, id)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, type, id)');
+
+        const interrupted = await this._markOrphanedJobs();
+        this.isInitialized = true;
+        return interrupted;
+    }
+
+    /**
+     * Create and persist a new job
+     * @param {string} type - Job type (e.g. 'process', 'enhance_metadata', 'backup')
+     * @param {Object} data - Job-specific fields
+     * @returns {Promise<Object>} Created job
+     */
+    async createJob(type, data = {}) {
+        const now = new Date().toISOString();
+        const status = data.status || 'starting';
+        const fields = { ...data };
+        delete fields.status;
+
+        const result = await databaseService.run(`
+            INSERT INTO jobs (type, status, progress, data, started_at, updated_at)
+            VALUES (?, ?, 0, ?, ?, ?)
+        `, [type, status, JSON.stringify(fields), now, now]);
+
+        const job = {
+            id: result.lastID,
+            type,
+            status,
+            progress: 0,
+            startTime: now,
+            endTime: null,
+            duration: null,
+            error: null,
+            exitCode: null,
+            ...fields
+        };
+
+        this.activeJobs.set(job.id, job);
+        this.emit('jobUpdate', job, false);
+        return job;
+    }
+
+    /**
+     * Apply changes to an active job and persist them
+     * @param {number} jobId - Job ID
+     * @param {Object} changes - Fields to merge into the job
+     * @returns {Promise<Object|null>} Updated job or null if not active
+     */
+    async updateJob(jobId, changes = {}) {
+        const job = this.activeJobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, changes);
+        await this._persist(job);
+
+        this.emit('jobUpdate', job, false);
+        return job;
+    }
+
+    /**
+     * Finish a job with a terminal status
+     * @param {number} jobId - Job ID
+     * @param {string} status - 'completed', 'failed', 'cancelled' or 'interrupted'
+     * @param {Object} changes - Final fields to merge into the job
+     * @returns {Promise<Object|null>} Finished job or null if not active
+     */
+    async completeJob(jobId, status = 'completed', changes = {}) {
+        const job = this.activeJobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        const endTime = new Date().toISOString();
+        Object.assign(job, changes, {
+            status,
+            endTime,
+            duration: Date.parse(endTime) - Date.parse(job.startTime)
+        });
+
+        if (status === 'completed') {
+            job.progress = 100;
+        }
+
+        await this._persist(job, endTime);
+        this.activeJobs.delete(jobId);
+
+        this.emit('jobUpdate', job, true);
+        return job;
+    }
+
+    /**
+     * Append a log row to a job
+     * @param {number} jobId - Job ID
+     * @param {string} level - Log level ('info', 'warn', 'error')
+     * @param {string} message - Log message
+     * @returns {Promise<Object>} Stored log entry
+     */
+    async appendLog(jobId, level, message) {
+        const entry = {
+            level,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        const result = await databaseService.run(`
+            INSERT INTO job_logs (job_id, level, message, created_at)
+            VALUES (?, ?, ?, ?)
+        `, [jobId, level, message, entry.timestamp]);
+
+        entry.id = result.lastID;
+        this.emit('jobLog', jobId, entry);
+        return entry;
+    }
+
+    /**
+     * Append a typed progress event to a job
+     * @param {number} jobId - Job ID
+     * @param {string} type - Event type (e.g. 'album_started', 'album_finished')
+     * @param {Object} data - Event payload
+     * @returns {Promise<Object>} Stored event
+     */
+    async appendEvent(jobId, type, data = {}) {
+        const event = {
+            type,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        const result = await databaseService.run(`
+            INSERT INTO job_events (job_id, type, data, created_at)
+            VALUES (?, ?, ?, ?)
+        `, [jobId, type, JSON.stringify(data), event.timestamp]);
+
+        event.id = result.lastID;
+        this.emit('jobEvent', jobId, event);
+        return event;
+    }
+
+    /**
+     * Get progress events for a job
+     * @param {number} jobId - Job ID
+     * @param {Object} options - { limit, after, types } where after is an event ID cursor
+     * @returns {Promise<Array>} Events in chronological order
+     */
+    async getEvents(jobId, options = {}) {
+        const { limit = 500, after = 0, types = [] } = options;
+        const conditions = ['job_id = ?', 'id > ?'];
+        const params = [jobId, after];
+
+        if (types.length > 0) {
+            conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+
+        const rows = await databaseService.query(`
+            SELECT id, type, data, created_at
+            FROM job_events
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id ASC
+            LIMIT ?
+        `, [...params, limit], false);
+
+        return rows.map(row => ({
+            id: row.id,
+            type: row.type,
+            data: row.data ? JSON.parse(row.data) : {},
+            timestamp: row.created_at
+        }));
+    }
+
+    /**
+     * Get a job by ID
+     * @param {number} jobId - Job ID
+     * @param {Object} options - { logLimit } number of most recent log rows to include (0 for none)
+     * @returns {Promise<Object|null>} Job or null
+     */
+    async getJob(jobId, options = {}) {
+        const { logLimit = 0 } = options;
+        let job = this.activeJobs.get(jobId);
+
+        if (!job) {
+            const row = await databaseService.queryOne('SELECT * FROM jobs WHERE id = ?', [jobId], false);
+            if (!row) {
+                return null;
+            }
+            job = this._fromRow(row);
+        }
+
+        if (logLimit > 0) {
+            const logs = await this.getLogs(jobId, { limit: logLimit, tail: true });
+            return { ...job, logs };
+        }
+
+        return job;
+    }
+
+    /**
+     * Get log rows for a job
+     * @param {number} jobId - Job ID
+     * @param {Object} options - { limit, after, tail } where after is a log ID cursor
+     *                           and tail returns the most recent rows instead of the oldest
+     * @returns {Promise<Array>} Log entries in chronological order
+     */
+    async getLogs(jobId, options = {}) {
+        const { limit = 500, after = 0, tail = false } = options;
+
+        const rows = await databaseService.query(`
+            SELECT id, level, message, created_at
+            FROM job_logs
+            WHERE job_id = ? AND id > ?
+            ORDER BY id ${tail ? 'DESC' : 'ASC'}
+            LIMIT ?
+        `, [jobId, after, limit], false);
+
+        if (tail) {
+            rows.reverse();
+        }
+
+        return rows.map(row => ({
+            id: row.id,
+            level: row.level,
+            message: row.message,
+            timestamp: row.created_at
+        }));
+    }
+
+    /**
+     * Get all active jobs
+     * @param {string|null} type - Optional job type filter
+     * @returns {Array} Active jobs
+     */
+    getActiveJobs(type = null) {
+        const jobs = Array.from(this.activeJobs.values());
+        return type ? jobs.filter(job => job.type === type) : jobs;
+    }
+
+    /**
+     * Get finished jobs, most recent first
+     * @param {Object} options - { limit, offset, type }
+     * @returns {Promise<{jobs: Array, total: number}>}
+     */
+    async getJobHistory(options = {}) {
+        const { limit = 50, offset = 0, type = null } = options;
+        const placeholders = TERMINAL_STATUSES.map(() => '?').join(', ');
+        const conditions = [`status IN (${placeholders})`];
+        const params = [...TERMINAL_STATUSES];
+
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const rows = await databaseService.query(`
+            SELECT * FROM jobs
+            ${whereClause}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset], false);
+
+        const totalResult = await databaseService.queryOne(
+            `SELECT COUNT(*) as total FROM jobs ${whereClause}`,
+            params,
+            false
+        );
+
+        return {
+            jobs: rows.map(row => this._fromRow(row)),
+            total: totalResult?.total || 0
+        };
+    }
+
+    /**
+     * Get job statistics over the recent history
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        const rows = await databaseService.query(`
+            SELECT status, COUNT(*) as count,
+                   AVG((julianday(ended_at) - julianday(started_at)) * 86400000) as avg_duration
+            FROM jobs
+            WHERE ended_at IS NOT NULL
+            GROUP BY status
+        `, [], false);
+
+        const byStatus = rows.reduce((acc, row) => {
+            acc[row.status] = row;
+            return acc;
+        }, {});
+
+        const completed = byStatus.completed?.count || 0;
+        const finished = rows.reduce((sum, row) => sum + row.count, 0);
+
+        return {
+            activeJobs: this.activeJobs.size,
+            totalCompleted: completed,
+            totalFailed: byStatus.failed?.count || 0,
+            totalInterrupted: byStatus.interrupted?.count || 0,
+            averageDuration: Math.round(byStatus.completed?.avg_duration || 0),
+            successRate: finished > 0 ? Math.round((completed / finished) * 100) : 0
+        };
+    }
+
+    /**
+     * Delete finished jobs, their logs and events older than the retention period
+     * @param {number} retentionDays - Days of history to keep
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async cleanupOldJobs(retentionDays = JOB_RETENTION_DAYS) {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        for (const table of ['job_logs', 'job_events']) {
+            await databaseService.run(`
+                DELETE FROM ${table}
+                WHERE job_id IN (SELECT id FROM jobs WHERE ended_at IS NOT NULL AND ended_at < ?)
+            `, [cutoff]);
+        }
+
+        const result = await databaseService.run(
+            'DELETE FROM jobs WHERE ended_at IS NOT NULL AND ended_at < ?',
+            [cutoff]
+        );
+
+        return result.changes;
+    }
+
+    /**
+     * Whether a status is terminal
+     * @param {string} status - Job status
+     * @returns {boolean}
+     */
+    isTerminal(status) {
+        return TERMINAL_STATUSES.includes(status);
+    }
+
+    /**
+     * Mark jobs left running by a previous server process as interrupted
+     * @private
+     */
+    async _markOrphanedJobs() {
+        const placeholders = TERMINAL_STATUSES.map(() => '?').join(', ');
+        const orphaned = await databaseService.query(
+            `SELECT id FROM jobs WHERE status NOT IN (${placeholders})`,
+            TERMINAL_STATUSES,
+            false
+        );
+
+        const now = new Date().toISOString();
+        for (const { id } of orphaned) {
+            await databaseService.run(`
+                UPDATE jobs
+                SET status = 'interrupted', error = ?, ended_at = ?, updated_at = ?
+                WHERE id = ?
+            `, ['Server stopped while job was running', now, now, id]);
+
+            await this.appendLog(id, 'error', 'Job interrupted: server stopped while job was running');
+        }
+
+        if (orphaned.length > 0) {
+            console.warn(`⚠️ Marked ${orphaned.length} orphaned job(s) as interrupted`);
+        }
+
+        return orphaned.length;
+    }
+
+    /**
+     * Write the in-memory job back to its row
+     * @private
+     */
+    async _persist(job, endTime = null) {
+        const data = {};
+        for (const [key, value] of Object.entries(job)) {
+            if (!COLUMN_FIELDS.includes(key) && !['id', 'type', 'startTime', 'endTime', 'duration'].includes(key)) {
+                data[key] = value;
+            }
+        }
+
+        await databaseService.run(`
+            UPDATE jobs
+            SET status = ?, progress = ?, data = ?, error = ?, exit_code = ?,
+                updated_at = ?, ended_at = COALESCE(?, ended_at)
+            WHERE id = ?
+        `, [
+            job.status,
+            job.progress || 0,
+            JSON.stringify(data),
+            job.error || null,
+            job.exitCode ?? null,
+            new Date().toISOString(),
+            endTime,
+            job.id
+        ]);
+    }
+
+    /**
+     * Convert a database row to the job object shape used by the API
+     * @private
+     */
+    _fromRow(row) {
+        let data = {};
+        try {
+            data = row.data ? JSON.parse(row.data) : {};
+        } catch (error) {
+            console.warn(`Job ${row.id} has unreadable data:`, error.message);
+        }
+
+        return {
+            ...data,
+            id: row.id,
+            type: row.type,
+            status: row.status,
+            progress: row.progress,
+            startTime: row.started_at,
+            endTime: row.ended_at,
+            duration: row.ended_at ? Date.parse(row.ended_at) - Date.parse(row.started_at) : null,
+            error: row.error,
+            exitCode: row.exit_code
+        };
+    }
+}
+
+// Export singleton instance
+const jobStore = new JobStore();
+module.exports = jobStore;
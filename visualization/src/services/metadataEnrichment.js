@@ -0,0 +1,341 @@
+// Metadata enrichment service - matches albums against external providers and queues uncertain matches for review
+const databaseService = require('./database');
+const metadataHistoryService = require('./metadataHistory');
+const MusicBrainzClient = require('../../../server/lib/musicbrainz');
+const { ENHANCEMENT_AUTO_APPLY_THRESHOLD, MUSICBRAINZ_CACHE_DIR } = require('../config');
+
+// Album columns a provider may fill in
+const ENRICHABLE_FIELDS = ['year', 'label', 'catalog_number', 'musicbrainz_id'];
+
+// applied: written automatically; approved/rejected: reviewed; pending: waiting for review
+const MATCH_STATUSES = ['applied', 'pending', 'approved', 'rejected', 'superseded', 'no_match'];
+
+/**
+ * Looks albums up with a metadata provider and records every result in
+ * metadata_matches with its confidence. Matches at or above the auto-apply
+ * threshold are written to the album immediately; lower-confidence matches
+ * stay 'pending' until someone approves or rejects them.
+ *
+ * A provider is an object with `match(album, tracks)` resolving to
+ * `{ releaseId, confidence, fields }` or null when nothing matched, and
+ * rejecting when the lookup itself failed. A failed lookup leaves the
+ * album's earlier matches as they are.
+ */
+class MetadataEnrichmentService {
+    constructor() {
+        this.providers = {
+            musicbrainz: createMusicBrainzProvider()
+        };
+    }
+
+    /**
+     * Create the match table and the album column for MusicBrainz release IDs
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS metadata_matches (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                album_id INTEGER NOT NULL,
+                job_id INTEGER,
+                provider TEXT NOT NULL,
+                release_id TEXT,
+                confidence REAL,
+                status TEXT NOT NULL,
+                changes TEXT,
+                created_at TEXT NOT NULL,
+                reviewed_at TEXT,
+                reviewed_by TEXT
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_metadata_matches_status ON metadata_matches(status)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_metadata_matches_album ON metadata_matches(album_id)');
+
+        const columns = await databaseService.query('PRAGMA table_info(albums)', [], false);
+        if (columns.length > 0 && !columns.some(column => column.name === 'musicbrainz_id')) {
+            await databaseService.run('ALTER TABLE albums ADD COLUMN musicbrainz_id TEXT');
+        }
+    }
+
+    /**
+     * Names of the available providers
+     * @returns {string[]}
+     */
+    getProviderNames() {
+        return Object.keys(this.providers);
+    }
+
+    /**
+     * Albums that have no release ID yet and no match waiting for or refused in review
+     * @param {number} limit - Maximum number of albums
+     * @returns {Promise<number[]>} Album IDs
+     */
+    async selectAlbums(limit) {
+        const rows = await databaseService.query(`
+            SELECT id FROM albums
+            WHERE (musicbrainz_id IS NULL OR musicbrainz_id = '')
+              AND id NOT IN (SELECT album_id FROM metadata_matches WHERE status IN ('pending', 'rejected'))
+            ORDER BY id
+            LIMIT ?
+        `, [limit], false);
+
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Look one album up and apply or queue the result
+     * @param {number} albumId - Album ID
+     * @param {Object} options - { provider, threshold, jobId }
+     * @returns {Promise<Object|null>} { matchId, status, confidence, releaseId, changes }, or null if the album does not exist
+     */
+    async enrichAlbum(albumId, options = {}) {
+        const { provider: providerName = 'musicbrainz', threshold = ENHANCEMENT_AUTO_APPLY_THRESHOLD, jobId = null } = options;
+        const provider = this.providers[providerName];
+        if (!provider) {
+            throw enrichmentError('UNKNOWN_PROVIDER', `Unknown provider ${providerName}`);
+        }
+
+        const album = await this._getAlbum(albumId);
+        if (!album) {
+            return null;
+        }
+
+        const match = await provider.match(album, await this._getTracks(albumId));
+        const changes = match ? diffFields(album, match.fields) : [];
+        let status = 'no_match';
+        if (match) {
+            status = match.confidence >= threshold ? 'applied' : 'pending';
+        }
+
+        // A new lookup replaces whatever was still waiting for review
+        await databaseService.run(
+            'UPDATE metadata_matches SET status = \'superseded\' WHERE album_id = ? AND status = \'pending\'',
+            [albumId]
+        );
+        const result = await databaseService.run(`
+            INSERT INTO metadata_matches (album_id, job_id, provider, release_id, confidence, status, changes, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            albumId,
+            jobId,
+            providerName,
+            match ? match.releaseId : null,
+            match ? match.confidence : null,
+            status,
+            JSON.stringify(changes),
+            new Date().toISOString()
+        ]);
+
+        if (status === 'applied') {
+            await this._applyChanges(albumId, changes, { source: providerName });
+        }
+
+        return {
+            matchId: result.lastID,
+            status,
+            confidence: match ? match.confidence : null,
+            releaseId: match ? match.releaseId : null,
+            changes
+        };
+    }
+
+    /**
+     * List matches, most recent first
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<{matches: Array, total: number}>}
+     */
+    async listMatches(options = {}) {
+        const { status = null, limit = 50, offset = 0 } = options;
+        if (status && !MATCH_STATUSES.includes(status)) {
+            throw enrichmentError('INVALID_STATUS', `status must be one of ${MATCH_STATUSES.join(', ')}`);
+        }
+
+        const whereClause = status ? 'WHERE m.status = ?' : '';
+        const statusParams = status ? [status] : [];
+
+        const rows = await databaseService.query(`
+            SELECT m.*, a.album_title, a.album_artist
+            FROM metadata_matches m
+            LEFT JOIN albums a ON a.id = m.album_id
+            ${whereClause}
+            ORDER BY m.id DESC
+            LIMIT ? OFFSET ?
+        `, [...statusParams, limit, offset], false);
+        const totalRow = await databaseService.queryOne(
+            `SELECT COUNT(*) as total FROM metadata_matches m ${whereClause}`,
+            statusParams,
+            false
+        );
+
+        return { matches: rows.map(row => this._fromRow(row)), total: totalRow.total };
+    }
+
+    /**
+     * Get one match
+     * @param {number} matchId - Match ID
+     * @returns {Promise<Object|null>} Match or null
+     */
+    async getMatch(matchId) {
+        const row = await databaseService.queryOne(`
+            SELECT m.*, a.album_title, a.album_artist
+            FROM metadata_matches m
+            LEFT JOIN albums a ON a.id = m.album_id
+            WHERE m.id = ?
+        `, [matchId], false);
+
+        return row ? this._fromRow(row) : null;
+    }
+
+    /**
+     * Apply a pending match to its album
+     * @param {number} matchId - Match ID
+     * @param {Object} options - { reviewer }
+     * @returns {Promise<Object|null>} Updated match, or null if it does not exist
+     */
+    async approveMatch(matchId, options = {}) {
+        const match = await this._getPendingMatch(matchId);
+        if (!match) {
+            return null;
+        }
+
+        await this._applyChanges(match.albumId, match.changes, { source: match.provider, user: options.reviewer });
+        return this._review(matchId, 'approved', options.reviewer);
+    }
+
+    /**
+     * Discard a pending match; the album is then skipped when albums are picked automatically
+     * @param {number} matchId - Match ID
+     * @param {Object} options - { reviewer }
+     * @returns {Promise<Object|null>} Updated match, or null if it does not exist
+     */
+    async rejectMatch(matchId, options = {}) {
+        const match = await this._getPendingMatch(matchId);
+        if (!match) {
+            return null;
+        }
+
+        return this._review(matchId, 'rejected', options.reviewer);
+    }
+
+    async _getPendingMatch(matchId) {
+        const match = await this.getMatch(matchId);
+        if (match && match.status !== 'pending') {
+            throw enrichmentError('INVALID_STATE', `Match is ${match.status} and cannot be reviewed`);
+        }
+        return match;
+    }
+
+    async _review(matchId, status, reviewer = null) {
+        await databaseService.run(
+            'UPDATE metadata_matches SET status = ?, reviewed_at = ?, reviewed_by = ? WHERE id = ?',
+            [status, new Date().toISOString(), reviewer, matchId]
+        );
+        return this.getMatch(matchId);
+    }
+
+    async _getAlbum(albumId) {
+        return databaseService.queryOne(`
+            SELECT id, album_title, album_artist, year, label, catalog_number, musicbrainz_id
+            FROM albums
+            WHERE id = ?
+        `, [albumId], false);
+    }
+
+    // Tracks in disc and track order, for providers that compare track lists
+    async _getTracks(albumId) {
+        let tracks;
+        try {
+            tracks = await databaseService.query('SELECT * FROM tracks WHERE album_id = ?', [albumId], false);
+        } catch {
+            // Without a tracks table albums are matched on their own fields
+            return [];
+        }
+
+        return tracks.sort((a, b) =>
+            ((a.disc_number || 1) - (b.disc_number || 1)) || ((a.track_number || 0) - (b.track_number || 0)));
+    }
+
+    // Written through the metadata history so enrichments can be reverted field by field
+    async _applyChanges(albumId, changes, options) {
+        if (changes.length === 0) {
+            return;
+        }
+
+        const values = Object.fromEntries(changes.map(change => [change.field, change.after]));
+        await metadataHistoryService.updateAlbum(albumId, values, options);
+    }
+
+    _fromRow(row) {
+        return {
+            id: row.id,
+            albumId: row.album_id,
+            album: row.album_title ? { title: row.album_title, artist: row.album_artist } : null,
+            jobId: row.job_id,
+            provider: row.provider,
+            releaseId: row.release_id,
+            confidence: row.confidence,
+            status: row.status,
+            changes: row.changes ? JSON.parse(row.changes) : [],
+            createdAt: row.created_at,
+            reviewedAt: row.reviewed_at,
+            reviewedBy: row.reviewed_by
+        };
+    }
+}
+
+// Fields the provider supplied that differ from the album
+function diffFields(album, fields) {
+    return ENRICHABLE_FIELDS
+        .filter(field => fields[field] !== undefined && fields[field] !== null && fields[field] !== '')
+        .filter(field => String(album[field] ?? '') !== String(fields[field]))
+        .map(field => ({ field, before: album[field] ?? null, after: fields[field] }));
+}
+
+// The client rate limits itself to one request per second and caches responses on disk
+function createMusicBrainzProvider() {
+    let client = null;
+
+    return {
+        async match(album, tracks = []) {
+            if (!album.album_artist || !album.album_title) {
+                return null;
+            }
+            if (!client) {
+                client = new MusicBrainzClient({ cacheDir: MUSICBRAINZ_CACHE_DIR });
+            }
+
+            // Errors are thrown rather than reported as no match, which would replace a match waiting for review
+            const data = await client.enrichAlbumMetadata({
+                album_artist: album.album_artist,
+                album_title: album.album_title,
+                album_year: album.year,
+                label: album.label,
+                catalog_number: album.catalog_number
+            }, { throwOnError: true, tracks });
+            if (!data) {
+                return null;
+            }
+
+            const labelInfo = (data.label_info || [])[0] || {};
+            const year = data.date ? parseInt(data.date.slice(0, 4), 10) : null;
+            return {
+                releaseId: data.musicbrainz_release_id,
+                confidence: Math.round(data.confidence * 1000) / 1000,
+                fields: {
+                    musicbrainz_id: data.musicbrainz_release_id,
+                    year: Number.isNaN(year) ? null : year,
+                    label: labelInfo.label?.name || null,
+                    catalog_number: labelInfo['catalog-number'] || null
+                }
+            };
+        }
+    };
+}
+
+function enrichmentError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new MetadataEnrichmentService();
@@ -0,0 +1,291 @@
+// Metadata history service - records every album and track metadata change with its source, and reverts single fields
+const databaseService = require('./database');
+
+// Fields that may be changed through this service, per table
+const EDITABLE_FIELDS = {
+    album: ['album_title', 'album_artist', 'year', 'genre', 'catalog_number', 'label', 'musicbrainz_id'],
+    track: ['track_title', 'track_artist', 'track_number', 'disc_number']
+};
+
+const TABLES = { album: 'albums', track: 'tracks' };
+
+// Where a change came from: the dashboard editor, a metadata provider, ordr.fm.sh, a revert or a collection import
+const SOURCES = ['manual', 'musicbrainz', 'discogs', 'reconstruction', 'revert', 'import'];
+
+// Fields ordr.fm.sh reconstructs from directory names, as album columns
+const RECONSTRUCTED_FIELDS = { artist: 'album_artist', title: 'album_title', year: 'year' };
+
+/**
+ * Keeps metadata_history: one row per changed field with the old and new
+ * value, the source, the user and the time. Values are stored as JSON so
+ * numbers come back as numbers.
+ *
+ * Changes made by ordr.fm.sh are recorded against the album path, since the
+ * album may not be in the dashboard database yet; they show up in the album's
+ * history once a row with that path exists.
+ */
+class MetadataHistoryService {
+    /**
+     * Create the history table
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS metadata_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                entity_type TEXT NOT NULL,
+                entity_id INTEGER,
+                album_id INTEGER,
+                album_path TEXT,
+                field TEXT NOT NULL,
+                old_value TEXT,
+                new_value TEXT,
+                source TEXT NOT NULL,
+                user TEXT,
+                reverted_from INTEGER,
+                created_at TEXT NOT NULL
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_metadata_history_album ON metadata_history(album_id)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_metadata_history_path ON metadata_history(album_path)');
+    }
+
+    /**
+     * Change album fields and record each field that actually changed
+     * @param {number} albumId - Album ID
+     * @param {Object} values - Field to new value; fields not in EDITABLE_FIELDS.album are ignored
+     * @param {Object} options - { source, user, revertedFrom }
+     * @returns {Promise<Array|null>} Recorded changes, or null if the album does not exist
+     */
+    async updateAlbum(albumId, values, options = {}) {
+        return this._update('album', albumId, values, options);
+    }
+
+    /**
+     * Change track fields and record each field that actually changed
+     * @param {number} trackId - Track ID
+     * @param {Object} values - Field to new value; fields not in EDITABLE_FIELDS.track are ignored
+     * @param {Object} options - { source, user, revertedFrom }
+     * @returns {Promise<Array|null>} Recorded changes, or null if the track does not exist
+     */
+    async updateTrack(trackId, values, options = {}) {
+        return this._update('track', trackId, values, options);
+    }
+
+    /**
+     * Record metadata ordr.fm.sh reconstructed from an album's directory name
+     * @param {string} albumPath - Path the album was organized to
+     * @param {Object} fields - { artist, title, year } as reconstructed
+     * @returns {Promise<number>} Number of entries recorded
+     */
+    async recordReconstruction(albumPath, fields) {
+        const album = await databaseService.queryOne('SELECT id FROM albums WHERE path = ?', [albumPath], false);
+        const now = new Date().toISOString();
+
+        const queries = Object.entries(RECONSTRUCTED_FIELDS)
+            .filter(([key]) => fields[key] !== undefined && fields[key] !== '')
+            .map(([key, field]) => ({
+                sql: `
+                    INSERT INTO metadata_history
+                        (entity_type, entity_id, album_id, album_path, field, old_value, new_value, source, created_at)
+                    VALUES ('album', ?, ?, ?, ?, NULL, ?, 'reconstruction', ?)
+                `,
+                params: [
+                    album ? album.id : null,
+                    album ? album.id : null,
+                    albumPath,
+                    field,
+                    JSON.stringify(field === 'year' ? parseInt(fields[key], 10) : fields[key]),
+                    now
+                ]
+            }));
+
+        if (queries.length > 0) {
+            await databaseService.transaction(queries);
+        }
+        return queries.length;
+    }
+
+    /**
+     * History of an album and its tracks, most recent first
+     * @param {number} albumId - Album ID
+     * @param {Object} options - { limit, offset, field }
+     * @returns {Promise<{entries: Array, total: number}|null>} History, or null if the album does not exist
+     */
+    async getAlbumHistory(albumId, options = {}) {
+        const { limit = 50, offset = 0, field = null } = options;
+
+        const album = await databaseService.queryOne('SELECT id, path FROM albums WHERE id = ?', [albumId], false);
+        if (!album) {
+            return null;
+        }
+
+        const conditions = ['(album_id = ? OR (album_id IS NULL AND album_path = ?))'];
+        const params = [albumId, album.path];
+        if (field) {
+            conditions.push('field = ?');
+            params.push(field);
+        }
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        const rows = await databaseService.query(`
+            SELECT * FROM metadata_history
+            ${whereClause}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset], false);
+        const totalRow = await databaseService.queryOne(
+            `SELECT COUNT(*) as total FROM metadata_history ${whereClause}`,
+            params,
+            false
+        );
+
+        return { entries: rows.map(row => this._fromRow(row)), total: totalRow.total };
+    }
+
+    /**
+     * Get one history entry
+     * @param {number} entryId - Entry ID
+     * @returns {Promise<Object|null>} Entry or null
+     */
+    async getEntry(entryId) {
+        const row = await databaseService.queryOne('SELECT * FROM metadata_history WHERE id = ?', [entryId], false);
+        return row ? this._fromRow(row) : null;
+    }
+
+    /**
+     * Set a field back to the value it had before a change
+     * @param {number} entryId - Entry to undo
+     * @param {Object} options - { user, force }; without force the field must still hold the entry's new value
+     * @returns {Promise<Array|null>} Recorded changes, or null if the entry does not exist
+     */
+    async revertEntry(entryId, options = {}) {
+        const entry = await this.getEntry(entryId);
+        if (!entry) {
+            return null;
+        }
+        if (!entry.entityId) {
+            throw historyError('NOT_REVERTIBLE', 'The album was not in the library when this change was recorded');
+        }
+
+        const current = await this._getEntity(entry.entityType, entry.entityId);
+        if (!current) {
+            throw historyError('NOT_REVERTIBLE', `The ${entry.entityType} no longer exists`);
+        }
+        if (!options.force && !sameValue(current[entry.field], entry.newValue)) {
+            const error = historyError('STALE_VALUE', `${entry.field} has changed since this entry; revert the later change first`);
+            error.currentValue = current[entry.field];
+            throw error;
+        }
+
+        return this._update(entry.entityType, entry.entityId, { [entry.field]: entry.oldValue }, {
+            source: 'revert',
+            user: options.user,
+            revertedFrom: entry.id
+        });
+    }
+
+    /**
+     * History rows for changes made elsewhere, to run in the same transaction as the change
+     * @param {string} entityType - album or track
+     * @param {number} entityId - Album or track ID
+     * @param {number} albumId - Album the change belongs to
+     * @param {Array} changes - { field, oldValue, newValue }
+     * @param {Object} options - { source, user, revertedFrom }
+     * @returns {Array} Queries for databaseService.transaction
+     */
+    historyQueries(entityType, entityId, albumId, changes, { source = 'manual', user = null, revertedFrom = null } = {}) {
+        const now = new Date().toISOString();
+        return changes.map(change => ({
+            sql: `
+                INSERT INTO metadata_history
+                    (entity_type, entity_id, album_id, field, old_value, new_value, source, user, reverted_from, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            params: [
+                entityType,
+                entityId,
+                albumId,
+                change.field,
+                JSON.stringify(change.oldValue),
+                JSON.stringify(change.newValue),
+                source,
+                user,
+                revertedFrom,
+                now
+            ]
+        }));
+    }
+
+    async _update(entityType, entityId, values, { source = 'manual', user = null, revertedFrom = null } = {}) {
+        if (!SOURCES.includes(source)) {
+            throw historyError('INVALID_SOURCE', `source must be one of ${SOURCES.join(', ')}`);
+        }
+
+        const current = await this._getEntity(entityType, entityId);
+        if (!current) {
+            return null;
+        }
+
+        const changes = EDITABLE_FIELDS[entityType]
+            .filter(field => values[field] !== undefined && !sameValue(current[field], values[field]))
+            .map(field => ({ field, oldValue: current[field] ?? null, newValue: values[field] }));
+        if (changes.length === 0) {
+            return [];
+        }
+
+        const albumId = entityType === 'album' ? entityId : current.album_id;
+        await databaseService.transaction([
+            {
+                sql: `UPDATE ${TABLES[entityType]} SET ${changes.map(change => `${change.field} = ?`).join(', ')} WHERE id = ?`,
+                params: [...changes.map(change => change.newValue), entityId]
+            },
+            ...this.historyQueries(entityType, entityId, albumId, changes, { source, user, revertedFrom })
+        ]);
+
+        return changes;
+    }
+
+    async _getEntity(entityType, entityId) {
+        const columns = entityType === 'track' ? ['album_id', ...EDITABLE_FIELDS.track] : EDITABLE_FIELDS.album;
+        return databaseService.queryOne(
+            `SELECT id, ${columns.join(', ')} FROM ${TABLES[entityType]} WHERE id = ?`,
+            [entityId],
+            false
+        );
+    }
+
+    _fromRow(row) {
+        return {
+            id: row.id,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            albumId: row.album_id,
+            albumPath: row.album_path,
+            field: row.field,
+            oldValue: parseValue(row.old_value),
+            newValue: parseValue(row.new_value),
+            source: row.source,
+            user: row.user,
+            revertedFrom: row.reverted_from,
+            createdAt: row.created_at
+        };
+    }
+}
+
+// Form values arrive as strings, so 2001 and '2001' are the same value
+function sameValue(a, b) {
+    return String(a ?? '') === String(b ?? '');
+}
+
+function parseValue(value) {
+    return value === null ? null : JSON.parse(value);
+}
+
+function historyError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new MetadataHistoryService();
@@ -0,0 +1,313 @@
+// Move history service - the move_operations log written by ordr.fm.sh, grouped by run, with rollback
+const fs = require('fs');
+const path = require('path');
+const databaseService = require('./database');
+const { LIBRARY_DIR } = require('../config');
+const { moveDirectory } = require('../utils/moveDirectory');
+
+// Statuses written by lib/database.sh, plus ROLLED_BACK set here
+const MOVE_STATUSES = ['IN_PROGRESS', 'SUCCESS', 'FAILED', 'ROLLED_BACK'];
+
+/**
+ * Reads the moves ordr.fm.sh recorded and moves albums back to where they came from.
+ *
+ * Moves are grouped by run_id: the dashboard passes `job-<id>` for the jobs it
+ * starts, command-line runs get their own ID. Rows written before run IDs were
+ * recorded are grouped by the process ID embedded in their operation ID.
+ */
+class MoveHistoryService {
+    constructor() {
+        this.rollbackInProgress = false;
+    }
+
+    /**
+     * Create the move_operations table if the script has not, and add the run columns to older databases
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS move_operations (
+                id TEXT PRIMARY KEY,
+                source_path TEXT NOT NULL,
+                destination_path TEXT NOT NULL,
+                status TEXT NOT NULL,
+                error_message TEXT,
+                started_at INTEGER DEFAULT (strftime('%s', 'now')),
+                completed_at INTEGER,
+                run_id TEXT,
+                rolled_back_at INTEGER
+            )
+        `);
+
+        const columns = await databaseService.query('PRAGMA table_info(move_operations)', [], false);
+        const existing = new Set(columns.map(column => column.name));
+        for (const [name, type] of [['run_id', 'TEXT'], ['rolled_back_at', 'INTEGER']]) {
+            if (!existing.has(name)) {
+                await databaseService.run(`ALTER TABLE move_operations ADD COLUMN ${name} ${type}`);
+            }
+        }
+
+        // Legacy IDs look like move_<seconds>_<pid>
+        await databaseService.run(`
+            UPDATE move_operations
+            SET run_id = 'legacy-' || substr(id, instr(substr(id, 6), '_') + 6)
+            WHERE run_id IS NULL AND id LIKE 'move\\_%\\_%' ESCAPE '\\'
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_move_operations_run ON move_operations(run_id)');
+    }
+
+    /**
+     * List runs, most recent first, each with its moves
+     * @param {Object} options - { limit, offset, status }
+     * @returns {Promise<{runs: Array, total: number}>}
+     */
+    async listRuns(options = {}) {
+        const { limit = 20, offset = 0, status = null } = options;
+        if (status && !MOVE_STATUSES.includes(status)) {
+            throw moveError('INVALID_STATUS', `status must be one of ${MOVE_STATUSES.join(', ')}`);
+        }
+
+        const whereClause = status ? 'WHERE status = ?' : '';
+        const statusParams = status ? [status] : [];
+
+        const runs = await databaseService.query(`
+            SELECT COALESCE(run_id, id) as run_id,
+                   MIN(started_at) as started_at,
+                   MAX(completed_at) as completed_at,
+                   COUNT(*) as total,
+                   SUM(status = 'SUCCESS') as moved,
+                   SUM(status = 'FAILED') as failed,
+                   SUM(status = 'ROLLED_BACK') as rolled_back,
+                   SUM(status = 'IN_PROGRESS') as in_progress
+            FROM move_operations
+            ${whereClause}
+            GROUP BY COALESCE(run_id, id)
+            ORDER BY MIN(started_at) DESC
+            LIMIT ? OFFSET ?
+        `, [...statusParams, limit, offset], false);
+
+        const totalRow = await databaseService.queryOne(
+            `SELECT COUNT(DISTINCT COALESCE(run_id, id)) as total FROM move_operations ${whereClause}`,
+            statusParams,
+            false
+        );
+
+        if (runs.length === 0) {
+            return { runs: [], total: totalRow.total };
+        }
+
+        const runIds = runs.map(run => run.run_id);
+        const moves = await this._queryMoves(
+            `COALESCE(m.run_id, m.id) IN (${runIds.map(() => '?').join(', ')})${status ? ' AND m.status = ?' : ''}`,
+            [...runIds, ...statusParams]
+        );
+
+        return {
+            runs: runs.map(run => ({
+                runId: run.run_id,
+                startedAt: toISOString(run.started_at),
+                completedAt: toISOString(run.completed_at),
+                counts: {
+                    total: run.total,
+                    moved: run.moved,
+                    failed: run.failed,
+                    rolledBack: run.rolled_back,
+                    inProgress: run.in_progress
+                },
+                moves: moves.filter(move => move.runId === run.run_id)
+            })),
+            total: totalRow.total
+        };
+    }
+
+    /**
+     * Get one move
+     * @param {string} moveId - Operation ID
+     * @returns {Promise<Object|null>} Move or null
+     */
+    async getMove(moveId) {
+        const moves = await this._queryMoves('m.id = ?', [moveId]);
+        return moves[0] || null;
+    }
+
+    /**
+     * Move one album back to its source path
+     * @param {string} moveId - Operation ID
+     * @returns {Promise<Object|null>} Rollback result, or null if the move does not exist
+     */
+    async rollbackMove(moveId) {
+        const move = await this.getMove(moveId);
+        if (!move) {
+            return null;
+        }
+        if (move.status !== 'SUCCESS') {
+            throw moveError('INVALID_STATE', `Move is ${move.status} and cannot be rolled back`);
+        }
+        return this._rollback([move]);
+    }
+
+    /**
+     * Move every album of a run back, most recent move first
+     * @param {string} runId - Run ID
+     * @returns {Promise<Object|null>} Rollback result, or null if the run does not exist
+     */
+    async rollbackRun(runId) {
+        const moves = await this._queryMoves('COALESCE(m.run_id, m.id) = ?', [runId]);
+        if (moves.length === 0) {
+            return null;
+        }
+
+        if (moves.some(move => move.status === 'IN_PROGRESS')) {
+            throw moveError('INVALID_STATE', 'Run still has moves in progress');
+        }
+
+        const rollbackable = moves.filter(move => move.status === 'SUCCESS').reverse();
+        if (rollbackable.length === 0) {
+            throw moveError('INVALID_STATE', 'Run has no completed moves to roll back');
+        }
+        return this._rollback(rollbackable);
+    }
+
+    async _rollback(moves) {
+        if (this.rollbackInProgress) {
+            throw moveError('ROLLBACK_IN_PROGRESS', 'Another rollback is in progress');
+        }
+        this.rollbackInProgress = true;
+
+        try {
+            // Refuse the whole request up front rather than leave a run half restored
+            const conflicts = moves
+                .map(move => ({ moveId: move.id, sourcePath: move.sourcePath, reason: this._checkRollback(move) }))
+                .filter(conflict => conflict.reason);
+            if (conflicts.length > 0) {
+                const [first] = conflicts;
+                const error = moveError(
+                    'ROLLBACK_CONFLICT',
+                    `${conflicts.length} move(s) cannot be rolled back: ${first.reason} (${first.sourcePath})`
+                );
+                error.conflicts = conflicts;
+                throw error;
+            }
+
+            const rolledBack = [];
+            let failure = null;
+            for (const move of moves) {
+                try {
+                    await this._restoreAlbum(move);
+                    rolledBack.push(move.id);
+                } catch (error) {
+                    // Keep what was already restored; the rest stays SUCCESS and can be retried
+                    failure = { moveId: move.id, error: error.message };
+                    break;
+                }
+            }
+
+            return { rolledBack, failed: failure };
+        } finally {
+            this.rollbackInProgress = false;
+        }
+    }
+
+    _checkRollback(move) {
+        if (!fs.existsSync(move.destinationPath)) {
+            return 'Album is no longer at its destination';
+        }
+        if (fs.existsSync(move.sourcePath)) {
+            return 'Original location is occupied';
+        }
+        return null;
+    }
+
+    async _restoreAlbum(move) {
+        // The source may have been taken between the check and now
+        const reason = this._checkRollback(move);
+        if (reason) {
+            throw new Error(reason);
+        }
+
+        await moveDirectory(move.destinationPath, move.sourcePath);
+
+        const now = Math.floor(Date.now() / 1000);
+        try {
+            await databaseService.transaction([
+                {
+                    sql: 'UPDATE move_operations SET status = \'ROLLED_BACK\', rolled_back_at = ? WHERE id = ?',
+                    params: [now, move.id]
+                },
+                ...this._libraryPathUpdates(move.destinationPath, move.sourcePath)
+            ]);
+        } catch (error) {
+            // Put the album back where the library and the move log still say it is
+            await moveDirectory(move.sourcePath, move.destinationPath);
+            throw error;
+        }
+        await this._removeEmptyParents(move.destinationPath);
+    }
+
+    _libraryPathUpdates(fromPath, toPath) {
+        const prefix = `${fromPath}/`;
+
+        return [
+            { sql: 'UPDATE albums SET path = ? WHERE path = ?', params: [toPath, fromPath] },
+            // Compare prefixes directly: album paths often contain LIKE wildcards such as _
+            {
+                sql: 'UPDATE tracks SET path = ? || substr(path, ?) WHERE substr(path, 1, ?) = ?',
+                params: [toPath, fromPath.length + 1, prefix.length, prefix]
+            }
+        ];
+    }
+
+    // Artist/label directories the move created are left empty by the rollback
+    async _removeEmptyParents(destinationPath) {
+        const libraryRoot = path.resolve(LIBRARY_DIR);
+        let dir = path.dirname(destinationPath);
+
+        while (dir.startsWith(`${libraryRoot}${path.sep}`)) {
+            try {
+                await fs.promises.rmdir(dir);
+            } catch {
+                return;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    async _queryMoves(whereClause, params) {
+        const rows = await databaseService.query(`
+            SELECT m.*, a.id as album_id, a.album_artist, a.album_title
+            FROM move_operations m
+            LEFT JOIN albums a ON a.path = CASE
+                WHEN m.status = 'ROLLED_BACK' THEN m.source_path
+                ELSE m.destination_path
+            END
+            WHERE ${whereClause}
+            ORDER BY m.started_at ASC, m.rowid ASC
+        `, params, false);
+
+        return rows.map(row => ({
+            id: row.id,
+            runId: row.run_id || row.id,
+            sourcePath: row.source_path,
+            destinationPath: row.destination_path,
+            status: row.status,
+            error: row.error_message,
+            startedAt: toISOString(row.started_at),
+            completedAt: toISOString(row.completed_at),
+            rolledBackAt: toISOString(row.rolled_back_at),
+            album: row.album_id ? { id: row.album_id, artist: row.album_artist, title: row.album_title } : null
+        }));
+    }
+}
+
+// ordr.fm.sh stores epoch seconds
+function toISOString(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function moveError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new MoveHistoryService();
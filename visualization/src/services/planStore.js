@@ -0,0 +1,480 @@
+// Processing plan store - persisted dry-run plans and their reviewed entries
+const path = require('path');
+const databaseService = require('./database');
+
+// Plan lifecycle: generating -> ready -> applying -> applied | partially_applied (or failed)
+const PLAN_STATUSES = ['generating', 'ready', 'applying', 'applied', 'partially_applied', 'failed'];
+
+// Review states a user can set; applied/failed/skipped are set by the apply job
+const REVIEW_STATUSES = ['pending', 'approved', 'excluded'];
+
+/**
+ * Stores the albums a dry run would move, with the proposed destination,
+ * quality, organization mode and Discogs confidence of each. Users review the
+ * entries, optionally change destinations, and apply the approved subset.
+ */
+class PlanStore {
+    constructor() {
+        // DEST_DIR from ordr.fm.conf, bounding edits to plans that recorded no destination root
+        this.libraryRoot = null;
+    }
+
+    /**
+     * Follow DEST_DIR from ordr.fm.conf
+     * @param {Object} values - Parsed ordr.fm.conf values
+     */
+    applyScriptConfig(values) {
+        this.libraryRoot = values.DEST_DIR || null;
+    }
+
+    /**
+     * Create the plan tables
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS processing_plans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER,
+                apply_job_id INTEGER,
+                source_path TEXT NOT NULL,
+                destination_root TEXT,
+                options TEXT,
+                status TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS processing_plan_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                plan_id INTEGER NOT NULL,
+                source_path TEXT NOT NULL,
+                proposed_destination TEXT,
+                destination TEXT,
+                quality TEXT,
+                organization_mode TEXT,
+                artist TEXT,
+                title TEXT,
+                confidence REAL,
+                low_confidence INTEGER DEFAULT 0,
+                outcome TEXT NOT NULL,
+                reason TEXT,
+                status TEXT NOT NULL,
+                error TEXT,
+                updated_at TEXT NOT NULL,
+                UNIQUE (plan_id, source_path),
+                FOREIGN KEY (plan_id) REFERENCES processing_plans(id) ON DELETE CASCADE
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_plan_entries_plan ON processing_plan_entries(plan_id, status)');
+
+        // Jobs behind these plans were marked interrupted by the job store
+        await databaseService.run(
+            'UPDATE processing_plans SET status = \'failed\', updated_at = ? WHERE status = \'generating\'',
+            [new Date().toISOString()]
+        );
+        const applying = await databaseService.query(
+            'SELECT id FROM processing_plans WHERE status = \'applying\'',
+            [],
+            false
+        );
+        for (const { id } of applying) {
+            await this.finishApply(id, 'Server stopped while the plan was being applied');
+        }
+    }
+
+    /**
+     * Create a plan for a dry-run job
+     * @param {number} jobId - Dry-run job ID
+     * @param {string} sourcePath - Directory being planned
+     * @param {Object} options - Processing options to reuse when applying
+     * @returns {Promise<Object>} Plan
+     */
+    async createPlan(jobId, sourcePath, options = {}) {
+        const now = new Date().toISOString();
+        const result = await databaseService.run(`
+            INSERT INTO processing_plans (job_id, source_path, options, status, created_at, updated_at)
+            VALUES (?, ?, ?, 'generating', ?, ?)
+        `, [jobId, sourcePath, JSON.stringify(options), now, now]);
+
+        return this.getPlan(result.lastID);
+    }
+
+    /**
+     * Get a plan with entry counts
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object|null>} Plan or null
+     */
+    async getPlan(planId) {
+        const row = await databaseService.queryOne('SELECT * FROM processing_plans WHERE id = ?', [planId], false);
+        if (!row) {
+            return null;
+        }
+
+        const counts = await databaseService.query(`
+            SELECT status, COUNT(*) as count
+            FROM processing_plan_entries
+            WHERE plan_id = ?
+            GROUP BY status
+        `, [planId], false);
+
+        return {
+            ...this._fromRow(row),
+            counts: counts.reduce((acc, count) => {
+                acc[count.status] = count.count;
+                return acc;
+            }, {})
+        };
+    }
+
+    /**
+     * List plans, most recent first
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array>} Plans without entries
+     */
+    async listPlans(options = {}) {
+        const { limit = 20, offset = 0 } = options;
+        const rows = await databaseService.query(`
+            SELECT p.*, COUNT(e.id) as entry_count
+            FROM processing_plans p
+            LEFT JOIN processing_plan_entries e ON e.plan_id = p.id
+            GROUP BY p.id
+            ORDER BY p.id DESC
+            LIMIT ? OFFSET ?
+        `, [limit, offset], false);
+
+        return rows.map(row => ({ ...this._fromRow(row), entryCount: row.entry_count }));
+    }
+
+    /**
+     * Get plan entries
+     * @param {number} planId - Plan ID
+     * @param {Object} options - { status, limit, offset }
+     * @returns {Promise<{entries: Array, total: number}>}
+     */
+    async getEntries(planId, options = {}) {
+        const { status = null, limit = 500, offset = 0 } = options;
+        const conditions = ['plan_id = ?'];
+        const params = [planId];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        const rows = await databaseService.query(`
+            SELECT * FROM processing_plan_entries
+            ${whereClause}
+            ORDER BY id ASC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset], false);
+
+        const total = await databaseService.queryOne(
+            `SELECT COUNT(*) as total FROM processing_plan_entries ${whereClause}`,
+            params,
+            false
+        );
+
+        return {
+            entries: rows.map(row => this._entryFromRow(row)),
+            total: total?.total || 0
+        };
+    }
+
+    /**
+     * Record an album_finished event from the dry run as a plan entry.
+     * Only albums the dry run would move can be approved; the rest are kept
+     * for reference as excluded.
+     * @param {number} planId - Plan ID
+     * @param {Object} data - album_finished event data
+     */
+    async addEntry(planId, data) {
+        const now = new Date().toISOString();
+        const status = data.outcome === 'planned' ? 'pending' : 'excluded';
+
+        await databaseService.run(`
+            INSERT INTO processing_plan_entries (
+                plan_id, source_path, proposed_destination, destination, quality, organization_mode,
+                artist, title, confidence, low_confidence, outcome, reason, status, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (plan_id, source_path) DO UPDATE SET
+                proposed_destination = excluded.proposed_destination,
+                destination = excluded.destination,
+                outcome = excluded.outcome,
+                status = excluded.status,
+                updated_at = excluded.updated_at
+        `, [
+            planId,
+            data.path,
+            data.destination || null,
+            data.destination || null,
+            data.quality || null,
+            data.organizationMode || null,
+            data.artist || null,
+            data.title || null,
+            data.discogsConfidence ?? null,
+            data.lowConfidence ? 1 : 0,
+            data.outcome,
+            data.reason || null,
+            status,
+            now
+        ]);
+    }
+
+    /**
+     * Change review status and/or destination of an entry
+     * @param {number} planId - Plan ID
+     * @param {number} entryId - Entry ID
+     * @param {Object} changes - { status, destination }
+     * @returns {Promise<Object|null>} Updated entry or null
+     */
+    async updateEntry(planId, entryId, changes) {
+        const plan = await this.getPlan(planId);
+        const row = await databaseService.queryOne(
+            'SELECT * FROM processing_plan_entries WHERE id = ? AND plan_id = ?',
+            [entryId, planId],
+            false
+        );
+        if (!plan || !row) {
+            return null;
+        }
+
+        this._assertEditable(plan);
+
+        const updates = {};
+        if (changes.status !== undefined) {
+            if (!REVIEW_STATUSES.includes(changes.status)) {
+                throw invalidError(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+            }
+            if (changes.status !== 'excluded' && row.outcome !== 'planned') {
+                throw invalidError(`Entry cannot be approved: dry run reported "${row.outcome}"`);
+            }
+            updates.status = changes.status;
+        }
+
+        if (changes.destination !== undefined) {
+            updates.destination = changes.destination === null ?
+                row.proposed_destination :
+                this.validateDestination(plan, changes.destination);
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return this._entryFromRow(row);
+        }
+
+        const assignments = Object.keys(updates).map(column => `${column} = ?`);
+        await databaseService.run(`
+            UPDATE processing_plan_entries
+            SET ${assignments.join(', ')}, updated_at = ?
+            WHERE id = ?
+        `, [...Object.values(updates), new Date().toISOString(), entryId]);
+
+        const updated = await databaseService.queryOne('SELECT * FROM processing_plan_entries WHERE id = ?', [entryId], false);
+        return this._entryFromRow(updated);
+    }
+
+    /**
+     * Set the review status of many entries at once
+     * @param {number} planId - Plan ID
+     * @param {Object} options - { status, entryIds } where no entryIds means every approvable entry
+     * @returns {Promise<number>} Number of entries changed
+     */
+    async setEntriesStatus(planId, { status, entryIds = null }) {
+        const plan = await this.getPlan(planId);
+        if (!plan) {
+            return 0;
+        }
+
+        this._assertEditable(plan);
+
+        if (!REVIEW_STATUSES.includes(status)) {
+            throw invalidError(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+        }
+
+        const conditions = ['plan_id = ?'];
+        const params = [planId];
+
+        // Entries the dry run would not move can only stay excluded
+        if (status !== 'excluded') {
+            conditions.push('outcome = \'planned\'');
+        }
+
+        if (Array.isArray(entryIds)) {
+            if (entryIds.length === 0) {
+                return 0;
+            }
+            conditions.push(`id IN (${entryIds.map(() => '?').join(', ')})`);
+            params.push(...entryIds);
+        }
+
+        const result = await databaseService.run(`
+            UPDATE processing_plan_entries
+            SET status = ?, updated_at = ?
+            WHERE ${conditions.join(' AND ')}
+        `, [status, new Date().toISOString(), ...params]);
+
+        return result.changes;
+    }
+
+    /**
+     * Check an edited destination stays inside the plan's destination root, or
+     * the configured DEST_DIR when the dry run did not report one
+     * @param {Object} plan - Plan
+     * @param {string} destination - Requested destination
+     * @returns {string} Normalized destination
+     */
+    validateDestination(plan, destination) {
+        if (typeof destination !== 'string' || !path.isAbsolute(destination) || /[\t\n\r]/.test(destination)) {
+            throw invalidError('destination must be an absolute path without tabs or newlines');
+        }
+
+        const root = plan.destinationRoot || this.libraryRoot;
+        if (!root) {
+            throw invalidError('destination cannot be changed: no destination root is known for this plan');
+        }
+
+        const normalized = path.resolve(destination);
+        const relative = path.relative(root, normalized);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw invalidError(`destination must be inside ${root}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Update plan fields
+     * @param {number} planId - Plan ID
+     * @param {Object} changes - { status, destinationRoot, applyJobId }
+     */
+    async updatePlan(planId, changes) {
+        const columns = {
+            status: 'status',
+            destinationRoot: 'destination_root',
+            applyJobId: 'apply_job_id'
+        };
+        const assignments = [];
+        const params = [];
+
+        for (const [key, column] of Object.entries(columns)) {
+            if (changes[key] !== undefined) {
+                assignments.push(`${column} = ?`);
+                params.push(changes[key]);
+            }
+        }
+
+        if (changes.status !== undefined && !PLAN_STATUSES.includes(changes.status)) {
+            throw invalidError(`Unknown plan status: ${changes.status}`);
+        }
+
+        await databaseService.run(`
+            UPDATE processing_plans
+            SET ${assignments.join(', ')}, updated_at = ?
+            WHERE id = ?
+        `, [...params, new Date().toISOString(), planId]);
+    }
+
+    /**
+     * Move a ready plan to applying
+     * @param {number} planId - Plan ID
+     * @returns {Promise<boolean>} False when the plan was not ready, e.g. another request started applying it
+     */
+    async startApply(planId) {
+        const result = await databaseService.run(
+            'UPDATE processing_plans SET status = \'applying\', updated_at = ? WHERE id = ? AND status = \'ready\'',
+            [new Date().toISOString(), planId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Record the result of applying one entry
+     * @param {number} planId - Plan ID
+     * @param {Object} data - album_finished event data from the apply job
+     */
+    async recordApplyResult(planId, data) {
+        const status = data.outcome === 'moved' ? 'applied' : 'failed';
+        const error = status === 'failed' ?
+            (data.reason || `ordr.fm.sh reported "${data.outcome}"`) : null;
+
+        await databaseService.run(`
+            UPDATE processing_plan_entries
+            SET status = ?, error = ?, destination = COALESCE(?, destination), updated_at = ?
+            WHERE plan_id = ? AND source_path = ?
+        `, [status, error, data.destination || null, new Date().toISOString(), planId, data.path]);
+    }
+
+    /**
+     * Mark approved entries the apply job never reached as failed and set the final plan status
+     * @param {number} planId - Plan ID
+     * @param {string|null} error - Reason the apply job stopped early
+     * @returns {Promise<string>} Final plan status
+     */
+    async finishApply(planId, error = null) {
+        await databaseService.run(`
+            UPDATE processing_plan_entries
+            SET status = 'failed', error = ?, updated_at = ?
+            WHERE plan_id = ? AND status = 'approved'
+        `, [error || 'Not processed by the apply job', new Date().toISOString(), planId]);
+
+        const plan = await this.getPlan(planId);
+        const status = plan.counts.failed ?
+            (plan.counts.applied ? 'partially_applied' : 'failed') :
+            'applied';
+
+        await this.updatePlan(planId, { status });
+        return status;
+    }
+
+    _assertEditable(plan) {
+        if (plan.status !== 'ready') {
+            const error = new Error(`Plan is ${plan.status} and can no longer be edited`);
+            error.code = 'PLAN_LOCKED';
+            throw error;
+        }
+    }
+
+    _fromRow(row) {
+        return {
+            id: row.id,
+            jobId: row.job_id,
+            applyJobId: row.apply_job_id,
+            sourcePath: row.source_path,
+            destinationRoot: row.destination_root,
+            options: row.options ? JSON.parse(row.options) : {},
+            status: row.status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    _entryFromRow(row) {
+        return {
+            id: row.id,
+            sourcePath: row.source_path,
+            proposedDestination: row.proposed_destination,
+            destination: row.destination,
+            edited: row.destination !== row.proposed_destination,
+            quality: row.quality,
+            organizationMode: row.organization_mode,
+            artist: row.artist,
+            title: row.title,
+            confidence: row.confidence,
+            lowConfidence: row.low_confidence === 1,
+            outcome: row.outcome,
+            reason: row.reason,
+            status: row.status,
+            error: row.error,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+function invalidError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_PLAN_CHANGE';
+    return error;
+}
+
+// Export singleton instance
+module.exports = new PlanStore();
@@ -0,0 +1,46 @@
+// Schema initializers - the services that create and migrate their own tables
+const jobStore = require('./jobStore');
+const cloudBackupService = require('./cloudBackup');
+const planStore = require('./planStore');
+const moveHistoryService = require('./moveHistory');
+const configStore = require('./configStore');
+const metadataHistoryService = require('./metadataHistory');
+const metadataEnrichmentService = require('./metadataEnrichment');
+const searchIndexService = require('./searchIndex');
+const searchLogService = require('./searchLog');
+const albumListService = require('./albumList');
+const collectionImportService = require('./collectionImport');
+const duplicateService = require('./duplicates');
+const fingerprintService = require('./fingerprint');
+
+// In this order; a service that adds its own table or columns belongs here
+const SCHEMA_SERVICES = [
+    jobStore,
+    cloudBackupService,
+    planStore,
+    moveHistoryService,
+    configStore,
+    metadataHistoryService,
+    metadataEnrichmentService,
+    searchIndexService,
+    searchLogService,
+    albumListService,
+    collectionImportService,
+    duplicateService,
+    fingerprintService
+];
+
+/**
+ * Create missing tables, indexes and columns and load persisted state. Run at
+ * startup and after a restore, whose database may predate any of them.
+ * @returns {Promise<void>}
+ */
+async function initializeAll() {
+    for (const service of SCHEMA_SERVICES) {
+        await service.initialize();
+    }
+}
+
+module.exports = {
+    initializeAll
+};
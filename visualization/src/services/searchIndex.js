@@ -0,0 +1,370 @@
+// Search index service - SQLite FTS5 index over albums and tracks, kept in sync by triggers
+const databaseService = require('./database');
+
+// Diacritics are folded so "bjork" finds "Björk"
+const TOKENIZER = 'unicode61 remove_diacritics 2';
+
+// Indexed columns with their BM25 weights, in index column order
+const ALBUM_COLUMNS = [
+    { name: 'title', source: 'album_title', weight: 10.0 },
+    { name: 'artist', source: 'album_artist', weight: 8.0 },
+    { name: 'label', source: 'label', weight: 3.0 },
+    { name: 'catalog_number', source: 'catalog_number', weight: 3.0 },
+    { name: 'genre', source: 'genre', weight: 2.0 }
+];
+const TRACK_COLUMNS = [
+    { name: 'title', weight: 10.0 },
+    { name: 'artist', weight: 6.0 },
+    { name: 'album', weight: 4.0 }
+];
+
+const RESULT_TYPES = ['album', 'track'];
+
+// Highlight markers; control characters cannot occur in the indexed text, so
+// they survive HTML escaping and are swapped for <mark> afterwards
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+/**
+ * Maintains two FTS5 tables: album_search (rowid = albums.id) and
+ * track_search (rowid = tracks.id). Tracks are indexed with the album title
+ * and, when the track has no artist of its own, the album artist, so a query
+ * like "aphex xtal" finds the track.
+ *
+ * The index lives in the dashboard database next to the tables it covers and
+ * triggers keep it current whoever writes to them. On startup the index is
+ * rebuilt if its row counts have drifted from the source tables, e.g. after
+ * restoring a backup taken before the index existed.
+ */
+class SearchIndexService {
+    constructor() {
+        this.available = { album: false, track: false };
+    }
+
+    /**
+     * Create the index tables and triggers, and fill the index if it is out of date
+     */
+    async initialize() {
+        this.available = { album: false, track: false };
+
+        const hasAlbums = await this._tableExists('albums');
+        if (!hasAlbums) {
+            return;
+        }
+        const hasTracks = await this._tableExists('tracks');
+
+        await databaseService.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS album_search USING fts5(
+                ${ALBUM_COLUMNS.map(column => column.name).join(', ')},
+                tokenize = '${TOKENIZER}'
+            )
+        `);
+        await this._createAlbumTriggers();
+        databaseService.addTableSources('album_search', ['albums']);
+        this.available.album = true;
+
+        if (hasTracks) {
+            await databaseService.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS track_search USING fts5(
+                    ${TRACK_COLUMNS.map(column => column.name).join(', ')},
+                    tokenize = '${TOKENIZER}'
+                )
+            `);
+            await this._createTrackTriggers();
+            databaseService.addTableSources('track_search', ['tracks', 'albums']);
+            this.available.track = true;
+        }
+
+        if (await this._isStale()) {
+            await this.rebuild();
+        }
+    }
+
+    /**
+     * Refill the index from the albums and tracks tables
+     */
+    async rebuild() {
+        const queries = [
+            { sql: 'DELETE FROM album_search', params: [] },
+            {
+                sql: `
+                    INSERT INTO album_search (rowid, ${ALBUM_COLUMNS.map(column => column.name).join(', ')})
+                    SELECT id, ${ALBUM_COLUMNS.map(column => column.source).join(', ')} FROM albums
+                `,
+                params: []
+            }
+        ];
+        if (this.available.track) {
+            queries.push(
+                { sql: 'DELETE FROM track_search', params: [] },
+                {
+                    sql: `
+                        INSERT INTO track_search (rowid, title, artist, album)
+                        SELECT t.id, t.track_title, COALESCE(t.track_artist, a.album_artist), a.album_title
+                        FROM tracks t
+                        LEFT JOIN albums a ON a.id = t.album_id
+                    `,
+                    params: []
+                }
+            );
+        }
+
+        await databaseService.transaction(queries);
+    }
+
+    /**
+     * Ranked search over albums and tracks
+     * @param {string} text - Search text; every word must match, the last one as a prefix
+     * @param {Object} options - { types, limit, offset }
+     * @returns {Promise<{results: Array, total: number}>} Best matches first
+     */
+    async search(text, options = {}) {
+        const { types = RESULT_TYPES, limit = 20, offset = 0 } = options;
+        if (!this.available.album) {
+            throw searchError('INDEX_UNAVAILABLE', 'The search index is not available; the albums table does not exist');
+        }
+
+        const invalid = types.filter(type => !RESULT_TYPES.includes(type));
+        if (invalid.length > 0) {
+            throw searchError('INVALID_TYPE', `type must be one of ${RESULT_TYPES.join(', ')}`);
+        }
+
+        const match = toMatchQuery(text);
+        const selects = [];
+        if (match && types.includes('album')) {
+            selects.push(this._albumSelect(match));
+        }
+        if (match && types.includes('track') && this.available.track) {
+            selects.push(this._trackSelect(match));
+        }
+        if (selects.length === 0) {
+            return { results: [], total: 0 };
+        }
+
+        const rows = await databaseService.query(`
+            ${selects.map(select => select.sql).join(' UNION ALL ')}
+            ORDER BY score
+            LIMIT ? OFFSET ?
+        `, [...selects.flatMap(select => select.params), limit, offset]);
+        const totalRow = await databaseService.queryOne(
+            `SELECT ${selects.map(select => `(${select.countSql})`).join(' + ')} as total`,
+            selects.flatMap(select => select.countParams)
+        );
+
+        return { results: rows.map(row => this._fromRow(row)), total: totalRow.total };
+    }
+
+    /**
+     * IDs of albums whose indexed fields match, for combining with other filters
+     * @param {string} text - Search text
+     * @returns {{sql: string, params: Array}} Subquery selecting album IDs
+     */
+    albumMatchSubquery(text) {
+        if (!this.available.album) {
+            throw searchError('INDEX_UNAVAILABLE', 'The search index is not available; the albums table does not exist');
+        }
+
+        // A query without words matches nothing
+        return {
+            sql: 'SELECT rowid FROM album_search WHERE album_search MATCH ?',
+            params: [toMatchQuery(text) || '""']
+        };
+    }
+
+    _albumSelect(match) {
+        const highlights = ALBUM_COLUMNS
+            .map((column, index) => `highlight(album_search, ${index}, ?, ?) AS hl_${column.name}`);
+
+        return {
+            sql: `
+                SELECT 'album' AS type, a.id, a.album_title AS title, a.album_artist AS artist,
+                       NULL AS album_id, NULL AS album, a.year, a.genre, a.quality, a.path, a.track_count,
+                       NULL AS duration, ${highlights.join(', ')}, NULL AS hl_album,
+                       bm25(album_search, ${ALBUM_COLUMNS.map(column => column.weight).join(', ')}) AS score
+                FROM album_search
+                JOIN albums a ON a.id = album_search.rowid
+                WHERE album_search MATCH ?
+            `,
+            params: [...ALBUM_COLUMNS.flatMap(() => [MARK_OPEN, MARK_CLOSE]), match],
+            countSql: 'SELECT COUNT(*) FROM album_search WHERE album_search MATCH ?',
+            countParams: [match]
+        };
+    }
+
+    _trackSelect(match) {
+        return {
+            sql: `
+                SELECT 'track' AS type, t.id, t.track_title AS title, track_search.artist,
+                       t.album_id, a.album_title AS album, a.year, a.genre, t.quality, t.path, NULL AS track_count,
+                       t.duration,
+                       highlight(track_search, 0, ?, ?) AS hl_title, highlight(track_search, 1, ?, ?) AS hl_artist,
+                       NULL AS hl_label, NULL AS hl_catalog_number, NULL AS hl_genre,
+                       highlight(track_search, 2, ?, ?) AS hl_album,
+                       bm25(track_search, ${TRACK_COLUMNS.map(column => column.weight).join(', ')}) AS score
+                FROM track_search
+                JOIN tracks t ON t.id = track_search.rowid
+                LEFT JOIN albums a ON a.id = t.album_id
+                WHERE track_search MATCH ?
+            `,
+            params: [MARK_OPEN, MARK_CLOSE, MARK_OPEN, MARK_CLOSE, MARK_OPEN, MARK_CLOSE, match],
+            countSql: 'SELECT COUNT(*) FROM track_search WHERE track_search MATCH ?',
+            countParams: [match]
+        };
+    }
+
+    async _createAlbumTriggers() {
+        const columns = ALBUM_COLUMNS.map(column => column.name).join(', ');
+        const values = ALBUM_COLUMNS.map(column => `new.${column.source}`).join(', ');
+
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS album_search_insert AFTER INSERT ON albums BEGIN
+                INSERT INTO album_search (rowid, ${columns}) VALUES (new.id, ${values});
+            END
+        `);
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS album_search_delete AFTER DELETE ON albums BEGIN
+                DELETE FROM album_search WHERE rowid = old.id;
+            END
+        `);
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS album_search_update
+            AFTER UPDATE OF ${ALBUM_COLUMNS.map(column => column.source).join(', ')} ON albums BEGIN
+                DELETE FROM album_search WHERE rowid = old.id;
+                INSERT INTO album_search (rowid, ${columns}) VALUES (new.id, ${values});
+            END
+        `);
+    }
+
+    async _createTrackTriggers() {
+        const insertTrack = `
+            INSERT INTO track_search (rowid, title, artist, album) VALUES (
+                new.id,
+                new.track_title,
+                COALESCE(new.track_artist, (SELECT album_artist FROM albums WHERE id = new.album_id)),
+                (SELECT album_title FROM albums WHERE id = new.album_id)
+            );
+        `;
+
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS track_search_insert AFTER INSERT ON tracks BEGIN
+                ${insertTrack}
+            END
+        `);
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS track_search_delete AFTER DELETE ON tracks BEGIN
+                DELETE FROM track_search WHERE rowid = old.id;
+            END
+        `);
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS track_search_update
+            AFTER UPDATE OF track_title, track_artist, album_id ON tracks BEGIN
+                DELETE FROM track_search WHERE rowid = old.id;
+                ${insertTrack}
+            END
+        `);
+        // Tracks carry their album's title and artist
+        await databaseService.run(`
+            CREATE TRIGGER IF NOT EXISTS track_search_album_update
+            AFTER UPDATE OF album_title, album_artist ON albums BEGIN
+                DELETE FROM track_search WHERE rowid IN (SELECT id FROM tracks WHERE album_id = new.id);
+                INSERT INTO track_search (rowid, title, artist, album)
+                SELECT id, track_title, COALESCE(track_artist, new.album_artist), new.album_title
+                FROM tracks
+                WHERE album_id = new.id;
+            END
+        `);
+    }
+
+    async _tableExists(name) {
+        const row = await databaseService.queryOne(
+            'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ?',
+            [name],
+            false
+        );
+        return Boolean(row);
+    }
+
+    async _isStale() {
+        const counts = [['albums', 'album_search']];
+        if (this.available.track) {
+            counts.push(['tracks', 'track_search']);
+        }
+
+        for (const [table, index] of counts) {
+            const row = await databaseService.queryOne(
+                `SELECT (SELECT COUNT(*) FROM ${table}) as source, (SELECT COUNT(*) FROM ${index}) as indexed`,
+                [],
+                false
+            );
+            if (row.source !== row.indexed) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _fromRow(row) {
+        const highlights = {};
+        for (const column of ['title', 'artist', 'album', 'label', 'catalog_number', 'genre']) {
+            const value = row[`hl_${column}`];
+            if (value && value.includes(MARK_OPEN)) {
+                highlights[column] = toHighlightHtml(value);
+            }
+        }
+
+        const result = {
+            type: row.type,
+            id: row.id,
+            title: row.title,
+            artist: row.artist,
+            year: row.year,
+            genre: row.genre,
+            quality: row.quality,
+            path: row.path,
+            relevance_score: -row.score,
+            highlights
+        };
+        if (row.type === 'album') {
+            result.track_count = row.track_count;
+        } else {
+            result.album_id = row.album_id;
+            result.album = row.album;
+            result.duration = row.duration;
+        }
+        return result;
+    }
+}
+
+// Each word becomes a quoted FTS5 string, so user input cannot use FTS5 syntax.
+// The last word is a prefix so results show up while typing.
+function toMatchQuery(text) {
+    const words = String(text || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 0) {
+        return null;
+    }
+
+    return words
+        .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+        .join(' ');
+}
+
+// Escape indexed text for HTML and turn the highlight markers into <mark> tags
+function toHighlightHtml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .split(MARK_OPEN).join('<mark>')
+        .split(MARK_CLOSE).join('</mark>');
+}
+
+function searchError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+module.exports = new SearchIndexService();
@@ -0,0 +1,248 @@
+// Search log service - records searches run through the search routes for analytics, popular searches and suggestions
+const databaseService = require('./database');
+const { escapeLike } = require('../utils/searchQuery');
+const { SEARCH_LOG_RETENTION_DAYS } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Keeps search_log: one row per search with the query as typed, the other
+ * filters, the number of results, how long it took and whether it found
+ * nothing. Queries are also stored normalized (lower case, single spaces) so
+ * "Aphex  Twin" and "aphex twin" count as the same search.
+ */
+class SearchLogService {
+    constructor() {
+        this.isInitialized = false;
+    }
+
+    /**
+     * Create the log table and drop entries past the retention period
+     */
+    async initialize() {
+        await databaseService.run(`
+            CREATE TABLE IF NOT EXISTS search_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                endpoint TEXT NOT NULL,
+                query TEXT,
+                normalized_query TEXT,
+                filters TEXT,
+                result_count INTEGER NOT NULL,
+                latency_ms INTEGER NOT NULL,
+                zero_results INTEGER NOT NULL,
+                user TEXT,
+                created_at TEXT NOT NULL
+            )
+        `);
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_search_log_created ON search_log(created_at)');
+        await databaseService.run('CREATE INDEX IF NOT EXISTS idx_search_log_query ON search_log(normalized_query)');
+        this.isInitialized = true;
+
+        await this.cleanup();
+    }
+
+    /**
+     * Log one search
+     * @param {Object} entry - { endpoint, query, filters, resultCount, latencyMs, user }
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+        const { endpoint, query = '', filters = {}, resultCount, latencyMs, user = null } = entry;
+        const activeFilters = Object.fromEntries(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+
+        await databaseService.run(`
+            INSERT INTO search_log
+                (endpoint, query, normalized_query, filters, result_count, latency_ms, zero_results, user, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            endpoint,
+            query,
+            normalizeQuery(query),
+            Object.keys(activeFilters).length > 0 ? JSON.stringify(activeFilters) : null,
+            resultCount,
+            Math.round(latencyMs),
+            resultCount === 0 ? 1 : 0,
+            user,
+            new Date().toISOString()
+        ]);
+    }
+
+    /**
+     * Queries searched most often that found something
+     * @param {Object} options - { days, limit }
+     * @returns {Promise<Array>} [{ query, count, avgResults, lastSearched }]
+     */
+    async getPopular(options = {}) {
+        const { days = 30, limit = 10 } = options;
+
+        const rows = await databaseService.query(`
+            SELECT normalized_query as query, COUNT(*) as count, AVG(result_count) as avg_results,
+                   MAX(created_at) as last_searched
+            FROM search_log
+            WHERE created_at >= ? AND normalized_query != '' AND zero_results = 0
+            GROUP BY normalized_query
+            ORDER BY count DESC, last_searched DESC
+            LIMIT ?
+        `, [since(days), limit], false);
+
+        return rows.map(row => ({
+            query: row.query,
+            count: row.count,
+            avgResults: Math.round(row.avg_results * 10) / 10,
+            lastSearched: row.last_searched
+        }));
+    }
+
+    /**
+     * Totals, top and zero-result queries, per-day trend and per-endpoint figures
+     * @param {Object} options - { days, limit }
+     * @returns {Promise<Object>}
+     */
+    async getAnalytics(options = {}) {
+        const { days = 30, limit = 10 } = options;
+        const cutoff = since(days);
+
+        const totals = await databaseService.queryOne(`
+            SELECT COUNT(*) as total,
+                   COUNT(DISTINCT NULLIF(normalized_query, '')) as unique_queries,
+                   AVG(result_count) as avg_results,
+                   AVG(latency_ms) as avg_latency,
+                   SUM(zero_results) as zero_results
+            FROM search_log
+            WHERE created_at >= ?
+        `, [cutoff], false);
+
+        const zeroResultQueries = await databaseService.query(`
+            SELECT normalized_query as query, COUNT(*) as count, MAX(created_at) as last_searched
+            FROM search_log
+            WHERE created_at >= ? AND zero_results = 1 AND normalized_query != ''
+            GROUP BY normalized_query
+            ORDER BY count DESC, last_searched DESC
+            LIMIT ?
+        `, [cutoff, limit], false);
+
+        const daily = await databaseService.query(`
+            SELECT substr(created_at, 1, 10) as date, COUNT(*) as searches, SUM(zero_results) as zero_results,
+                   AVG(latency_ms) as avg_latency
+            FROM search_log
+            WHERE created_at >= ?
+            GROUP BY date
+            ORDER BY date
+        `, [cutoff], false);
+
+        const endpoints = await databaseService.query(`
+            SELECT endpoint, COUNT(*) as searches, AVG(latency_ms) as avg_latency, SUM(zero_results) as zero_results
+            FROM search_log
+            WHERE created_at >= ?
+            GROUP BY endpoint
+            ORDER BY searches DESC, endpoint
+        `, [cutoff], false);
+
+        const total = totals.total;
+        return {
+            days,
+            totalSearches: total,
+            uniqueQueries: totals.unique_queries,
+            avgResultsPerQuery: total > 0 ? Math.round(totals.avg_results * 10) / 10 : 0,
+            avgLatencyMs: total > 0 ? Math.round(totals.avg_latency) : 0,
+            zeroResultRate: total > 0 ? Math.round((totals.zero_results / total) * 1000) / 10 : 0,
+            topQueries: (await this.getPopular({ days, limit })).map(({ query, count }) => ({ query, count })),
+            zeroResultQueries: zeroResultQueries.map(row => ({
+                query: row.query,
+                count: row.count,
+                lastSearched: row.last_searched
+            })),
+            searchTrends: {
+                daily: daily.map(row => ({
+                    date: row.date,
+                    searches: row.searches,
+                    zeroResults: row.zero_results,
+                    avgLatencyMs: Math.round(row.avg_latency)
+                }))
+            },
+            endpoints: endpoints.map(row => ({
+                endpoint: row.endpoint,
+                searches: row.searches,
+                zeroResults: row.zero_results,
+                avgLatencyMs: Math.round(row.avg_latency)
+            }))
+        };
+    }
+
+    /**
+     * Earlier successful queries that start with the text typed so far
+     * @param {string} prefix - Query typed so far
+     * @param {number} limit - Maximum number of queries
+     * @returns {Promise<Array>} [{ query, count }], most searched first
+     */
+    async getQueriesStartingWith(prefix, limit = 10) {
+        const normalized = normalizeQuery(prefix);
+        if (normalized === '') {
+            return [];
+        }
+
+        return databaseService.query(`
+            SELECT normalized_query as query, COUNT(*) as count
+            FROM search_log
+            WHERE normalized_query LIKE ? ESCAPE '\\' AND normalized_query != ? AND zero_results = 0
+            GROUP BY normalized_query
+            ORDER BY count DESC, MAX(created_at) DESC
+            LIMIT ?
+        `, [`${escapeLike(normalized)}%`, normalized, limit], false);
+    }
+
+    /**
+     * How often each of the given queries was searched with results
+     * @param {string[]} queries - Queries, compared after normalizing
+     * @returns {Promise<Map<string, number>>} Normalized query to count; queries never searched are missing
+     */
+    async getQueryCounts(queries) {
+        const normalized = [...new Set(queries.map(normalizeQuery).filter(Boolean))];
+        if (normalized.length === 0) {
+            return new Map();
+        }
+
+        const rows = await databaseService.query(`
+            SELECT normalized_query as query, COUNT(*) as count
+            FROM search_log
+            WHERE normalized_query IN (${normalized.map(() => '?').join(', ')}) AND zero_results = 0
+            GROUP BY normalized_query
+        `, normalized, false);
+
+        return new Map(rows.map(row => [row.query, row.count]));
+    }
+
+    /**
+     * Delete entries older than the retention period
+     * @param {number} retentionDays - Days of searches to keep
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async cleanup(retentionDays = SEARCH_LOG_RETENTION_DAYS) {
+        const result = await databaseService.run('DELETE FROM search_log WHERE created_at < ?', [since(retentionDays)]);
+        return result.changes;
+    }
+}
+
+function normalizeQuery(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function since(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// Export singleton instance
+const searchLogService = new SearchLogService();
+
+// Drop old searches once a day
+setInterval(() => {
+    if (searchLogService.isInitialized) {
+        searchLogService.cleanup().catch(error => {
+            console.error('Search log cleanup error:', error);
+        });
+    }
+}, DAY_MS).unref();
+
+module.exports = searchLogService;
@@ -0,0 +1,445 @@
+// Transcode service - streams tracks re-encoded with ffmpeg and caches complete transcodes on disk
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const {
+    FFMPEG_PATH, TRANSCODE_CACHE_DIR, TRANSCODE_CACHE_MAX_MB, TRANSCODE_MAX_PROCESSES
+} = require('../config');
+
+// Formats tracks can be transcoded to, with their encoder and container
+const TARGETS = {
+    opus: { codec: 'libopus', muxer: 'ogg', extension: 'opus', contentType: 'audio/ogg; codecs=opus', defaultBitrate: 128 },
+    aac: { codec: 'aac', muxer: 'adts', extension: 'aac', contentType: 'audio/aac', defaultBitrate: 192 },
+    mp3: { codec: 'libmp3lame', muxer: 'mp3', extension: 'mp3', contentType: 'audio/mpeg', defaultBitrate: 192 }
+};
+
+// Best quality for the bitrate first
+const TARGET_PREFERENCE = ['opus', 'aac', 'mp3'];
+
+const BITRATE_RANGE = { min: 32, max: 320 };
+
+// Media types in Accept headers, by the formats they cover
+const ACCEPT_FORMATS = {
+    'audio/mpeg': ['mp3'],
+    'audio/mp3': ['mp3'],
+    'audio/aac': ['aac'],
+    'audio/mp4': ['m4a', 'aac'],
+    'audio/x-m4a': ['m4a'],
+    'audio/ogg': ['ogg', 'opus'],
+    'audio/opus': ['opus'],
+    'audio/flac': ['flac'],
+    'audio/x-flac': ['flac'],
+    'audio/wav': ['wav'],
+    'audio/wave': ['wav'],
+    'audio/x-wav': ['wav'],
+    'audio/aiff': ['aiff'],
+    'audio/x-aiff': ['aiff']
+};
+
+// What a player that says nothing about itself is assumed to play; every
+// current browser decodes these, none of them APE or WMA, and not all AIFF.
+// Such a player gets MP3 when the original will not do.
+const DEFAULT_PLAYABLE = ['mp3', 'aac', 'm4a', 'ogg', 'opus', 'flac', 'wav'];
+const DEFAULT_TARGET = 'mp3';
+
+// Other spellings of source formats
+const FORMAT_ALIASES = { aif: 'aiff', oga: 'ogg', mpeg: 'mp3' };
+
+/**
+ * Streams tracks transcoded by ffmpeg to Opus, AAC or MP3, for players that
+ * cannot decode the original or should not download it at full size.
+ *
+ * At most TRANSCODE_MAX_PROCESSES encoders run at once; further requests
+ * wait in a short queue and are refused when it is full. A transcode of a
+ * whole track is written to the cache while it streams, keyed by the
+ * file's path, modification time, format and bitrate, so replaying it (or
+ * seeking in it with byte ranges) reads the cached file. Transcodes from a
+ * time offset are streamed only.
+ */
+class TranscodeService {
+    constructor() {
+        this.cacheDir = TRANSCODE_CACHE_DIR;
+        this.cacheMaxBytes = TRANSCODE_CACHE_MAX_MB * 1024 * 1024;
+        this.encoderPath = FFMPEG_PATH;
+        this.maxProcesses = TRANSCODE_MAX_PROCESSES;
+        this.maxQueued = TRANSCODE_MAX_PROCESSES * 4;
+        this.running = 0;
+        this.waiting = [];
+        // Cache entries being written
+        this.inFlight = new Set();
+    }
+
+    /**
+     * Format names
+     * @returns {string[]}
+     */
+    getFormats() {
+        return Object.keys(TARGETS);
+    }
+
+    /**
+     * Decide how to send a track
+     * @param {Object} options - { sourceFormat, sourceBitrate (kbps), format ('auto', 'original' or a format name), bitrate, accept (Accept header), supports (formats the player can play) }
+     * @returns {{format: string, bitrate: number|null}} format 'original' to send the file as it is
+     */
+    chooseFormat(options = {}) {
+        const { sourceFormat, sourceBitrate = null, format = 'auto', bitrate = null, accept = null, supports = null } = options;
+
+        if (bitrate !== null && (!Number.isInteger(bitrate) || bitrate < BITRATE_RANGE.min || bitrate > BITRATE_RANGE.max)) {
+            throw transcodeError('INVALID_BITRATE', `bitrate must be an integer between ${BITRATE_RANGE.min} and ${BITRATE_RANGE.max} (kbps)`);
+        }
+
+        if (format === 'original') {
+            return { format: 'original', bitrate: null };
+        }
+        if (TARGETS[format]) {
+            return { format, bitrate: bitrate ?? TARGETS[format].defaultBitrate };
+        }
+        if (format !== 'auto') {
+            throw transcodeError('INVALID_FORMAT', `format must be auto, original or one of: ${this.getFormats().join(', ')}`);
+        }
+
+        const playable = this._playableFormats(accept, supports);
+        const source = normalizeFormat(sourceFormat);
+
+        // The original is sent unless the player cannot decode it or it is larger than asked for
+        if ((playable || new Set(DEFAULT_PLAYABLE)).has(source) && (bitrate === null || (sourceBitrate && sourceBitrate <= bitrate))) {
+            return { format: 'original', bitrate: null };
+        }
+
+        const target = playable ? TARGET_PREFERENCE.find(name => playable.has(name)) || DEFAULT_TARGET : DEFAULT_TARGET;
+        return { format: target, bitrate: bitrate ?? TARGETS[target].defaultBitrate };
+    }
+
+    /**
+     * Get a transcode of an audio file, from the cache or from a new encoder
+     * @param {string} filePath - Absolute path to the audio file
+     * @param {Object} options - { format, bitrate, start (seconds), signal (AbortSignal ending the transcode) }
+     * @returns {Promise<Object>} { file, size } of a cached transcode, or { stream } of a running one; both with contentType
+     */
+    async getTranscode(filePath, options = {}) {
+        const { format, bitrate, start = 0, signal = null } = options;
+        const target = TARGETS[format];
+        if (!target) {
+            throw transcodeError('INVALID_FORMAT', `format must be one of: ${this.getFormats().join(', ')}`);
+        }
+
+        const stat = await fs.promises.stat(filePath);
+        const entryDir = this._getEntryDir(filePath);
+        const entryFile = path.join(entryDir, `${Math.floor(stat.mtimeMs)}-${format}-${bitrate}.${target.extension}`);
+
+        if (start === 0) {
+            const cached = await statOrNull(entryFile);
+            if (cached) {
+                // The cache is trimmed least recently used first
+                const now = new Date();
+                await fs.promises.utimes(entryFile, now, now).catch(() => {});
+                return { file: entryFile, size: cached.size, contentType: target.contentType, cached: true };
+            }
+            await fs.promises.mkdir(entryDir, { recursive: true });
+        }
+
+        await this._acquire(signal);
+
+        // Only one request writes an entry; the others stream without caching
+        const cacheEntry = start === 0 && !this.inFlight.has(entryFile) ? { entryDir, entryFile, mtimeMs: stat.mtimeMs } : null;
+        if (cacheEntry) {
+            this.inFlight.add(entryFile);
+        }
+
+        try {
+            const stream = await this._encode(filePath, target, bitrate, start, cacheEntry, signal);
+            return { stream, contentType: target.contentType, cached: false };
+        } catch (error) {
+            if (cacheEntry) {
+                this.inFlight.delete(entryFile);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remove every cached transcode of a file
+     * @param {string} filePath - Absolute path to the audio file
+     */
+    async invalidate(filePath) {
+        await fs.promises.rm(this._getEntryDir(filePath), { recursive: true, force: true });
+    }
+
+    /**
+     * Formats the player can play: those it lists, else those in its Accept header
+     * @private
+     * @returns {Set<string>|null} null if the player says nothing about them
+     */
+    _playableFormats(accept, supports) {
+        if (supports && supports.length > 0) {
+            return new Set(supports.map(normalizeFormat));
+        }
+
+        const formats = new Set();
+        for (const part of String(accept || '').split(',')) {
+            const [type, ...params] = part.trim().toLowerCase().split(';');
+            if (params.some(param => /^\s*q=0(\.0*)?$/.test(param))) {continue;}
+            for (const name of ACCEPT_FORMATS[type.trim()] || []) {
+                formats.add(name);
+            }
+        }
+
+        return formats.size > 0 ? formats : null;
+    }
+
+    /**
+     * Wait for an encoder slot
+     * @private
+     */
+    _acquire(signal) {
+        if (signal?.aborted) {
+            return Promise.reject(transcodeError('TRANSCODE_ABORTED', 'Transcode cancelled'));
+        }
+        if (this.running < this.maxProcesses) {
+            this.running++;
+            return Promise.resolve();
+        }
+        if (this.waiting.length >= this.maxQueued) {
+            return Promise.reject(transcodeError('TRANSCODE_BUSY', 'Too many transcodes running, try again shortly'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            this.waiting.push(waiter);
+
+            signal?.addEventListener('abort', () => {
+                const index = this.waiting.indexOf(waiter);
+                if (index !== -1) {
+                    this.waiting.splice(index, 1);
+                    reject(transcodeError('TRANSCODE_ABORTED', 'Transcode cancelled'));
+                }
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Hand the slot to the next waiting request, or free it
+     * @private
+     */
+    _release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next.resolve();
+        } else {
+            this.running--;
+        }
+    }
+
+    /**
+     * Start ffmpeg and resolve with its output once the first bytes arrive,
+     * so a missing encoder or an undecodable file is still an error response
+     * @private
+     */
+    _encode(filePath, target, bitrate, start, cacheEntry, signal) {
+        return new Promise((resolve, reject) => {
+            const stderr = [];
+            const output = new PassThrough();
+            let started = false;
+            let settled = false;
+            let cacheWriter = null;
+            let tempFile = null;
+
+            const encoder = spawn(this.encoderPath, [
+                '-v', 'error',
+                ...(start > 0 ? ['-ss', String(start)] : []),
+                '-i', filePath,
+                '-vn',
+                '-map_metadata', '-1',
+                '-ac', '2',
+                '-c:a', target.codec,
+                '-b:a', `${bitrate}k`,
+                '-f', target.muxer,
+                '-'
+            ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            const onAbort = () => encoder.kill('SIGKILL');
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (cacheEntry) {
+                tempFile = `${cacheEntry.entryFile}.${process.pid}.tmp`;
+                cacheWriter = fs.createWriteStream(tempFile);
+                cacheWriter.on('error', (error) => {
+                    // A failed cache write should never fail the stream itself
+                    console.warn('Failed to write transcode cache entry:', error.message);
+                    encoder.stdout.unpipe(cacheWriter);
+                    cacheWriter = null;
+                });
+                encoder.stdout.pipe(cacheWriter);
+            }
+
+            encoder.stdout.pipe(output);
+            encoder.stdout.once('data', () => {
+                started = true;
+                resolve(output);
+            });
+            encoder.stderr.on('data', (chunk) => stderr.push(chunk));
+
+            // 'error' and 'close' can both arrive for one failure
+            const finish = (error) => {
+                if (settled) {return;}
+                settled = true;
+                signal?.removeEventListener('abort', onAbort);
+                this._release();
+
+                if (!error) {
+                    if (cacheEntry) {
+                        this._storeCache(cacheEntry, tempFile, cacheWriter);
+                    }
+                    if (!started) {resolve(output);}
+                    return;
+                }
+
+                if (cacheEntry) {
+                    this._discardCache(cacheEntry, tempFile, cacheWriter);
+                }
+                if (started) {
+                    output.destroy(signal?.aborted ? undefined : error);
+                } else {
+                    reject(error);
+                }
+            };
+
+            encoder.on('error', (error) => {
+                if (error.code === 'ENOENT') {
+                    return finish(transcodeError('DECODER_UNAVAILABLE', `Audio encoder not found: ${this.encoderPath}`));
+                }
+                finish(error);
+            });
+
+            encoder.on('close', (code) => {
+                if (code !== 0) {
+                    const message = Buffer.concat(stderr).toString().trim();
+                    return finish(signal?.aborted
+                        ? transcodeError('TRANSCODE_ABORTED', 'Transcode cancelled')
+                        : transcodeError('DECODE_FAILED', `Audio transcoding failed (exit ${code}): ${message}`));
+                }
+                finish(null);
+            });
+        });
+    }
+
+    /**
+     * Move a complete transcode into place, drop entries for older versions
+     * of the file and trim the cache to its size limit
+     * @private
+     */
+    async _storeCache(cacheEntry, tempFile, cacheWriter) {
+        try {
+            if (!cacheWriter) {
+                await fs.promises.rm(tempFile, { force: true });
+                return;
+            }
+            if (!cacheWriter.writableFinished) {
+                await new Promise((resolve, reject) => {
+                    cacheWriter.once('finish', resolve);
+                    cacheWriter.once('error', reject);
+                });
+            }
+
+            const prefix = `${Math.floor(cacheEntry.mtimeMs)}-`;
+            for (const name of await fs.promises.readdir(cacheEntry.entryDir)) {
+                if (!name.startsWith(prefix)) {
+                    await fs.promises.rm(path.join(cacheEntry.entryDir, name), { force: true });
+                }
+            }
+
+            await fs.promises.rename(tempFile, cacheEntry.entryFile);
+            await this._trimCache();
+        } catch (error) {
+            console.warn('Failed to store transcode cache entry:', error.message);
+            await fs.promises.rm(tempFile, { force: true }).catch(() => {});
+        } finally {
+            this.inFlight.delete(cacheEntry.entryFile);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _discardCache(cacheEntry, tempFile, cacheWriter) {
+        if (cacheWriter) {
+            cacheWriter.destroy();
+        }
+        await fs.promises.rm(tempFile, { force: true }).catch(() => {});
+        this.inFlight.delete(cacheEntry.entryFile);
+    }
+
+    /**
+     * Remove the least recently used transcodes until the cache fits its limit
+     * @private
+     */
+    async _trimCache() {
+        const entries = [];
+        for (const bucket of await readdirOrEmpty(this.cacheDir)) {
+            for (const entry of await readdirOrEmpty(path.join(this.cacheDir, bucket))) {
+                const entryDir = path.join(this.cacheDir, bucket, entry);
+                for (const name of await readdirOrEmpty(entryDir)) {
+                    if (name.endsWith('.tmp')) {continue;}
+                    const file = path.join(entryDir, name);
+                    const stat = await statOrNull(file);
+                    if (stat) {
+                        entries.push({ file, size: stat.size, mtimeMs: stat.mtimeMs });
+                    }
+                }
+            }
+        }
+
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const entry of entries) {
+            if (total <= this.cacheMaxBytes) {break;}
+            await fs.promises.rm(entry.file, { force: true });
+            total -= entry.size;
+        }
+    }
+
+    /**
+     * Directory holding all cached transcodes of one source file
+     * @private
+     */
+    _getEntryDir(filePath) {
+        const hash = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+        return path.join(this.cacheDir, hash.slice(0, 2), hash);
+    }
+}
+
+function normalizeFormat(format) {
+    const name = String(format || '').toLowerCase().replace(/^\./, '');
+    return FORMAT_ALIASES[name] || name;
+}
+
+async function statOrNull(file) {
+    try {
+        return await fs.promises.stat(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') {return null;}
+        throw error;
+    }
+}
+
+async function readdirOrEmpty(dir) {
+    try {
+        return await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {return [];}
+        throw error;
+    }
+}
+
+function transcodeError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Export singleton instance
+const transcodeService = new TranscodeService();
+module.exports = transcodeService;
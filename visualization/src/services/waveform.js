@@ -0,0 +1,173 @@
+// Waveform service - decodes audio files and caches min/max peaks on disk
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FFMPEG_PATH, WAVEFORM_CACHE_DIR } = require('../config');
+const { PeakAccumulator, toAmplitudes } = require('../utils/peaks');
+
+// Decoding at a reduced sample rate keeps CPU usage low on the Pi while
+// still giving far more resolution than any player can draw
+const DECODE_SAMPLE_RATE = 8000;
+
+class WaveformService {
+    constructor() {
+        this.cacheDir = WAVEFORM_CACHE_DIR;
+        this.decoderPath = FFMPEG_PATH;
+        this.inFlight = new Map();
+        this.limits = {
+            minSamples: 16,
+            maxSamples: 4000,
+            defaultSamples: 1000
+        };
+    }
+
+    /**
+     * Get waveform peaks for an audio file, decoding it only on cache miss
+     * @param {string} filePath - Absolute path to the audio file
+     * @param {Object} options - { samples, channels }
+     * @returns {Promise<Object>} Waveform data with peaks and amplitude envelope
+     */
+    async getWaveform(filePath, options = {}) {
+        const samples = options.samples || this.limits.defaultSamples;
+        const channels = options.channels || 1;
+
+        const stat = await fs.promises.stat(filePath);
+        const entryDir = this._getEntryDir(filePath);
+        const entryFile = path.join(entryDir, `${Math.floor(stat.mtimeMs)}-${samples}x${channels}.json`);
+
+        const cached = await this._readCache(entryFile);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+
+        // Coalesce concurrent requests for the same entry into one decode
+        if (this.inFlight.has(entryFile)) {
+            return this.inFlight.get(entryFile);
+        }
+
+        const pending = this._decodePeaks(filePath, samples, channels)
+            .then(async (waveform) => {
+                await this._writeCache(entryDir, entryFile, stat.mtimeMs, waveform);
+                return { ...waveform, cached: false };
+            })
+            .finally(() => {
+                this.inFlight.delete(entryFile);
+            });
+
+        this.inFlight.set(entryFile, pending);
+        return pending;
+    }
+
+    /**
+     * Remove every cached entry for a file
+     * @param {string} filePath - Absolute path to the audio file
+     */
+    async invalidate(filePath) {
+        await fs.promises.rm(this._getEntryDir(filePath), { recursive: true, force: true });
+    }
+
+    /**
+     * Decode audio to PCM with ffmpeg and reduce it to peaks
+     * @private
+     */
+    _decodePeaks(filePath, samples, channels) {
+        return new Promise((resolve, reject) => {
+            const accumulator = new PeakAccumulator(channels);
+            const stderr = [];
+
+            const decoder = spawn(this.decoderPath, [
+                '-v', 'error',
+                '-i', filePath,
+                '-vn',
+                '-ac', String(channels),
+                '-ar', String(DECODE_SAMPLE_RATE),
+                '-f', 's16le',
+                '-'
+            ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            decoder.stdout.on('data', (chunk) => accumulator.push(chunk));
+            decoder.stderr.on('data', (chunk) => stderr.push(chunk));
+
+            decoder.on('error', (error) => {
+                if (error.code === 'ENOENT') {
+                    const unavailable = new Error(`Audio decoder not found: ${this.decoderPath}`);
+                    unavailable.code = 'DECODER_UNAVAILABLE';
+                    return reject(unavailable);
+                }
+                reject(error);
+            });
+
+            decoder.on('close', (code) => {
+                if (code !== 0) {
+                    const message = Buffer.concat(stderr).toString().trim();
+                    const failure = new Error(`Audio decoding failed (exit ${code}): ${message}`);
+                    failure.code = 'DECODE_FAILED';
+                    return reject(failure);
+                }
+
+                const peaks = accumulator.finish(samples);
+                resolve({
+                    samples,
+                    channels,
+                    sampleRate: DECODE_SAMPLE_RATE,
+                    duration: Math.round((accumulator.frames / DECODE_SAMPLE_RATE) * 100) / 100,
+                    peaks,
+                    waveform: toAmplitudes(peaks)
+                });
+            });
+        });
+    }
+
+    /**
+     * Directory holding all cached resolutions for one source file
+     * @private
+     */
+    _getEntryDir(filePath) {
+        const hash = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+        return path.join(this.cacheDir, hash.slice(0, 2), hash);
+    }
+
+    /**
+     * @private
+     */
+    async _readCache(entryFile) {
+        try {
+            const content = await fs.promises.readFile(entryFile, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Discarding unreadable waveform cache entry:', entryFile, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Write a cache entry atomically and drop entries for older mtimes
+     * @private
+     */
+    async _writeCache(entryDir, entryFile, mtimeMs, waveform) {
+        try {
+            await fs.promises.mkdir(entryDir, { recursive: true });
+
+            const prefix = `${Math.floor(mtimeMs)}-`;
+            for (const name of await fs.promises.readdir(entryDir)) {
+                if (!name.startsWith(prefix)) {
+                    await fs.promises.rm(path.join(entryDir, name), { force: true });
+                }
+            }
+
+            const tempFile = `${entryFile}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempFile, JSON.stringify(waveform));
+            await fs.promises.rename(tempFile, entryFile);
+        } catch (error) {
+            // A failed cache write should never fail the request itself
+            console.warn('Failed to write waveform cache entry:', error.message);
+        }
+    }
+}
+
+// Export singleton instance
+const waveformService = new WaveformService();
+module.exports = waveformService;
@@ -22,8 +22,10 @@ class CacheManager {
      * Set cache entry with automatic eviction
      * @param {string} key - Cache key
      * @param {*} data - Data to cache
+     * @param {string[]|null} tables - Tables the data was read from; null if unknown, which
+     *                                 makes the entry go stale on a write to any table
      */
-    setCache(key, data) {
+    setCache(key, data, tables = null) {
         // Remove oldest entries if cache is full
         if (this.cache.size >= this.maxSize) {
             const firstKey = this.cache.keys().next().value;
@@ -32,7 +34,8 @@ class CacheManager {
         
         this.cache.set(key, {
             data,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            tables: tables ? new Set(tables) : null
         });
     }
 
@@ -73,6 +76,28 @@ class CacheManager {
         }
     }
 
+    /**
+     * Drop entries read from any of the given tables
+     * @param {string[]|null} tables - Tables written to; null drops every entry
+     * @returns {number} Number of entries dropped
+     */
+    invalidateTables(tables) {
+        if (!tables) {
+            const size = this.cache.size;
+            this.cache.clear();
+            return size;
+        }
+
+        let dropped = 0;
+        for (const [key, entry] of this.cache) {
+            if (!entry.tables || tables.some(table => entry.tables.has(table))) {
+                this.cache.delete(key);
+                dropped++;
+            }
+        }
+        return dropped;
+    }
+
     /**
      * Get cache statistics
      * @returns {Object} Cache stats
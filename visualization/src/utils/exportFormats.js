@@ -0,0 +1,265 @@
+// Export formats - track-level playlists and collection files for DJ software and other tools
+const path = require('path');
+
+const EXPORT_VERSION = '2.5.0';
+
+// Rekordbox shows the file type as "<format> File"
+const FILE_KINDS = {
+    mp3: 'MP3 File',
+    flac: 'FLAC File',
+    wav: 'WAV File',
+    aif: 'AIFF File',
+    aiff: 'AIFF File',
+    m4a: 'M4A File',
+    aac: 'AAC File',
+    ogg: 'OGG File',
+    alac: 'M4A File'
+};
+
+const EXPORT_FORMATS = ['m3u8', 'xspf', 'rekordbox', 'csv', 'json'];
+
+const TRACK_CSV_COLUMNS = [
+    ['Album ID', (album) => album.id],
+    ['Album Artist', (album) => album.album_artist],
+    ['Album Title', (album) => album.album_title],
+    ['Year', (album) => album.year],
+    ['Genre', (album) => album.genre],
+    ['Label', (album) => album.label],
+    ['Catalog Number', (album) => album.catalog_number],
+    ['Quality', (album) => album.quality],
+    ['Disc', (album, track) => track.disc_number],
+    ['Track', (album, track) => track.track_number],
+    ['Track Title', (album, track) => track.track_title],
+    ['Track Artist', (album, track) => trackArtist(album, track)],
+    ['Duration', (album, track) => track.duration],
+    ['Format', (album, track) => fileFormat(track)],
+    ['Path', (album, track) => track.path]
+];
+
+/**
+ * Writers turn albums and their tracks into an export file a piece at a time,
+ * so the caller can read the collection in batches and send each piece as it
+ * is made. Every writer has the same shape:
+ *   begin() -> text before the first album
+ *   album(album, tracks) -> text for one album and its tracks, in order
+ *   end() -> text after the last album
+ * plus the contentType and file extension of its output.
+ *
+ * Formats:
+ *   m3u8      extended M3U playlist, UTF-8
+ *   xspf      XML Shareable Playlist Format
+ *   rekordbox Rekordbox collection XML: every track, and a playlist per album
+ *   csv/json  one row or object per track with its album's fields
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options
+ * @param {string} options.title - Playlist or collection name
+ * @param {number} [options.trackCount] - Tracks that will be written; rekordbox and json list it up front
+ * @param {boolean} [options.relativePaths] - m3u8: track paths relative to their album folder
+ * @returns {{contentType: string, extension: string, begin: Function, album: Function, end: Function}}
+ */
+function createExportWriter(format, options = {}) {
+    switch (format) {
+        case 'm3u8':
+            return m3u8Writer(options);
+        case 'xspf':
+            return xspfWriter(options);
+        case 'rekordbox':
+            return rekordboxWriter(options);
+        case 'csv':
+            return trackCsvWriter();
+        case 'json':
+            return trackJsonWriter(options);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+function m3u8Writer({ title, relativePaths = false }) {
+    return {
+        contentType: 'audio/x-mpegurl; charset=utf-8',
+        extension: 'm3u8',
+        begin: () => `#EXTM3U\n#PLAYLIST:${oneLine(title)}\n`,
+        album: (album, tracks) => tracks.map(track => {
+            const duration = Number.isFinite(track.duration) ? Math.round(track.duration) : -1;
+            const location = relativePaths && album.path && track.path?.startsWith(`${album.path}/`)
+                ? path.relative(album.path, track.path)
+                : track.path;
+            return `#EXTINF:${duration},${oneLine(`${trackArtist(album, track) || ''} - ${track.track_title || ''}`)}\n${location}\n`;
+        }).join(''),
+        end: () => ''
+    };
+}
+
+function xspfWriter({ title }) {
+    return {
+        contentType: 'application/xspf+xml; charset=utf-8',
+        extension: 'xspf',
+        begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+            `  <title>${escapeXml(title)}</title>\n` +
+            '  <trackList>\n',
+        album: (album, tracks) => tracks.map(track => {
+            const fields = [
+                ['location', fileUri(track.path)],
+                ['title', track.track_title],
+                ['creator', trackArtist(album, track)],
+                ['album', album.album_title],
+                ['trackNum', Number.isInteger(track.track_number) && track.track_number > 0 ? track.track_number : null],
+                ['duration', Number.isFinite(track.duration) ? Math.round(track.duration * 1000) : null]
+            ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+            return '    <track>\n' +
+                fields.map(([name, value]) => `      <${name}>${escapeXml(value)}</${name}>\n`).join('') +
+                '    </track>\n';
+        }).join(''),
+        end: () => '  </trackList>\n</playlist>\n'
+    };
+}
+
+function rekordboxWriter({ title, trackCount = 0 }) {
+    // Album playlists only refer to track IDs; they follow the collection
+    const playlists = [];
+
+    return {
+        contentType: 'application/xml; charset=utf-8',
+        extension: 'xml',
+        begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<DJ_PLAYLISTS Version="1.0.0">\n' +
+            `  <PRODUCT Name="ordr.fm" Version="${EXPORT_VERSION}" Company="ordr.fm"/>\n` +
+            `  <COLLECTION Entries="${trackCount}">\n`,
+        album: (album, tracks) => {
+            playlists.push({
+                name: `${album.album_artist || 'Unknown Artist'} - ${album.album_title || 'Unknown Album'}`,
+                ids: tracks.map(track => track.id)
+            });
+
+            return tracks.map(track => {
+                const attributes = [
+                    ['TrackID', track.id],
+                    ['Name', track.track_title],
+                    ['Artist', trackArtist(album, track)],
+                    ['Album', album.album_title],
+                    ['Genre', album.genre],
+                    ['Kind', FILE_KINDS[fileFormat(track)] || (fileFormat(track) ? `${fileFormat(track).toUpperCase()} File` : null)],
+                    ['TotalTime', Number.isFinite(track.duration) ? Math.round(track.duration) : null],
+                    ['DiscNumber', track.disc_number],
+                    ['TrackNumber', track.track_number],
+                    ['Year', album.year],
+                    ['Label', album.label],
+                    ['Location', fileUri(track.path, 'localhost')]
+                ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+                return `    <TRACK ${attributes.map(([name, value]) => `${name}="${escapeXml(value)}"`).join(' ')}/>\n`;
+            }).join('');
+        },
+        end: () => '  </COLLECTION>\n' +
+            '  <PLAYLISTS>\n' +
+            '    <NODE Type="0" Name="ROOT" Count="1">\n' +
+            `      <NODE Type="0" Name="${escapeXml(title)}" Count="${playlists.length}">\n` +
+            playlists.map(playlist =>
+                `        <NODE Name="${escapeXml(playlist.name)}" Type="1" KeyType="0" Entries="${playlist.ids.length}">\n` +
+                playlist.ids.map(id => `          <TRACK Key="${id}"/>\n`).join('') +
+                '        </NODE>\n'
+            ).join('') +
+            '      </NODE>\n' +
+            '    </NODE>\n' +
+            '  </PLAYLISTS>\n' +
+            '</DJ_PLAYLISTS>\n'
+    };
+}
+
+function trackCsvWriter() {
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        begin: () => `${TRACK_CSV_COLUMNS.map(([name]) => name).join(',')}\n`,
+        album: (album, tracks) => tracks.map(track =>
+            `${TRACK_CSV_COLUMNS.map(([, value]) => escapeCsv(value(album, track))).join(',')}\n`
+        ).join(''),
+        end: () => ''
+    };
+}
+
+function trackJsonWriter({ trackCount = null }) {
+    let first = true;
+
+    return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        begin: () => `{"metadata":${JSON.stringify({
+            exportDate: new Date().toISOString(),
+            version: EXPORT_VERSION,
+            totalTracks: trackCount
+        })},"tracks":[\n`,
+        album: (album, tracks) => tracks.map(track => {
+            const line = `${first ? '' : ',\n'}${JSON.stringify({
+                id: track.id,
+                album_id: album.id,
+                album_title: album.album_title,
+                album_artist: album.album_artist,
+                year: album.year,
+                genre: album.genre,
+                label: album.label,
+                catalog_number: album.catalog_number,
+                quality: album.quality,
+                disc_number: track.disc_number,
+                track_number: track.track_number,
+                title: track.track_title,
+                artist: trackArtist(album, track),
+                duration: track.duration,
+                file_format: fileFormat(track),
+                path: track.path
+            })}`;
+            first = false;
+            return line;
+        }).join(''),
+        end: () => '\n]}\n'
+    };
+}
+
+function trackArtist(album, track) {
+    return track.track_artist || album.album_artist || null;
+}
+
+function fileFormat(track) {
+    const format = track.file_format || path.extname(track.path || '').slice(1);
+    return format ? format.toLowerCase() : null;
+}
+
+// file:// URI with each path segment percent-encoded; Rekordbox expects file://localhost/...
+function fileUri(filePath, host = '') {
+    if (!filePath) {
+        return null;
+    }
+    const encoded = filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    return `file://${host}${encoded.startsWith('/') ? '' : '/'}${encoded}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) {return '';}
+    const stringValue = String(value);
+    if (/[",\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+}
+
+// M3U entries are one line each
+function oneLine(value) {
+    return String(value || '').replace(/[\r\n]+/g, ' ');
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createExportWriter
+};
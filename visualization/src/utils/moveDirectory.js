@@ -0,0 +1,32 @@
+// Directory moves that also work across filesystems
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Move a directory to a path that must not exist yet, creating its parents.
+ * A rename is tried first; when the two paths are on different filesystems
+ * the directory is copied and the original removed once the copy is complete.
+ * @param {string} fromPath - Directory to move
+ * @param {string} toPath - Where it goes
+ */
+async function moveDirectory(fromPath, toPath) {
+    await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+    try {
+        await fs.promises.rename(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        await fs.promises.cp(fromPath, toPath, {
+            recursive: true,
+            preserveTimestamps: true,
+            errorOnExist: true,
+            force: false
+        });
+        await fs.promises.rm(fromPath, { recursive: true });
+    }
+}
+
+module.exports = {
+    moveDirectory
+};
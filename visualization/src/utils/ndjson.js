@@ -0,0 +1,59 @@
+// NDJSON streaming - writes rows to a response one JSON object per line as they are read
+const { once } = require('events');
+
+/**
+ * Stream batches of rows as newline-delimited JSON. Waits for the client to
+ * drain the socket between batches and stops reading once it disconnects, so
+ * a whole collection never sits in memory. An error after the first row can
+ * no longer change the status code; it ends the stream with an
+ * {"error": ...} line instead.
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Array>} batches - Batches of rows
+ * @param {Object} options - { filename, total, mapBatch(rows) to turn each batch into the objects written }
+ * @returns {Promise<number>} Number of rows written
+ */
+async function streamNdjson(res, batches, options = {}) {
+    const { filename = null, total = null, mapBatch = null } = options;
+    // The response closes early only when the client goes away
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    if (filename) {
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    if (total !== null) {
+        res.setHeader('X-Total-Count', String(total));
+    }
+
+    let written = 0;
+    try {
+        for await (const batch of batches) {
+            if (closed) {break;}
+
+            const rows = mapBatch ? await mapBatch(batch) : batch;
+            const chunk = rows.map(row => `${JSON.stringify(row)}\n`).join('');
+            written += rows.length;
+            if (!res.write(chunk)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+    } catch (error) {
+        if (!res.headersSent) {
+            throw error;
+        }
+        console.error('NDJSON stream error:', error);
+        res.write(`${JSON.stringify({ error: 'Stream interrupted by a server error' })}\n`);
+    }
+
+    if (!closed) {
+        res.end();
+    }
+    return written;
+}
+
+module.exports = {
+    streamNdjson
+};
@@ -0,0 +1,147 @@
+// Peak computation utilities for waveform rendering
+
+/**
+ * Accumulates min/max peaks from a stream of interleaved signed 16-bit PCM.
+ * Samples are reduced to fixed-size blocks while streaming so memory stays
+ * bounded regardless of track length; the blocks are resampled to the
+ * requested resolution once the stream ends.
+ */
+class PeakAccumulator {
+    /**
+     * @param {number} channels - Number of interleaved channels
+     * @param {number} blockSize - Frames folded into each intermediate block
+     */
+    constructor(channels = 1, blockSize = 256) {
+        this.channels = channels;
+        this.blockSize = blockSize;
+        this.frames = 0;
+        this.remainder = null;
+        this.blocks = [];
+        for (let c = 0; c < channels; c++) {
+            this.blocks.push({ min: [], max: [] });
+        }
+        this._resetCurrent();
+    }
+
+    /**
+     * Feed a chunk of raw s16le PCM data
+     * @param {Buffer} chunk - Raw PCM bytes (may split frames)
+     */
+    push(chunk) {
+        let data = chunk;
+        if (this.remainder) {
+            data = Buffer.concat([this.remainder, chunk]);
+            this.remainder = null;
+        }
+
+        const frameBytes = this.channels * 2;
+        const usable = data.length - (data.length % frameBytes);
+        if (usable < data.length) {
+            this.remainder = Buffer.from(data.subarray(usable));
+        }
+
+        for (let offset = 0; offset < usable; offset += frameBytes) {
+            for (let c = 0; c < this.channels; c++) {
+                const value = data.readInt16LE(offset + c * 2) / 32768;
+                if (value < this.currentMin[c]) {this.currentMin[c] = value;}
+                if (value > this.currentMax[c]) {this.currentMax[c] = value;}
+            }
+            this.currentFrames++;
+            this.frames++;
+
+            if (this.currentFrames === this.blockSize) {
+                this._flushBlock();
+            }
+        }
+    }
+
+    /**
+     * Finish accumulation and resample blocks to the requested resolution
+     * @param {number} buckets - Number of peak pairs per channel
+     * @returns {Array<Array<number>>} Per-channel arrays of [min, max, min, max, ...]
+     */
+    finish(buckets) {
+        if (this.currentFrames > 0) {
+            this._flushBlock();
+        }
+        return this.blocks.map(channel => resamplePeaks(channel.min, channel.max, buckets));
+    }
+
+    _flushBlock() {
+        for (let c = 0; c < this.channels; c++) {
+            this.blocks[c].min.push(this.currentMin[c]);
+            this.blocks[c].max.push(this.currentMax[c]);
+        }
+        this._resetCurrent();
+    }
+
+    _resetCurrent() {
+        this.currentMin = new Array(this.channels).fill(Infinity);
+        this.currentMax = new Array(this.channels).fill(-Infinity);
+        this.currentFrames = 0;
+    }
+}
+
+/**
+ * Resample block minima/maxima into a fixed number of buckets
+ * @param {Array<number>} mins - Block minima
+ * @param {Array<number>} maxs - Block maxima
+ * @param {number} buckets - Target number of buckets
+ * @returns {Array<number>} Flat [min, max, ...] array, values rounded to 3 decimals
+ */
+function resamplePeaks(mins, maxs, buckets) {
+    const result = [];
+    const total = mins.length;
+
+    for (let i = 0; i < buckets; i++) {
+        if (total === 0) {
+            result.push(0, 0);
+            continue;
+        }
+
+        const start = Math.floor((i * total) / buckets);
+        const end = Math.max(start + 1, Math.floor(((i + 1) * total) / buckets));
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let j = start; j < end && j < total; j++) {
+            if (mins[j] < min) {min = mins[j];}
+            if (maxs[j] > max) {max = maxs[j];}
+        }
+
+        result.push(roundPeak(min), roundPeak(max));
+    }
+
+    return result;
+}
+
+/**
+ * Collapse per-channel peak pairs into a single 0..1 amplitude envelope
+ * @param {Array<Array<number>>} peaks - Per-channel [min, max, ...] arrays
+ * @returns {Array<number>} Amplitude per bucket
+ */
+function toAmplitudes(peaks) {
+    if (peaks.length === 0) {return [];}
+
+    const buckets = peaks[0].length / 2;
+    const amplitudes = [];
+    for (let i = 0; i < buckets; i++) {
+        let amplitude = 0;
+        for (const channel of peaks) {
+            amplitude = Math.max(amplitude, Math.abs(channel[i * 2]), Math.abs(channel[i * 2 + 1]));
+        }
+        amplitudes.push(roundPeak(Math.min(amplitude, 1)));
+    }
+    return amplitudes;
+}
+
+function roundPeak(value) {
+    if (!Number.isFinite(value)) {return 0;}
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    PeakAccumulator,
+    resamplePeaks,
+    toAmplitudes
+};
@@ -0,0 +1,170 @@
+// Progress event protocol - JSON lines written by ordr.fm.sh on a dedicated file descriptor
+
+// Descriptor the processing script writes events to (see lib/progress_events.sh)
+const PROGRESS_FD = 3;
+const PROTOCOL_VERSION = 1;
+
+const ALBUM_OUTCOMES = ['moved', 'planned', 'skipped', 'duplicate', 'unsorted', 'failed'];
+
+// Field types per event; fields not listed here are dropped
+const EVENT_SCHEMAS = {
+    run_started: {
+        required: ['total'],
+        fields: { total: 'number', dry_run: 'boolean', source: 'string', destination: 'string', run_id: 'string' }
+    },
+    album_started: {
+        required: ['index', 'path'],
+        fields: { index: 'number', total: 'number', path: 'string' }
+    },
+    discogs_match: {
+        required: ['path', 'confidence'],
+        fields: { path: 'string', confidence: 'number', threshold: 'number' }
+    },
+    metadata_reconstructed: {
+        required: ['path'],
+        fields: { path: 'string', confidence: 'number', artist: 'string', title: 'string', year: 'string' }
+    },
+    album_finished: {
+        required: ['index', 'path', 'outcome'],
+        fields: {
+            index: 'number',
+            total: 'number',
+            path: 'string',
+            outcome: 'string',
+            destination: 'string',
+            artist: 'string',
+            title: 'string',
+            quality: 'string',
+            organization_mode: 'string',
+            reason: 'string',
+            discogs_confidence: 'number'
+        }
+    },
+    error: {
+        required: ['message'],
+        fields: { message: 'string', path: 'string' }
+    },
+    run_finished: {
+        required: [],
+        fields: { processed: 'number', skipped: 'number', exit_code: 'number' }
+    }
+};
+
+/**
+ * Convert snake_case protocol keys to the camelCase used by the API
+ */
+function toCamelCase(key) {
+    return key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function coerce(value, type) {
+    if (type === 'number') {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (type === 'boolean') {
+        return value === true || value === 'true' || value === 1 || value === '1';
+    }
+    return value === null || value === undefined ? undefined : String(value);
+}
+
+/**
+ * Parse and validate one protocol line
+ * @param {string} line - Raw JSON line
+ * @returns {{event: Object|null, error: string|null}} Typed event { type, timestamp, data } or a parse error
+ */
+function parseProgressEvent(line) {
+    let raw;
+    try {
+        raw = JSON.parse(line);
+    } catch {
+        return { event: null, error: 'invalid JSON' };
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { event: null, error: 'event must be a JSON object' };
+    }
+
+    if (raw.v !== undefined && raw.v > PROTOCOL_VERSION) {
+        return { event: null, error: `unsupported protocol version ${raw.v}` };
+    }
+
+    const schema = EVENT_SCHEMAS[raw.event];
+    if (!schema) {
+        return { event: null, error: `unknown event type "${raw.event}"` };
+    }
+
+    const data = {};
+    for (const [key, type] of Object.entries(schema.fields)) {
+        if (raw[key] === undefined || raw[key] === '') {continue;}
+        const value = coerce(raw[key], type);
+        if (value !== undefined) {
+            data[toCamelCase(key)] = value;
+        }
+    }
+
+    const missing = schema.required.filter(key => data[toCamelCase(key)] === undefined);
+    if (missing.length > 0) {
+        return { event: null, error: `${raw.event} is missing ${missing.join(', ')}` };
+    }
+
+    if (raw.event === 'album_finished' && !ALBUM_OUTCOMES.includes(data.outcome)) {
+        return { event: null, error: `unknown album outcome "${data.outcome}"` };
+    }
+
+    return {
+        event: {
+            type: raw.event,
+            timestamp: typeof raw.ts === 'string' ? raw.ts : new Date().toISOString(),
+            data
+        },
+        error: null
+    };
+}
+
+/**
+ * Splits a byte stream into protocol lines. Chunks may end mid-line, so the
+ * trailing partial line is held back until the next chunk or flush().
+ */
+class ProgressEventParser {
+    constructor() {
+        this.buffer = '';
+    }
+
+    /**
+     * Feed a chunk of the stream
+     * @param {Buffer|string} chunk - Stream data
+     * @returns {Array<{event: Object|null, error: string|null, line: string}>} Parsed lines
+     */
+    push(chunk) {
+        this.buffer += chunk.toString();
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        return this._parseLines(lines);
+    }
+
+    /**
+     * Parse whatever is left once the stream has ended
+     */
+    flush() {
+        const lines = [this.buffer];
+        this.buffer = '';
+        return this._parseLines(lines);
+    }
+
+    _parseLines(lines) {
+        return lines
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => ({ ...parseProgressEvent(line), line }));
+    }
+}
+
+module.exports = {
+    PROGRESS_FD,
+    PROTOCOL_VERSION,
+    ALBUM_OUTCOMES,
+    EVENT_SCHEMAS,
+    parseProgressEvent,
+    ProgressEventParser
+};
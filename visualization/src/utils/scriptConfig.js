@@ -0,0 +1,348 @@
+// ordr.fm.conf handling - schema, parsing and shell-safe serialization of the script configuration
+
+// Placeholders the organization patterns may use
+const PATTERN_PLACEHOLDERS = [
+    'quality', 'artist', 'album', 'year', 'label', 'catalog', 'series', 'original_artist', 'remixer', 'title'
+];
+
+const bool = { type: 'boolean' };
+const ratio = { type: 'number', min: 0, max: 1 };
+const pattern = { type: 'pattern' };
+
+/**
+ * Keys the dashboard may edit. `apply` says when a change takes effect:
+ * 'live' is applied to the running server, 'next_run' when ordr.fm.sh next starts.
+ * Secrets are never written; ordr.fm.sh reads them from the environment.
+ */
+const CONFIG_SCHEMA = {
+    SOURCE_DIR: { type: 'path' },
+    DEST_DIR: { type: 'path', absolute: true, required: true, apply: 'live' },
+    UNSORTED_DIR_BASE: { type: 'path', absolute: true },
+    LOG_FILE: { type: 'path' },
+    VERBOSITY: { type: 'integer', min: 0, max: 3 },
+
+    INCREMENTAL_MODE: bool,
+    STATE_DB: { type: 'path' },
+    SINCE_DATE: { type: 'date' },
+    BATCH_MODE: bool,
+
+    FIND_DUPLICATES: bool,
+    RESOLVE_DUPLICATES: bool,
+    DUPLICATES_DB: { type: 'path' },
+
+    DISCOGS_ENABLED: bool,
+    DISCOGS_TOKEN: { type: 'secret' },
+    DISCOGS_USER_TOKEN: { type: 'secret' },
+    DISCOGS_CONSUMER_KEY: { type: 'secret' },
+    DISCOGS_CONSUMER_SECRET: { type: 'secret' },
+    DISCOGS_CONFIDENCE_THRESHOLD: ratio,
+    DISCOGS_RATE_LIMIT: { type: 'integer', min: 1, max: 60 },
+    DISCOGS_CACHE_EXPIRY: { type: 'integer', min: 0, max: 8760 },
+
+    RECONSTRUCTION_CONFIDENCE_THRESHOLD: ratio,
+    RECONSTRUCTION_ENABLE_FUZZY: bool,
+    RECONSTRUCTION_ENABLE_MUSICBRAINZ: bool,
+    RECONSTRUCTION_ENABLE_FILENAME_INFERENCE: bool,
+    RECONSTRUCTION_DEBUG: bool,
+
+    MUSICBRAINZ_ENABLED: bool,
+    MUSICBRAINZ_RATE_LIMIT: { type: 'integer', min: 1, max: 50 },
+    MUSICBRAINZ_CONFIDENCE_THRESHOLD: ratio,
+    MUSICBRAINZ_CACHE_EXPIRY: { type: 'integer', min: 0, max: 8760 },
+
+    FUZZY_ARTIST_THRESHOLD: ratio,
+    FUZZY_TITLE_THRESHOLD: ratio,
+    FUZZY_COMBINED_THRESHOLD: ratio,
+
+    ORGANIZATION_MODE: { type: 'enum', values: ['artist', 'label', 'series', 'hybrid'] },
+    LABEL_PRIORITY_THRESHOLD: ratio,
+    MIN_LABEL_RELEASES: { type: 'integer', min: 1, max: 1000 },
+    SEPARATE_REMIXES: bool,
+    SEPARATE_COMPILATIONS: bool,
+    VINYL_SIDE_MARKERS: bool,
+    UNDERGROUND_DETECTION: bool,
+
+    ENABLE_FILE_RENAMING: bool,
+    ENABLE_NEW_DIRECTORY_FORMAT: bool,
+    PATTERN_ARTIST: pattern,
+    PATTERN_LABEL: pattern,
+    PATTERN_SERIES: pattern,
+    PATTERN_REMIX: pattern,
+
+    ARTIST_ALIAS_GROUPS: { type: 'aliasGroups' },
+    GROUP_ARTIST_ALIASES: bool,
+    USE_PRIMARY_ARTIST_NAME: bool,
+
+    ENABLE_GDRIVE_BACKUP: bool,
+    GDRIVE_BACKUP_DIR: { type: 'path' },
+    GDRIVE_MOUNT_POINT: { type: 'path', absolute: true },
+    MAX_PARALLEL_UPLOADS: { type: 'integer', min: 1, max: 32 },
+    CHECKSUM_VERIFY: bool,
+
+    NOTIFY_EMAIL: { type: 'email' },
+    NOTIFY_WEBHOOK: { type: 'url' },
+
+    SKIP_PROBLEMATIC_ALBUMS: bool
+};
+
+const ASSIGNMENT = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_]*)=(.*)$/;
+
+/**
+ * Parse the value part of a shell assignment. Handles bare words, single and
+ * double quotes (concatenated) and a trailing comment. Nothing is expanded.
+ * @param {string} text - Everything after KEY=
+ * @returns {{value: string, comment: string, valid: boolean}}
+ */
+function parseShellValue(text) {
+    let value = '';
+    let i = 0;
+
+    while (i < text.length && !/\s/.test(text[i])) {
+        const char = text[i];
+        if (char === '\'') {
+            const end = text.indexOf('\'', i + 1);
+            if (end === -1) {return { value, comment: '', valid: false };}
+            value += text.slice(i + 1, end);
+            i = end + 1;
+        } else if (char === '"') {
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && '"\\$`'.includes(text[i + 1])) {i++;}
+                value += text[i];
+                i++;
+            }
+            if (i >= text.length) {return { value, comment: '', valid: false };}
+            i++;
+        } else if (char === '\\' && i + 1 < text.length) {
+            value += text[i + 1];
+            i += 2;
+        } else {
+            value += char;
+            i++;
+        }
+    }
+
+    const rest = text.slice(i);
+    const trimmed = rest.trim();
+    if (trimmed && !trimmed.startsWith('#')) {
+        return { value, comment: '', valid: false };
+    }
+    return { value, comment: trimmed ? rest.trimEnd() : '', valid: true };
+}
+
+/**
+ * Parse ordr.fm.conf
+ * @param {string} content - File content
+ * @returns {{values: Object, lines: Array, invalidLines: Array<number>}} Values by key, the
+ *   parsed lines (kept so writes preserve comments and layout) and lines that could not be parsed
+ */
+function parseConfig(content) {
+    const values = {};
+    const invalidLines = [];
+    const lines = content.split('\n').map((raw, index) => {
+        const match = raw.match(ASSIGNMENT);
+        if (!match || raw.trim().startsWith('#')) {
+            return { raw };
+        }
+
+        const [, prefix, key, text] = match;
+        const parsed = parseShellValue(text);
+        if (!parsed.valid) {
+            invalidLines.push(index + 1);
+            return { raw };
+        }
+
+        values[key] = parsed.value;
+        return { raw, key, prefix, comment: parsed.comment };
+    });
+
+    return { values, lines, invalidLines };
+}
+
+/**
+ * Quote a value so that sourcing the file assigns it literally
+ */
+function quoteShellValue(value) {
+    if (value === '') {return '';}
+    if (/^[A-Za-z0-9_.,:@%+/=-]+$/.test(value)) {return value;}
+    if (!/["\\$`!]/.test(value)) {return `"${value}"`;}
+    return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Produce new file content with changed values, keeping comments, order and layout
+ * @param {string} content - Current file content
+ * @param {Object} changes - Key to new value
+ * @returns {string} Updated content
+ */
+function updateConfigContent(content, changes) {
+    const { lines } = parseConfig(content);
+    const pending = new Map(Object.entries(changes));
+
+    const output = lines.map(line => {
+        if (!line.key || !pending.has(line.key)) {
+            return line.raw.replace(/^# Last updated: .*$/, `# Last updated: ${new Date().toISOString()}`);
+        }
+        const value = pending.get(line.key);
+        pending.delete(line.key);
+        return `${line.prefix}${line.key}=${quoteShellValue(value)}${line.comment}`;
+    });
+
+    if (pending.size > 0) {
+        // Keep the trailing newline after the appended block
+        const trailing = output.length > 0 && output[output.length - 1] === '' ? output.pop() : null;
+        output.push('', '# Added by the visualization dashboard');
+        for (const [key, value] of pending) {
+            output.push(`${key}=${quoteShellValue(value)}`);
+        }
+        if (trailing !== null) {output.push(trailing);}
+    }
+
+    return output.join('\n');
+}
+
+function validateValue(key, rule, raw) {
+    const value = raw === null || raw === undefined ? '' : raw;
+
+    if (rule.type === 'boolean') {
+        if ([true, 1, '1', 'true'].includes(value)) {return { value: '1' };}
+        if ([false, 0, '0', 'false'].includes(value)) {return { value: '0' };}
+        return { error: 'must be 0 or 1' };
+    }
+
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: 'must be a string or number' };
+    }
+    const text = String(value).trim();
+
+    if ([...text].some(char => char.charCodeAt(0) < 0x20 || char.charCodeAt(0) === 0x7f)) {
+        return { error: 'must not contain control characters or newlines' };
+    }
+    if (text === '') {
+        return rule.required ? { error: 'is required' } : { value: '' };
+    }
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(text);
+            if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+            }
+            if (number < rule.min || number > rule.max) {
+                return { error: `must be between ${rule.min} and ${rule.max}` };
+            }
+            return { value: String(number) };
+        }
+        case 'enum':
+            return rule.values.includes(text) ? { value: text } : { error: `must be one of ${rule.values.join(', ')}` };
+        case 'path':
+            if (rule.absolute && !text.startsWith('/')) {
+                return { error: 'must be an absolute path' };
+            }
+            return { value: text };
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text)) ?
+                { value: text } : { error: 'must be a date (YYYY-MM-DD)' };
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? { value: text } : { error: 'must be an email address' };
+        case 'url':
+            return /^https?:\/\/[^\s]+$/.test(text) ? { value: text } : { error: 'must be an http(s) URL' };
+        case 'pattern': {
+            if (text.startsWith('/') || text.split('/').includes('..')) {
+                return { error: 'must be a relative path without ..' };
+            }
+            const unknown = [...text.matchAll(/\{([^}]*)\}/g)]
+                .map(match => match[1])
+                .filter(name => !PATTERN_PLACEHOLDERS.includes(name));
+            if (unknown.length > 0) {
+                return { error: `unknown placeholder {${unknown[0]}}; use ${PATTERN_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}` };
+            }
+            return { value: text };
+        }
+        case 'aliasGroups': {
+            const groups = text.split('|').map(group => group.split(',').map(name => name.trim()));
+            if (groups.some(names => names.length < 2 || names.some(name => !name))) {
+                return { error: 'must be groups of at least two comma-separated names, separated by |' };
+            }
+            return { value: groups.map(names => names.join(',')).join('|') };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+/**
+ * Validate and normalize requested changes against the schema
+ * @param {Object} updates - Key to requested value
+ * @returns {{values: Object, errors: Array<{key: string, message: string}>}} Normalized string values
+ */
+function validateConfig(updates) {
+    const values = {};
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(updates)) {
+        const rule = CONFIG_SCHEMA[key];
+        if (!rule) {
+            errors.push({ key, message: 'is not a known setting' });
+            continue;
+        }
+
+        if (rule.type === 'secret') {
+            // The form sends these back empty; anything else belongs in the environment
+            if (raw !== undefined && raw !== null && raw !== '') {
+                errors.push({ key, message: 'is read from the environment and cannot be stored in ordr.fm.conf' });
+            }
+            continue;
+        }
+
+        const result = validateValue(key, rule, raw);
+        if (result.error) {
+            errors.push({ key, message: result.error });
+        } else {
+            values[key] = result.value;
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * List keys whose values differ
+ * @param {Object} before - Values before
+ * @param {Object} after - Values after
+ * @returns {Array<{key: string, before: string|null, after: string|null}>}
+ */
+function diffConfig(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys]
+        .filter(key => before[key] !== after[key])
+        .sort()
+        .map(key => ({
+            key,
+            before: before[key] ?? null,
+            after: after[key] ?? null
+        }));
+}
+
+/**
+ * Values safe to return to clients: known settings other than secrets. Keys
+ * outside the schema are left out too, since any of them may be a credential
+ */
+function publicValues(values) {
+    return Object.fromEntries(
+        Object.entries(values).filter(([key]) => CONFIG_SCHEMA[key] && CONFIG_SCHEMA[key].type !== 'secret')
+    );
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    PATTERN_PLACEHOLDERS,
+    parseConfig,
+    parseShellValue,
+    quoteShellValue,
+    updateConfigContent,
+    validateConfig,
+    diffConfig,
+    publicValues
+};
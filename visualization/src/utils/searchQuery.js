@@ -0,0 +1,387 @@
+// Album search query language - parses `artist:"Move D" year:1995..2002 -genre:ambient has:catalog` into parameterized SQL
+
+/**
+ * Fields a query may filter on, with the albums column they map to.
+ * text: case-insensitive substring; exact: case-insensitive equality;
+ * number: a value, a range (1995..2002, 1995.., ..2002) or a comparison (>=1995).
+ */
+const SEARCH_FIELDS = {
+    artist: { column: 'album_artist', type: 'text' },
+    album: { column: 'album_title', type: 'text' },
+    label: { column: 'label', type: 'text' },
+    catalog: { column: 'catalog_number', type: 'text' },
+    genre: { column: 'genre', type: 'text' },
+    path: { column: 'path', type: 'text' },
+    quality: { column: 'quality', type: 'exact' },
+    year: { column: 'year', type: 'number' },
+    tracks: { column: 'track_count', type: 'number' },
+    duration: { column: 'total_duration', type: 'number' }
+};
+
+const FIELD_ALIASES = {
+    title: 'album',
+    catno: 'catalog',
+    catalog_number: 'catalog'
+};
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+const COMPARISON = /^(>=|<=|>|<)(-?\d+)$/;
+const RANGE = /^(-?\d*)\.\.(-?\d*)$/;
+
+/**
+ * Parse a query into a syntax tree
+ * @param {string} text - Query text
+ * @returns {Object|null} Tree of and/or/not/field/has/text nodes, or null for an empty query
+ * @throws {Error} code INVALID_QUERY with `position`, the offset in the text where parsing failed
+ */
+function parseSearchQuery(text) {
+    const tokens = tokenize(String(text || ''));
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const end = () => (tokens.length > 0 ? tokens[tokens.length - 1].end : 0);
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            next();
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+            if (peek().type === 'AND') {
+                next();
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        if (peek() && peek().type === 'NOT') {
+            next();
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (!token) {
+            throw queryError('Expected a search term at the end of the query', end());
+        }
+
+        switch (token.type) {
+            case 'LPAREN': {
+                const expression = parseOr();
+                if (!peek() || peek().type !== 'RPAREN') {
+                    throw queryError('Missing closing parenthesis', token.position);
+                }
+                next();
+                return expression;
+            }
+            case 'TERM':
+                return buildTerm(token);
+            case 'TEXT':
+                return { type: 'text', value: token.value };
+            case 'RPAREN':
+                throw queryError('Unexpected closing parenthesis', token.position);
+            default:
+                throw queryError(`Expected a search term before ${token.type}`, token.position);
+        }
+    }
+
+    const tree = parseOr();
+    if (peek()) {
+        throw queryError('Unexpected closing parenthesis', peek().position);
+    }
+    return tree;
+}
+
+/**
+ * Compile a syntax tree into a WHERE condition over the albums table
+ * @param {Object} tree - Result of parseSearchQuery
+ * @param {Object} options - { matchText(text) } returning { sql, params } that selects album IDs for free text
+ * @returns {{sql: string, params: Array}}
+ */
+function compileSearchQuery(tree, options) {
+    const params = [];
+
+    // Every condition is true or false, never NULL, so negating it also selects albums without the field
+    function compile(node) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return `(${node.children.map(compile).join(node.type === 'and' ? ' AND ' : ' OR ')})`;
+            case 'not':
+                return `NOT (${compile(node.child)})`;
+            case 'has':
+                return `(${node.column} IS NOT NULL AND ${node.column} != '')`;
+            case 'text': {
+                const match = options.matchText(node.value);
+                params.push(...match.params);
+                return `id IN (${match.sql})`;
+            }
+            default:
+                return compileField(node);
+        }
+    }
+
+    function compileField(node) {
+        if (node.op === 'contains') {
+            params.push(`%${escapeLike(node.value)}%`);
+            return `COALESCE(${node.column}, '') LIKE ? ESCAPE '\\'`;
+        }
+        if (node.op === 'equals') {
+            params.push(node.value);
+            return `COALESCE(${node.column}, '') = ? COLLATE NOCASE`;
+        }
+
+        const bounds = [];
+        if (node.min !== null) {
+            bounds.push(`${node.column} ${node.minInclusive ? '>=' : '>'} ?`);
+            params.push(node.min);
+        }
+        if (node.max !== null) {
+            bounds.push(`${node.column} ${node.maxInclusive ? '<=' : '<'} ?`);
+            params.push(node.max);
+        }
+        return `(${node.column} IS NOT NULL AND ${bounds.join(' AND ')})`;
+    }
+
+    return { sql: compile(tree), params };
+}
+
+/**
+ * Find the term being typed at the end of a query, for autocompletion
+ * @param {string} text - Query text
+ * @returns {{prefix: string, negated: boolean, field: string|null, partial: string}}
+ *          field is null while a field name (or free text) is being typed
+ */
+function getCompletionContext(text) {
+    text = String(text || '');
+
+    let start = 0;
+    let inQuote = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuote && char === '\\') {
+            i++;
+        } else if (char === '"') {
+            inQuote = !inQuote;
+        } else if (!inQuote && (/\s/.test(char) || char === '(' || char === ')')) {
+            start = i + 1;
+        }
+    }
+
+    let token = text.slice(start);
+    const negated = token.startsWith('-');
+    if (negated) {
+        token = token.slice(1);
+    }
+
+    const colon = token.indexOf(':');
+    if (colon === -1) {
+        return { prefix: text.slice(0, start), negated, field: null, partial: token };
+    }
+    return {
+        prefix: text.slice(0, start),
+        negated,
+        field: token.slice(0, colon).toLowerCase(),
+        partial: token.slice(colon + 1).replace(/^"/, '').replace(/"$/, '')
+    };
+}
+
+/**
+ * Canonical name of a field or alias
+ * @param {string} name - Field name as typed
+ * @returns {string|null} Field name, or null if unknown
+ */
+function resolveField(name) {
+    const lower = String(name).toLowerCase();
+    const field = FIELD_ALIASES[lower] || lower;
+    return SEARCH_FIELDS[field] ? field : null;
+}
+
+/**
+ * Write a value so it reads back as one term, quoting it when needed
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+function formatValue(value) {
+    value = String(value);
+    if (value !== '' && !/[\s"()\\]/.test(value)) {
+        return value;
+    }
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        const position = i;
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN', position, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (char === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT', position, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (char === '"') {
+            const quoted = readQuoted(text, i);
+            tokens.push({ type: 'TEXT', value: quoted.value, position, end: quoted.end });
+            i = quoted.end;
+            continue;
+        }
+
+        let word = '';
+        while (i < text.length && !/[\s()"]/.test(text[i]) && text[i] !== ':') {
+            word += text[i++];
+        }
+
+        if (text[i] === ':') {
+            i++;
+            const valuePosition = i;
+            let value = '';
+            if (text[i] === '"') {
+                const quoted = readQuoted(text, i);
+                value = quoted.value;
+                i = quoted.end;
+            } else {
+                while (i < text.length && !/[\s()"]/.test(text[i])) {
+                    value += text[i++];
+                }
+                if (value === '') {
+                    throw queryError(`Missing value after ${word}:`, valuePosition);
+                }
+            }
+            tokens.push({ type: 'TERM', field: word, value, position, valuePosition, end: i });
+        } else if (word === '') {
+            // A quote directly after a word, as in foo"bar
+            throw queryError('Unexpected quote; put a space before it or use field:"value"', i);
+        } else if (OPERATORS.includes(word)) {
+            tokens.push({ type: word, position, end: i });
+        } else {
+            tokens.push({ type: 'TEXT', value: word, position, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+function readQuoted(text, start) {
+    let value = '';
+    let i = start + 1;
+    while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+            i++;
+        }
+        value += text[i++];
+    }
+    if (i >= text.length) {
+        throw queryError('Missing closing quote', start);
+    }
+    return { value, end: i + 1 };
+}
+
+function buildTerm(token) {
+    if (token.field.toLowerCase() === 'has') {
+        const field = resolveField(token.value);
+        if (!field) {
+            throw queryError(`Unknown field "${token.value}" for has:`, token.valuePosition);
+        }
+        return { type: 'has', field, column: SEARCH_FIELDS[field].column };
+    }
+
+    const field = resolveField(token.field);
+    if (!field) {
+        throw queryError(
+            `Unknown field "${token.field}"; use one of ${[...Object.keys(SEARCH_FIELDS), 'has'].join(', ')}`,
+            token.position
+        );
+    }
+
+    const { column, type } = SEARCH_FIELDS[field];
+    if (type === 'text') {
+        return { type: 'field', field, column, op: 'contains', value: token.value };
+    }
+    if (type === 'exact') {
+        return { type: 'field', field, column, op: 'equals', value: token.value };
+    }
+    return { type: 'field', field, column, op: 'range', ...parseNumberValue(field, token) };
+}
+
+function parseNumberValue(field, token) {
+    const { value, valuePosition } = token;
+
+    const comparison = value.match(COMPARISON);
+    if (comparison) {
+        const number = parseInt(comparison[2], 10);
+        const lower = comparison[1].startsWith('>');
+        return {
+            min: lower ? number : null,
+            minInclusive: comparison[1] === '>=',
+            max: lower ? null : number,
+            maxInclusive: comparison[1] === '<='
+        };
+    }
+
+    const range = value.match(RANGE);
+    if (range && (range[1] !== '' || range[2] !== '')) {
+        const min = range[1] === '' ? null : parseInt(range[1], 10);
+        const max = range[2] === '' ? null : parseInt(range[2], 10);
+        if (min !== null && max !== null && min > max) {
+            throw queryError(`${field} range starts after it ends`, valuePosition);
+        }
+        return { min, minInclusive: true, max, maxInclusive: true };
+    }
+
+    if (/^-?\d+$/.test(value)) {
+        const number = parseInt(value, 10);
+        return { min: number, minInclusive: true, max: number, maxInclusive: true };
+    }
+
+    throw queryError(`${field} expects a number, a range like 1995..2002 or a comparison like >=1995`, valuePosition);
+}
+
+// Escape LIKE wildcards for use with ESCAPE '\\'
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function queryError(message, position) {
+    const error = new Error(`${message} (at position ${position})`);
+    error.code = 'INVALID_QUERY';
+    error.position = position;
+    return error;
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    parseSearchQuery,
+    compileSearchQuery,
+    getCompletionContext,
+    resolveField,
+    formatValue,
+    escapeLike
+};
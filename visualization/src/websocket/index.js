@@ -1,6 +1,8 @@
 // WebSocket service for real-time communication
 const WebSocket = require('ws');
 const jobManager = require('./jobManager');
+const jobStore = require('../services/jobStore');
+const configStore = require('../services/configStore');
 
 class WebSocketService {
     constructor() {
@@ -20,6 +22,21 @@ class WebSocketService {
             this.handleConnection(ws, req);
         });
 
+        // Relay persisted job changes to subscribers
+        this.jobUpdateListener = (job, isCompleted) => this.broadcastJobUpdate(job, isCompleted);
+        this.jobLogListener = (jobId, entry) => this.broadcast({ type: 'jobLog', jobId, log: entry }, 'jobs');
+        this.jobEventListener = (jobId, event) => this.broadcast({ type: 'jobEvent', jobId, event }, 'jobs');
+        jobStore.on('jobUpdate', this.jobUpdateListener);
+        jobStore.on('jobLog', this.jobLogListener);
+        jobStore.on('jobEvent', this.jobEventListener);
+
+        this.configListener = ({ changes, apply }) => this.broadcast({
+            type: 'configChanged',
+            keys: changes.map(change => change.key),
+            apply
+        }, 'system');
+        configStore.on('configChanged', this.configListener);
+
         // Send periodic stats updates
         this.startStatsUpdater();
 
@@ -38,13 +55,18 @@ class WebSocketService {
         this.clients.add(ws);
 
         // Send initial connection message
-        ws.send(JSON.stringify({
-            type: 'connection',
-            message: 'Connected to ordr.fm real-time updates',
-            timestamp: Date.now(),
-            activeJobs: jobManager.getActiveJobs(),
-            recentJobs: jobManager.getJobHistory(5)
-        }));
+        jobManager.getJobHistory(5)
+            .catch(() => [])
+            .then(recentJobs => {
+                if (ws.readyState !== WebSocket.OPEN) {return;}
+                ws.send(JSON.stringify({
+                    type: 'connection',
+                    message: 'Connected to ordr.fm real-time updates',
+                    timestamp: Date.now(),
+                    activeJobs: jobManager.getActiveJobs(),
+                    recentJobs
+                }));
+            });
 
         // Handle incoming messages
         ws.on('message', (message) => {
@@ -83,11 +105,15 @@ class WebSocketService {
             
             switch (data.type) {
                 case 'subscribe':
-                    this.subscribeToChannel(ws, data.channel);
+                    for (const channel of this._channelList(data)) {
+                        this.subscribeToChannel(ws, channel);
+                    }
                     break;
                 
                 case 'unsubscribe':
-                    this.unsubscribeFromChannel(ws, data.channel);
+                    for (const channel of this._channelList(data)) {
+                        this.unsubscribeFromChannel(ws, channel);
+                    }
                     break;
                 
                 case 'getJobStatus':
@@ -110,6 +136,18 @@ class WebSocketService {
         }
     }
 
+    /**
+     * Channels named by a subscribe/unsubscribe message ('channel' or 'channels')
+     * @param {Object} data - Parsed message
+     * @returns {Array<string>} Channel names
+     */
+    _channelList(data) {
+        if (Array.isArray(data.channels)) {
+            return data.channels.filter(channel => typeof channel === 'string');
+        }
+        return typeof data.channel === 'string' ? [data.channel] : [];
+    }
+
     /**
      * Subscribe client to a channel
      * @param {WebSocket} ws - WebSocket connection
@@ -155,8 +193,8 @@ class WebSocketService {
      * @param {WebSocket} ws - WebSocket connection
      * @param {string} jobId - Job ID
      */
-    sendJobStatus(ws, jobId) {
-        const job = jobManager.getJob(jobId);
+    async sendJobStatus(ws, jobId) {
+        const job = await jobManager.getJob(parseInt(jobId, 10)).catch(() => null);
         
         ws.send(JSON.stringify({
             type: 'jobStatus',
@@ -222,10 +260,10 @@ class WebSocketService {
      * Start periodic stats updater
      */
     startStatsUpdater() {
-        setInterval(() => {
+        this.statsInterval = setInterval(async () => {
             if (this.clients.size > 0) {
                 const stats = {
-                    activeJobs: jobManager.getStats(),
+                    activeJobs: await jobManager.getStats().catch(() => null),
                     connections: this.clients.size,
                     channels: Array.from(this.channels.keys()),
                     uptime: process.uptime(),
@@ -256,6 +294,15 @@ class WebSocketService {
      * Shutdown WebSocket server
      */
     shutdown() {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+        }
+        if (this.jobUpdateListener) {
+            jobStore.off('jobUpdate', this.jobUpdateListener);
+            jobStore.off('jobLog', this.jobLogListener);
+            jobStore.off('jobEvent', this.jobEventListener);
+            configStore.off('configChanged', this.configListener);
+        }
         if (this.wss) {
             this.wss.close();
         }
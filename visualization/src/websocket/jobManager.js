@@ -1,142 +1,108 @@
 // Job management and progress tracking for WebSocket updates
-const { v4: uuidv4 } = require('uuid');
+const jobStore = require('../services/jobStore');
 
+/**
+ * Generic progress-tracking facade over the persistent job store.
+ * Jobs created here share IDs, storage and broadcasts with /api/jobs/*.
+ */
 class JobManager {
-    constructor() {
-        this.activeJobs = new Map();
-        this.jobHistory = [];
-        this.maxHistorySize = 100;
-    }
-
     /**
      * Create a new job
      * @param {string} type - Job type (e.g., 'search', 'backup', 'sync')
      * @param {number} totalItems - Total items to process
      * @param {Object} details - Additional job details
-     * @returns {string} Job ID
+     * @returns {Promise<number>} Job ID
      */
-    createJob(type, totalItems = 0, details = {}) {
-        const jobId = uuidv4();
-        const job = {
-            id: jobId,
-            type,
-            status: 'starting',
-            progress: 0,
+    async createJob(type, totalItems = 0, details = {}) {
+        const job = await jobStore.createJob(type, {
             totalItems,
             processedItems: 0,
-            startTime: Date.now(),
-            endTime: null,
-            duration: null,
-            errors: [],
-            warnings: [],
             details
-        };
-
-        this.activeJobs.set(jobId, job);
-        return jobId;
+        });
+        return job.id;
     }
 
     /**
      * Update job progress
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @param {number} processedItems - Number of items processed
      * @param {string} status - Job status
      * @param {Object} details - Updated details
+     * @returns {Promise<Object|null>} Updated job
      */
-    updateJobProgress(jobId, processedItems, status = 'running', details = {}) {
-        const job = this.activeJobs.get(jobId);
+    async updateJobProgress(jobId, processedItems, status = 'running', details = {}) {
+        const job = jobStore.getActiveJobs().find(active => active.id === jobId);
         if (!job) {
             console.warn(`Job ${jobId} not found`);
             return null;
         }
 
-        job.processedItems = processedItems;
-        job.status = status;
-        job.progress = job.totalItems > 0 ? 
-            Math.round((processedItems / job.totalItems) * 100) : 0;
-        
-        // Merge details
-        job.details = { ...job.details, ...details };
-
-        return job;
+        return jobStore.updateJob(jobId, {
+            processedItems,
+            status,
+            progress: job.totalItems > 0 ?
+                Math.round((processedItems / job.totalItems) * 100) : 0,
+            details: { ...job.details, ...details }
+        });
     }
 
     /**
      * Add error to job
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @param {string} error - Error message
      */
-    addJobError(jobId, error) {
-        const job = this.activeJobs.get(jobId);
-        if (job) {
-            job.errors.push({
-                message: error,
-                timestamp: Date.now()
-            });
-        }
+    async addJobError(jobId, error) {
+        await jobStore.appendLog(jobId, 'error', error);
     }
 
     /**
      * Add warning to job
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @param {string} warning - Warning message
      */
-    addJobWarning(jobId, warning) {
-        const job = this.activeJobs.get(jobId);
-        if (job) {
-            job.warnings.push({
-                message: warning,
-                timestamp: Date.now()
-            });
-        }
+    async addJobWarning(jobId, warning) {
+        await jobStore.appendLog(jobId, 'warn', warning);
     }
 
     /**
      * Complete a job
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @param {string} status - Final status ('completed', 'failed', 'cancelled')
      * @param {Object} summary - Job completion summary
+     * @returns {Promise<Object|null>} Completed job
      */
-    completeJob(jobId, status = 'completed', summary = {}) {
-        const job = this.activeJobs.get(jobId);
+    async completeJob(jobId, status = 'completed', summary = {}) {
+        const job = jobStore.getActiveJobs().find(active => active.id === jobId);
         if (!job) {
             console.warn(`Job ${jobId} not found`);
             return null;
         }
 
-        job.status = status;
-        job.endTime = Date.now();
-        job.duration = job.endTime - job.startTime;
-        job.details = { ...job.details, ...summary };
+        const changes = { details: { ...job.details, ...summary } };
 
-        // If not explicitly failed, set progress to 100%
+        // If not explicitly failed, mark every item as processed
         if (status !== 'failed') {
-            job.progress = 100;
-            job.processedItems = job.totalItems;
-        }
-
-        // Move to history
-        this.jobHistory.unshift(job);
-        if (this.jobHistory.length > this.maxHistorySize) {
-            this.jobHistory = this.jobHistory.slice(0, this.maxHistorySize);
+            changes.progress = 100;
+            changes.processedItems = job.totalItems;
         }
 
-        // Remove from active jobs
-        this.activeJobs.delete(jobId);
-
-        return job;
+        return jobStore.completeJob(jobId, status, changes);
     }
 
     /**
-     * Get job by ID
-     * @param {string} jobId - Job ID
-     * @returns {Object|null} Job object or null
+     * Get job by ID, including its errors and warnings
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object|null>} Job object or null
      */
-    getJob(jobId) {
-        const activeJob = this.activeJobs.get(jobId);
-        if (activeJob) {return activeJob;}
+    async getJob(jobId) {
+        const job = await jobStore.getJob(jobId, { logLimit: 200 });
+        if (!job) {return null;}
 
-        return this.jobHistory.find(job => job.id === jobId) || null;
+        return {
+            ...job,
+            errors: job.logs.filter(log => log.level === 'error'),
+            warnings: job.logs.filter(log => log.level === 'warn')
+        };
     }
 
     /**
@@ -144,66 +110,45 @@ class JobManager {
      * @returns {Array} Array of active job objects
      */
     getActiveJobs() {
-        return Array.from(this.activeJobs.values());
+        return jobStore.getActiveJobs();
     }
 
     /**
      * Get job history
      * @param {number} limit - Maximum number of jobs to return
-     * @returns {Array} Array of completed job objects
+     * @returns {Promise<Array>} Array of finished job objects
      */
-    getJobHistory(limit = 20) {
-        return this.jobHistory.slice(0, limit);
+    async getJobHistory(limit = 20) {
+        const { jobs } = await jobStore.getJobHistory({ limit });
+        return jobs;
     }
 
     /**
      * Get jobs statistics
-     * @returns {Object} Job statistics
+     * @returns {Promise<Object>} Job statistics
      */
-    getStats() {
-        const activeJobs = this.getActiveJobs();
-        const recentJobs = this.getJobHistory();
-        
-        const completedJobs = recentJobs.filter(job => job.status === 'completed');
-        const failedJobs = recentJobs.filter(job => job.status === 'failed');
-        
-        const avgDuration = completedJobs.length > 0 ?
-            completedJobs.reduce((sum, job) => sum + (job.duration || 0), 0) / completedJobs.length :
-            0;
-
-        return {
-            activeJobs: activeJobs.length,
-            totalCompleted: completedJobs.length,
-            totalFailed: failedJobs.length,
-            averageDuration: Math.round(avgDuration),
-            successRate: recentJobs.length > 0 ? 
-                Math.round((completedJobs.length / recentJobs.length) * 100) : 0
-        };
+    async getStats() {
+        return jobStore.getStats();
     }
 
     /**
      * Cancel a job
-     * @param {string} jobId - Job ID
+     * @param {number} jobId - Job ID
      * @param {string} reason - Cancellation reason
+     * @returns {Promise<boolean>} Whether an active job was cancelled
      */
-    cancelJob(jobId, reason = 'Cancelled by user') {
-        const job = this.activeJobs.get(jobId);
-        if (job) {
-            this.completeJob(jobId, 'cancelled', { reason });
-            return true;
-        }
-        return false;
+    async cancelJob(jobId, reason = 'Cancelled by user') {
+        const job = await this.completeJob(jobId, 'cancelled', { reason });
+        return job !== null;
     }
 
     /**
-     * Clean up old completed jobs
-     * @param {number} maxAge - Maximum age in milliseconds
+     * Clean up finished jobs past the retention period
+     * @param {number} retentionDays - Days of history to keep
+     * @returns {Promise<number>} Number of jobs removed
      */
-    cleanupOldJobs(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
-        const cutoff = Date.now() - maxAge;
-        this.jobHistory = this.jobHistory.filter(job => 
-            job.endTime && job.endTime > cutoff
-        );
+    async cleanupOldJobs(retentionDays) {
+        return jobStore.cleanupOldJobs(retentionDays);
     }
 }
 
@@ -212,7 +157,11 @@ const jobManager = new JobManager();
 
 // Clean up old jobs every hour
 setInterval(() => {
-    jobManager.cleanupOldJobs();
-}, 60 * 60 * 1000);
+    if (jobStore.isInitialized) {
+        jobManager.cleanupOldJobs().catch(error => {
+            console.error('Job cleanup error:', error);
+        });
+    }
+}, 60 * 60 * 1000).unref();
 
-module.exports = jobManager;
\ No newline at end of file
+module.exports = jobManager;
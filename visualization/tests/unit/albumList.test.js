@@ -0,0 +1,99 @@
+// Unit tests for keyset-paginated album listings (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const albumListService = require('../../src/services/albumList');
+
+describe('Album List', () => {
+    // Walk every page and return the album IDs in order
+    const walk = async (sort, limit, conditions = [], params = []) => {
+        const ids = [];
+        let cursor = null;
+        do {
+            const page = await albumListService.page({ select: 'id', conditions, params, sort, cursor, limit });
+            ids.push(...page.rows.map(row => row.id));
+            cursor = page.nextCursor;
+        } while (cursor);
+        return ids;
+    };
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        // The metadata database ordr.fm.sh writes has file_size_mb rather than total_size
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                genre TEXT, quality TEXT, label TEXT, track_count INTEGER, total_duration INTEGER,
+                file_size_mb REAL, created_at TEXT
+            )
+        `);
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist, year, quality, file_size_mb, created_at) VALUES
+                ('Kunststoff', 'Move D', 1995, 'Lossless', 410.5, '2024-01-03'),
+                ('Solitaire', 'move d', 2002, 'Lossless', 380, '2024-01-01'),
+                ('Untrue', 'Burial', 2007, 'Lossy', 120, '2024-01-02'),
+                ('Untitled', NULL, NULL, NULL, NULL, NULL),
+                ('Parallel Dimensions', 'Move D', 2011, 'Lossy', 95.2, '2024-01-05'),
+                ('Burial', 'Burial', 2006, 'Lossless', 390, '2024-01-04')
+        `);
+        await albumListService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should page through every album once in sort order, ties broken by id', async () => {
+        expect(await walk(albumListService.resolveSort('artist', 'ASC'), 2)).toEqual([4, 3, 6, 1, 2, 5]);
+        expect(await walk(albumListService.resolveSort('artist', 'DESC'), 4)).toEqual([5, 2, 1, 6, 3, 4]);
+        expect(await walk(albumListService.resolveSort('year', 'DESC'), 5)).toEqual([5, 3, 6, 2, 1, 4]);
+        expect(await walk(albumListService.resolveSort('added', 'ASC'), 1)).toEqual([4, 2, 3, 1, 6, 5]);
+        expect(await walk(albumListService.resolveSort('quality', 'ASC'), 2, ['year > ?'], [2000]))
+            .toEqual([2, 6, 3, 5]);
+    });
+
+    test('should sort by size from whichever size column the database has', async () => {
+        const sort = albumListService.resolveSort('size', 'DESC');
+
+        expect(sort).toMatchObject({ key: 'total_size', column: 'file_size_mb', direction: 'DESC' });
+        expect(await walk(sort, 3)).toEqual([1, 6, 2, 3, 5, 4]);
+    });
+
+    test('should keep following the cursor when albums are added before it', async () => {
+        const sort = albumListService.resolveSort('album_title', 'ASC');
+        const first = await albumListService.page({ select: 'id, album_title', sort, limit: 3, useCache: false });
+        expect(first.rows.map(row => row.album_title)).toEqual(['Burial', 'Kunststoff', 'Parallel Dimensions']);
+
+        await databaseService.run('INSERT INTO albums (album_title) VALUES (?)', ['Airlock']);
+
+        const second = await albumListService.page({ select: 'id, album_title', sort, cursor: first.nextCursor, limit: 3 });
+        expect(second.rows.map(row => row.album_title)).toEqual(['Solitaire', 'Untitled', 'Untrue']);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('should stream batches until the last album', async () => {
+        const batches = [];
+        for await (const batch of albumListService.batches({
+            select: 'id',
+            sort: albumListService.resolveSort('album_title', 'ASC'),
+            batchSize: 3
+        })) {
+            batches.push(batch.map(row => row.id));
+        }
+
+        expect(batches).toEqual([[7, 6, 1], [5, 2, 4], [3]]);
+    });
+
+    test('should reject unknown sorts and cursors from another sort', async () => {
+        expect(() => albumListService.resolveSort('colour')).toThrow(expect.objectContaining({ code: 'INVALID_SORT' }));
+
+        const byYear = albumListService.resolveSort('year', 'ASC');
+        const { nextCursor } = await albumListService.page({ select: 'id', sort: byYear, limit: 1 });
+
+        await expect(albumListService.page({
+            select: 'id', sort: albumListService.resolveSort('year', 'DESC'), cursor: nextCursor, limit: 1
+        })).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+        await expect(albumListService.page({ select: 'id', sort: byYear, cursor: 'not-a-cursor', limit: 1 }))
+            .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+});
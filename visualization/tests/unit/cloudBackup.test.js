@@ -0,0 +1,97 @@
+// Unit tests for incremental cloud backup using the local directory target
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const databaseService = require('../../src/services/database');
+const cloudBackupService = require('../../src/services/cloudBackup');
+
+describe('Cloud Backup', () => {
+    let workDir;
+    let libraryDir;
+    let targetDir;
+
+    const writeFile = (relativePath, content) => {
+        const filePath = path.join(libraryDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    const runBackup = (options = {}) => cloudBackupService.runBackup({
+        targetId: 'test-disk',
+        includeDatabases: false,
+        ...options
+    });
+
+    beforeAll(async () => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-cloud-'));
+        libraryDir = path.join(workDir, 'library');
+        targetDir = path.join(workDir, 'target');
+        fs.mkdirSync(targetDir);
+
+        writeFile('Artist/Album (2001)/01 - Intro.flac', 'a'.repeat(4096));
+        writeFile('Artist/Album (2001)/02 - Outro.flac', 'b'.repeat(2048));
+
+        cloudBackupService.targetConfigs = [{ id: 'test-disk', type: 'local', destination: targetDir }];
+        cloudBackupService.sources = { library: libraryDir, unprocessed: null };
+
+        await databaseService.connect();
+        await cloudBackupService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should upload the library and report per-file progress', async () => {
+        const events = [];
+        const summary = await runBackup({ onProgress: event => events.push(event) });
+
+        expect(summary).toMatchObject({ uploadedFiles: 2, uploadedBytes: 6144, skippedFiles: 0, failedFiles: [] });
+        expect(fs.readFileSync(path.join(targetDir, 'library/Artist/Album (2001)/02 - Outro.flac'), 'utf8'))
+            .toBe('b'.repeat(2048));
+        expect(events.filter(event => event.stage === 'file_complete').map(event => event.fileIndex)).toEqual([1, 2]);
+        expect(events[events.length - 1].progress).toBe(100);
+    });
+
+    test('should only upload new or changed files on the next run', async () => {
+        const changed = writeFile('Artist/Album (2001)/02 - Outro.flac', 'c'.repeat(3000));
+        fs.utimesSync(changed, new Date(), new Date(Date.now() + 5000));
+
+        const summary = await runBackup();
+
+        expect(summary).toMatchObject({ scannedFiles: 2, skippedFiles: 1, uploadedFiles: 1, uploadedBytes: 3000 });
+    });
+
+    test('should resume a partially uploaded file', async () => {
+        const content = 'd'.repeat(1000) + 'e'.repeat(1000);
+        writeFile('Other/Single/01 - Track.mp3', content);
+        const remoteFile = path.join(targetDir, 'library/Other/Single/01 - Track.mp3');
+        fs.mkdirSync(path.dirname(remoteFile), { recursive: true });
+        fs.writeFileSync(`${remoteFile}.partial`, content.slice(0, 1000));
+
+        const summary = await runBackup();
+
+        expect(summary).toMatchObject({ uploadedFiles: 1, resumedBytes: 1000 });
+        expect(fs.readFileSync(remoteFile, 'utf8')).toBe(content);
+        expect(fs.existsSync(`${remoteFile}.partial`)).toBe(false);
+    });
+
+    test('should plan without uploading on a dry run', async () => {
+        writeFile('Other/Single/02 - Bonus.mp3', 'f'.repeat(10));
+
+        const summary = await runBackup({ dryRun: true });
+
+        expect(summary).toMatchObject({ dryRun: true, totalFiles: 1, uploadedFiles: 0 });
+        expect(summary.pendingFiles).toEqual(['library/Other/Single/02 - Bonus.mp3']);
+    });
+
+    test('should refuse a destination that is not mounted', async () => {
+        cloudBackupService.targetConfigs.push({ id: 'missing', type: 'local', destination: path.join(workDir, 'nope') });
+
+        await expect(runBackup({ targetId: 'missing' })).rejects.toMatchObject({ code: 'TARGET_UNAVAILABLE' });
+    });
+});
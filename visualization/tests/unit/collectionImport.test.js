@@ -0,0 +1,151 @@
+// Unit tests for importing collection exports (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const metadataHistoryService = require('../../src/services/metadataHistory');
+const collectionImportService = require('../../src/services/collectionImport');
+
+// An export as another installation would write it, with its music under /home/pi/music
+const exported = () => ({
+    metadata: { exportDate: '2026-10-01T12:00:00.000Z', version: '2.5.0', totalAlbums: 4 },
+    albums: [
+        {
+            id: 7, album_title: 'Kunststoff', album_artist: 'Move D', year: 1995, genre: 'House',
+            label: 'Source Records', catalog_number: 'SRC 008', path: '/home/pi/music/Move D/Kunststoff',
+            tracks: [
+                { number: 1, title: 'Amazing Discoveries', artist: 'Move D', duration: 421, disc_number: 1,
+                    path: '/home/pi/music/Move D/Kunststoff/01.flac' },
+                // Older exports wrote track numbers as text and no paths
+                { number: '2', title: 'Eine Kleine Nachtmusik', artist: 'Move D', duration: 389 }
+            ]
+        },
+        {
+            id: 8, album_title: 'Untrue', album_artist: 'Burial', year: 2007, genre: 'Dubstep',
+            label: 'Hyperdub', catalog_number: 'HDBCD002', path: '/home/pi/music/Burial/Untrue',
+            musicbrainz_id: 'mbid-untrue', tracks: []
+        },
+        {
+            id: 9, album_title: 'Polygondwanaland', album_artist: 'King Gizzard', year: 2017,
+            path: '/home/pi/music/King Gizzard/Polygondwanaland',
+            tracks: [{ number: 1, title: 'Crumbling Castle', artist: null, duration: 657, disc_number: 1,
+                path: '/home/pi/music/King Gizzard/Polygondwanaland/01.flac' }]
+        },
+        { id: 10, album_title: 'Lost', album_artist: 'Nobody', tracks: [] }
+    ]
+});
+
+describe('Collection Import', () => {
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                genre TEXT, label TEXT, catalog_number TEXT, quality TEXT, track_count INTEGER,
+                total_duration INTEGER, path TEXT UNIQUE, discogs_release_id TEXT, musicbrainz_id TEXT
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, disc_number INTEGER, track_number INTEGER,
+                track_title TEXT, track_artist TEXT, duration REAL, path TEXT
+            )
+        `);
+        // Kunststoff is matched by path, Untrue by MusicBrainz ID although it was moved
+        await databaseService.run(`
+            INSERT INTO albums (id, album_title, album_artist, year, genre, label, catalog_number, path, musicbrainz_id) VALUES
+                (1, 'Kunststoff', 'Move D', 1995, 'Electronic', 'Source Records', NULL, '/volume1/music/Move D/Kunststoff', NULL),
+                (2, 'Untrue', 'Burial', 2007, 'Dubstep', 'Hyperdub', 'HDBCD002', '/volume1/music/Lossy/Burial/Untrue', 'mbid-untrue'),
+                (3, 'Selected Ambient Works', 'Aphex Twin', 1992, NULL, NULL, NULL, '/volume1/music/Aphex Twin/SAW', NULL)
+        `);
+        await databaseService.run(`
+            INSERT INTO tracks (album_id, disc_number, track_number, track_title, track_artist, path) VALUES
+                (1, 1, 1, 'Amazing Discoveries', 'Move D', '/volume1/music/Move D/Kunststoff/01.flac'),
+                (1, 1, 2, 'Eine Kleine Nacht', 'Move D', '/volume1/music/Move D/Kunststoff/02.flac')
+        `);
+        await metadataHistoryService.initialize();
+        await collectionImportService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    const pathMap = { from: '/home/pi/music', to: '/volume1/music' };
+
+    test('should report new, changed and missing albums', async () => {
+        const preview = await collectionImportService.preview(exported(), { pathMap });
+
+        expect(preview.summary).toEqual({ total: 4, new: 1, changed: 1, unchanged: 1, missing: 1, skipped: 1 });
+        expect(preview.new).toEqual([expect.objectContaining({
+            entry: 2, path: '/volume1/music/King Gizzard/Polygondwanaland', trackCount: 1
+        })]);
+        expect(preview.changed).toEqual([{
+            entry: 0,
+            albumId: 1,
+            path: '/volume1/music/Move D/Kunststoff',
+            matchedBy: 'path',
+            changes: [
+                { field: 'genre', oldValue: 'Electronic', newValue: 'House' },
+                { field: 'catalog_number', oldValue: null, newValue: 'SRC 008' }
+            ],
+            trackChanges: [{
+                trackId: 2,
+                changes: [{ field: 'track_title', oldValue: 'Eine Kleine Nacht', newValue: 'Eine Kleine Nachtmusik' }]
+            }]
+        }]);
+        expect(preview.missing.map(album => album.albumId)).toEqual([3]);
+        expect(preview.skipped).toEqual([expect.objectContaining({ entry: 3, album_title: 'Lost' })]);
+    });
+
+    test('should reject files that are not collection exports', async () => {
+        await expect(collectionImportService.preview({ tracks: [] }))
+            .rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+        await expect(collectionImportService.preview(exported(), { pathMap: { from: '/home/pi/music' } }))
+            .rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+        await expect(collectionImportService.apply({ tracks: [] }))
+            .rejects.toMatchObject({ code: 'INVALID_IMPORT' });
+    });
+
+    test('should roll back the whole import when a change fails', async () => {
+        const collection = exported();
+        // Two new albums with the same path break the UNIQUE constraint on the second insert
+        collection.albums.push({ ...collection.albums[2], id: 11 });
+
+        await expect(collectionImportService.apply(collection, { pathMap }))
+            .rejects.toMatchObject({ code: 'APPLY_FAILED' });
+
+        const albums = await databaseService.query('SELECT id, genre FROM albums ORDER BY id', [], false);
+        expect(albums).toEqual([{ id: 1, genre: 'Electronic' }, { id: 2, genre: 'Dubstep' }, { id: 3, genre: null }]);
+    });
+
+    test('should apply the chosen changes and record them in the metadata history', async () => {
+        const result = await collectionImportService.apply(exported(), { pathMap, missing: [3], user: 'admin' });
+
+        expect(result).toEqual({ added: 1, updated: 1, fieldsChanged: 3, removed: 1 });
+
+        const albums = await databaseService.query(
+            'SELECT id, album_title, genre, catalog_number, path FROM albums ORDER BY id', [], false
+        );
+        expect(albums).toEqual([
+            { id: 1, album_title: 'Kunststoff', genre: 'House', catalog_number: 'SRC 008', path: '/volume1/music/Move D/Kunststoff' },
+            { id: 2, album_title: 'Untrue', genre: 'Dubstep', catalog_number: 'HDBCD002', path: '/volume1/music/Lossy/Burial/Untrue' },
+            {
+                id: 4, album_title: 'Polygondwanaland', genre: null, catalog_number: null,
+                path: '/volume1/music/King Gizzard/Polygondwanaland'
+            }
+        ]);
+        expect(await databaseService.query('SELECT track_title, path FROM tracks WHERE album_id = 4', [], false))
+            .toEqual([{ track_title: 'Crumbling Castle', path: '/volume1/music/King Gizzard/Polygondwanaland/01.flac' }]);
+
+        const history = await metadataHistoryService.getAlbumHistory(1);
+        expect(history.entries.map(entry => [entry.entityType, entry.field, entry.source, entry.user])).toEqual([
+            ['track', 'track_title', 'import', 'admin'],
+            ['album', 'catalog_number', 'import', 'admin'],
+            ['album', 'genre', 'import', 'admin']
+        ]);
+
+        // Once applied there is nothing left to import
+        const preview = await collectionImportService.preview(exported(), { pathMap });
+        expect(preview.summary).toMatchObject({ new: 0, changed: 0, unchanged: 3, missing: 0 });
+    });
+});
@@ -0,0 +1,108 @@
+// Unit tests for reading, writing and reverting ordr.fm.conf (in-memory SQLite, temporary file)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const databaseService = require('../../src/services/database');
+const configStore = require('../../src/services/configStore');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-config-'));
+const configPath = path.join(workDir, 'ordr.fm.conf');
+
+const ORIGINAL = [
+    '# ordr.fm configuration',
+    'SOURCE_DIR=.',
+    'DEST_DIR=/music/sorted  # organized library',
+    'VERBOSITY=1',
+    'DISCOGS_USER_TOKEN="secret-token"',
+    'DISCOGS_TOKEN="discogs-token"',
+    'LASTFM_API_KEY="custom-key"',
+    ''
+].join('\n');
+
+// What bash sees when it sources the file
+const sourceWithBash = (key) => execFileSync('bash', ['-c', `source "$1"; printf '%s' "$${key}"`, 'bash', configPath]).toString();
+
+describe('Config Store', () => {
+    beforeAll(async () => {
+        fs.writeFileSync(configPath, ORIGINAL);
+        configStore.configPath = configPath;
+
+        await databaseService.connect();
+        await configStore.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should read values without credentials', async () => {
+        const { values, version } = await configStore.read();
+
+        expect(values).toMatchObject({ SOURCE_DIR: '.', DEST_DIR: '/music/sorted', VERBOSITY: '1' });
+        expect(values).not.toHaveProperty('DISCOGS_USER_TOKEN');
+        expect(values).not.toHaveProperty('DISCOGS_TOKEN');
+        // Unknown keys may be credentials too
+        expect(values).not.toHaveProperty('LASTFM_API_KEY');
+        expect(version).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test('should reject invalid values and stale versions', async () => {
+        await expect(configStore.update({ DEST_DIR: 'relative/path', VERBOSITY: 9, NOT_A_KEY: 1 }))
+            .rejects.toMatchObject({
+                code: 'INVALID_CONFIG',
+                details: expect.arrayContaining([
+                    expect.objectContaining({ key: 'DEST_DIR' }),
+                    expect.objectContaining({ key: 'VERBOSITY' }),
+                    expect.objectContaining({ key: 'NOT_A_KEY' })
+                ])
+            });
+
+        await expect(configStore.update({ VERBOSITY: 2 }, { version: '0000000000000000' }))
+            .rejects.toMatchObject({ code: 'CONFIG_CONFLICT' });
+        expect(fs.readFileSync(configPath, 'utf8')).toBe(ORIGINAL);
+    });
+
+    test('should write only changed keys, keep comments and quote safely', async () => {
+        const { version } = await configStore.read();
+        const dangerous = '/music/$(touch pwned) "sorted"';
+
+        const result = await configStore.update({ DEST_DIR: dangerous, VERBOSITY: '1' }, { version, author: 'admin' });
+
+        expect(result.changes).toEqual([{ key: 'DEST_DIR', before: '/music/sorted', after: dangerous }]);
+        expect(result.apply).toEqual({ live: ['DEST_DIR'], nextRun: [] });
+
+        const content = fs.readFileSync(configPath, 'utf8');
+        expect(content).toContain('# organized library');
+        expect(content).toContain('DISCOGS_USER_TOKEN="secret-token"');
+        expect(sourceWithBash('DEST_DIR')).toBe(dangerous);
+        expect(fs.existsSync(path.join(workDir, 'pwned'))).toBe(false);
+        expect(fs.readdirSync(workDir)).toEqual(['ordr.fm.conf']);
+    });
+
+    test('should record hand edits and revert to an earlier version', async () => {
+        fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf8').replace('VERBOSITY=1', 'VERBOSITY=3'));
+        await configStore.update({ SOURCE_DIR: '/music/incoming' });
+
+        const { entries } = await configStore.getHistory();
+        expect(entries.map(entry => entry.action)).toEqual(['update', 'external', 'update', 'initial']);
+        expect(entries[1].changes).toEqual([{ key: 'VERBOSITY', before: '1', after: '3' }]);
+
+        const initial = entries[3];
+        const preview = await configStore.getHistoryEntry(initial.id);
+        expect(preview.diffToCurrent.map(change => change.key).sort()).toEqual(['DEST_DIR', 'SOURCE_DIR', 'VERBOSITY']);
+
+        const result = await configStore.revert(initial.id, { author: 'admin' });
+
+        expect(result.version).toBe(initial.version);
+        expect(fs.readFileSync(configPath, 'utf8')).toBe(ORIGINAL);
+        expect((await configStore.getHistory({ limit: 1 })).entries[0]).toMatchObject({
+            action: 'revert',
+            revertedFrom: initial.id
+        });
+        expect(await configStore.revert(9999)).toBeNull();
+    });
+});
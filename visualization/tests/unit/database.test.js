@@ -0,0 +1,66 @@
+// Unit tests for transactions on the shared database connection (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+
+describe('Database Transactions', () => {
+    const values = async () => (await databaseService.query('SELECT v FROM items ORDER BY v', [], false))
+        .map(row => row.v);
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run('CREATE TABLE items (v TEXT UNIQUE)');
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should queue overlapping transactions instead of failing the second BEGIN', async () => {
+        const slow = databaseService.transaction(async () => {
+            await databaseService.run('INSERT INTO items (v) VALUES (\'a1\')');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await databaseService.run('INSERT INTO items (v) VALUES (\'a2\')');
+            return 'done';
+        });
+        const quick = databaseService.transaction([{ sql: 'INSERT INTO items (v) VALUES (?)', params: ['b1'] }]);
+
+        await expect(slow).resolves.toBe('done');
+        await expect(quick).resolves.toEqual([expect.objectContaining({ changes: 1 })]);
+        expect(await values()).toEqual(['a1', 'a2', 'b1']);
+    });
+
+    test('should roll back only the transaction that failed', async () => {
+        const failing = databaseService.transaction([
+            { sql: 'INSERT INTO items (v) VALUES (?)', params: ['c1'] },
+            { sql: 'INSERT INTO items (v) VALUES (?)', params: ['a1'] }
+        ]);
+        const next = databaseService.transaction([{ sql: 'INSERT INTO items (v) VALUES (?)', params: ['d1'] }]);
+
+        await expect(failing).rejects.toThrow(/UNIQUE/);
+        await expect(next).resolves.toHaveLength(1);
+        expect(await values()).toEqual(['a1', 'a2', 'b1', 'd1']);
+    });
+
+    test('should keep statements from outside out of an open transaction', async () => {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const failing = databaseService.transaction(async () => {
+            await databaseService.run('INSERT INTO items (v) VALUES (\'e1\')');
+            await held;
+            throw new Error('import failed');
+        });
+
+        // Issued while the transaction is open, e.g. a job progress update from another request
+        await new Promise(resolve => setTimeout(resolve, 10));
+        let outsideDone = false;
+        const outside = databaseService.run('INSERT INTO items (v) VALUES (\'f1\')').then(() => { outsideDone = true; });
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(outsideDone).toBe(false);
+
+        release();
+        await expect(failing).rejects.toThrow('import failed');
+        await outside;
+        expect(await values()).toEqual(['a1', 'a2', 'b1', 'd1', 'f1']);
+    });
+});
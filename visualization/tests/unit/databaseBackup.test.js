@@ -0,0 +1,161 @@
+// Unit tests for database backups: verification, retention, schema checks and restore (temporary SQLite files)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-dbbackup-'));
+const metadataDb = path.join(workDir, 'ordr.fm.metadata.db');
+const stateDb = path.join(workDir, 'ordr.fm.state.db');
+process.env.METADATA_DB = metadataDb;
+process.env.STATE_DB = stateDb;
+process.env.BACKUP_DIR = path.join(workDir, 'backups');
+
+const databaseBackupService = require('../../src/services/databaseBackup');
+
+// Run statements against a database file, or read rows with a single SELECT
+const sqlite = (file, sql) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file);
+    const done = (error, rows) => db.close(() => (error ? reject(error) : resolve(rows)));
+    if (/^\s*SELECT/i.test(sql)) {
+        db.all(sql, done);
+    } else {
+        db.exec(sql, done);
+    }
+});
+
+const sha256 = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+describe('Database Backup', () => {
+    beforeAll(async () => {
+        await sqlite(metadataDb, `
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                track_count INTEGER, quality TEXT, path TEXT UNIQUE
+            );
+            CREATE TABLE tracks (id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, track_title TEXT, path TEXT);
+            INSERT INTO albums (album_title, album_artist, path) VALUES ('Kunststoff', 'Move D', '/music/Move D/Kunststoff');
+            INSERT INTO tracks (album_id, track_title, path) VALUES (1, 'Amazing Discoveries', '/music/Move D/Kunststoff/01.flac');
+        `);
+        await sqlite(stateDb, `
+            CREATE TABLE processed_directories (id INTEGER PRIMARY KEY, directory_path TEXT UNIQUE, directory_hash TEXT);
+            INSERT INTO processed_directories (directory_path, directory_hash) VALUES ('/incoming/Kunststoff', 'abc');
+        `);
+    });
+
+    afterAll(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should back up every database with checksums and an integrity check', async () => {
+        const events = [];
+        const manifest = await databaseBackupService.createBackup({ onProgress: event => events.push(event) });
+
+        expect(manifest.id).toMatch(/^backup_/);
+        expect(manifest.files.map(file => file.database)).toEqual(['metadata', 'state']);
+        for (const file of manifest.files) {
+            const filePath = path.join(process.env.BACKUP_DIR, manifest.id, file.file);
+            expect(file).toMatchObject({ integrity: 'ok', size: fs.statSync(filePath).size, sha256: sha256(filePath) });
+        }
+        expect(manifest.files[0].tables).toEqual(['albums', 'tracks']);
+        expect(events.some(event => event.stage === 'verifying')).toBe(true);
+
+        expect(await databaseBackupService.listBackups()).toEqual([expect.objectContaining({ id: manifest.id })]);
+    });
+
+    test('should notice a backup that changed on disk', async () => {
+        const [backup] = await databaseBackupService.listBackups();
+        expect(await databaseBackupService.verifyBackup(backup.id)).toMatchObject({ valid: true });
+
+        const filePath = path.join(process.env.BACKUP_DIR, backup.id, 'state.db');
+        const original = fs.readFileSync(filePath);
+        fs.appendFileSync(filePath, 'garbage');
+
+        try {
+            const result = await databaseBackupService.verifyBackup(backup.id);
+            expect(result.valid).toBe(false);
+            expect(result.files).toContainEqual(expect.objectContaining({ database: 'state', checksumOk: false }));
+            await expect(databaseBackupService.restoreBackup(backup.id)).rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+        } finally {
+            fs.writeFileSync(filePath, original);
+        }
+    });
+
+    test('should keep only the newest backups the retention count allows', async () => {
+        const retention = databaseBackupService.retention;
+        databaseBackupService.retention = { count: 2, days: 0 };
+
+        try {
+            const [oldest] = await databaseBackupService.listBackups();
+            const second = await databaseBackupService.createBackup();
+            const third = await databaseBackupService.createBackup();
+
+            expect(third.pruned).toEqual([oldest.id]);
+            expect((await databaseBackupService.listBackups()).map(backup => backup.id)).toEqual([third.id, second.id]);
+        } finally {
+            databaseBackupService.retention = retention;
+        }
+    });
+
+    test('should keep only the newest cloud set, outside the retention count', async () => {
+        const retention = databaseBackupService.retention;
+        databaseBackupService.retention = { count: 2, days: 0 };
+
+        try {
+            const local = (await databaseBackupService.listBackups()).map(backup => backup.id);
+            const firstCloud = await databaseBackupService.createBackup({ label: 'cloud' });
+            expect(firstCloud.pruned).toEqual([]);
+
+            const secondCloud = await databaseBackupService.createBackup({ label: 'cloud' });
+            expect(secondCloud.pruned).toEqual([firstCloud.id]);
+            expect((await databaseBackupService.listBackups()).map(backup => backup.id))
+                .toEqual([secondCloud.id, ...local]);
+        } finally {
+            databaseBackupService.retention = retention;
+        }
+    });
+
+    test('should restore a backup taken before a migration and keep a safety backup', async () => {
+        const [backup] = await databaseBackupService.listBackups();
+
+        // Since the backup: an upgrade added a column, and the library changed
+        await sqlite(metadataDb, `
+            ALTER TABLE albums ADD COLUMN musicbrainz_id TEXT;
+            UPDATE albums SET album_title = 'Changed', musicbrainz_id = 'mbid';
+        `);
+
+        const result = await databaseBackupService.restoreBackup(backup.id, { databases: ['metadata'] });
+
+        expect(result.restored).toEqual(['metadata']);
+        expect(await sqlite(metadataDb, 'SELECT album_title FROM albums')).toEqual([{ album_title: 'Kunststoff' }]);
+
+        const safety = await databaseBackupService.getBackup(result.safetyBackupId);
+        expect(safety.label).toBe('pre-restore');
+        const safetyCopy = path.join(process.env.BACKUP_DIR, safety.id, 'metadata.db');
+        expect(await sqlite(safetyCopy, 'SELECT album_title, musicbrainz_id FROM albums'))
+            .toEqual([{ album_title: 'Changed', musicbrainz_id: 'mbid' }]);
+    });
+
+    test('should refuse a backup without the core tables and columns', async () => {
+        await sqlite(metadataDb, 'ALTER TABLE albums RENAME COLUMN album_title TO title');
+        const withoutTitles = await databaseBackupService.createBackup({ prune: false });
+        await sqlite(metadataDb, 'ALTER TABLE albums RENAME COLUMN title TO album_title');
+
+        await expect(databaseBackupService.restoreBackup(withoutTitles.id)).rejects.toMatchObject({
+            code: 'SCHEMA_MISMATCH',
+            message: 'Backup table albums is missing columns: album_title'
+        });
+
+        await sqlite(stateDb, 'ALTER TABLE processed_directories RENAME TO processed_dirs');
+        const withoutState = await databaseBackupService.createBackup({ prune: false });
+        await sqlite(stateDb, 'ALTER TABLE processed_dirs RENAME TO processed_directories');
+
+        await expect(databaseBackupService.restoreBackup(withoutState.id, { databases: ['state'] })).rejects.toMatchObject({
+            code: 'SCHEMA_MISMATCH',
+            message: 'Backup of state is missing tables: processed_directories'
+        });
+        expect(await sqlite(metadataDb, 'SELECT album_title FROM albums')).toEqual([{ album_title: 'Kunststoff' }]);
+    });
+});
@@ -0,0 +1,142 @@
+// Unit tests for duplicate groups, quarantine and restore (in-memory SQLite, temporary directories)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-duplicates-'));
+const libraryDir = path.join(workDir, 'sorted');
+process.env.ORDRFM_QUARANTINE_DIR = path.join(workDir, 'quarantine');
+
+const databaseService = require('../../src/services/database');
+const duplicateService = require('../../src/services/duplicates');
+
+describe('Duplicates', () => {
+    // An album folder with one file per track, and its rows
+    const addAlbum = async (id, artist, title, folder, tracks, extra = {}) => {
+        const albumPath = path.join(libraryDir, folder);
+        fs.mkdirSync(albumPath, { recursive: true });
+        await databaseService.run(
+            'INSERT INTO albums (id, album_artist, album_title, year, track_count, path, musicbrainz_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, artist, title, extra.year ?? 1995, extra.trackCount ?? tracks.length, albumPath, extra.musicbrainzId ?? null]
+        );
+        for (const [number, format, bitrate] of tracks) {
+            const trackPath = path.join(albumPath, `${String(number).padStart(2, '0')}.${format}`);
+            fs.writeFileSync(trackPath, 'audio');
+            await databaseService.run(
+                'INSERT INTO tracks (album_id, disc_number, track_number, track_title, file_format, bitrate, file_size, path) VALUES (?, 1, ?, ?, ?, ?, ?, ?)',
+                [id, number, `Track ${number}`, format.toUpperCase(), bitrate, 50000000, trackPath]
+            );
+        }
+        return albumPath;
+    };
+
+    const paths = {};
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_artist TEXT, album_title TEXT, year INTEGER,
+                track_count INTEGER, quality TEXT, path TEXT UNIQUE, musicbrainz_id TEXT
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, disc_number INTEGER, track_number INTEGER,
+                track_title TEXT, file_format TEXT, bitrate INTEGER, file_size INTEGER, path TEXT
+            )
+        `);
+
+        // The same album three times: complete FLAC, complete 320 kbps MP3, FLAC missing a track and dated differently
+        paths.flac = await addAlbum(1, 'Move D', 'Kunststoff', 'Lossless/Move D/Kunststoff', [[1, 'flac', 900], [2, 'flac', 900], [3, 'flac', 900]]);
+        paths.mp3 = await addAlbum(2, 'Move D', 'Kunststoff', 'Lossy/Move D/Kunststoff', [[1, 'mp3', 320], [2, 'mp3', 320], [3, 'mp3', 320]]);
+        paths.partial = await addAlbum(3, 'move d', 'Kunststoff!', 'Lossless/Move D/Kunststoff (incomplete)', [[1, 'flac', 900], [3, 'flac', 900]], { year: 1996 });
+        // Same release by MusicBrainz ID
+        await addAlbum(4, 'Burial', 'Untrue', 'Lossy/Burial/Untrue', [[1, 'mp3', 192]], { musicbrainzId: 'mbid-untrue', year: 2007 });
+        await addAlbum(5, 'Burial', 'Untrue', 'Lossy/Burial/Untrue (web)', [[1, 'mp3', 128000]], { musicbrainzId: 'mbid-untrue', year: 2008 });
+        await addAlbum(6, 'Burial', 'Burial', 'Lossy/Burial/Burial', [[1, 'mp3', 320]]);
+
+        await duplicateService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should score the copies of each group and recommend the best', async () => {
+        const { overview, groups, quality_distribution: formats } = await duplicateService.getGroups();
+
+        expect(overview).toEqual({
+            duplicate_groups: 2, albums_in_groups: 5, potential_savings_bytes: 300000000, average_confidence: 0.95
+        });
+        expect(formats).toEqual([{ format: 'mp3', count: 3 }, { format: 'flac', count: 2 }]);
+
+        const kunststoff = groups.find(group => group.title === 'Kunststoff');
+        expect(kunststoff).toMatchObject({ album_count: 3, recommended_keep: 1, confidence: 0.9 });
+        expect(kunststoff.albums.map(album => [album.id, album.quality_score, album.completeness, album.score])).toEqual([
+            [1, 100, 1, 100],
+            [3, 100, 0.67, 93],
+            [2, 72, 1, 78]
+        ]);
+        expect(kunststoff.albums[0]).toMatchObject({ format: 'flac', avg_bitrate: 900, expected_tracks: 3, recommended: true });
+
+        // Bits per second are read as kbps; 128 kbps scores below 192
+        const untrue = groups.find(group => group.title === 'Untrue');
+        expect(untrue).toMatchObject({ confidence: 1, recommended_keep: 4 });
+        expect(untrue.albums.map(album => album.avg_bitrate)).toEqual([192, 128]);
+    });
+
+    test('should refuse to keep an album from another group', async () => {
+        const { groups } = await duplicateService.getGroups();
+        const kunststoff = groups.find(group => group.title === 'Kunststoff');
+
+        await expect(duplicateService.resolveGroup(kunststoff.id, { keep: 4 }))
+            .rejects.toMatchObject({ code: 'INVALID_KEEP' });
+        expect(await duplicateService.resolveGroup('0000000000000000')).toBeNull();
+    });
+
+    test('should quarantine the other copies and restore one', async () => {
+        const { groups } = await duplicateService.getGroups();
+        const kunststoff = groups.find(group => group.title === 'Kunststoff');
+
+        const result = await duplicateService.resolveGroup(kunststoff.id, { user: 'admin' });
+
+        expect(result).toMatchObject({ kept: 1, failed: null });
+        expect(result.quarantined.map(entry => entry.albumId)).toEqual([3, 2]);
+        expect(fs.existsSync(paths.mp3)).toBe(false);
+        expect(fs.existsSync(path.join(result.quarantined[1].quarantinePath, '01.mp3'))).toBe(true);
+        expect(await databaseService.query('SELECT id FROM albums WHERE id IN (2, 3)', [], false)).toEqual([]);
+        expect(await databaseService.query('SELECT id FROM tracks WHERE album_id IN (2, 3)', [], false)).toEqual([]);
+
+        const after = await duplicateService.getGroups();
+        expect(after.groups.map(group => group.title)).toEqual(['Untrue']);
+
+        const { entries, total } = await duplicateService.listQuarantine({ status: 'quarantined' });
+        expect(total).toBe(2);
+        expect(entries[0]).toMatchObject({ albumId: 2, keptAlbumId: 1, createdBy: 'admin', album: { artist: 'Move D', title: 'Kunststoff' } });
+
+        const restored = await duplicateService.restore(entries[0].id, { user: 'admin' });
+        expect(restored).toMatchObject({ status: 'restored', restoredBy: 'admin' });
+        expect(fs.existsSync(path.join(paths.mp3, '03.mp3'))).toBe(true);
+        expect(fs.existsSync(path.join(workDir, 'quarantine', kunststoff.id, '2'))).toBe(false);
+        expect(await databaseService.query('SELECT id, album_title, path FROM albums WHERE id = 2', [], false))
+            .toEqual([{ id: 2, album_title: 'Kunststoff', path: paths.mp3 }]);
+        expect((await databaseService.query('SELECT id FROM tracks WHERE album_id = 2', [], false))).toHaveLength(3);
+
+        await expect(duplicateService.restore(entries[0].id)).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    test('should not quarantine anything when a folder is missing', async () => {
+        const { groups } = await duplicateService.getGroups();
+        const untrue = groups.find(group => group.title === 'Untrue');
+        fs.rmSync(untrue.albums[1].path, { recursive: true });
+
+        await expect(duplicateService.resolveGroup(untrue.id)).rejects.toMatchObject({
+            code: 'RESOLVE_CONFLICT',
+            conflicts: [expect.objectContaining({ albumId: 5 })]
+        });
+        expect(fs.existsSync(untrue.albums[0].path)).toBe(true);
+    });
+});
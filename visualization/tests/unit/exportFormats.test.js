@@ -0,0 +1,96 @@
+// Unit tests for the track-level export formats
+const { describe, test, expect } = require('@jest/globals');
+
+const { createExportWriter } = require('../../src/utils/exportFormats');
+
+const ALBUMS = [
+    {
+        album: {
+            id: 1, album_title: 'Kunststoff', album_artist: 'Move D', year: 1995, genre: 'House',
+            label: 'Source Records', catalog_number: 'SRC 008', quality: 'Lossless', path: '/music/Move D/Kunststoff'
+        },
+        tracks: [
+            {
+                id: 11, disc_number: 1, track_number: 1, track_title: 'Amazing Discoveries', track_artist: null,
+                duration: 421, file_format: 'FLAC', path: '/music/Move D/Kunststoff/01 Amazing Discoveries.flac'
+            },
+            {
+                id: 12, disc_number: 1, track_number: 2, track_title: 'Eine Kleine "Nacht" & <Musik>', track_artist: 'Move D, Jonah Sharp',
+                duration: 389.6, file_format: null, path: '/music/Move D/Kunststoff/02 Eine #Kleine.mp3'
+            }
+        ]
+    },
+    {
+        album: { id: 2, album_title: 'Untrue', album_artist: 'Burial', year: 2007, path: '/music/Burial/Untrue' },
+        tracks: [
+            { id: 21, disc_number: 1, track_number: 1, track_title: 'Archangel', duration: null, path: '/music/Burial/Untrue/01 Archangel.mp3' }
+        ]
+    }
+];
+
+// Run a writer over the sample albums
+const render = (format, options = {}) => {
+    const writer = createExportWriter(format, { title: 'Set', trackCount: 3, ...options });
+    return writer.begin() + ALBUMS.map(({ album, tracks }) => writer.album(album, tracks)).join('') + writer.end();
+};
+
+describe('Export Formats', () => {
+    test('should write an extended M3U playlist, optionally relative to the album folder', () => {
+        expect(render('m3u8')).toBe([
+            '#EXTM3U',
+            '#PLAYLIST:Set',
+            '#EXTINF:421,Move D - Amazing Discoveries',
+            '/music/Move D/Kunststoff/01 Amazing Discoveries.flac',
+            '#EXTINF:390,Move D, Jonah Sharp - Eine Kleine "Nacht" & <Musik>',
+            '/music/Move D/Kunststoff/02 Eine #Kleine.mp3',
+            '#EXTINF:-1,Burial - Archangel',
+            '/music/Burial/Untrue/01 Archangel.mp3',
+            ''
+        ].join('\n'));
+
+        const writer = createExportWriter('m3u8', { title: 'Kunststoff', relativePaths: true });
+        expect(writer.album(ALBUMS[0].album, ALBUMS[0].tracks)).toContain('\n01 Amazing Discoveries.flac\n');
+    });
+
+    test('should write XSPF with file URIs and escaped text', () => {
+        const xspf = render('xspf');
+
+        expect(xspf).toContain('<location>file:///music/Move%20D/Kunststoff/02%20Eine%20%23Kleine.mp3</location>');
+        expect(xspf).toContain('<title>Eine Kleine &quot;Nacht&quot; &amp; &lt;Musik&gt;</title>');
+        expect(xspf).toContain('<duration>421000</duration>');
+        expect(xspf.match(/<track>/g)).toHaveLength(3);
+        expect(xspf.trim().endsWith('</playlist>')).toBe(true);
+    });
+
+    test('should write a Rekordbox collection with a playlist per album', () => {
+        const xml = render('rekordbox', { title: 'ordr.fm' });
+
+        expect(xml).toContain('<COLLECTION Entries="3">');
+        expect(xml).toContain(
+            '<TRACK TrackID="11" Name="Amazing Discoveries" Artist="Move D" Album="Kunststoff" Genre="House" ' +
+            'Kind="FLAC File" TotalTime="421" DiscNumber="1" TrackNumber="1" Year="1995" Label="Source Records" ' +
+            'Location="file://localhost/music/Move%20D/Kunststoff/01%20Amazing%20Discoveries.flac"/>'
+        );
+        expect(xml).toContain('Kind="MP3 File"');
+        expect(xml).toContain('<NODE Type="0" Name="ordr.fm" Count="2">');
+        expect(xml).toContain('<NODE Name="Move D - Kunststoff" Type="1" KeyType="0" Entries="2">\n' +
+            '          <TRACK Key="11"/>\n          <TRACK Key="12"/>\n        </NODE>');
+    });
+
+    test('should write one CSV row and JSON object per track with the album fields', () => {
+        const rows = render('csv').trim().split('\n');
+        expect(rows).toHaveLength(4);
+        expect(rows[0]).toBe('Album ID,Album Artist,Album Title,Year,Genre,Label,Catalog Number,Quality,Disc,Track,' +
+            'Track Title,Track Artist,Duration,Format,Path');
+        expect(rows[2]).toBe('1,Move D,Kunststoff,1995,House,Source Records,SRC 008,Lossless,1,2,' +
+            '"Eine Kleine ""Nacht"" & <Musik>","Move D, Jonah Sharp",389.6,mp3,/music/Move D/Kunststoff/02 Eine #Kleine.mp3');
+
+        const json = JSON.parse(render('json'));
+        expect(json.metadata.totalTracks).toBe(3);
+        expect(json.tracks.map(track => [track.album_title, track.title, track.artist])).toEqual([
+            ['Kunststoff', 'Amazing Discoveries', 'Move D'],
+            ['Kunststoff', 'Eine Kleine "Nacht" & <Musik>', 'Move D, Jonah Sharp'],
+            ['Untrue', 'Archangel', 'Burial']
+        ]);
+    });
+});
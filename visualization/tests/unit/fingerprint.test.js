@@ -0,0 +1,137 @@
+// Unit tests for track fingerprints and same-audio clusters (in-memory SQLite, a stand-in fpcalc)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const databaseService = require('../../src/services/database');
+const fingerprintService = require('../../src/services/fingerprint');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-fingerprint-'));
+
+// Prints the fpcalc JSON stored in the "audio" file, or fails like fpcalc on anything else
+const FAKE_FPCALC = `#!/bin/sh
+if [ "$1" = "-version" ]; then echo "fpcalc version 1.5.1"; exit 0; fi
+for file; do :; done
+if grep -q fingerprint "$file"; then cat "$file"; else echo "ERROR: Error decoding audio frame" >&2; exit 3; fi
+`;
+
+// Deterministic pseudo-random fingerprint items
+const randomItems = (seed, count = 240) => {
+    const items = [];
+    let state = seed;
+    for (let i = 0; i < count; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        items.push(state);
+    }
+    return items;
+};
+
+// The same audio encoded again: a few bits flipped in every item
+const reencode = (items) => items.map((item, i) => (item ^ (1 << (i % 32)) ^ (1 << ((i * 7) % 32))) >>> 0);
+
+describe('Fingerprints', () => {
+    const recording = randomItems(1);
+    const other = randomItems(2);
+
+    const addTrack = async (id, albumId, title, artist, content) => {
+        const trackPath = path.join(workDir, `${id}.flac`);
+        fs.writeFileSync(trackPath, typeof content === 'string' ? content : JSON.stringify(content));
+        await databaseService.run(
+            'INSERT INTO tracks (id, album_id, track_title, track_artist, duration, path) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, albumId, title, artist, 30, trackPath]
+        );
+    };
+
+    beforeAll(async () => {
+        const fpcalc = path.join(workDir, 'fpcalc');
+        fs.writeFileSync(fpcalc, FAKE_FPCALC, { mode: 0o755 });
+        fingerprintService.fpcalcPath = fpcalc;
+
+        await databaseService.connect();
+        await databaseService.run('CREATE TABLE albums (id INTEGER PRIMARY KEY, album_artist TEXT, album_title TEXT)');
+        await databaseService.run(`
+            CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY, album_id INTEGER, track_title TEXT, track_artist TEXT, duration REAL, path TEXT
+            )
+        `);
+        await databaseService.run(`
+            INSERT INTO albums (id, album_artist, album_title) VALUES
+                (1, 'Move D', 'Kunststoff'), (2, 'Various', 'Source Lab 3'), (3, 'Move D', 'Kunststoff (Reissue)')
+        `);
+
+        // One recording in three albums, the compilation copy re-encoded and
+        // mis-tagged, the reissue starting three items (~0.4 s) later
+        await addTrack(1, 1, 'Amazing Discoveries', 'Move D', { duration: 30.1, fingerprint: recording });
+        await addTrack(2, 2, 'Track 01', 'Unknown Artist', { duration: 30.2, fingerprint: reencode(recording) });
+        await addTrack(3, 3, 'Amazing Discoveries', 'Move D', { duration: 30.5, fingerprint: [1, 2, 3, ...recording] });
+        // Another recording, twice in the same album and once on the compilation with the same tags
+        await addTrack(4, 1, 'Eine Kleine Nachtmusik', 'Move D', { duration: 29, fingerprint: other });
+        await addTrack(5, 1, 'Eine Kleine Nachtmusik (Reprise)', 'Move D', { duration: 29, fingerprint: other });
+        await addTrack(6, 2, 'Eine Kleine Nachtmusik', 'Move D', { duration: 95, fingerprint: other });
+        await addTrack(7, 3, 'Something Else', 'Move D', { duration: 30, fingerprint: randomItems(3) });
+        await addTrack(8, 3, 'Broken', 'Move D', 'not audio');
+
+        await fingerprintService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should store fingerprints and record files that cannot be decoded', async () => {
+        expect(await fingerprintService.selectTracks()).toEqual([1, 4, 5, 2, 6, 3, 7, 8]);
+
+        expect(await fingerprintService.fingerprintTrack(1)).toEqual({ trackId: 1, items: 240, duration: 30.1 });
+        await expect(fingerprintService.fingerprintTrack(8)).rejects.toMatchObject({ code: 'DECODE_FAILED' });
+        expect(await fingerprintService.fingerprintTrack(99)).toBeNull();
+
+        const [stored] = await databaseService.query('SELECT fingerprint FROM tracks WHERE id = 1', [], false);
+        expect(Buffer.from(stored.fingerprint, 'base64').readUInt32LE(4)).toBe(recording[1]);
+
+        // Done and failed tracks are only picked again on refresh
+        expect(await fingerprintService.selectTracks({ albumIds: [3] })).toEqual([3, 7]);
+        expect(await fingerprintService.selectTracks({ albumIds: [3], refresh: true })).toEqual([3, 7, 8]);
+    });
+
+    test('should cluster the same audio across albums', async () => {
+        for (const trackId of await fingerprintService.selectTracks()) {
+            await fingerprintService.fingerprintTrack(trackId);
+        }
+
+        // Tracks 4 and 5 share an album and track 6 is too long to be the same take
+        expect(await fingerprintService.updateClusters()).toEqual({ tracks: 7, clusters: 1, clusteredTracks: 3 });
+
+        const { overview, clusters, total } = await fingerprintService.getClusters();
+        expect(overview).toEqual({
+            total_tracks: 8, fingerprinted_tracks: 7, failed_tracks: 1, clusters: 1, clusters_with_different_metadata: 1
+        });
+        expect(total).toBe(1);
+        expect(clusters[0]).toMatchObject({
+            id: 1, track_count: 3, album_count: 3, metadata_differs: true, differences: ['title', 'artist']
+        });
+        expect(clusters[0].tracks.map(track => [track.id, track.album_title])).toEqual([
+            [1, 'Kunststoff'], [2, 'Source Lab 3'], [3, 'Kunststoff (Reissue)']
+        ]);
+        expect(clusters[0].similarity).toBeGreaterThan(0.9);
+        expect(clusters[0].tracks[2].similarity).toBe(1);
+    });
+
+    test('should leave out clusters whose albums are gone', async () => {
+        await databaseService.run('DELETE FROM albums WHERE id IN (2, 3)');
+
+        const { clusters, overview } = await fingerprintService.getClusters({ differentMetadata: true });
+        expect(clusters).toEqual([]);
+        expect(overview.clusters).toBe(0);
+    });
+
+    test('should report a missing fingerprinting tool', async () => {
+        fingerprintService.backend = null;
+        fingerprintService.fpcalcPath = path.join(workDir, 'no-fpcalc');
+        fingerprintService.ffmpegPath = path.join(workDir, 'no-ffmpeg');
+
+        await expect(fingerprintService.fingerprintFile(path.join(workDir, '1.flac')))
+            .rejects.toMatchObject({ code: 'FINGERPRINTER_UNAVAILABLE' });
+    });
+});
@@ -0,0 +1,101 @@
+// Unit tests for the persistent job store (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const jobStore = require('../../src/services/jobStore');
+
+describe('Job Store', () => {
+    beforeAll(async () => {
+        await databaseService.connect();
+        await jobStore.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should persist job fields, progress and logs', async () => {
+        const job = await jobStore.createJob('process', { sourcePath: '/music/incoming' });
+        await jobStore.updateJob(job.id, { status: 'processing', progress: 40, processedAlbums: 4 });
+        await jobStore.appendLog(job.id, 'info', 'Processing album 4 of 10');
+        await jobStore.completeJob(job.id, 'failed', { exitCode: 2, error: 'Exit code 2' });
+
+        const stored = await jobStore.getJob(job.id, { logLimit: 10 });
+
+        expect(stored).toMatchObject({
+            id: job.id,
+            type: 'process',
+            status: 'failed',
+            progress: 40,
+            sourcePath: '/music/incoming',
+            processedAlbums: 4,
+            exitCode: 2,
+            error: 'Exit code 2'
+        });
+        expect(stored.endTime).toEqual(expect.any(String));
+        expect(stored.logs.map(log => log.message)).toEqual(['Processing album 4 of 10']);
+    });
+
+    test('should keep numbering jobs after a restart', async () => {
+        const first = await jobStore.createJob('backup');
+        await jobStore.completeJob(first.id, 'completed');
+
+        jobStore.activeJobs.clear();
+        await jobStore.initialize();
+
+        const second = await jobStore.createJob('backup');
+        expect(second.id).toBeGreaterThan(first.id);
+        await jobStore.completeJob(second.id, 'completed');
+    });
+
+    test('should mark jobs running at shutdown as interrupted', async () => {
+        const job = await jobStore.createJob('process');
+        await jobStore.updateJob(job.id, { status: 'processing' });
+
+        // Simulate a server restart: memory is gone, rows remain
+        jobStore.activeJobs.clear();
+        const interrupted = await jobStore.initialize();
+
+        const stored = await jobStore.getJob(job.id, { logLimit: 5 });
+        expect(interrupted).toBe(1);
+        expect(stored.status).toBe('interrupted');
+        expect(stored.logs[stored.logs.length - 1].level).toBe('error');
+    });
+
+    test('should page logs with an ID cursor', async () => {
+        const job = await jobStore.createJob('process');
+        for (let i = 1; i <= 5; i++) {
+            await jobStore.appendLog(job.id, 'info', `line ${i}`);
+        }
+
+        const firstPage = await jobStore.getLogs(job.id, { limit: 2 });
+        const nextPage = await jobStore.getLogs(job.id, { after: firstPage[1].id, limit: 10 });
+
+        expect(firstPage.map(log => log.message)).toEqual(['line 1', 'line 2']);
+        expect(nextPage.map(log => log.message)).toEqual(['line 3', 'line 4', 'line 5']);
+        await jobStore.completeJob(job.id, 'completed');
+    });
+
+    test('should store typed events and filter them by type', async () => {
+        const job = await jobStore.createJob('process');
+        await jobStore.appendEvent(job.id, 'album_started', { index: 1, path: '/music/A' });
+        await jobStore.appendEvent(job.id, 'album_finished', { index: 1, path: '/music/A', outcome: 'moved' });
+
+        const all = await jobStore.getEvents(job.id);
+        const finished = await jobStore.getEvents(job.id, { types: ['album_finished'] });
+
+        expect(all.map(event => event.type)).toEqual(['album_started', 'album_finished']);
+        expect(finished).toHaveLength(1);
+        expect(finished[0].data).toEqual({ index: 1, path: '/music/A', outcome: 'moved' });
+        await jobStore.completeJob(job.id, 'completed');
+    });
+
+    test('should list only finished jobs in history', async () => {
+        const running = await jobStore.createJob('process');
+        const { jobs } = await jobStore.getJobHistory({ limit: 100 });
+
+        expect(jobs.find(job => job.id === running.id)).toBeUndefined();
+        expect(jobs.every(job => jobStore.isTerminal(job.status))).toBe(true);
+        await jobStore.completeJob(running.id, 'cancelled');
+    });
+});
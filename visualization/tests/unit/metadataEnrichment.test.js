@@ -0,0 +1,143 @@
+// Unit tests for metadata enrichment and the review queue (in-memory SQLite, stubbed provider)
+const { describe, test, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const metadataEnrichmentService = require('../../src/services/metadataEnrichment');
+const metadataHistoryService = require('../../src/services/metadataHistory');
+const MusicBrainzClient = require('../../../server/lib/musicbrainz');
+
+describe('Metadata Enrichment', () => {
+    // Canned provider results by album title
+    const results = {
+        'Selected Ambient Works': {
+            releaseId: 'release-saw',
+            confidence: 0.95,
+            fields: { musicbrainz_id: 'release-saw', year: 1992, label: 'Apollo', catalog_number: 'AMB 3922' }
+        },
+        'Drukqs': {
+            releaseId: 'release-drukqs',
+            confidence: 0.7,
+            fields: { musicbrainz_id: 'release-drukqs', year: 2001, label: 'Warp Records' }
+        }
+    };
+
+    const getAlbum = (id) => databaseService.queryOne('SELECT * FROM albums WHERE id = ?', [id], false);
+    const matchesOf = (albumId) => databaseService.query(
+        'SELECT status FROM metadata_matches WHERE album_id = ? ORDER BY id', [albumId], false
+    );
+    let musicBrainzProvider;
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT,
+                year INTEGER, genre TEXT, label TEXT, catalog_number TEXT, path TEXT
+            )
+        `);
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist, year, label) VALUES
+                ('Selected Ambient Works', 'Aphex Twin', NULL, NULL),
+                ('Drukqs', 'Aphex Twin', 2001, 'Warp'),
+                ('Unknown Demo', 'Nobody', NULL, NULL)
+        `);
+
+        await databaseService.run(`
+            CREATE TABLE tracks (id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, disc_number INTEGER, track_number INTEGER, duration INTEGER)
+        `);
+        await databaseService.run(`
+            INSERT INTO tracks (album_id, disc_number, track_number, duration) VALUES (3, 1, 2, 310), (3, 1, 1, 245)
+        `);
+
+        await metadataHistoryService.initialize();
+        await metadataEnrichmentService.initialize();
+        musicBrainzProvider = metadataEnrichmentService.providers.musicbrainz;
+        metadataEnrichmentService.providers.musicbrainz = {
+            match: async (album) => results[album.album_title] || null
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should apply confident matches to the album', async () => {
+        const result = await metadataEnrichmentService.enrichAlbum(1, { threshold: 0.9 });
+
+        expect(result).toMatchObject({ status: 'applied', confidence: 0.95, releaseId: 'release-saw' });
+        expect(await getAlbum(1)).toMatchObject({
+            year: 1992,
+            label: 'Apollo',
+            catalog_number: 'AMB 3922',
+            musicbrainz_id: 'release-saw'
+        });
+    });
+
+    test('should queue lower-confidence matches and record albums without one', async () => {
+        const queued = await metadataEnrichmentService.enrichAlbum(2, { threshold: 0.9 });
+        const missing = await metadataEnrichmentService.enrichAlbum(3, { threshold: 0.9 });
+
+        expect(queued.status).toBe('pending');
+        // Only fields that differ are proposed
+        expect(queued.changes).toEqual([
+            { field: 'label', before: 'Warp', after: 'Warp Records' },
+            { field: 'musicbrainz_id', before: null, after: 'release-drukqs' }
+        ]);
+        expect((await getAlbum(2)).label).toBe('Warp');
+        expect(missing).toMatchObject({ status: 'no_match', confidence: null, changes: [] });
+
+        // Albums with a match waiting for review are not picked again
+        expect(await metadataEnrichmentService.selectAlbums(10)).toEqual([3]);
+    });
+
+    test('should apply approved matches and refuse to review twice', async () => {
+        const { matches } = await metadataEnrichmentService.listMatches({ status: 'pending' });
+        expect(matches).toHaveLength(1);
+        expect(matches[0].album).toEqual({ title: 'Drukqs', artist: 'Aphex Twin' });
+
+        const approved = await metadataEnrichmentService.approveMatch(matches[0].id, { reviewer: 'admin' });
+
+        expect(approved).toMatchObject({ status: 'approved', reviewedBy: 'admin' });
+        expect(await getAlbum(2)).toMatchObject({ label: 'Warp Records', musicbrainz_id: 'release-drukqs' });
+        // Applied through the edit history so it can be reverted
+        const { entries } = await metadataHistoryService.getAlbumHistory(2, { field: 'label' });
+        expect(entries[0]).toMatchObject({ oldValue: 'Warp', newValue: 'Warp Records', source: 'musicbrainz', user: 'admin' });
+        await expect(metadataEnrichmentService.rejectMatch(matches[0].id))
+            .rejects.toMatchObject({ code: 'INVALID_STATE' });
+        expect(await metadataEnrichmentService.approveMatch(9999)).toBeNull();
+    });
+
+    test('should keep the match waiting for review when a lookup fails', async () => {
+        results['Unknown Demo'] = { releaseId: 'release-demo', confidence: 0.5, fields: { year: 1999 } };
+        await metadataEnrichmentService.enrichAlbum(3, { threshold: 0.9 });
+        const before = await matchesOf(3);
+        expect(before[before.length - 1].status).toBe('pending');
+
+        metadataEnrichmentService.providers.musicbrainz = musicBrainzProvider;
+        const lookup = jest.spyOn(MusicBrainzClient.prototype, 'enrichAlbumMetadata')
+            .mockRejectedValue(new Error('MusicBrainz returned 503'));
+        try {
+            await expect(metadataEnrichmentService.enrichAlbum(3, { threshold: 0.9 }))
+                .rejects.toThrow('MusicBrainz returned 503');
+        } finally {
+            metadataEnrichmentService.providers.musicbrainz = { match: async (album) => results[album.album_title] || null };
+        }
+
+        // Asked to throw rather than answer null, and given the track list to score against
+        expect(lookup).toHaveBeenCalledWith(
+            expect.objectContaining({ album_artist: 'Nobody', album_title: 'Unknown Demo' }),
+            expect.objectContaining({
+                throwOnError: true,
+                tracks: [
+                    expect.objectContaining({ track_number: 1, duration: 245 }),
+                    expect.objectContaining({ track_number: 2, duration: 310 })
+                ]
+            })
+        );
+        expect(await matchesOf(3)).toEqual(before);
+    });
+});
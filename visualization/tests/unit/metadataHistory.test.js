@@ -0,0 +1,92 @@
+// Unit tests for album/track edit history and per-field revert (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const metadataHistoryService = require('../../src/services/metadataHistory');
+
+describe('Metadata History', () => {
+    const getAlbum = (id) => databaseService.queryOne('SELECT * FROM albums WHERE id = ?', [id], false);
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                genre TEXT, label TEXT, catalog_number TEXT, musicbrainz_id TEXT, path TEXT,
+                created_at TEXT DEFAULT '2024-01-01 00:00:00'
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, track_title TEXT,
+                track_artist TEXT, track_number INTEGER, disc_number INTEGER
+            )
+        `);
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist, year, label, path)
+            VALUES ('Untrue', 'Burial', 2007, 'Hyperdub', '/music/Burial/Untrue')
+        `);
+        await databaseService.run('INSERT INTO tracks (album_id, track_title, track_number) VALUES (1, \'Archangel\', 2)');
+
+        await metadataHistoryService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should record only changed fields with source and user', async () => {
+        const changes = await metadataHistoryService.updateAlbum(1, { year: '2007', label: 'Hyperdub Records' }, {
+            source: 'manual',
+            user: 'alice'
+        });
+
+        expect(changes).toEqual([{ field: 'label', oldValue: 'Hyperdub', newValue: 'Hyperdub Records' }]);
+        expect(await getAlbum(1)).toMatchObject({ label: 'Hyperdub Records', created_at: '2024-01-01 00:00:00' });
+
+        await metadataHistoryService.updateTrack(1, { track_title: 'Archangel (Album Version)' }, { user: 'alice' });
+        await metadataHistoryService.updateAlbum(1, { year: 2008 }, { source: 'musicbrainz' });
+
+        const { entries, total } = await metadataHistoryService.getAlbumHistory(1);
+        expect(total).toBe(3);
+        expect(entries.map(entry => [entry.entityType, entry.field, entry.source])).toEqual([
+            ['album', 'year', 'musicbrainz'],
+            ['track', 'track_title', 'manual'],
+            ['album', 'label', 'manual']
+        ]);
+        expect(entries[0]).toMatchObject({ oldValue: 2007, newValue: 2008, user: null });
+        expect(await metadataHistoryService.updateAlbum(99, { year: 2000 })).toBeNull();
+    });
+
+    test('should revert one field and refuse when it changed again', async () => {
+        const { entries } = await metadataHistoryService.getAlbumHistory(1, { field: 'year' });
+        const enrichment = entries[0];
+
+        await metadataHistoryService.updateAlbum(1, { year: 2009 }, { user: 'bob' });
+        await expect(metadataHistoryService.revertEntry(enrichment.id))
+            .rejects.toMatchObject({ code: 'STALE_VALUE', currentValue: 2009 });
+
+        const changes = await metadataHistoryService.revertEntry(enrichment.id, { user: 'alice', force: true });
+
+        expect(changes).toEqual([{ field: 'year', oldValue: 2009, newValue: 2007 }]);
+        expect((await getAlbum(1)).label).toBe('Hyperdub Records');
+
+        const latest = (await metadataHistoryService.getAlbumHistory(1, { limit: 1 })).entries[0];
+        expect(latest).toMatchObject({ source: 'revert', revertedFrom: enrichment.id, user: 'alice' });
+    });
+
+    test('should show reconstructed metadata recorded before the album was imported', async () => {
+        await metadataHistoryService.recordReconstruction('/music/Kode9/Memories', { artist: 'Kode9', year: '2015' });
+        await databaseService.run(
+            'INSERT INTO albums (album_title, album_artist, year, path) VALUES (\'Memories\', \'Kode9\', 2015, \'/music/Kode9/Memories\')'
+        );
+
+        const { entries } = await metadataHistoryService.getAlbumHistory(2);
+
+        expect(entries.map(entry => [entry.field, entry.newValue, entry.source])).toEqual([
+            ['year', 2015, 'reconstruction'],
+            ['album_artist', 'Kode9', 'reconstruction']
+        ]);
+        await expect(metadataHistoryService.revertEntry(entries[0].id)).rejects.toMatchObject({ code: 'NOT_REVERTIBLE' });
+    });
+});
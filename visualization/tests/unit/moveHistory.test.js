@@ -0,0 +1,136 @@
+// Unit tests for the move log and rollback (in-memory SQLite, temporary directories)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-moves-'));
+const libraryDir = path.join(workDir, 'sorted');
+const incomingDir = path.join(workDir, 'incoming');
+process.env.ORDRFM_LIBRARY_DIR = libraryDir;
+
+const databaseService = require('../../src/services/database');
+const moveHistoryService = require('../../src/services/moveHistory');
+
+describe('Move History', () => {
+    // Simulates ordr.fm.sh having moved an album and recorded it
+    const moveAlbum = async (id, runId, name, startedAt) => {
+        const source = path.join(incomingDir, name);
+        const destination = path.join(libraryDir, 'Lossless', 'Artist', name);
+        fs.mkdirSync(destination, { recursive: true });
+        fs.writeFileSync(path.join(destination, '01 - Track.flac'), 'audio');
+
+        await databaseService.run(`
+            INSERT INTO move_operations (id, source_path, destination_path, status, started_at, completed_at, run_id)
+            VALUES (?, ?, ?, 'SUCCESS', ?, ?, ?)
+        `, [id, source, destination, startedAt, startedAt + 1, runId]);
+        const album = await databaseService.run(
+            'INSERT INTO albums (album_artist, album_title, path) VALUES (\'Artist\', ?, ?)',
+            [name, destination]
+        );
+        await databaseService.run(
+            'INSERT INTO tracks (album_id, title, path) VALUES (?, \'Track\', ?)',
+            [album.lastID, path.join(destination, '01 - Track.flac')]
+        );
+        return { source, destination };
+    };
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_artist TEXT, album_title TEXT, year INTEGER,
+                track_count INTEGER, quality TEXT, path TEXT UNIQUE
+            )
+        `);
+        await databaseService.run('CREATE TABLE tracks (id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, title TEXT, path TEXT)');
+        await databaseService.run(`
+            CREATE TABLE move_operations (
+                id TEXT PRIMARY KEY, source_path TEXT NOT NULL, destination_path TEXT NOT NULL,
+                status TEXT NOT NULL, error_message TEXT, started_at INTEGER, completed_at INTEGER
+            )
+        `);
+        // Recorded by a script version without run IDs
+        await databaseService.run(`
+            INSERT INTO move_operations (id, source_path, destination_path, status, started_at)
+            VALUES ('move_12_4242', '/old/source', '/old/destination', 'FAILED', 1000)
+        `);
+
+        await moveHistoryService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should group moves by run and older rows by process ID', async () => {
+        await moveAlbum('move_a', 'job-1', 'Album A', 2000);
+        await moveAlbum('move_b', 'job-1', 'Album B', 2001);
+
+        const { runs, total } = await moveHistoryService.listRuns();
+
+        expect(total).toBe(2);
+        expect(runs[0]).toMatchObject({ runId: 'job-1', counts: { total: 2, moved: 2, failed: 0 } });
+        expect(runs[0].moves.map(move => move.album.title)).toEqual(['Album A', 'Album B']);
+        expect(runs[1]).toMatchObject({ runId: 'legacy-4242', counts: { total: 1, failed: 1 } });
+    });
+
+    test('should move an album back and update library paths', async () => {
+        const move = await moveHistoryService.getMove('move_a');
+
+        const result = await moveHistoryService.rollbackMove('move_a');
+
+        expect(result).toEqual({ rolledBack: ['move_a'], failed: null });
+        expect(fs.existsSync(path.join(move.sourcePath, '01 - Track.flac'))).toBe(true);
+        expect(fs.existsSync(move.destinationPath)).toBe(false);
+
+        const album = await databaseService.queryOne('SELECT path FROM albums WHERE album_title = \'Album A\'', [], false);
+        const track = await databaseService.queryOne('SELECT path FROM tracks WHERE album_id = 1', [], false);
+        expect(album.path).toBe(move.sourcePath);
+        expect(track.path).toBe(path.join(move.sourcePath, '01 - Track.flac'));
+        expect(await moveHistoryService.getMove('move_a')).toMatchObject({ status: 'ROLLED_BACK' });
+
+        await expect(moveHistoryService.rollbackMove('move_a')).rejects.toMatchObject({ code: 'INVALID_STATE' });
+    });
+
+    test('should refuse a run whose original locations are occupied', async () => {
+        const { source } = await moveAlbum('move_c', 'job-2', 'Album C', 3000);
+        await moveAlbum('move_d', 'job-2', 'Album D', 3001);
+        fs.mkdirSync(source, { recursive: true });
+
+        await expect(moveHistoryService.rollbackRun('job-2')).rejects.toMatchObject({
+            code: 'ROLLBACK_CONFLICT',
+            conflicts: [{ moveId: 'move_c', sourcePath: source, reason: 'Original location is occupied' }]
+        });
+        expect((await moveHistoryService.getMove('move_d')).status).toBe('SUCCESS');
+
+        fs.rmdirSync(source);
+        const result = await moveHistoryService.rollbackRun('job-2');
+
+        expect(result.rolledBack).toEqual(['move_d', 'move_c']);
+        // The artist directory still holds Album B, so it is kept
+        expect(fs.existsSync(path.join(libraryDir, 'Lossless', 'Artist', 'Album B'))).toBe(true);
+    });
+
+    test('should put the album back when the library cannot be updated', async () => {
+        const { source, destination } = await moveAlbum('move_e', 'job-3', 'Album E', 4000);
+        await databaseService.run(`
+            CREATE TRIGGER fail_track_paths BEFORE UPDATE ON tracks WHEN NEW.path LIKE '%Album E%'
+            BEGIN SELECT RAISE(ABORT, 'disk I/O error'); END
+        `);
+
+        try {
+            const result = await moveHistoryService.rollbackMove('move_e');
+
+            expect(result).toEqual({ rolledBack: [], failed: { moveId: 'move_e', error: expect.stringContaining('disk I/O error') } });
+            expect(fs.existsSync(path.join(destination, '01 - Track.flac'))).toBe(true);
+            expect(fs.existsSync(source)).toBe(false);
+            expect((await moveHistoryService.getMove('move_e')).status).toBe('SUCCESS');
+            const album = await databaseService.queryOne('SELECT path FROM albums WHERE album_title = \'Album E\'', [], false);
+            expect(album.path).toBe(destination);
+        } finally {
+            await databaseService.run('DROP TRIGGER fail_track_paths');
+        }
+    });
+});
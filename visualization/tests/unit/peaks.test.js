@@ -0,0 +1,72 @@
+// Unit tests for waveform peak computation
+const { describe, test, expect } = require('@jest/globals');
+
+const { PeakAccumulator, resamplePeaks, toAmplitudes } = require('../../src/utils/peaks');
+
+function pcm(values) {
+    const buffer = Buffer.alloc(values.length * 2);
+    values.forEach((value, i) => buffer.writeInt16LE(value, i * 2));
+    return buffer;
+}
+
+describe('Waveform Peaks', () => {
+    describe('PeakAccumulator', () => {
+        test('should compute min/max per bucket for mono audio', () => {
+            const accumulator = new PeakAccumulator(1, 2);
+            accumulator.push(pcm([16384, -16384, 8192, 0]));
+
+            const peaks = accumulator.finish(2);
+
+            expect(accumulator.frames).toBe(4);
+            expect(peaks).toEqual([[-0.5, 0.5, 0, 0.25]]);
+        });
+
+        test('should keep channels separate for stereo audio', () => {
+            const accumulator = new PeakAccumulator(2, 1);
+            accumulator.push(pcm([32767, -32768, 0, 16384]));
+
+            const peaks = accumulator.finish(1);
+
+            expect(peaks[0]).toEqual([0, 1]);
+            expect(peaks[1]).toEqual([-1, 0.5]);
+        });
+
+        test('should handle frames split across chunks', () => {
+            const accumulator = new PeakAccumulator(2, 4);
+            const data = pcm([100, 200, 300, 400]);
+
+            accumulator.push(data.subarray(0, 3));
+            accumulator.push(data.subarray(3));
+
+            expect(accumulator.frames).toBe(2);
+        });
+
+        test('should return silent buckets for empty input', () => {
+            const accumulator = new PeakAccumulator(1);
+
+            expect(accumulator.finish(3)).toEqual([[0, 0, 0, 0, 0, 0]]);
+        });
+    });
+
+    describe('resamplePeaks', () => {
+        test('should spread few blocks across more buckets', () => {
+            const result = resamplePeaks([-0.5], [0.5], 2);
+
+            expect(result).toEqual([-0.5, 0.5, -0.5, 0.5]);
+        });
+
+        test('should merge blocks into fewer buckets', () => {
+            const result = resamplePeaks([-0.1, -0.9, -0.2, -0.3], [0.1, 0.2, 0.8, 0.3], 2);
+
+            expect(result).toEqual([-0.9, 0.2, -0.3, 0.8]);
+        });
+    });
+
+    describe('toAmplitudes', () => {
+        test('should collapse channels into the loudest absolute peak', () => {
+            const amplitudes = toAmplitudes([[-0.2, 0.1], [-0.05, 0.7]]);
+
+            expect(amplitudes).toEqual([0.7]);
+        });
+    });
+});
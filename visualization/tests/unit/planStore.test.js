@@ -0,0 +1,113 @@
+// Unit tests for reviewable processing plans (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const planStore = require('../../src/services/planStore');
+
+describe('Plan Store', () => {
+    let planId;
+
+    const entryFor = async (sourcePath) => {
+        const { entries } = await planStore.getEntries(planId);
+        return entries.find(entry => entry.sourcePath === sourcePath);
+    };
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await planStore.initialize();
+
+        const plan = await planStore.createPlan(1, '/music/incoming', { organizationMode: 'hybrid' });
+        planId = plan.id;
+        await planStore.updatePlan(planId, { destinationRoot: '/music/sorted' });
+
+        await planStore.addEntry(planId, {
+            path: '/music/incoming/Album A',
+            outcome: 'planned',
+            destination: '/music/sorted/Lossless/Artist/Album A (2001)',
+            quality: 'Lossless',
+            discogsConfidence: 0.42,
+            lowConfidence: true
+        });
+        await planStore.addEntry(planId, { path: '/music/incoming/Album B', outcome: 'planned', destination: '/music/sorted/Lossy/B' });
+        await planStore.addEntry(planId, { path: '/music/incoming/Album C', outcome: 'duplicate', reason: 'Already organized' });
+        await planStore.updatePlan(planId, { status: 'ready' });
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should store planned albums as pending and everything else as excluded', async () => {
+        const plan = await planStore.getPlan(planId);
+
+        expect(plan.counts).toEqual({ pending: 2, excluded: 1 });
+        expect(await entryFor('/music/incoming/Album A')).toMatchObject({
+            status: 'pending',
+            quality: 'Lossless',
+            confidence: 0.42,
+            lowConfidence: true,
+            edited: false
+        });
+    });
+
+    test('should validate edits against the dry-run outcome and destination root', async () => {
+        const albumA = await entryFor('/music/incoming/Album A');
+        const albumC = await entryFor('/music/incoming/Album C');
+
+        const edited = await planStore.updateEntry(planId, albumA.id, {
+            status: 'approved',
+            destination: '/music/sorted/Lossless/Artist/Album A (Remaster)'
+        });
+        expect(edited).toMatchObject({ status: 'approved', edited: true });
+
+        await expect(planStore.updateEntry(planId, albumA.id, { destination: '/tmp/elsewhere' }))
+            .rejects.toMatchObject({ code: 'INVALID_PLAN_CHANGE' });
+        await expect(planStore.updateEntry(planId, albumC.id, { status: 'approved' }))
+            .rejects.toMatchObject({ code: 'INVALID_PLAN_CHANGE' });
+    });
+
+    test('should bound edits by DEST_DIR when the dry run reported no destination root', async () => {
+        const other = await planStore.createPlan(2, '/music/incoming');
+        await planStore.addEntry(other.id, { path: '/music/incoming/Album D', outcome: 'planned', destination: '/music/sorted/D' });
+        await planStore.updatePlan(other.id, { status: 'ready' });
+        const { entries: [albumD] } = await planStore.getEntries(other.id);
+
+        await expect(planStore.updateEntry(other.id, albumD.id, { destination: '/music/sorted/Elsewhere' }))
+            .rejects.toMatchObject({ code: 'INVALID_PLAN_CHANGE' });
+
+        planStore.applyScriptConfig({ DEST_DIR: '/music/sorted' });
+        try {
+            await expect(planStore.updateEntry(other.id, albumD.id, { destination: '/etc/cron.d/D' }))
+                .rejects.toThrow('destination must be inside /music/sorted');
+            expect(await planStore.updateEntry(other.id, albumD.id, { destination: '/music/sorted/Lossy/D' }))
+                .toMatchObject({ destination: '/music/sorted/Lossy/D', edited: true });
+        } finally {
+            planStore.applyScriptConfig({});
+        }
+    });
+
+    test('should only bulk-approve entries the dry run would move', async () => {
+        const changed = await planStore.setEntriesStatus(planId, { status: 'approved' });
+
+        expect(changed).toBe(2);
+        expect((await planStore.getPlan(planId)).counts).toEqual({ approved: 2, excluded: 1 });
+    });
+
+    test('should lock the plan while applying and report partial results', async () => {
+        const claims = await Promise.all([planStore.startApply(planId), planStore.startApply(planId)]);
+        expect(claims.sort()).toEqual([false, true]);
+        expect((await planStore.getPlan(planId)).status).toBe('applying');
+        await expect(planStore.setEntriesStatus(planId, { status: 'excluded' }))
+            .rejects.toMatchObject({ code: 'PLAN_LOCKED' });
+
+        await planStore.recordApplyResult(planId, { path: '/music/incoming/Album A', outcome: 'moved' });
+        const status = await planStore.finishApply(planId, 'Exit code 1');
+
+        expect(status).toBe('partially_applied');
+        expect(await entryFor('/music/incoming/Album A')).toMatchObject({
+            status: 'applied',
+            destination: '/music/sorted/Lossless/Artist/Album A (Remaster)'
+        });
+        expect(await entryFor('/music/incoming/Album B')).toMatchObject({ status: 'failed', error: 'Exit code 1' });
+    });
+});
@@ -0,0 +1,80 @@
+// Unit tests for the ordr.fm.sh invocations of processing jobs (in-memory SQLite, spawn mocked)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const { spawn } = require('child_process');
+const databaseService = require('../../src/services/database');
+const jobStore = require('../../src/services/jobStore');
+const planStore = require('../../src/services/planStore');
+const processingController = require('../../src/controllers/processing');
+
+// A script run that never finishes, so the job stays as spawned
+const fakeChild = () => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.stdio = [null, child.stdout, child.stderr, new EventEmitter()];
+    child.pid = 4242;
+    return child;
+};
+
+const call = (handler, body) => new Promise((resolve) => {
+    const res = {
+        status: jest.fn(() => res),
+        json: jest.fn(payload => resolve({ status: res.status.mock.calls[0]?.[0] || 200, payload }))
+    };
+    handler.call(processingController, { body }, res);
+});
+
+// Arguments of the latest ordr.fm.sh run, after the script path
+const scriptArgs = async () => {
+    for (let i = 0; i < 50 && spawn.mock.calls.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return spawn.mock.calls[spawn.mock.calls.length - 1][1].slice(1);
+};
+
+describe('Processing Jobs', () => {
+    let sourceDir;
+
+    beforeAll(async () => {
+        sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-processing-'));
+        spawn.mockImplementation(fakeChild);
+        await databaseService.connect();
+        await jobStore.initialize();
+        await planStore.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+    });
+
+    test('should run plan generation as a dry run whatever ordr.fm.conf says', async () => {
+        spawn.mockClear();
+        const { status, payload } = await call(processingController.createPlan, { sourcePath: sourceDir });
+        expect(status).toBe(200);
+
+        const args = await scriptArgs();
+        expect(args).toEqual(expect.arrayContaining(['--config', '--source', sourceDir, '--dry-run']));
+        expect(args).not.toContain('--move');
+        expect((await jobStore.getJob(payload.jobId)).enableMove).toBe(false);
+    });
+
+    test('should only move files when the job asks to', async () => {
+        spawn.mockClear();
+        await call(processingController.startProcessing, { sourcePath: sourceDir });
+        expect(await scriptArgs()).toContain('--dry-run');
+
+        spawn.mockClear();
+        await call(processingController.startProcessing, { sourcePath: sourceDir, enableMove: true });
+        const args = await scriptArgs();
+        expect(args).toContain('--move');
+        expect(args).not.toContain('--dry-run');
+    });
+});
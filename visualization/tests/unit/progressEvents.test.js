@@ -0,0 +1,63 @@
+// Unit tests for the ordr.fm.sh progress event protocol
+const { describe, test, expect } = require('@jest/globals');
+
+const { parseProgressEvent, ProgressEventParser } = require('../../src/utils/progressEvents');
+
+describe('Progress Events', () => {
+    describe('parseProgressEvent', () => {
+        test('should type fields and convert keys to camelCase', () => {
+            const { event, error } = parseProgressEvent(JSON.stringify({
+                v: 1,
+                event: 'album_finished',
+                ts: '2025-01-01T12:00:00Z',
+                index: '3',
+                total: 10,
+                path: '/music/incoming/Album',
+                outcome: 'moved',
+                destination: '/music/sorted/Lossless/Artist/Album (2001)',
+                discogs_confidence: 0.83,
+                reason: '',
+                unexpected: 'dropped'
+            }));
+
+            expect(error).toBeNull();
+            expect(event).toEqual({
+                type: 'album_finished',
+                timestamp: '2025-01-01T12:00:00Z',
+                data: {
+                    index: 3,
+                    total: 10,
+                    path: '/music/incoming/Album',
+                    outcome: 'moved',
+                    destination: '/music/sorted/Lossless/Artist/Album (2001)',
+                    discogsConfidence: 0.83
+                }
+            });
+        });
+
+        test('should reject malformed, unknown and incomplete events', () => {
+            expect(parseProgressEvent('Processing album 1 of 2').error).toBe('invalid JSON');
+            expect(parseProgressEvent('{"event":"album_exploded"}').error).toMatch(/unknown event type/);
+            expect(parseProgressEvent('{"event":"album_started","index":1}').error).toMatch(/missing path/);
+            expect(parseProgressEvent('{"event":"album_finished","index":1,"path":"/a","outcome":"lost"}').error)
+                .toMatch(/unknown album outcome/);
+            expect(parseProgressEvent('{"v":2,"event":"error","message":"x"}').error).toMatch(/protocol version/);
+        });
+    });
+
+    describe('ProgressEventParser', () => {
+        test('should hold back partial lines between chunks', () => {
+            const parser = new ProgressEventParser();
+            const line = '{"event":"album_started","index":1,"total":2,"path":"/music/A"}';
+
+            expect(parser.push(line.slice(0, 20))).toEqual([]);
+
+            const results = parser.push(`${line.slice(20)}\n{"event":"run_finished","processed":2`);
+            expect(results.map(result => result.event.type)).toEqual(['album_started']);
+
+            const rest = parser.push(',"skipped":0}');
+            expect(rest).toEqual([]);
+            expect(parser.flush()[0].event.data).toEqual({ processed: 2, skipped: 0 });
+        });
+    });
+});
@@ -0,0 +1,104 @@
+// Unit tests for table-aware query cache invalidation
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const databaseService = require('../../src/services/database');
+const cacheManager = require('../../src/utils/cache');
+
+const open = file => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, err => (err ? reject(err) : resolve(db)));
+});
+const exec = (db, sql) => new Promise((resolve, reject) => {
+    db.exec(sql, err => (err ? reject(err) : resolve()));
+});
+const close = db => new Promise(resolve => db.close(() => resolve()));
+
+describe('Query Cache', () => {
+    let dir;
+    let external;
+
+    const titles = async () => (await databaseService.query('SELECT album_title FROM albums ORDER BY id'))
+        .map(row => row.album_title);
+
+    beforeAll(async () => {
+        // Another process writing the database needs a file both connections can open
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordr-cache-'));
+        const file = path.join(dir, 'metadata.db');
+        databaseService.db = await open(file);
+        databaseService.isConnected = true;
+        external = await open(file);
+
+        await databaseService.run('CREATE TABLE albums (id INTEGER PRIMARY KEY, album_title TEXT)');
+        await databaseService.run('CREATE TABLE tracks (id INTEGER PRIMARY KEY, album_id INTEGER, track_title TEXT)');
+        await databaseService.run('INSERT INTO albums (album_title) VALUES (?)', ['Kunststoff']);
+        await databaseService.run('INSERT INTO tracks (album_id, track_title) VALUES (1, ?)', ['Amazing Discoveries']);
+        cacheManager.clearCache();
+    });
+
+    afterAll(async () => {
+        await close(external);
+        await databaseService.disconnect();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should record the tables a query reads', () => {
+        expect(databaseService._readTables(
+            'SELECT a.*, COUNT(t.id) FROM albums a LEFT JOIN tracks t ON t.album_id = a.id GROUP BY a.id'
+        )).toEqual(['albums', 'tracks']);
+        expect(databaseService._readTables(
+            'SELECT * FROM albums AS a, "tracks" t WHERE t.album_id = a.id AND a.id IN (SELECT album_id FROM album_genres)'
+        )).toEqual(['albums', 'tracks', 'album_genres']);
+        expect(databaseService._readTables('SELECT * FROM albums JOIN tracks ON tracks.album_id = albums.id'))
+            .toEqual(['albums', 'tracks']);
+        expect(databaseService._readTables('SELECT * FROM albums ORDER BY album_artist, album_title')).toEqual(['albums']);
+        expect(databaseService._readTables('PRAGMA table_info(albums)')).toBeNull();
+
+        expect(databaseService._writtenTables('INSERT OR REPLACE INTO Albums (id) VALUES (1)')).toEqual(['albums']);
+        expect(databaseService._writtenTables('  UPDATE tracks SET track_title = ?')).toEqual(['tracks']);
+        expect(databaseService._writtenTables('DELETE FROM albums WHERE id = ?')).toEqual(['albums']);
+        expect(databaseService._writtenTables('DROP TABLE albums')).toBeNull();
+    });
+
+    test('should drop only the cached queries that read a written table', async () => {
+        await titles();
+        await databaseService.query('SELECT track_title FROM tracks');
+        expect(cacheManager.cache.size).toBe(2);
+
+        await databaseService.run('UPDATE tracks SET track_title = ? WHERE id = 1', ['Amazing Discoveries (Edit)']);
+        expect(cacheManager.cache.size).toBe(1);
+
+        await databaseService.run('UPDATE albums SET album_title = ? WHERE id = 1', ['Kunststoff (Reissue)']);
+        expect(await titles()).toEqual(['Kunststoff (Reissue)']);
+    });
+
+    test('should drop cached comma joins when any of their tables is written', async () => {
+        cacheManager.clearCache();
+        const join = () => databaseService.query(
+            'SELECT a.album_title, t.track_title FROM albums a, tracks t WHERE t.album_id = a.id AND a.id = 1'
+        );
+        await join();
+
+        await databaseService.run('UPDATE tracks SET track_title = ? WHERE id = 1', ['Amazing Discoveries']);
+        expect(await join()).toEqual([{ album_title: 'Kunststoff (Reissue)', track_title: 'Amazing Discoveries' }]);
+    });
+
+    test('should treat derived tables as reading their sources', async () => {
+        databaseService.addTableSources('album_summary', ['albums']);
+        await exec(external, 'CREATE TABLE album_summary (album_id INTEGER)');
+        await databaseService.query('SELECT * FROM album_summary');
+
+        await databaseService.run('INSERT INTO albums (album_title) VALUES (?)', ['Solitaire']);
+        expect(cacheManager.cache.size).toBe(0);
+    });
+
+    test('should notice writes made by another connection', async () => {
+        expect(await titles()).toEqual(['Kunststoff (Reissue)', 'Solitaire']);
+
+        await exec(external, "INSERT INTO albums (album_title) VALUES ('Parallel Dimensions')");
+
+        expect(await titles()).toEqual(['Kunststoff (Reissue)', 'Solitaire', 'Parallel Dimensions']);
+    });
+});
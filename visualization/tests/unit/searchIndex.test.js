@@ -0,0 +1,93 @@
+// Unit tests for the FTS5 search index (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const searchIndexService = require('../../src/services/searchIndex');
+
+describe('Search Index', () => {
+    beforeAll(async () => {
+        await databaseService.connect();
+        await databaseService.run(`
+            CREATE TABLE albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                genre TEXT, quality TEXT, label TEXT, catalog_number TEXT, track_count INTEGER, path TEXT
+            )
+        `);
+        await databaseService.run(`
+            CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, album_id INTEGER, track_title TEXT, track_artist TEXT,
+                duration INTEGER, quality TEXT, path TEXT
+            )
+        `);
+        // Rows written before the index existed
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist, year, genre, label, catalog_number) VALUES
+                ('Homogenic', 'Björk', 1997, 'Electronic', 'One Little Indian', 'TPLP71'),
+                ('Selected Ambient Works 85-92', 'Aphex Twin', 1992, 'Ambient', 'Apollo', 'AMB 3922')
+        `);
+        await databaseService.run(`
+            INSERT INTO tracks (album_id, track_title) VALUES (1, 'Jóga'), (2, 'Xtal'), (2, 'Tha')
+        `);
+
+        await searchIndexService.initialize();
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should fill the index on first start and ignore diacritics', async () => {
+        const { results, total } = await searchIndexService.search('bjork', { types: ['album'] });
+
+        expect(total).toBe(1);
+        expect(results[0]).toMatchObject({ type: 'album', id: 1, title: 'Homogenic', artist: 'Björk' });
+        expect(results[0].highlights).toEqual({ artist: '<mark>Björk</mark>' });
+
+        // Tracks without an artist of their own are found by the album artist
+        const { results: tracks } = await searchIndexService.search('bjork joga');
+        expect(tracks).toHaveLength(1);
+        expect(tracks[0]).toMatchObject({ type: 'track', title: 'Jóga', artist: 'Björk', album: 'Homogenic', album_id: 1 });
+        expect(tracks[0].highlights).toEqual({ title: '<mark>Jóga</mark>', artist: '<mark>Björk</mark>' });
+    });
+
+    test('should rank albums and tracks together with title matches first', async () => {
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist, year, label) VALUES ('Apollo', 'Brian Eno', 1983, 'EG')
+        `);
+
+        const { results } = await searchIndexService.search('apollo');
+
+        expect(results.map(result => [result.type, result.title])).toEqual([
+            ['album', 'Apollo'],
+            ['album', 'Selected Ambient Works 85-92']
+        ]);
+        expect(results[0].relevance_score).toBeGreaterThan(results[1].relevance_score);
+        expect(results[1].highlights).toEqual({ label: '<mark>Apollo</mark>' });
+
+        // Words match in any field; the last one as a prefix
+        const { results: mixed } = await searchIndexService.search('aphex xt');
+        expect(mixed.map(result => [result.type, result.title])).toEqual([['track', 'Xtal']]);
+    });
+
+    test('should follow album and track changes through the triggers', async () => {
+        await databaseService.run('UPDATE albums SET album_artist = ? WHERE id = 2', ['AFX']);
+        await databaseService.run('DELETE FROM tracks WHERE track_title = ?', ['Tha']);
+
+        expect((await searchIndexService.search('aphex')).total).toBe(0);
+        const { results } = await searchIndexService.search('afx');
+        expect(results.map(result => result.title)).toEqual(['Selected Ambient Works 85-92', 'Xtal']);
+        expect((await searchIndexService.search('tha', { types: ['track'] })).total).toBe(0);
+    });
+
+    test('should escape indexed text and treat query syntax as plain words', async () => {
+        await databaseService.run(`
+            INSERT INTO albums (album_title, album_artist) VALUES ('<b>Bold</b> & Brash', 'Various')
+        `);
+
+        const { results } = await searchIndexService.search('bold');
+        expect(results[0].highlights.title).toBe('&lt;b&gt;<mark>Bold</mark>&lt;/b&gt; &amp; Brash');
+
+        expect((await searchIndexService.search('"apollo" OR NEAR(')).total).toBe(0);
+        expect(await searchIndexService.search('!!')).toEqual({ results: [], total: 0 });
+    });
+});
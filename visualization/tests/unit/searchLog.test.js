@@ -0,0 +1,88 @@
+// Unit tests for the search log and the analytics built from it (in-memory SQLite)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const searchLogService = require('../../src/services/searchLog');
+
+describe('Search Log', () => {
+    const record = (query, resultCount, extra = {}) => searchLogService.record({
+        endpoint: 'fuzzy',
+        query,
+        resultCount,
+        latencyMs: 12,
+        ...extra
+    });
+
+    beforeAll(async () => {
+        await databaseService.connect();
+        await searchLogService.initialize();
+
+        await record('Aphex Twin', 12);
+        await record('aphex  twin', 10);
+        await record('aphex twin', 8, { endpoint: 'albums', latencyMs: 30 });
+        await record('aphex', 20);
+        await record('autechre', 5);
+        await record('burial untrue', 0);
+        await record('burial untrue', 0);
+        await record('', 40, { endpoint: 'advanced', filters: { artist: 'Move D', label: '' } });
+    });
+
+    afterAll(async () => {
+        await databaseService.disconnect();
+    });
+
+    test('should store the normalized query, active filters and zero-result flag', async () => {
+        const rows = await databaseService.query('SELECT * FROM search_log ORDER BY id', [], false);
+
+        expect(rows[1]).toMatchObject({ query: 'aphex  twin', normalized_query: 'aphex twin', zero_results: 0 });
+        expect(rows[5]).toMatchObject({ normalized_query: 'burial untrue', zero_results: 1, filters: null });
+        expect(JSON.parse(rows[7].filters)).toEqual({ artist: 'Move D' });
+    });
+
+    test('should rank popular searches among those that found something', async () => {
+        const popular = await searchLogService.getPopular();
+
+        expect(popular[0]).toMatchObject({ query: 'aphex twin', count: 3, avgResults: 10 });
+        expect(popular.slice(1).map(entry => entry.query).sort()).toEqual(['aphex', 'autechre']);
+    });
+
+    test('should report totals, zero-result queries, trends and endpoints', async () => {
+        const analytics = await searchLogService.getAnalytics({ days: 7 });
+
+        expect(analytics).toMatchObject({
+            totalSearches: 8,
+            uniqueQueries: 4,
+            avgResultsPerQuery: 11.9,
+            avgLatencyMs: 14,
+            zeroResultRate: 25,
+            zeroResultQueries: [{ query: 'burial untrue', count: 2 }]
+        });
+        expect(analytics.searchTrends.daily).toEqual([
+            { date: new Date().toISOString().slice(0, 10), searches: 8, zeroResults: 2, avgLatencyMs: 14 }
+        ]);
+        expect(analytics.endpoints.map(entry => [entry.endpoint, entry.searches])).toEqual([
+            ['fuzzy', 6],
+            ['advanced', 1],
+            ['albums', 1]
+        ]);
+    });
+
+    test('should suggest earlier queries and count searches per query', async () => {
+        const queries = await searchLogService.getQueriesStartingWith('Aph');
+        expect(queries).toEqual([{ query: 'aphex twin', count: 3 }, { query: 'aphex', count: 1 }]);
+        expect(await searchLogService.getQueriesStartingWith('buri')).toEqual([]);
+
+        const counts = await searchLogService.getQueryCounts(['Aphex Twin', 'Autechre', 'Boards of Canada']);
+        expect([...counts.entries()]).toEqual([['aphex twin', 3], ['autechre', 1]]);
+    });
+
+    test('should drop searches past the retention period', async () => {
+        await databaseService.run('UPDATE search_log SET created_at = ? WHERE normalized_query = ?', [
+            new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString(),
+            'autechre'
+        ]);
+
+        expect(await searchLogService.cleanup(180)).toBe(1);
+        expect((await searchLogService.getAnalytics()).totalSearches).toBe(7);
+    });
+});
@@ -0,0 +1,141 @@
+// Unit tests for the album search query language
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+
+const databaseService = require('../../src/services/database');
+const {
+    parseSearchQuery,
+    compileSearchQuery,
+    getCompletionContext,
+    formatValue
+} = require('../../src/utils/searchQuery');
+
+// Free text stands in for the full-text index
+const matchText = text => ({ sql: 'SELECT id FROM albums WHERE album_title LIKE ?', params: [`%${text}%`] });
+
+describe('Search Query Language', () => {
+    describe('parsing', () => {
+        test('should parse fields, ranges, negation and has:', () => {
+            const tree = parseSearchQuery('artist:"Move D" label:Running year:1995..2002 quality:lossless -genre:ambient has:catalog');
+
+            expect(tree.type).toBe('and');
+            expect(tree.children).toEqual([
+                { type: 'field', field: 'artist', column: 'album_artist', op: 'contains', value: 'Move D' },
+                { type: 'field', field: 'label', column: 'label', op: 'contains', value: 'Running' },
+                {
+                    type: 'field', field: 'year', column: 'year', op: 'range',
+                    min: 1995, minInclusive: true, max: 2002, maxInclusive: true
+                },
+                { type: 'field', field: 'quality', column: 'quality', op: 'equals', value: 'lossless' },
+                { type: 'not', child: { type: 'field', field: 'genre', column: 'genre', op: 'contains', value: 'ambient' } },
+                { type: 'has', field: 'catalog', column: 'catalog_number' }
+            ]);
+        });
+
+        test('should group with parentheses and bind AND tighter than OR', () => {
+            expect(parseSearchQuery('(burial OR kode9) year:>=2006 NOT tracks:..3')).toMatchObject({
+                type: 'and',
+                children: [
+                    { type: 'or', children: [{ type: 'text', value: 'burial' }, { type: 'text', value: 'kode9' }] },
+                    { field: 'year', min: 2006, minInclusive: true, max: null },
+                    { type: 'not', child: { field: 'tracks', min: null, max: 3 } }
+                ]
+            });
+            expect(parseSearchQuery('a b OR c')).toMatchObject({ type: 'or', children: [{ type: 'and' }, { type: 'text' }] });
+            expect(parseSearchQuery('   ')).toBeNull();
+        });
+
+        test.each([
+            ['artist:"Move D', 7, 'Missing closing quote'],
+            ['genre:house colour:blue', 12, 'Unknown field "colour"'],
+            ['year:nineties', 5, 'year expects a number'],
+            ['year:2002..1995', 5, 'range starts after it ends'],
+            ['label: Running', 6, 'Missing value after label:'],
+            ['(techno OR house', 0, 'Missing closing parenthesis'],
+            ['techno)', 6, 'Unexpected closing parenthesis'],
+            ['OR techno', 0, 'Expected a search term before OR'],
+            ['techno AND', 10, 'Expected a search term at the end'],
+            ['has:colour', 4, 'Unknown field "colour" for has:']
+        ])('should report %j at position %i', (query, position, message) => {
+            let error;
+            try {
+                parseSearchQuery(query);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).toMatchObject({ code: 'INVALID_QUERY', position });
+            expect(error.message).toContain(message);
+        });
+    });
+
+    describe('compiling', () => {
+        const search = async (query) => {
+            const { sql, params } = compileSearchQuery(parseSearchQuery(query), { matchText });
+            const rows = await databaseService.query(`SELECT album_title FROM albums WHERE ${sql} ORDER BY id`, params, false);
+            return rows.map(row => row.album_title);
+        };
+
+        beforeAll(async () => {
+            await databaseService.connect();
+            await databaseService.run(`
+                CREATE TABLE albums (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT, album_title TEXT, album_artist TEXT, year INTEGER,
+                    genre TEXT, quality TEXT, label TEXT, catalog_number TEXT, track_count INTEGER,
+                    total_duration INTEGER, path TEXT
+                )
+            `);
+            await databaseService.run(`
+                INSERT INTO albums (album_title, album_artist, year, genre, quality, label, catalog_number) VALUES
+                    ('Kunststoff', 'Move D', 1995, 'House', 'Lossless', 'Source Records', 'SRC 008'),
+                    ('Solitaire', 'Move D', 2002, 'Ambient', 'Lossless', 'Running Back', NULL),
+                    ('Parallel Dimensions', 'Move D', 2011, NULL, 'Lossy', 'Running Back', 'RB 033'),
+                    ('100% Pure', 'Various', 1999, 'House', 'Lossless', 'Running', '')
+            `);
+        });
+
+        afterAll(async () => {
+            await databaseService.disconnect();
+        });
+
+        test('should select albums with parameterized conditions', async () => {
+            expect(await search('artist:"move d" year:1995..2002 quality:LOSSLESS')).toEqual(['Kunststoff', 'Solitaire']);
+            expect(await search('label:running has:catalog')).toEqual(['Parallel Dimensions']);
+            expect(await search('year:>2000 OR album:kunst')).toEqual(['Kunststoff', 'Solitaire', 'Parallel Dimensions']);
+        });
+
+        test('should keep albums without a value when a field is negated', async () => {
+            expect(await search('artist:"move d" -genre:ambient')).toEqual(['Kunststoff', 'Parallel Dimensions']);
+            expect(await search('-has:catalog')).toEqual(['Solitaire', '100% Pure']);
+        });
+
+        test('should treat LIKE wildcards and SQL in values as text', async () => {
+            expect(await search('album:100%')).toEqual(['100% Pure']);
+            expect(await search('album:"\' OR 1=1 --"')).toEqual([]);
+            expect(await search('dimensions')).toEqual(['Parallel Dimensions']);
+        });
+    });
+
+    describe('completion', () => {
+        test('should find the term being typed', () => {
+            expect(getCompletionContext('year:1995..2002 -lab')).toEqual({
+                prefix: 'year:1995..2002 ',
+                negated: true,
+                field: null,
+                partial: 'lab'
+            });
+            expect(getCompletionContext('label:Running artist:"Move')).toEqual({
+                prefix: 'label:Running ',
+                negated: false,
+                field: 'artist',
+                partial: 'Move'
+            });
+        });
+
+        test('should quote values that would not read back as one term', () => {
+            expect(formatValue('Running')).toBe('Running');
+            expect(formatValue('Move D')).toBe('"Move D"');
+            expect(formatValue('12" Mix')).toBe('"12\\" Mix"');
+            expect(parseSearchQuery(`album:${formatValue('12" Mix')}`).value).toBe('12" Mix');
+        });
+    });
+});
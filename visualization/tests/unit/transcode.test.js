@@ -0,0 +1,134 @@
+// Unit tests for transcoding: format choice, the encoder pool and the transcode cache (a stand-in ffmpeg)
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ordrfm-transcode-'));
+process.env.TRANSCODE_CACHE_DIR = path.join(workDir, 'cache');
+
+const transcodeService = require('../../src/services/transcode');
+
+// Logs its arguments and "encodes" by copying the input, taking its time over slow ones
+const FAKE_FFMPEG = `#!/bin/sh
+echo "$@" >> "${path.join(workDir, 'ffmpeg.log')}"
+while [ $# -gt 0 ]; do
+    if [ "$1" = "-i" ]; then input="$2"; fi
+    shift
+done
+if grep -q broken "$input"; then echo "Invalid data found when processing input" >&2; exit 1; fi
+if grep -q slow "$input"; then sleep 0.3; fi
+cat "$input"
+`;
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+};
+
+const settled = async () => {
+    while (transcodeService.inFlight.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('Transcoding', () => {
+    const track = path.join(workDir, '01 Amazing Discoveries.flac');
+
+    beforeAll(() => {
+        const ffmpeg = path.join(workDir, 'ffmpeg');
+        fs.writeFileSync(ffmpeg, FAKE_FFMPEG, { mode: 0o755 });
+        transcodeService.encoderPath = ffmpeg;
+        fs.writeFileSync(track, 'encoded audio');
+    });
+
+    afterAll(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('should send the original when the player can decode it', () => {
+        expect(transcodeService.chooseFormat({ sourceFormat: 'FLAC' })).toEqual({ format: 'original', bitrate: null });
+        expect(transcodeService.chooseFormat({ sourceFormat: 'mp3', sourceBitrate: 128, bitrate: 192, supports: ['mp3'] }))
+            .toEqual({ format: 'original', bitrate: null });
+    });
+
+    test('should transcode to the best format the player can play', () => {
+        // Nobody plays APE; a player that says nothing gets MP3
+        expect(transcodeService.chooseFormat({ sourceFormat: 'ape', accept: '*/*' })).toEqual({ format: 'mp3', bitrate: 192 });
+        expect(transcodeService.chooseFormat({ sourceFormat: 'ape', accept: 'audio/mpeg, audio/ogg;q=0.9' }))
+            .toEqual({ format: 'opus', bitrate: 128 });
+        expect(transcodeService.chooseFormat({ sourceFormat: 'aif', accept: 'audio/ogg;q=0, audio/mp4' }))
+            .toEqual({ format: 'aac', bitrate: 192 });
+        // Hi-res FLAC at a lower bitrate, although the player could decode the original
+        expect(transcodeService.chooseFormat({ sourceFormat: 'flac', bitrate: 96, supports: ['flac', 'mp3', 'aac'] }))
+            .toEqual({ format: 'aac', bitrate: 96 });
+        expect(transcodeService.chooseFormat({ sourceFormat: 'flac', format: 'mp3', bitrate: 320 }))
+            .toEqual({ format: 'mp3', bitrate: 320 });
+    });
+
+    test('should reject unknown formats and bitrates', () => {
+        expect(() => transcodeService.chooseFormat({ sourceFormat: 'flac', format: 'wma' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_FORMAT' }));
+        expect(() => transcodeService.chooseFormat({ sourceFormat: 'flac', bitrate: 8 }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_BITRATE' }));
+    });
+
+    test('should stream a transcode and serve it from the cache afterwards', async () => {
+        const first = await transcodeService.getTranscode(track, { format: 'opus', bitrate: 96 });
+        expect(first).toMatchObject({ cached: false, contentType: 'audio/ogg; codecs=opus' });
+        expect(await readAll(first.stream)).toBe('encoded audio');
+        await settled();
+
+        const second = await transcodeService.getTranscode(track, { format: 'opus', bitrate: 96 });
+        expect(second).toMatchObject({ cached: true, size: 13 });
+        expect(fs.readFileSync(second.file, 'utf8')).toBe('encoded audio');
+
+        // Starting later needs the encoder again, and is not cached
+        const later = await transcodeService.getTranscode(track, { format: 'opus', bitrate: 96, start: 61.5 });
+        expect(later.cached).toBe(false);
+        expect(await readAll(later.stream)).toBe('encoded audio');
+
+        const calls = fs.readFileSync(path.join(workDir, 'ffmpeg.log'), 'utf8').trim().split('\n');
+        expect(calls).toHaveLength(2);
+        expect(calls[0]).toContain('-c:a libopus -b:a 96k -f ogg');
+        expect(calls[1]).toMatch(/^-v error -ss 61.5 -i /);
+    });
+
+    test('should report files the encoder cannot read', async () => {
+        const broken = path.join(workDir, 'broken.wma');
+        fs.writeFileSync(broken, 'broken');
+
+        await expect(transcodeService.getTranscode(broken, { format: 'mp3', bitrate: 192 }))
+            .rejects.toMatchObject({ code: 'DECODE_FAILED' });
+        await settled();
+        expect(transcodeService.running).toBe(0);
+    });
+
+    test('should queue transcodes beyond the pool and refuse them when the queue is full', async () => {
+        const slowTrack = path.join(workDir, '02 slow.flac');
+        fs.writeFileSync(slowTrack, 'slow audio');
+        transcodeService.maxProcesses = 1;
+        transcodeService.maxQueued = 1;
+
+        const running = transcodeService.getTranscode(slowTrack, { format: 'mp3', bitrate: 128 });
+        const queued = transcodeService.getTranscode(slowTrack, { format: 'aac', bitrate: 128 });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        await expect(transcodeService.getTranscode(track, { format: 'mp3', bitrate: 64 }))
+            .rejects.toMatchObject({ code: 'TRANSCODE_BUSY' });
+
+        // Leaving the queue gives the place back
+        const abort = new AbortController();
+        const leaving = transcodeService.getTranscode(track, { format: 'mp3', bitrate: 64, signal: abort.signal });
+        abort.abort();
+        await expect(leaving).rejects.toMatchObject({ code: 'TRANSCODE_ABORTED' });
+
+        expect(await readAll((await running).stream)).toBe('slow audio');
+        expect(await readAll((await queued).stream)).toBe('slow audio');
+        await settled();
+        expect(transcodeService.running).toBe(0);
+    });
+});